@@ -0,0 +1,60 @@
+const { EventEmitter } = require('events');
+const {
+    validateAddress,
+    toBacstackAddress,
+    fromBacstackAddress,
+    formatAddress,
+    sameAddress,
+    enableRoutedAddressing
+} = require('../src/bacnet_address');
+
+describe('bacnet_address', () => {
+    test('validateAddress accepts IP strings and routed addresses', () => {
+        expect(validateAddress('192.168.1.10')).toBeNull();
+        expect(validateAddress({ ip: '192.168.1.1', network: 2001, mac: 12 })).toBeNull();
+        expect(validateAddress({ ip: '192.168.1.1', network: 2001, mac: [10, 0, 0, 5, 0xBA, 0xC0] })).toBeNull();
+
+        expect(validateAddress(' ')).toBe('address must not be empty.');
+        expect(validateAddress(42)).toContain('IP address string or an object');
+        expect(validateAddress({ network: 2001, mac: 12 })).toContain('address.ip');
+        expect(validateAddress({ ip: '192.168.1.1', network: 0, mac: 12 })).toContain('address.network');
+        expect(validateAddress({ ip: '192.168.1.1', network: 2001, mac: 256 })).toContain('address.mac');
+        expect(validateAddress({ ip: '192.168.1.1', network: 2001, mac: [] })).toContain('address.mac');
+    });
+
+    test('converts between config and bacstack address forms', () => {
+        const routed = { ip: '192.168.1.1', network: 2001, mac: 12 };
+
+        expect(toBacstackAddress('192.168.1.10')).toBe('192.168.1.10');
+        expect(toBacstackAddress(routed)).toEqual({ address: '192.168.1.1', net: 2001, adr: [12] });
+        expect(fromBacstackAddress({ address: '192.168.1.1', net: 2001, adr: [12] })).toEqual(routed);
+        expect(fromBacstackAddress({ address: '192.168.1.1', net: 5, adr: [1, 2] })).toEqual({ ip: '192.168.1.1', network: 5, mac: [1, 2] });
+
+        expect(formatAddress(routed)).toBe('192.168.1.1@2001:12');
+        expect(formatAddress({ address: '192.168.1.1', net: 2001, adr: [12] })).toBe('192.168.1.1@2001:12');
+        expect(sameAddress(routed, { address: '192.168.1.1', net: 2001, adr: [12] })).toBe(true);
+        expect(sameAddress(routed, '192.168.1.1')).toBe(false);
+    });
+
+    test('enableRoutedAddressing unwraps routed receivers and keeps NPDU source networks', () => {
+        const send = jest.fn();
+        const handleNpdu = jest.fn();
+        const client = { _transport: new EventEmitter(), _handleNpdu: handleNpdu };
+        client._transport.send = send;
+
+        enableRoutedAddressing(client);
+        client._transport.send(Buffer.alloc(4), 4, { address: '192.168.1.1', net: 2001, adr: [12] });
+        client._transport.send(Buffer.alloc(4), 4, '192.168.1.10');
+
+        expect(send).toHaveBeenNthCalledWith(1, expect.any(Buffer), 4, '192.168.1.1');
+        expect(send).toHaveBeenNthCalledWith(2, expect.any(Buffer), 4, '192.168.1.10');
+
+        const routedNpdu = Buffer.from([0x01, 0x08, 0x07, 0xD1, 0x01, 0x0C, 0x10, 0x00]);
+        const localNpdu = Buffer.from([0x01, 0x00, 0x10, 0x00]);
+        client._handleNpdu(routedNpdu, 0, routedNpdu.length, '192.168.1.1');
+        client._handleNpdu(localNpdu, 0, localNpdu.length, '192.168.1.10');
+
+        expect(handleNpdu).toHaveBeenNthCalledWith(1, routedNpdu, 0, routedNpdu.length, { address: '192.168.1.1', net: 2001, adr: [12] });
+        expect(handleNpdu).toHaveBeenNthCalledWith(2, localNpdu, 0, localNpdu.length, '192.168.1.10');
+    });
+});
@@ -3,8 +3,18 @@ process.env.NODE_CONFIG_STRICT_MODE = '0';
 const mockReadPropertyMultiple = jest.fn();
 const mockReadProperty = jest.fn();
 const mockWriteProperty = jest.fn();
+const mockWritePropertyMultiple = jest.fn();
 const mockWhoIs = jest.fn();
+const mockSubscribeCOV = jest.fn();
+const mockSubscribeProperty = jest.fn();
+const mockSimpleAckResponse = jest.fn();
+const mockGetEventInformation = jest.fn();
+const mockGetAlarmSummary = jest.fn();
+const mockAcknowledgeAlarm = jest.fn();
 const mockScheduleJob = jest.fn();
+const mockTransportSend = jest.fn();
+const mockUdpSend = jest.fn();
+const mockHandleNpdu = jest.fn();
 
 jest.mock('bacstack', () => {
     const ctor = jest.fn(() => {
@@ -13,7 +23,22 @@ jest.mock('bacstack', () => {
         emitter.readPropertyMultiple = mockReadPropertyMultiple;
         emitter.readProperty = mockReadProperty;
         emitter.writeProperty = mockWriteProperty;
+        emitter.writePropertyMultiple = mockWritePropertyMultiple;
         emitter.whoIs = mockWhoIs;
+        emitter.subscribeCOV = mockSubscribeCOV;
+        emitter.subscribeProperty = mockSubscribeProperty;
+        emitter.simpleAckResponse = mockSimpleAckResponse;
+        emitter.getEventInformation = mockGetEventInformation;
+        emitter.getAlarmSummary = mockGetAlarmSummary;
+        emitter.acknowledgeAlarm = mockAcknowledgeAlarm;
+        emitter._transport = new EventEmitter();
+        emitter._transport._server = { send: mockTransportSend };
+        emitter._transport.send = mockUdpSend;
+        emitter._transport.getBroadcastAddress = () => '255.255.255.255';
+        emitter._processUnconfirmedServiceRequest = jest.fn();
+        emitter._handleNpdu = mockHandleNpdu;
+        emitter._getBuffer = () => ({ buffer: Buffer.alloc(1482), offset: 4 });
+        emitter._settings = { apduTimeout: 3000 };
         return emitter;
     });
     ctor.enum = {
@@ -25,13 +50,42 @@ jest.mock('bacstack', () => {
             PROP_OBJECT_IDENTIFIER: 75,
             PROP_OBJECT_TYPE: 79,
             PROP_DESCRIPTION: 28,
-            PROP_UNITS: 117
+            PROP_UNITS: 117,
+            PROP_STATUS_FLAGS: 111,
+            PROP_RELIABILITY: 103,
+            PROP_OUT_OF_SERVICE: 81,
+            PROP_HIGH_LIMIT: 45,
+            PROP_PRIORITY_ARRAY: 87,
+            PROP_RELINQUISH_DEFAULT: 104,
+            PROP_RECORD_COUNT: 141,
+            PROP_VENDOR_NAME: 121,
+            PROP_MODEL_NAME: 70,
+            PROP_FIRMWARE_REVISION: 44,
+            PROP_APPLICATION_SOFTWARE_VERSION: 12,
+            PROP_PROTOCOL_SERVICES_SUPPORTED: 97,
+            PROP_MAX_APDU_LENGTH_ACCEPTED: 62,
+            PROP_SEGMENTATION_SUPPORTED: 107,
+            PROP_DATABASE_REVISION: 155,
+            PROP_STATE_TEXT: 110,
+            PROP_ACTIVE_TEXT: 4,
+            PROP_INACTIVE_TEXT: 46
         },
         ApplicationTags: {
+            BACNET_APPLICATION_TAG_NULL: 0,
             BACNET_APPLICATION_TAG_BOOLEAN: 1,
             BACNET_APPLICATION_TAG_SIGNED_INT: 2,
             BACNET_APPLICATION_TAG_REAL: 4,
             BACNET_APPLICATION_TAG_CHARACTER_STRING: 7
+        },
+        ConfirmedServices: {
+            SERVICE_CONFIRMED_COV_NOTIFICATION: 1,
+            SERVICE_CONFIRMED_EVENT_NOTIFICATION: 2
+        },
+        Segmentations: {
+            SEGMENTATION_BOTH: 0,
+            SEGMENTATION_TRANSMIT: 1,
+            SEGMENTATION_RECEIVE: 2,
+            SEGMENTATION_NONE: 3
         }
     };
     return ctor;
@@ -93,7 +147,22 @@ describe('BacnetClient', () => {
             saveObjectTelemetry: jest.fn().mockResolvedValue(undefined),
             recordPollHistory: jest.fn().mockResolvedValue(undefined),
             listDeviceStates: jest.fn().mockResolvedValue([]),
-            listObjectStates: jest.fn().mockResolvedValue([])
+            listObjectStates: jest.fn().mockResolvedValue([]),
+            upsertAlarm: jest.fn(async (alarm) => ({ ...alarm })),
+            getAlarm: jest.fn().mockResolvedValue(null),
+            listAlarms: jest.fn().mockResolvedValue([]),
+            markAlarmAcknowledged: jest.fn(async (deviceId, objectKey, acknowledgedBy) => ({ deviceId, objectKey, acknowledged: true, acknowledgedBy })),
+            clearAlarmsExcept: jest.fn().mockResolvedValue([]),
+            getLatestTrendRecord: jest.fn().mockResolvedValue(null),
+            saveTrendRecords: jest.fn(async (_deviceId, _objectKey, records) => records.length),
+            listTrendRecords: jest.fn().mockResolvedValue([]),
+            upsertDiscoveredDevice: jest.fn().mockResolvedValue(undefined),
+            listDiscoveredDevices: jest.fn().mockResolvedValue([]),
+            saveDeviceProfile: jest.fn().mockResolvedValue(undefined),
+            listDeviceProfiles: jest.fn().mockResolvedValue([]),
+            saveTimedOverride: jest.fn().mockResolvedValue(undefined),
+            deleteTimedOverride: jest.fn().mockResolvedValue(true),
+            listTimedOverrides: jest.fn().mockResolvedValue([])
         };
         bacnetConfig = new MockBacnetConfig();
         jest.resetModules();
@@ -177,6 +246,85 @@ describe('BacnetClient', () => {
         client.scanForDevices();
 
         expect(mockWhoIs).toHaveBeenCalled();
+        expect(mockTransportSend).not.toHaveBeenCalled();
+        expect(client.getStatus().foreignDevice).toEqual({ enabled: false });
+        cleanup(client);
+    });
+
+    test('scanForDevices sends a ranged Who-Is and collects the answers in range until the window closes', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        const scan = client.scanForDevices({ lowLimit: 1000, highLimit: 1999, address: '10.0.255.255', durationMs: 2000 });
+        expect(mockWhoIs).toHaveBeenCalledWith({ lowLimit: 1000, highLimit: 1999, address: '10.0.255.255' });
+
+        client.client.emit('iAm', { deviceId: 1200, address: '10.0.0.12' });
+        client.client.emit('iAm', { deviceId: 2500, address: '10.0.0.25' });
+        client.client.emit('iAm', { deviceId: 1200, address: '10.0.0.13' });
+        jest.advanceTimersByTime(2000);
+        client.client.emit('iAm', { deviceId: 1300, address: '10.0.0.30' });
+
+        await expect(scan).resolves.toEqual([{ deviceId: 1200, address: '10.0.0.13' }]);
+        expect(client.listenerCount('deviceFound')).toBe(0);
+        cleanup(client);
+    });
+
+    test('whoHas sends Who-Has and resolves with each matching I-Have once', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        const lookup = client.whoHas({ objectName: 'AHU1-SAT', durationMs: 2000 });
+        expect(mockUdpSend).toHaveBeenCalledWith(expect.any(Buffer), expect.any(Number), '255.255.255.255');
+
+        const found = { address: '10.0.0.12', deviceId: 1200, objectId: { type: 0, instance: 3 }, objectName: 'AHU1-SAT' };
+        client.client.emit('iHave', found);
+        client.client.emit('iHave', found);
+        client.client.emit('iHave', { address: { address: '10.0.0.1', net: 5, adr: [7] }, deviceId: 5007, objectId: { type: 2, instance: 1 }, objectName: 'AHU1-SAT' });
+        client.client.emit('iHave', { address: '10.0.0.13', deviceId: 1300, objectId: { type: 0, instance: 3 }, objectName: 'AHU2-SAT' });
+        jest.advanceTimersByTime(2000);
+
+        await expect(lookup).resolves.toEqual([
+            found,
+            { address: { ip: '10.0.0.1', network: 5, mac: 7 }, deviceId: 5007, objectId: { type: 2, instance: 1 }, objectName: 'AHU1-SAT' }
+        ]);
+        expect(client.client.listenerCount('iHave')).toBe(0);
+
+        const byId = client.whoHas({ objectId: { type: 0, instance: 3 }, lowLimit: 1000, highLimit: 1999, address: '10.0.0.12', durationMs: 1000 });
+        expect(mockUdpSend).toHaveBeenLastCalledWith(expect.any(Buffer), expect.any(Number), '10.0.0.12');
+        client.client.emit('iHave', found);
+        client.client.emit('iHave', { ...found, deviceId: 2500 });
+        jest.advanceTimersByTime(1000);
+        await expect(byId).resolves.toEqual([found]);
+        cleanup(client);
+    });
+
+    test('registers with a configured BBMD and distributes Who-Is through it', async () => {
+        const nodeConfig = JSON.parse(process.env.NODE_CONFIG);
+        nodeConfig.bacnet.bbmd = { host: '10.1.0.1', port: 47808, ttlSeconds: 300 };
+        process.env.NODE_CONFIG = JSON.stringify(nodeConfig);
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        expect(mockTransportSend).toHaveBeenCalledWith(expect.any(Buffer), 0, 6, 47808, '10.1.0.1', expect.any(Function));
+        expect(client.getStatus().foreignDevice).toEqual(expect.objectContaining({ enabled: true, state: 'pending', ttlSeconds: 300 }));
+
+        client.scanForDevices();
+
+        expect(mockWhoIs).toHaveBeenCalled();
+        expect(mockTransportSend.mock.calls[1][0][1]).toBe(0x09);
+
+        client.scanForDevices({ address: '10.0.0.12' });
+        expect(mockTransportSend).toHaveBeenCalledTimes(2);
+
+        client.whoHas({ objectName: 'AHU1-SAT' });
+        expect(mockTransportSend).toHaveBeenCalledTimes(3);
+        expect(mockTransportSend.mock.calls[2][0][1]).toBe(0x09);
+        expect(mockTransportSend.mock.calls[2][0][11]).toBe(0x07);
+        client.foreignDevice.stop();
         cleanup(client);
     });
 
@@ -278,7 +426,8 @@ describe('BacnetClient', () => {
         const objects = await client.scanDevice({ address: '10.0.0.1', deviceId: 123 });
 
         expect(objects.map((object) => object.objectId)).toEqual([objectId]);
-        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(3);
+        // Object list (failed, then retried), object details and the device profile.
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(4);
         cleanup(client);
     });
 
@@ -431,18 +580,31 @@ describe('BacnetClient', () => {
         const { BacnetClient } = require('../src/bacnet_client');
         const client = new BacnetClient({ runtimeState, bacnetConfig });
         await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
 
-        const response = await client.writeProperty('192.168.1.10', { type: 1, instance: 0 }, 85, true);
+        const response = await client.writeProperty('192.168.1.10', { type: 1, instance: 0 }, 81, true, undefined, undefined, '114');
 
         expect(mockWriteProperty).toHaveBeenCalledWith(
             '192.168.1.10',
             { type: 1, instance: 0 },
-            85,
+            81,
             [{ type: 1, value: 1 }],
             expect.any(Object),
             expect.any(Function)
         );
         expect(response.ok).toBe(true);
+
+        // Present values take the datatype of their object type, whatever the JSON type.
+        await client.writeProperty('192.168.1.10', { type: 1, instance: 0 }, 85, 21, undefined, undefined, '114');
+        await client.writeProperty('192.168.1.10', { type: 4, instance: 0 }, 85, true, undefined, undefined, '114');
+        await client.writeProperty('192.168.1.10', { type: 19, instance: 0 }, 85, '3', undefined, undefined, '114');
+        await client.writeProperty('192.168.1.10', { type: 45, instance: 0 }, 104, -4, undefined, undefined, '114');
+        expect(mockWriteProperty.mock.calls.slice(1).map((call) => call[3])).toEqual([
+            [{ type: 4, value: 21 }],
+            [{ type: 9, value: 1 }],
+            [{ type: 2, value: 3 }],
+            [{ type: 3, value: -4 }]
+        ]);
         cleanup(client);
     });
 
@@ -481,8 +643,8 @@ describe('BacnetClient', () => {
         client.client.emit('iAm', { deviceId: 99, address: '10.0.0.99' });
 
         expect(handler).toHaveBeenCalledWith({ deviceId: 99, address: '10.0.0.99' });
-        expect(client.requestOptions).toEqual({ maxSegments: 112, maxAdpu: 5 });
-        expect(client._buildRequestOptions(8)).toEqual({ maxSegments: 112, maxAdpu: 5, priority: 8 });
+        expect(client.requestOptions).toEqual({ maxSegments: 112, maxApdu: 5, apduTimeoutMs: 10000, retries: 0 });
+        expect(client._buildRequestOptions(client.requestOptions, 8)).toEqual({ maxSegments: 112, maxApdu: 5, priority: 8 });
         cleanup(client);
     });
 
@@ -599,14 +761,16 @@ describe('BacnetClient', () => {
         const { BacnetClient } = require('../src/bacnet_client');
         const client = new BacnetClient({ runtimeState, bacnetConfig });
         await client.ready;
-
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, 7)).resolves.toEqual([{ type: 2, value: 7 }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, 7.5)).resolves.toEqual([{ type: 4, value: 7.5 }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, '42')).resolves.toEqual([{ type: 2, value: 42 }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, '42.5')).resolves.toEqual([{ type: 4, value: 42.5 }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, 'abc')).resolves.toEqual([{ type: 7, value: 'abc' }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, true, undefined, 1)).resolves.toEqual([{ type: 1, value: 1 }]);
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, { bad: true })).rejects.toThrow('Unsupported value type');
+        await client.startPolling({ deviceId: 114, address: 'a' }, [], { class: 'slow' });
+
+        // Property 512 is proprietary, so the datatype is guessed from the value.
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, 7, undefined, undefined, '114')).resolves.toEqual([{ type: 3, value: 7 }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, 7.5, undefined, undefined, '114')).resolves.toEqual([{ type: 4, value: 7.5 }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, '42', undefined, undefined, '114')).resolves.toEqual([{ type: 3, value: 42 }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, '42.5', undefined, undefined, '114')).resolves.toEqual([{ type: 4, value: 42.5 }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, 'abc', undefined, undefined, '114')).resolves.toEqual([{ type: 7, value: 'abc' }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, true, undefined, 1, '114')).resolves.toEqual([{ type: 1, value: 1 }]);
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 512, { bad: true }, undefined, undefined, '114')).rejects.toThrow('Unsupported value type');
         cleanup(client);
     });
 
@@ -616,8 +780,9 @@ describe('BacnetClient', () => {
         const { BacnetClient } = require('../src/bacnet_client');
         const client = new BacnetClient({ runtimeState, bacnetConfig });
         await client.ready;
+        await client.startPolling({ deviceId: 114, address: 'a' }, [], { class: 'slow' });
 
-        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, 1)).rejects.toThrow('write error');
+        await expect(client.writeProperty('a', { type: 1, instance: 1 }, 85, 1, undefined, undefined, '114')).rejects.toThrow('write error');
         expect(logger.log).toHaveBeenCalledWith('error', expect.stringContaining('[BACnet Write] Error writing property: Error: write error'));
         await expect(client.listRuntimeStates()).resolves.toEqual([]);
         await expect(client.listRuntimeObjectStates(114)).resolves.toEqual([]);
@@ -708,4 +873,1694 @@ describe('BacnetClient', () => {
 
         cleanup(client);
     });
+
+    test('cov mode subscribes objects and excludes them from scheduled polls', async () => {
+        mockSubscribeCOV.mockImplementation((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => cb());
+        mockSubscribeProperty.mockImplementation((_addr, _objectId, _property, _processId, _cancel, _confirmed, _opts, cb) => cb());
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [
+                { objectId: { type: 0, instance: 1 } },
+                { objectId: { type: 2, instance: 202 }, polling: { covProperty: 85 } },
+                { objectId: { type: 1, instance: 3 }, polling: { mode: 'poll' } }
+            ],
+            { mode: 'cov' }
+        );
+
+        expect(mockSubscribeCOV).toHaveBeenCalledWith(
+            '192.168.1.10',
+            { type: 0, instance: 1 },
+            expect.any(Number),
+            false,
+            false,
+            300,
+            expect.objectContaining({ maxSegments: 112 }),
+            expect.any(Function)
+        );
+        expect(mockSubscribeProperty).toHaveBeenCalledWith(
+            '192.168.1.10',
+            { type: 2, instance: 202 },
+            { id: 85, index: 0xFFFFFFFF },
+            expect.any(Number),
+            false,
+            false,
+            expect.any(Object),
+            expect.any(Function)
+        );
+        const polled = client._getPolledObjects(client.deviceRuntime.get('114'));
+        expect(polled.map((object) => object.objectId)).toEqual([{ type: 1, instance: 3 }]);
+        expect(client.getStatus().covSubscriptions).toBe(2);
+
+        cleanup(client);
+    });
+
+    test('cov notifications publish telemetry and confirmed notifications are acknowledged', async () => {
+        mockSubscribeCOV.mockImplementation((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => cb());
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [{ objectId: { type: 0, instance: 1 }, name: 'Supply Temp' }],
+            { mode: 'cov' }
+        );
+        const processId = mockSubscribeCOV.mock.calls[0][2];
+        const handler = jest.fn();
+        client.on('values', handler);
+
+        await client._handleCovNotification({
+            address: '192.168.1.10',
+            request: {
+                subscriberProcessId: processId,
+                monitoredObjectId: { type: 0, instance: 1 },
+                values: [
+                    { property: { id: 85 }, value: [{ value: 21.5 }] },
+                    { property: { id: 111 }, value: [{ value: 0 }] }
+                ]
+            }
+        });
+        client.client.emit('covNotify', { address: '192.168.1.10', invokeId: 7, request: {} });
+
+        expect(handler).toHaveBeenCalledWith(
+            { deviceId: 114, address: '192.168.1.10' },
+            { '0_1': expect.objectContaining({ value: 21.5, name: 'Supply Temp', acquisitionMode: 'cov', sourceStatus: 'fresh' }) }
+        );
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '0_1', expect.objectContaining({ value: 21.5 }));
+        expect(mockSimpleAckResponse).toHaveBeenCalledWith('192.168.1.10', 1, 7);
+
+        await client._handleCovNotification({ request: { subscriberProcessId: 999, monitoredObjectId: { type: 0, instance: 1 } } });
+        expect(handler).toHaveBeenCalledTimes(1);
+
+        cleanup(client);
+    });
+
+    test('cov falls back to polling when rejected and retries at renewal', async () => {
+        mockSubscribeCOV.mockImplementationOnce((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => {
+            cb(new Error('BacnetError - Class:5 - Code:45'));
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [{ objectId: { type: 0, instance: 1 } }],
+            { mode: 'cov' }
+        );
+
+        const runtime = client.deviceRuntime.get('114');
+        expect(client._getPolledObjects(runtime)).toHaveLength(1);
+        expect(client.getStatus().covFallbacks).toBe(1);
+
+        mockSubscribeCOV.mockImplementation((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => cb());
+        await client._renewCovSubscriptions(Date.now() + 301000);
+
+        expect(client._getPolledObjects(runtime)).toHaveLength(0);
+        expect(client.getStatus().covSubscriptions).toBe(1);
+
+        cleanup(client);
+    });
+
+    test('re-registering a cov device cancels previous subscriptions', async () => {
+        mockSubscribeCOV.mockImplementation((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => cb());
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        bacnetConfig.save = jest.fn();
+        const device = { deviceId: 114, address: '192.168.1.10' };
+        await client.startPolling(device, [{ objectId: { type: 0, instance: 1 } }], { mode: 'cov' });
+        await client.startPolling(device, [{ objectId: { type: 0, instance: 1 } }], { mode: 'poll' });
+
+        expect(mockSubscribeCOV).toHaveBeenLastCalledWith(
+            '192.168.1.10',
+            { type: 0, instance: 1 },
+            expect.any(Number),
+            true,
+            false,
+            0,
+            expect.any(Object),
+            expect.any(Function)
+        );
+        expect(client.covSubscriptions.size).toBe(0);
+        expect(client._getPolledObjects(client.deviceRuntime.get('114'))).toHaveLength(1);
+
+        cleanup(client);
+    });
+
+    test('pollDevice packs objects into one ReadPropertyMultiple per batch', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: [
+                        { id: 85, value: [{ value: request.objectId.instance }] },
+                        { id: 77, value: [{ value: `AV ${request.objectId.instance}` }] },
+                        { id: 117, value: [{ value: 62 }] }
+                    ]
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        const objects = Array.from({ length: 30 }, (_value, instance) => ({ objectId: { type: 2, instance } }));
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, objects, { class: 'fast', rpmMaxObjects: 25 });
+        // Registration also reads the device profile.
+        mockReadPropertyMultiple.mockClear();
+
+        const handler = jest.fn();
+        client.on('values', handler);
+        await client._pollDevice('114');
+
+        // The first poll also reads UNITS: 1476 octets fit 14 objects of three properties.
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(3);
+        expect(mockReadPropertyMultiple.mock.calls[0][1]).toHaveLength(14);
+        expect(mockReadPropertyMultiple.mock.calls[2][1]).toHaveLength(2);
+        const [, values] = handler.mock.calls[0];
+        expect(Object.keys(values)).toHaveLength(30);
+        expect(values['2_29']).toMatchObject({ value: 29, name: 'AV 29' });
+        expect(runtimeState.recordPollHistory).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'success', successCount: 30, requestCount: 3 })
+        );
+
+        mockReadPropertyMultiple.mockClear();
+        await client._pollDevice('114');
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(2);
+        expect(mockReadPropertyMultiple.mock.calls[0][1]).toHaveLength(20);
+        expect(mockReadPropertyMultiple.mock.calls[1][1]).toHaveLength(10);
+        expect(runtimeState.recordPollHistory).toHaveBeenLastCalledWith(
+            expect.objectContaining({ status: 'success', successCount: 30, requestCount: 2 })
+        );
+        expect(client.getStatus().totalRequests).toBe(5);
+
+        cleanup(client);
+    });
+
+    test('pollDevice splits batches rejected for size and keeps per-object errors', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            if (requestArray.length > 2) {
+                cb(new Error('BacnetAbort - Reason:4'));
+                return;
+            }
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: [
+                        request.objectId.instance === 3
+                            ? { id: 85, value: [{ type: 105, value: { errorClass: 1, errorCode: 31 } }] }
+                            : { id: 85, value: [{ value: 1 }] },
+                        { id: 77, value: [{ value: 'Point' }] }
+                    ]
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        const objects = Array.from({ length: 4 }, (_value, instance) => ({ objectId: { type: 2, instance } }));
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, objects, { class: 'fast' });
+        // Registration also reads the device profile.
+        mockReadPropertyMultiple.mockClear();
+
+        await client._pollDevice('114');
+
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(3);
+        expect(client.deviceRuntime.get('114').rpmBatchSize).toBe(2);
+        expect(runtimeState.recordPollHistory).toHaveBeenCalledWith(
+            expect.objectContaining({ status: 'partial', successCount: 3, failureCount: 1, requestCount: 3, errorClass: 'BacnetError - Class:1 - Code:31' })
+        );
+
+        mockReadPropertyMultiple.mockClear();
+        await client._pollDevice('114');
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(2);
+
+        cleanup(client);
+    });
+
+    test('rpm batch size follows advertised max APDU and segmentation', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 2, instance: 1 } }], { class: 'fast' });
+        const runtime = client.deviceRuntime.get('114');
+
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.10', maxApdu: 480, segmentation: 3 });
+        expect(client._resolveRpmBatchSize(runtime, 2)).toBe(6);
+
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.10', maxApdu: 480, segmentation: 0 });
+        expect(client._resolveRpmBatchSize(runtime, 2)).toBe(50);
+
+        expect(client._isRpmSizeError(new Error('BacnetError - Class:5 - Code:123'))).toBe(true);
+        expect(client._isRpmSizeError(new Error('ERR_TIMEOUT'))).toBe(false);
+
+        cleanup(client);
+    });
+
+    test('pollDevice reads configured extra properties per type and per object', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            if (requestArray[0].objectId.type === 8) {
+                cb(new Error('device profile not under test'));
+                return;
+            }
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: request.properties.map((property) => {
+                        if (property.id === 111) {
+                            return { id: 111, value: [{ type: 8, value: { bitsUsed: 4, value: [0x06] } }] };
+                        }
+                        if (property.id === 45) {
+                            return { id: 45, value: [{ type: 105, value: { errorClass: 2, errorCode: 32 } }] };
+                        }
+                        return { id: property.id, value: [{ value: property.id === 77 ? 'Zone Temp' : 21 }] };
+                    })
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [
+                { objectId: { type: 0, instance: 1 }, properties: ['UNITS', 45, 'BOGUS'] },
+                { objectId: { type: 2, instance: 2 } }
+            ],
+            { class: 'fast', properties: { '*': ['STATUS_FLAGS'], 0: ['reliability', 'STATUS_FLAGS'] } }
+        );
+        // Registration also reads the device profile.
+        mockReadPropertyMultiple.mockClear();
+
+        const handler = jest.fn();
+        client.on('values', handler);
+        await client._pollDevice('114');
+
+        const requestArray = mockReadPropertyMultiple.mock.calls[0][1];
+        expect(requestArray[0].properties.map((property) => property.id)).toEqual([85, 77, 111, 103, 117, 45]);
+        expect(requestArray[1].properties.map((property) => property.id)).toEqual([85, 77, 111, 117]);
+        const [, values] = handler.mock.calls[0];
+        expect(values['0_1'].properties).toEqual({
+            statusFlags: { inAlarm: false, fault: true, overridden: true, outOfService: false },
+            reliability: 21,
+            units: 21,
+            highLimit: null
+        });
+        expect(values['2_2'].properties).toEqual({
+            statusFlags: { inAlarm: false, fault: true, overridden: true, outOfService: false }
+        });
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '0_1', expect.objectContaining({
+            properties: expect.objectContaining({ units: 21 })
+        }));
+
+        cleanup(client);
+    });
+
+    test('readPriorityArray returns slots, active priority and relinquish default', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            const slots = Array.from({ length: 16 }, (_value, index) => (
+                index === 7 ? { type: 4, value: 22.5 } : { type: 0, value: null }
+            ));
+            cb(null, {
+                values: [{
+                    objectId: requestArray[0].objectId,
+                    values: [
+                        { id: 85, value: [{ type: 4, value: 22.5 }] },
+                        { id: 87, value: slots },
+                        { id: 104, value: [{ type: 4, value: 20 }] }
+                    ]
+                }]
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        const result = await client.readPriorityArray('192.168.1.10', { type: 2, instance: 5 });
+
+        expect(mockReadPropertyMultiple.mock.calls[0][1][0].properties).toEqual([{ id: 85 }, { id: 87 }, { id: 104 }]);
+        expect(result).toEqual(expect.objectContaining({
+            objectId: { type: 2, instance: 5 },
+            presentValue: 22.5,
+            relinquishDefault: 20,
+            activePriority: 8
+        }));
+        expect(result.priorityArray).toHaveLength(16);
+        expect(result.priorityArray[7]).toEqual({ priority: 8, value: 22.5 });
+        expect(result.priorityArray[0]).toEqual({ priority: 1, value: null });
+
+        cleanup(client);
+    });
+
+    test('readPriorityArray rejects objects that are not commandable', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: [{
+                    objectId: requestArray[0].objectId,
+                    values: [
+                        { id: 85, value: [{ type: 4, value: 21 }] },
+                        { id: 87, value: [{ type: 105, value: { errorClass: 2, errorCode: 32 } }] }
+                    ]
+                }]
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        await expect(client.readPriorityArray('192.168.1.10', { type: 0, instance: 1 }))
+            .rejects.toThrow('Object is not commandable: BacnetError - Class:2 - Code:32');
+
+        cleanup(client);
+    });
+
+    test('writeProperty sends BACnet NULL to relinquish a priority', async () => {
+        mockWriteProperty.mockImplementation((_addr, _objectId, _propertyId, _values, _opts, cb) => cb(null, {}));
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
+
+        await client.writeProperty('192.168.1.10', { type: 2, instance: 5 }, 85, null, 8, undefined, '114');
+
+        expect(mockWriteProperty).toHaveBeenCalledWith(
+            '192.168.1.10',
+            { type: 2, instance: 5 },
+            85,
+            [{ type: 0, value: null }],
+            expect.objectContaining({ priority: 8 }),
+            expect.any(Function)
+        );
+
+        cleanup(client);
+    });
+
+    test('confirmed event notifications are stored, emitted and acknowledged', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+        const handler = jest.fn();
+        client.on('alarm', handler);
+        const timeStamp = new Date(2024, 0, 2, 3, 4, 5);
+
+        client.client.emit('eventNotifyData', {
+            address: '192.168.1.10',
+            invokeId: 9,
+            request: {
+                processId: 1,
+                initiatingObjectId: { type: 8, instance: 114 },
+                eventObjectId: { type: 0, instance: 1 },
+                timeStamp,
+                notificationClass: 3,
+                priority: 100,
+                eventType: 5,
+                messageText: 'High supply temp',
+                notifyType: 0,
+                ackRequired: true,
+                fromState: 0,
+                toState: 3
+            }
+        });
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(mockSimpleAckResponse).toHaveBeenCalledWith('192.168.1.10', 2, 9);
+        expect(runtimeState.upsertAlarm).toHaveBeenCalledWith(expect.objectContaining({
+            deviceId: '114',
+            objectKey: '0_1',
+            eventState: 3,
+            eventStateLabel: 'high-limit',
+            priority: 100,
+            messageText: 'High supply temp',
+            ackRequired: true,
+            acknowledged: false,
+            eventTimestamp: timeStamp.getTime(),
+            source: 'notification'
+        }));
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ objectKey: '0_1', eventState: 3 }));
+        expect(client.getStatus().eventNotifications).toBe(1);
+
+        runtimeState.getAlarm.mockResolvedValueOnce({ deviceId: '114', objectKey: '0_1' });
+        await client._handleEventNotification('192.168.1.10', {
+            initiatingObjectId: { type: 8, instance: 114 },
+            eventObjectId: { type: 0, instance: 1 },
+            notifyType: 2
+        });
+        expect(runtimeState.markAlarmAcknowledged).toHaveBeenCalledWith('114', '0_1', 'device', expect.any(Number));
+
+        await client._handleEventNotification('10.9.9.9', {
+            initiatingObjectId: { type: 8, instance: 999 },
+            eventObjectId: { type: 0, instance: 1 },
+            notifyType: 0,
+            toState: 2
+        });
+        expect(runtimeState.upsertAlarm).toHaveBeenCalledTimes(1);
+
+        cleanup(client);
+    });
+
+    test('refreshAlarms pages GetEventInformation and clears alarms no longer reported', async () => {
+        const offnormalAt = new Date(2024, 0, 2, 3, 4, 5);
+        mockGetEventInformation
+            .mockImplementationOnce((_addr, _cursor, _opts, cb) => cb(null, {
+                alarms: [{
+                    objectId: { type: 0, instance: 1 },
+                    eventState: 2,
+                    acknowledgedTransitions: { bitsUsed: 3, value: [0x06] },
+                    eventTimeStamps: [offnormalAt, null, null],
+                    notifyType: 0,
+                    eventPriorities: [100, 50, 200]
+                }],
+                moreEvents: true
+            }))
+            .mockImplementationOnce((_addr, _cursor, _opts, cb) => cb(null, {
+                alarms: [{
+                    objectId: { type: 3, instance: 4 },
+                    eventState: 1,
+                    acknowledgedTransitions: { bitsUsed: 3, value: [0x07] },
+                    eventTimeStamps: [null, null, null],
+                    notifyType: 0,
+                    eventPriorities: [100, 50, 200]
+                }],
+                moreEvents: false
+            }));
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+
+        const alarms = await client.refreshAlarms('114');
+
+        expect(mockGetEventInformation.mock.calls[0][1]).toEqual({ type: 8, instance: 114 });
+        expect(mockGetEventInformation.mock.calls[1][1]).toEqual({ type: 0, instance: 1 });
+        expect(alarms).toHaveLength(2);
+        expect(alarms[0]).toEqual(expect.objectContaining({
+            objectKey: '0_1',
+            eventState: 2,
+            priority: 100,
+            acknowledged: false,
+            eventTimestamp: offnormalAt.getTime(),
+            source: 'event-information'
+        }));
+        expect(alarms[1]).toEqual(expect.objectContaining({ objectKey: '3_4', eventState: 1, priority: 50, acknowledged: true }));
+        expect(runtimeState.clearAlarmsExcept).toHaveBeenCalledWith('114', ['0_1', '3_4']);
+
+        cleanup(client);
+    });
+
+    test('refreshAlarms falls back to GetAlarmSummary', async () => {
+        mockGetEventInformation.mockImplementation((_addr, _cursor, _opts, cb) => cb(new Error('BacnetError - Class:5 - Code:9')));
+        mockGetAlarmSummary.mockImplementation((_addr, _opts, cb) => cb(null, {
+            alarms: [{ objectId: { type: 0, instance: 1 }, alarmState: 4, acknowledgedTransitions: { bitsUsed: 3, value: [0x01] } }]
+        }));
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+
+        const alarms = await client.refreshAlarms('114');
+
+        expect(alarms).toEqual([expect.objectContaining({
+            objectKey: '0_1',
+            eventState: 4,
+            eventStateLabel: 'low-limit',
+            acknowledged: true,
+            source: 'alarm-summary'
+        })]);
+        await expect(client.refreshAlarms('999')).rejects.toThrow('Device configuration not found');
+
+        cleanup(client);
+    });
+
+    test('acknowledgeAlarm sends AcknowledgeAlarm with the stored event time stamp', async () => {
+        mockAcknowledgeAlarm.mockImplementation((_addr, _objectId, _state, _text, _evTs, _ackTs, _opts, cb) => cb());
+        const eventTimestamp = new Date(2024, 0, 2, 3, 4, 5).getTime();
+        runtimeState.getAlarm.mockResolvedValue({
+            deviceId: '114',
+            objectKey: '0_1',
+            objectType: 0,
+            objectInstance: 1,
+            eventState: 3,
+            eventTimestamp
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+        const handler = jest.fn();
+        client.on('alarm', handler);
+
+        const result = await client.acknowledgeAlarm('114', '0_1', 'checked on site', 'operator');
+
+        expect(mockAcknowledgeAlarm).toHaveBeenCalledWith(
+            '192.168.1.10',
+            { type: 0, instance: 1 },
+            3,
+            'checked on site',
+            { type: 2, value: new Date(eventTimestamp) },
+            { type: 2, value: expect.any(Date) },
+            expect.objectContaining({ maxSegments: 112 }),
+            expect.any(Function)
+        );
+        expect(runtimeState.markAlarmAcknowledged).toHaveBeenCalledWith('114', '0_1', 'operator', expect.any(Number));
+        expect(result).toEqual(expect.objectContaining({ acknowledged: true, acknowledgedBy: 'operator' }));
+        expect(handler).toHaveBeenCalledWith(result);
+
+        runtimeState.getAlarm.mockResolvedValueOnce({ deviceId: '114', objectKey: '0_1', eventTimestamp: null });
+        await expect(client.acknowledgeAlarm('114', '0_1')).rejects.toThrow('refresh alarms before acknowledging');
+
+        cleanup(client);
+    });
+
+    test('readTrendLog pages the log buffer by sequence number from the last stored record', async () => {
+        runtimeState.getLatestTrendRecord.mockResolvedValue({ sequenceNumber: 6, timestamp: 500 });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+        const readLogBuffer = jest.spyOn(client, '_readLogBuffer')
+            .mockResolvedValueOnce({
+                moreItems: true,
+                firstSequenceNumber: 7,
+                records: [{ timestamp: 1000, datumType: 'real', value: 21.5, statusFlags: null }]
+            })
+            .mockResolvedValueOnce({
+                moreItems: false,
+                firstSequenceNumber: 8,
+                records: [{ timestamp: 2000, datumType: 'real', value: 22, statusFlags: null }]
+            });
+        const handler = jest.fn();
+        client.on('trendRecords', handler);
+
+        const result = await client.readTrendLog('114', { type: 20, instance: 1 }, { replay: true });
+
+        expect(readLogBuffer).toHaveBeenNthCalledWith(1, '192.168.1.10', { type: 20, instance: 1 }, { bySequenceNumber: true, reference: 7, count: 50 });
+        expect(readLogBuffer).toHaveBeenNthCalledWith(2, '192.168.1.10', { type: 20, instance: 1 }, { bySequenceNumber: true, reference: 8, count: 50 });
+        expect(result).toEqual(expect.objectContaining({ deviceId: '114', objectKey: '20_1', recordsRead: 2, recordsStored: 2 }));
+        expect(runtimeState.saveTrendRecords).toHaveBeenCalledWith('114', '20_1', [
+            expect.objectContaining({ sequenceNumber: 7, value: 21.5 }),
+            expect.objectContaining({ sequenceNumber: 8, value: 22 })
+        ]);
+        expect(handler).toHaveBeenCalledWith('114', '20_1', result.records);
+        expect(client.getStatus().trendRecordsStored).toBe(2);
+        await expect(client.readTrendLog('999', { type: 20, instance: 1 })).rejects.toThrow('Device configuration not found');
+
+        cleanup(client);
+    });
+
+    test('readTrendLog falls back to reading by position when sequence numbers are unsupported', async () => {
+        runtimeState.getLatestTrendRecord.mockResolvedValue({ sequenceNumber: null, timestamp: 1000 });
+        mockReadPropertyMultiple.mockImplementation((_addr, _req, _opts, cb) => cb(null, {
+            values: [{ objectId: { type: 20, instance: 1 }, values: [{ id: 141, value: [{ value: 120 }] }] }]
+        }));
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+        const readLogBuffer = jest.spyOn(client, '_readLogBuffer')
+            .mockRejectedValueOnce(new Error('BacnetError - Class:5 - Code:9'))
+            .mockResolvedValueOnce({
+                moreItems: true,
+                firstSequenceNumber: null,
+                records: [
+                    { timestamp: 1000, datumType: 'real', value: 21, statusFlags: null },
+                    { timestamp: 2000, datumType: 'real', value: 22, statusFlags: null }
+                ]
+            });
+        const handler = jest.fn();
+        client.on('trendRecords', handler);
+
+        const result = await client.readTrendLog('114', { type: 20, instance: 1 }, { maxRecords: 10 });
+
+        expect(readLogBuffer).toHaveBeenLastCalledWith('192.168.1.10', { type: 20, instance: 1 }, { bySequenceNumber: false, reference: 120, count: -10 });
+        expect(result.records).toEqual([{ timestamp: 2000, datumType: 'real', value: 22, statusFlags: null, sequenceNumber: null }]);
+        expect(handler).not.toHaveBeenCalled();
+
+        readLogBuffer.mockRejectedValue(new Error('timeout'));
+        await expect(client.readTrendLog('114', { type: 20, instance: 1 })).rejects.toThrow('timeout');
+        expect(client.getStatus().trendLogFailures).toBe(1);
+
+        cleanup(client);
+    });
+
+    test('polls and writes devices behind a BACnet router with their network number and MAC', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            const objectId = requestArray[0].objectId;
+            cb(null, buildValueResponse(objectId.type, objectId.instance, 18, 'RTU Supply Temp'));
+        });
+        mockWriteProperty.mockImplementation((_addr, _objectId, _propertyId, _values, _opts, cb) => cb(null, {}));
+        const routed = { ip: '192.168.1.1', network: 2001, mac: 12 };
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 2001012, address: routed }, [{ objectId: { type: 0, instance: 1 } }], { class: 'slow' });
+        const handler = jest.fn();
+        client.on('values', handler);
+        const found = jest.fn();
+        client.on('deviceFound', found);
+
+        await client._pollDevice('2001012');
+        await client.writeProperty(routed, { type: 1, instance: 1 }, 85, 21, 8, undefined, '2001012');
+        client.client.emit('iAm', { deviceId: 2001013, address: { address: '192.168.1.1', net: 2001, adr: [13] }, maxApdu: 480, segmentation: 3 });
+
+        const bacstackAddress = { address: '192.168.1.1', net: 2001, adr: [12] };
+        expect(mockReadPropertyMultiple).toHaveBeenCalledWith(bacstackAddress, expect.any(Array), expect.any(Object), expect.any(Function));
+        expect(mockWriteProperty).toHaveBeenCalledWith(bacstackAddress, { type: 1, instance: 1 }, 85, expect.any(Array), expect.any(Object), expect.any(Function));
+        expect(handler.mock.calls[0][1]['0_1']).toMatchObject({ value: 18, address: '192.168.1.1@2001:12' });
+        expect(runtimeState.upsertDeviceState).toHaveBeenCalledWith(expect.objectContaining({ deviceId: '2001012', address: '192.168.1.1@2001:12' }));
+        expect(found).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 2001013, address: { ip: '192.168.1.1', network: 2001, mac: 13 } }));
+
+        cleanup(client);
+    });
+
+    test('stores devices that answer Who-Is in the discovered-devices registry', async () => {
+        const { logger } = require('../src/common');
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        client.client.emit('iAm', { deviceId: 2001013, address: { address: '192.168.1.1', net: 2001, adr: [13] }, maxApdu: 480, segmentation: 3, vendorId: 7 });
+        client.client.emit('iAm', { deviceId: 42, address: '10.0.0.42', maxApdu: 1476, segmentation: 0, vendorId: 260 });
+
+        expect(runtimeState.upsertDiscoveredDevice).toHaveBeenCalledWith({
+            deviceId: 2001013,
+            address: { ip: '192.168.1.1', network: 2001, mac: 13 },
+            displayAddress: '192.168.1.1@2001:13',
+            network: 2001,
+            vendorId: 7,
+            maxApdu: 480,
+            segmentation: 3
+        });
+        expect(runtimeState.upsertDiscoveredDevice).toHaveBeenCalledWith(expect.objectContaining({ deviceId: 42, displayAddress: '10.0.0.42', network: null }));
+
+        runtimeState.upsertDiscoveredDevice.mockRejectedValueOnce(new Error('disk full'));
+        client.client.emit('iAm', { deviceId: 43, address: '10.0.0.43' });
+        await Promise.resolve();
+        await Promise.resolve();
+        expect(logger.log).toHaveBeenCalledWith('error', expect.stringContaining('Failed to store device 43: disk full'));
+
+        await client.listDiscoveredDevices({ vendorId: 7 });
+        expect(runtimeState.listDiscoveredDevices).toHaveBeenCalledWith({ vendorId: 7 });
+        cleanup(client);
+    });
+
+    test('reads the device profile on registration, stores it and applies its capabilities', async () => {
+        runtimeState.listDeviceProfiles.mockResolvedValue([{ deviceId: '200', vendorName: 'Stored Vendor' }]);
+        runtimeState.listDeviceStates.mockResolvedValue([{ device_id: '114', address: '192.168.1.10' }]);
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            const values = {
+                121: 'Acme Controls',
+                70: 'AC-500',
+                44: '2.4.1',
+                12: 'app 7',
+                97: { bitsUsed: 40, value: [0x00, 0x50, 0x00, 0x00, 0x0C] },
+                62: 480,
+                107: 3
+            };
+            cb(null, {
+                values: [{
+                    objectId: requestArray[0].objectId,
+                    values: requestArray[0].properties.map((property) => (property.id === 155
+                        ? { id: 155, value: [{ type: 105, value: { errorClass: 2, errorCode: 32 } }] }
+                        : { id: property.id, value: [{ value: values[property.id] }] }))
+                }]
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        expect(client.getDeviceProfile(200)).toEqual({ deviceId: '200', vendorName: 'Stored Vendor' });
+
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 0, instance: 1 } }], { class: 'normal' });
+        await Promise.resolve();
+        await Promise.resolve();
+
+        expect(mockReadPropertyMultiple).toHaveBeenCalledWith('192.168.1.10', [{
+            objectId: { type: 8, instance: 114 },
+            properties: [121, 70, 44, 12, 97, 62, 107, 155].map((id) => ({ id }))
+        }], expect.any(Object), expect.any(Function));
+        const profile = {
+            deviceId: '114',
+            vendorName: 'Acme Controls',
+            modelName: 'AC-500',
+            firmwareRevision: '2.4.1',
+            applicationSoftwareVersion: 'app 7',
+            protocolServicesSupported: ['readProperty', 'readPropertyMultiple', 'whoIs', 'readRange'],
+            maxApduLengthAccepted: 480,
+            segmentationSupported: 3,
+            databaseRevision: null,
+            readAt: expect.any(Number)
+        };
+        expect(runtimeState.saveDeviceProfile).toHaveBeenCalledWith('114', profile);
+        expect(client.getDeviceProfile('114')).toEqual(profile);
+        expect(client.deviceRuntime.get('114').capabilities).toEqual({ maxApdu: 480, segmentation: 3 });
+        expect(await client.listRuntimeStates()).toEqual([{ device_id: '114', address: '192.168.1.10', profile }]);
+
+        mockReadPropertyMultiple.mockImplementation((_addr, _requestArray, _opts, cb) => cb(new Error('ERR_TIMEOUT')));
+        await expect(client.readDeviceProfile('114', '192.168.1.10')).rejects.toThrow('ERR_TIMEOUT');
+        expect(client.getDeviceProfile('114')).toEqual(profile);
+        cleanup(client);
+    });
+
+    test('request options come from the device config, then its advertised capabilities, then global settings', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10', requestOptions: { apduTimeoutMs: 20000, retries: 2 } },
+            [{ objectId: { type: 2, instance: 1 } }],
+            { class: 'fast' }
+        );
+
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.10', maxApdu: 480, segmentation: 3 });
+        expect(client._resolveRequestOptions('192.168.1.10')).toEqual({ maxSegments: 0, maxApdu: 3, apduTimeoutMs: 20000, retries: 2 });
+        expect(client._resolveRequestOptions('192.168.1.99')).toEqual({ maxSegments: 112, maxApdu: 5, apduTimeoutMs: 10000, retries: 0 });
+
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10', requestOptions: { maxSegments: 16, maxApdu: 1 } },
+            [{ objectId: { type: 2, instance: 1 } }],
+            { class: 'fast' }
+        );
+        expect(client._resolveRequestOptions('192.168.1.10')).toEqual({ maxSegments: 16, maxApdu: 1, apduTimeoutMs: 10000, retries: 0 });
+
+        cleanup(client);
+    });
+
+    test('requests use the device APDU timeout and retry timeouts only', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10', requestOptions: { apduTimeoutMs: 20000, retries: 1 } },
+            [{ objectId: { type: 2, instance: 1 } }],
+            { class: 'fast' }
+        );
+        const timeouts = [];
+        mockReadProperty.mockImplementationOnce((_addr, _objectId, _propertyId, _opts, cb) => {
+            timeouts.push(client.client._settings.apduTimeout);
+            cb(new Error('ERR_TIMEOUT'));
+        }).mockImplementationOnce((_addr, _objectId, _propertyId, opts, cb) => {
+            timeouts.push(client.client._settings.apduTimeout);
+            cb(null, { values: [{ value: 3 }], opts });
+        });
+
+        const value = await client._readObjectListArrayIndex('192.168.1.10', 114, 0);
+        expect(value.values).toEqual([{ value: 3 }]);
+        expect(value.opts).toEqual({ maxSegments: 112, maxApdu: 5, arrayIndex: 0 });
+        expect(timeouts).toEqual([20000, 20000]);
+        expect(client.client._settings.apduTimeout).toBe(3000);
+
+        mockReadProperty.mockClear();
+        mockReadProperty.mockImplementation((_addr, _objectId, _propertyId, _opts, cb) => cb(new Error('BacnetError - Class:2 - Code:31')));
+        await expect(client._readObjectListArrayIndex('192.168.1.10', 114, 0)).rejects.toThrow('Code:31');
+        expect(mockReadProperty).toHaveBeenCalledTimes(1);
+
+        // A retry that throws, e.g. once the transport is closed, rejects like any other failure.
+        mockReadProperty.mockImplementationOnce((_addr, _objectId, _propertyId, _opts, cb) => {
+            Promise.resolve().then(() => cb(new Error('ERR_TIMEOUT')));
+        }).mockImplementationOnce(() => {
+            throw new Error('Transport closed');
+        });
+        await expect(client._readObjectListArrayIndex('192.168.1.10', 114, 0)).rejects.toThrow('Transport closed');
+        expect(client.client._settings.apduTimeout).toBe(3000);
+
+        cleanup(client);
+    });
+
+    test('reports a configured device answering I-Am from another address once per address', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 2, instance: 1 } }], { class: 'fast' });
+        const saveSpy = jest.spyOn(client, 'saveConfig');
+        const handler = jest.fn();
+        client.on('deviceAddressChanged', handler);
+
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.20' });
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.20' });
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({
+            deviceId: '114',
+            configuredAddress: '192.168.1.10',
+            observedAddress: '192.168.1.20',
+            policy: 'warn'
+        }));
+        expect(client.getStatus().addressMismatches).toHaveLength(1);
+        expect(client.deviceRuntime.get('114').address).toBe('192.168.1.10');
+        expect(saveSpy).not.toHaveBeenCalled();
+
+        client.client.emit('iAm', { deviceId: 114, address: '192.168.1.10' });
+        expect(client.getStatus().addressMismatches).toEqual([]);
+
+        cleanup(client);
+    });
+
+    test('updates and saves the config of a moved device when the readdress policy is update', async () => {
+        const nodeConfig = JSON.parse(process.env.NODE_CONFIG);
+        nodeConfig.bacnet.readdressPolicy = 'update';
+        process.env.NODE_CONFIG = JSON.stringify(nodeConfig);
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        const objects = [{ objectId: { type: 2, instance: 1 } }];
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, objects, { class: 'fast' });
+        const saveSpy = jest.spyOn(bacnetConfig, 'save');
+        const handler = jest.fn();
+        client.on('deviceAddressChanged', handler);
+
+        const routed = { ip: '192.168.1.2', network: 2001, mac: 12 };
+        client.client.emit('iAm', { deviceId: 114, address: { address: '192.168.1.2', net: 2001, adr: [12] } });
+        await Promise.resolve();
+
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ deviceId: '114', observedAddress: routed, policy: 'update' }));
+        expect(saveSpy).toHaveBeenCalledWith({ device: { deviceId: 114, address: routed }, objects, polling: { class: 'fast' } });
+        expect(client.deviceConfigs.get('114').device.address).toEqual(routed);
+        expect(client.deviceRuntime.get('114').address).toEqual(routed);
+        expect(client.getStatus()).toEqual(expect.objectContaining({ readdressedDevices: 1, addressMismatches: [] }));
+
+        cleanup(client);
+    });
+
+    test('pollDevice reads state texts once and labels binary and multistate values', async () => {
+        const responses = {
+            85: { '19_1': 3, '4_2': 1, '2_3': 21.5 },
+            110: [{ type: 7, value: 'Off' }, { type: 7, value: 'On' }, { type: 7, value: 'Auto' }],
+            46: [{ type: 7, value: 'Stopped' }],
+            4: [{ type: 7, value: 'Running' }]
+        };
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            if (requestArray[0].objectId.type === 8) {
+                cb(new Error('device profile not under test'));
+                return;
+            }
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: request.properties.map((property) => {
+                        if (property.id === 85) {
+                            return { id: 85, value: [{ value: responses[85][`${request.objectId.type}_${request.objectId.instance}`] }] };
+                        }
+                        return { id: property.id, value: responses[property.id] || [{ value: 'Fan' }] };
+                    })
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [
+                { objectId: { type: 19, instance: 1 } },
+                { objectId: { type: 4, instance: 2 } },
+                { objectId: { type: 2, instance: 3 } }
+            ],
+            { class: 'fast' }
+        );
+        // Registration also reads the device profile.
+        mockReadPropertyMultiple.mockClear();
+
+        const handler = jest.fn();
+        client.on('values', handler);
+        await client._pollDevice('114');
+
+        let requestArray = mockReadPropertyMultiple.mock.calls[0][1];
+        expect(requestArray.map((request) => request.properties.map((property) => property.id))).toEqual([[85, 77, 110], [85, 77, 46, 4], [85, 77, 117]]);
+        const [, values] = handler.mock.calls[0];
+        expect(values['19_1']).toEqual(expect.objectContaining({ value: 3, valueLabel: 'Auto' }));
+        expect(values['4_2']).toEqual(expect.objectContaining({ value: 1, valueLabel: 'Running' }));
+        expect(values['2_3']).toEqual(expect.objectContaining({ value: 21.5, valueLabel: null }));
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '19_1', expect.objectContaining({ valueLabel: 'Auto' }));
+
+        await client._pollDevice('114');
+        requestArray = mockReadPropertyMultiple.mock.calls[1][1];
+        expect(requestArray.map((request) => request.properties.map((property) => property.id))).toEqual([[85, 77], [85, 77], [85, 77]]);
+        expect(handler.mock.calls[1][1]['19_1'].valueLabel).toBe('Auto');
+
+        cleanup(client);
+    });
+
+    test('resolveWriteValue maps state labels to their index and tag', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: [{
+                    objectId: requestArray[0].objectId,
+                    values: [{ id: 110, value: [{ type: 7, value: 'Off' }, { type: 7, value: 'On' }, { type: 7, value: 'Auto' }] }]
+                }]
+            });
+        });
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        const objectId = { type: 19, instance: 1 };
+
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, ' auto ')).resolves.toEqual({ value: 3, bacnetApplicationTag: 2 });
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, 'Turbo')).rejects.toThrow('expected one of: Off, On, Auto');
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, '2', 9)).resolves.toEqual({ value: '2', bacnetApplicationTag: 9 });
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 28, 'Auto')).resolves.toEqual({ value: 'Auto', bacnetApplicationTag: 7 });
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(2);
+
+        cleanup(client);
+    });
+
+    test('pollDevice publishes units and re-reads them after polling.unitsRefreshMs', async () => {
+        const nodeConfig = JSON.parse(process.env.NODE_CONFIG);
+        nodeConfig.polling.unitsRefreshMs = 60000;
+        process.env.NODE_CONFIG = JSON.stringify(nodeConfig);
+        let units = 62;
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: request.properties.map((property) => ({
+                        id: property.id,
+                        value: [{ value: property.id === 117 ? units : 1 }]
+                    }))
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [{ objectId: { type: 2, instance: 3 } }, { objectId: { type: 5, instance: 1 } }],
+            { class: 'fast' }
+        );
+        // Registration also reads the device profile.
+        mockReadPropertyMultiple.mockClear();
+
+        const requestedProperties = () => {
+            const requests = [].concat(...mockReadPropertyMultiple.mock.calls.map((call) => call[1]));
+            mockReadPropertyMultiple.mockClear();
+            return requests.map((request) => request.properties.map((property) => property.id));
+        };
+        const handler = jest.fn();
+        client.on('values', handler);
+        await client._pollDevice('114');
+
+        expect(requestedProperties()).toEqual([[85, 77, 117], [85, 77, 46, 4]]);
+        expect(handler.mock.calls[0][1]['2_3']).toEqual(expect.objectContaining({ units: 62, unitsSymbol: '°C' }));
+        expect(handler.mock.calls[0][1]['5_1']).toEqual(expect.objectContaining({ units: null, unitsSymbol: null }));
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '2_3', expect.objectContaining({ unitsSymbol: '°C' }));
+
+        units = 64;
+        await client._pollDevice('114');
+        expect(requestedProperties()).toEqual([[85, 77], [85, 77]]);
+        expect(handler.mock.calls[1][1]['2_3'].unitsSymbol).toBe('°C');
+
+        jest.setSystemTime(Date.now() + 60000);
+        await client._pollDevice('114');
+        expect(requestedProperties()).toEqual([[85, 77, 117], [85, 77]]);
+        expect(handler.mock.calls[2][1]['2_3']).toEqual(expect.objectContaining({ units: 64, unitsSymbol: '°F' }));
+
+        cleanup(client);
+    });
+
+    test('cov notifications carry the units read for the object or stored at scan time', async () => {
+        mockSubscribeCOV.mockImplementation((_addr, _objectId, _processId, _cancel, _confirmed, _lifetime, _opts, cb) => cb());
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(new Error('ERR_TIMEOUT'));
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [{ objectId: { type: 0, instance: 1 }, name: 'Supply Temp', units: 53 }],
+            { mode: 'cov' }
+        );
+        const processId = mockSubscribeCOV.mock.calls[0][2];
+        const handler = jest.fn();
+        client.on('values', handler);
+        const notification = {
+            address: '192.168.1.10',
+            request: {
+                subscriberProcessId: processId,
+                monitoredObjectId: { type: 0, instance: 1 },
+                values: [{ property: { id: 85 }, value: [{ value: 120 }] }]
+            }
+        };
+        mockReadPropertyMultiple.mockClear();
+
+        await client._handleCovNotification(notification);
+        expect(handler.mock.calls[0][1]['0_1']).toEqual(expect.objectContaining({ units: 53, unitsSymbol: 'Pa' }));
+
+        // The failed read is not repeated for every notification.
+        await client._handleCovNotification(notification);
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(1);
+
+        cleanup(client);
+    });
+
+    test('pollDevice publishes transformed values in the converted units and writes reverse them', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: request.properties.map((property) => ({
+                        id: property.id,
+                        value: [{ value: { 85: 72.5, 77: 'Zone Temp', 117: 64 }[property.id] }]
+                    }))
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [
+                { objectId: { type: 0, instance: 1 }, transform: { convert: { from: '°F', to: '°C' }, precision: 1, max: 30 } },
+                { objectId: { type: 0, instance: 2 }, transform: { scale: 0 } }
+            ],
+            { class: 'fast' }
+        );
+        const handler = jest.fn();
+        client.on('values', handler);
+        await client._pollDevice('114');
+
+        const [, values] = handler.mock.calls[0];
+        expect(values['0_1']).toEqual(expect.objectContaining({ value: 22.5, units: 62, unitsSymbol: '°C' }));
+        // An invalid transform from a device file is ignored.
+        expect(values['0_2']).toEqual(expect.objectContaining({ value: 72.5, units: 64, unitsSymbol: '°F' }));
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '0_1', expect.objectContaining({ value: 22.5 }));
+
+        const resolved = await client.resolveWriteValue('192.168.1.10', { type: 0, instance: 1 }, 85, 20, 4);
+        expect(resolved.value).toBeCloseTo(68);
+        expect(resolved.bacnetApplicationTag).toBe(4);
+        await expect(client.resolveWriteValue('192.168.1.10', { type: 0, instance: 1 }, 85, 35)).rejects.toThrow('outside the configured range');
+        await expect(client.resolveWriteValue('192.168.1.10', { type: 0, instance: 1 }, 28, 35)).resolves.toEqual({ value: 35, bacnetApplicationTag: 7 });
+
+        cleanup(client);
+    });
+
+    test('pollDevice publishes only values that leave their deadband and sends heartbeats', async () => {
+        let reading = { '0_1': 20, '0_2': 50 };
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, {
+                values: requestArray.map((request) => ({
+                    objectId: request.objectId,
+                    values: [{ id: 85, value: [{ value: reading[`${request.objectId.type}_${request.objectId.instance}`] }] }]
+                }))
+            });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling(
+            { deviceId: 114, address: '192.168.1.10' },
+            [
+                { objectId: { type: 0, instance: 1 }, publish: { deadband: 0.5 } },
+                { objectId: { type: 0, instance: 2 } }
+            ],
+            { class: 'fast', publish: { deadbandPercent: 10, maxIntervalMs: 60000 } }
+        );
+        const handler = jest.fn();
+        client.on('values', handler);
+
+        await client._pollDevice('114');
+        expect(Object.keys(handler.mock.calls[0][1])).toEqual(['0_1', '0_2']);
+
+        reading = { '0_1': 20.3, '0_2': 54 };
+        await client._pollDevice('114');
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(runtimeState.saveObjectTelemetry).toHaveBeenCalledWith('114', '0_1', expect.objectContaining({ value: 20.3 }));
+        expect(client.getStatus().suppressedPublishes).toBe(2);
+
+        reading = { '0_1': 20.6, '0_2': 54 };
+        await client._pollDevice('114');
+        expect(Object.keys(handler.mock.calls[1][1])).toEqual(['0_1']);
+
+        jest.setSystemTime(Date.now() + 60000);
+        await client._pollDevice('114');
+        expect(handler.mock.calls[2][1]['0_2']).toEqual(expect.objectContaining({ value: 54 }));
+        // 0_1 inherits the device's maxIntervalMs but replaces its deadband.
+        expect(Object.keys(handler.mock.calls[2][1])).toEqual(['0_1', '0_2']);
+
+        cleanup(client);
+    });
+
+    test('verifyWrite reads the property back and reports verified, overridden or mismatch', async () => {
+        const nodeConfig = JSON.parse(process.env.NODE_CONFIG);
+        nodeConfig.writes = { verifyDelayMs: 200, verifyRetries: 1 };
+        process.env.NODE_CONFIG = JSON.stringify(nodeConfig);
+        const slots = (entries) => Array.from({ length: 16 }, (_value, index) => (
+            entries[index + 1] !== undefined ? { type: 4, value: entries[index + 1] } : { type: 0, value: null }
+        ));
+        let readBack = [];
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            cb(null, { values: [{ objectId: requestArray[0].objectId, values: readBack.shift() }] });
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        expect(client.shouldVerifyWrite(undefined)).toBe(false);
+        expect(client.shouldVerifyWrite('true')).toBe(true);
+        const objectId = { type: 2, instance: 5 };
+        const verify = async (value, priority, propertyId = 85) => {
+            const pending = client.verifyWrite('192.168.1.10', objectId, propertyId, value, priority);
+            await jest.advanceTimersByTimeAsync(400);
+            return pending;
+        };
+
+        readBack = [[{ id: 85, value: [{ value: 21.5 }] }, { id: 87, value: slots({ 8: 21.5 }) }]];
+        await expect(verify(21.5, 8)).resolves.toEqual({ status: 'verified', expected: 21.5, actual: 21.5, activePriority: 8, attempts: 1 });
+
+        readBack = [[{ id: 85, value: [{ value: 18 }] }, { id: 87, value: slots({ 4: 18, 8: 21.5 }) }]];
+        await expect(verify(21.5, 8)).resolves.toEqual(expect.objectContaining({ status: 'overridden', actual: 18, activePriority: 4, attempts: 1 }));
+
+        readBack = [
+            [{ id: 85, value: [{ value: 20 }] }, { id: 87, value: slots({}) }],
+            [{ id: 85, value: [{ value: 20 }] }, { id: 87, value: slots({}) }]
+        ];
+        await expect(verify(21.5, 8)).resolves.toEqual(expect.objectContaining({ status: 'mismatch', actual: 20, attempts: 2 }));
+
+        // A relinquish is verified by its own slot.
+        readBack = [[{ id: 85, value: [{ value: 18 }] }, { id: 87, value: slots({ 4: 18 }) }]];
+        await expect(verify(null, 8)).resolves.toEqual(expect.objectContaining({ status: 'verified', actual: 18 }));
+
+        readBack = [[{ id: 28, value: [{ value: 'Zone 5' }] }]];
+        await expect(verify('Zone 5', undefined, 28)).resolves.toEqual(expect.objectContaining({ status: 'verified', attempts: 1 }));
+
+        mockReadPropertyMultiple.mockImplementation((_addr, _requestArray, _opts, cb) => cb(new Error('ERR_TIMEOUT')));
+        await expect(verify(21.5, 8)).resolves.toEqual(expect.objectContaining({ status: 'unverified', error: 'ERR_TIMEOUT', attempts: 2 }));
+
+        cleanup(client);
+    });
+
+    test('writes typed values as given and rejects values that do not fit the datatype', async () => {
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, values, _options, cb) => cb(null, values));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
+        const objectId = { type: 4, instance: 1 };
+
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, { type: 'enumerated', value: 1 })).resolves.toEqual({ value: 1, bacnetApplicationTag: 9 });
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, 'active')).rejects.toThrow('has no state texts to match "active"');
+        await expect(client.resolveWriteValue('192.168.1.10', { type: 1, instance: 1 }, 85, 'warm')).rejects.toThrow('"warm" is not a valid real value');
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, { type: 'unsigned', value: -1 })).rejects.toThrow('not a valid unsigned value');
+        await expect(client.resolveWriteValue('192.168.1.10', objectId, 85, null)).resolves.toEqual({ value: null, bacnetApplicationTag: 0 });
+
+        await expect(client.writeProperty('192.168.1.10', { type: 8, instance: 9 }, 512, { type: 'objectIdentifier', value: '2_5' }, undefined, undefined, '114'))
+            .resolves.toEqual([{ type: 12, value: { type: 2, instance: 5 } }]);
+        await expect(client.writeProperty('192.168.1.10', { type: 39, instance: 1 }, 85, [true, false, true], undefined, undefined, '114'))
+            .resolves.toEqual([{ type: 8, value: { bitsUsed: 3, value: [5] } }]);
+        await expect(client.writeProperty('192.168.1.10', { type: 1, instance: 1 }, 85, 21, undefined, 'double', '114'))
+            .resolves.toEqual([{ type: 5, value: 21 }]);
+        await expect(client.writeProperty('192.168.1.10', { type: 1, instance: 1 }, 85, 21, undefined, 'float', '114'))
+            .rejects.toThrow('Unsupported BACnet application tag: float');
+        const [date] = await client.writeProperty('192.168.1.10', { type: 42, instance: 1 }, 85, '2026-10-19', undefined, undefined, '114');
+        expect(date.type).toBe(10);
+        expect(date.value).toEqual(new Date(2026, 9, 19));
+        expect(mockWriteProperty).toHaveBeenCalledTimes(4);
+
+        cleanup(client);
+    });
+
+    test('writePropertyMultiple groups entries by object and reports each entry', async () => {
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(null));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
+
+        const result = await client.writePropertyMultiple('192.168.1.10', [
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 21, priority: 8 },
+            { objectId: { type: 4, instance: 3 }, propertyId: 85, value: true },
+            { objectId: { type: 2, instance: 1 }, propertyId: 81, value: false },
+            { objectId: { type: 1, instance: 7 }, propertyId: 85, value: 'warm', priority: 8 }
+        ], { deviceId: '114' });
+
+        expect(result.service).toBe('writePropertyMultiple');
+        expect(result.results.map((entry) => entry.status)).toEqual(['success', 'success', 'success', 'error']);
+        expect(result.results[3]).toEqual(expect.objectContaining({ objectKey: '1_7', propertyId: 85, priority: 8, error: '"warm" is not a valid real value' }));
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(1);
+        expect(mockWritePropertyMultiple.mock.calls[0][1]).toEqual([
+            {
+                objectId: { type: 2, instance: 1 },
+                values: [
+                    { property: { id: 85, index: 0xFFFFFFFF }, value: [{ type: 4, value: 21 }], priority: 8 },
+                    { property: { id: 81, index: 0xFFFFFFFF }, value: [{ type: 1, value: 0 }], priority: 0 }
+                ]
+            },
+            {
+                objectId: { type: 4, instance: 3 },
+                values: [{ property: { id: 85, index: 0xFFFFFFFF }, value: [{ type: 9, value: 1 }], priority: 0 }]
+            }
+        ]);
+        expect(mockWriteProperty).not.toHaveBeenCalled();
+
+        cleanup(client);
+    });
+
+    test('writePropertyMultiple splits batches that do not fit one APDU', async () => {
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(null));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
+        const entries = Array.from({ length: 60 }, (_value, index) => ({ objectId: { type: 2, instance: index }, propertyId: 85, value: index }));
+
+        const result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+
+        // 30 bytes per entry in a 1476-octet APDU.
+        expect(mockWritePropertyMultiple.mock.calls.map((call) => call[1].length)).toEqual([48, 12]);
+        expect(result.results.every((entry) => entry.status === 'success')).toBe(true);
+
+        cleanup(client);
+    });
+
+    test('writePropertyMultiple falls back to WriteProperty when the device does not support it', async () => {
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => cb(null, { values: [] }));
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(new Error('BacnetAbort - Reason:9')));
+        mockWriteProperty.mockImplementation((_address, objectId, _propertyId, _values, _options, cb) => (
+            objectId.instance === 2 ? cb(new Error('BacnetError - Class:2 - Code:40')) : cb(null)
+        ));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 2, instance: 1 } }], { class: 'slow' });
+        const entries = [
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 21, priority: 8 },
+            { objectId: { type: 2, instance: 2 }, propertyId: 85, value: 22, priority: 8 }
+        ];
+
+        let result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+        expect(result.service).toBe('writeProperty');
+        expect(result.results.map((entry) => entry.status)).toEqual(['success', 'error']);
+        expect(result.results[1].error).toBe('BacnetError - Class:2 - Code:40');
+        // Reason 9 may be a transient abort, so the request is retried once before the device is marked.
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(2);
+        expect(mockWriteProperty).toHaveBeenCalledWith('192.168.1.10', { type: 2, instance: 1 }, 85, [{ type: 4, value: 21 }], expect.objectContaining({ priority: 8 }), expect.any(Function));
+
+        // The device is remembered, and devices whose profile lacks the service skip it too.
+        result = await client.writePropertyMultiple('192.168.1.10', entries.slice(0, 1), { deviceId: '114' });
+        expect(result.service).toBe('writeProperty');
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(2);
+        client.writeMultipleUnsupported.clear();
+        client.deviceProfiles.set('114', { deviceId: '114', protocolServicesSupported: ['readPropertyMultiple', 'writeProperty'] });
+        await client.writePropertyMultiple('192.168.1.10', entries.slice(0, 1), { deviceId: '114' });
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(2);
+        expect(mockWriteProperty).toHaveBeenCalledTimes(4);
+
+        cleanup(client);
+    });
+
+    test('writePropertyMultiple keeps using the service after a transient abort and reports the service per entry', async () => {
+        mockWritePropertyMultiple
+            .mockImplementationOnce((_address, _values, _options, cb) => cb(new Error('BacnetAbort - Reason:9')))
+            .mockImplementation((_address, _values, _options, cb) => cb(null));
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => cb(null));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 2, instance: 1 } }], { class: 'slow' });
+        const entries = Array.from({ length: 60 }, (_value, index) => ({ objectId: { type: 2, instance: index }, propertyId: 85, value: index }));
+
+        let result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+        expect(result.service).toBe('writePropertyMultiple');
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(3);
+        expect(client.writeMultipleUnsupported.has('114')).toBe(false);
+
+        // The second chunk meets a device that does not implement the service.
+        mockWritePropertyMultiple.mockReset();
+        mockWritePropertyMultiple
+            .mockImplementationOnce((_address, _values, _options, cb) => cb(null))
+            .mockImplementation((_address, _values, _options, cb) => cb(new Error('BacnetError - Class:5 - Code:45')));
+        result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+        expect(result.service).toBe('mixed');
+        expect(result.results[0].service).toBe('writePropertyMultiple');
+        expect(result.results[59].service).toBe('writeProperty');
+        expect(result.results.every((entry) => entry.status === 'success')).toBe(true);
+        expect(mockWritePropertyMultiple).toHaveBeenCalledTimes(2);
+        expect(mockWriteProperty).toHaveBeenCalledTimes(12);
+        expect(client.writeMultipleUnsupported.has('114')).toBe(true);
+
+        cleanup(client);
+    });
+
+    test('writePropertyMultiple writes entry by entry after a failed request and fails all entries on timeout', async () => {
+        mockWritePropertyMultiple.mockImplementationOnce((_address, _values, _options, cb) => cb(new Error('BacnetError - Class:2 - Code:40')));
+        mockWriteProperty.mockImplementation((_address, objectId, _propertyId, _values, _options, cb) => (
+            objectId.instance === 2 ? cb(new Error('BacnetError - Class:2 - Code:40')) : cb(null)
+        ));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [], { class: 'slow' });
+        const entries = [
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 21 },
+            { objectId: { type: 2, instance: 2 }, propertyId: 85, value: 22 }
+        ];
+
+        let result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+        expect(result.service).toBe('writeProperty');
+        expect(result.results.map((entry) => entry.status)).toEqual(['success', 'error']);
+        expect(mockWriteProperty).toHaveBeenCalledTimes(2);
+
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(new Error('ERR_TIMEOUT')));
+        result = await client.writePropertyMultiple('192.168.1.10', entries, { deviceId: '114' });
+        expect(result.results.map((entry) => entry.error)).toEqual(['ERR_TIMEOUT', 'ERR_TIMEOUT']);
+        expect(result.service).toBe('writePropertyMultiple');
+        expect(mockWriteProperty).toHaveBeenCalledTimes(2);
+
+        cleanup(client);
+    });
+
+    test('enforces the device write policy on single and batch writes', async () => {
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, values, _options, cb) => cb(null, values));
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(null));
+        const { BacnetClient } = require('../src/bacnet_client');
+        const { logger } = require('../src/common');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.saveConfig({
+            device: { deviceId: 114, address: '192.168.1.10' },
+            polling: { class: 'slow' },
+            writePolicy: { priorities: [8, 16], maxWritesPerMinute: 10 },
+            objects: [
+                { objectId: { type: 2, instance: 1 }, write: { properties: [85, 'OUT_OF_SERVICE'], min: 10, max: 30 } },
+                { objectId: { type: 2, instance: 2 } },
+                { objectId: { type: 2, instance: 3 }, write: { properties: ['NOT_A_PROPERTY'] } },
+                { objectId: { type: 2, instance: 4 }, transform: { scale: 0.1 }, write: { min: 10, max: 28 } }
+            ]
+        });
+        const write = (instance, propertyId, value, priority) => client.writeProperty('192.168.1.10', { type: 2, instance }, propertyId, value, priority, undefined, '114');
+
+        await expect(write(1, 85, 21, 8)).resolves.toBeDefined();
+        await expect(write(1, 81, true)).resolves.toBeDefined();
+        await expect(write(1, 85, 900, 8)).rejects.toEqual(expect.objectContaining({ name: 'WritePolicyError', reason: 'out-of-bounds' }));
+        await expect(write(1, 85, 21, 1)).rejects.toEqual(expect.objectContaining({ reason: 'priority' }));
+        await expect(write(2, 85, 21)).rejects.toEqual(expect.objectContaining({ reason: 'not-writable' }));
+        // An invalid write block leaves the object read-only.
+        await expect(write(3, 85, 21)).rejects.toEqual(expect.objectContaining({ reason: 'not-writable' }));
+        expect(logger.log).toHaveBeenCalledWith('warn', expect.stringContaining('Object 2_3 on device 114 is read-only'));
+        expect(mockWriteProperty).toHaveBeenCalledTimes(2);
+
+        // Bounds apply in published units, after the value went through the inverse transform.
+        let resolved = await client.resolveWriteValue('192.168.1.10', { type: 2, instance: 4 }, 85, 28);
+        await expect(write(4, 85, resolved.value)).resolves.toBeDefined();
+        resolved = await client.resolveWriteValue('192.168.1.10', { type: 2, instance: 4 }, 85, 28.4);
+        await expect(write(4, 85, resolved.value)).rejects.toEqual(expect.objectContaining({ reason: 'out-of-bounds' }));
+
+        const result = await client.writePropertyMultiple('192.168.1.10', [
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 22, priority: 8 },
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 900, priority: 8 }
+        ], { deviceId: '114' });
+        expect(result.results.map((entry) => entry.status)).toEqual(['success', 'error']);
+        expect(result.results[1]).toEqual(expect.objectContaining({ policy: 'out-of-bounds', error: expect.stringContaining('900 is outside the allowed range') }));
+        expect(mockWritePropertyMultiple.mock.calls[0][1]).toHaveLength(1);
+
+        // A value that cannot be encoded is not sent and does not count toward the rate limit.
+        await expect(client.writeProperty('192.168.1.10', { type: 2, instance: 1 }, 85, 'warm', 8, 'real', '114')).rejects.toThrow();
+        // Four writes were sent so far; the device allows ten a minute.
+        for (let i = 0; i < 6; i += 1) {
+            await write(1, 85, 20);
+        }
+        await expect(write(1, 85, 20)).rejects.toEqual(expect.objectContaining({ reason: 'rate-limited' }));
+        expect(client.getStatus().rejectedWrites).toBe(7);
+
+        // Releasing a timed override is not subject to the policy.
+        mockWriteProperty.mockClear();
+        await client._releaseOverride({ deviceId: '114', objectKey: '2_2', objectType: 2, objectInstance: 2, propertyId: 85, priority: 1, releaseAt: 0, attempts: 0 });
+        expect(mockWriteProperty).toHaveBeenCalledWith(expect.anything(), { type: 2, instance: 2 }, 85, [{ type: 0, value: null }], expect.objectContaining({ priority: 1 }), expect.any(Function));
+
+        // Restarting polling keeps the device-wide policy that was saved with the config.
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 2, instance: 1 }, write: {} }], { class: 'slow' });
+        expect(client.deviceRuntime.get('114').writePolicy).toEqual(expect.objectContaining({ enabled: true, priorities: [8, 16], maxWritesPerMinute: 10 }));
+
+        cleanup(client);
+    });
+
+    test('counts only acknowledged writes toward the rate limits and rejects writes to unregistered devices', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client._registerDeviceConfig({
+            device: { deviceId: 114, address: '192.168.1.10' },
+            polling: { class: 'slow' },
+            objects: [{ objectId: { type: 2, instance: 1 }, write: { maxWritesPerMinute: 2 } }]
+        });
+        const write = () => client.writeProperty('192.168.1.10', { type: 2, instance: 1 }, 85, 21, 8, undefined, '114');
+
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => cb(new Error('ERR_TIMEOUT')));
+        await expect(write()).rejects.toThrow('ERR_TIMEOUT');
+        await expect(write()).rejects.toThrow('ERR_TIMEOUT');
+        await expect(write()).rejects.toThrow('ERR_TIMEOUT');
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, values, _options, cb) => cb(null, values));
+        await expect(write()).resolves.toBeDefined();
+
+        // Entries of a batch count toward the limits of the entries after them.
+        mockWritePropertyMultiple.mockImplementation((_address, _values, _options, cb) => cb(null));
+        const entry = { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 21, priority: 8 };
+        const result = await client.writePropertyMultiple('192.168.1.10', [entry, entry], { deviceId: '114' });
+        expect(result.results.map((item) => item.policy || item.status)).toEqual(['success', 'rate-limited']);
+        await expect(write()).rejects.toEqual(expect.objectContaining({ reason: 'rate-limited' }));
+
+        await expect(client.writeProperty('192.168.1.10', { type: 2, instance: 1 }, 85, 21, 8)).rejects.toEqual(expect.objectContaining({ reason: 'not-writable' }));
+        await expect(client.writeProperty('192.168.1.99', { type: 2, instance: 1 }, 85, 21, 8, undefined, '999'))
+            .rejects.toThrow('Device 999 has no registered config');
+        expect(mockWriteProperty).toHaveBeenCalledTimes(4);
+
+        cleanup(client);
+    });
+
+    test('keeps the write policy when a config is saved without one and removes it only when asked', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const { logger } = require('../src/common');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        bacnetConfig.save = jest.fn();
+        const device = { deviceId: 114, address: '192.168.1.10' };
+        await client.saveConfig({ device, polling: { class: 'slow' }, writePolicy: { priorities: [8] }, objects: [{ objectId: { type: 2, instance: 1 }, write: {} }] });
+
+        await client.saveConfig({ device, polling: { class: 'slow' }, objects: [{ objectId: { type: 2, instance: 1 } }] });
+        expect(bacnetConfig.save).toHaveBeenLastCalledWith(expect.objectContaining({ writePolicy: { priorities: [8] } }));
+        expect(client.deviceRuntime.get('114').writePolicy).toEqual(expect.objectContaining({ enabled: true, priorities: [8] }));
+        expect(logger.log).not.toHaveBeenCalledWith('warn', expect.stringContaining('no longer has a write policy'));
+
+        await client.saveConfig({ device, polling: { class: 'slow' }, writePolicy: null, objects: [{ objectId: { type: 2, instance: 1 } }] });
+        expect(bacnetConfig.save.mock.calls[bacnetConfig.save.mock.calls.length - 1][0]).not.toHaveProperty('writePolicy');
+        expect(client.deviceRuntime.get('114').writePolicy.enabled).toBe(false);
+        expect(logger.log).toHaveBeenCalledWith('warn', '[Write] Device 114 no longer has a write policy; all of its objects can be written.');
+
+        cleanup(client);
+    });
+
+    test('saves a scan over a configured device without losing its policy and object settings', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        bacnetConfig.save = jest.fn();
+        await client.saveConfig({
+            device: { deviceId: 114, address: '192.168.1.10', requestOptions: { timeoutMs: 6000 } },
+            polling: { class: 'slow' },
+            writePolicy: { priorities: [8] },
+            objects: [
+                { objectId: { type: 2, instance: 1 }, objectName: 'Old name', write: { min: 15, max: 28 }, transform: { scale: 0.1 } },
+                { objectId: { type: 2, instance: 9 }, objectName: 'Missed by the scan', write: {} }
+            ]
+        });
+
+        await client.saveScannedConfig({ deviceId: 114, address: '192.168.1.11' }, [
+            { objectId: { type: 2, instance: 1 }, objectName: 'Zone Setpoint' },
+            { objectId: { type: 0, instance: 3 }, objectName: 'Zone Temp' }
+        ]);
+
+        expect(bacnetConfig.save).toHaveBeenLastCalledWith({
+            device: { deviceId: 114, address: '192.168.1.11', requestOptions: { timeoutMs: 6000 } },
+            polling: { class: 'slow' },
+            writePolicy: { priorities: [8] },
+            objects: [
+                { objectId: { type: 2, instance: 1 }, objectName: 'Zone Setpoint', write: { min: 15, max: 28 }, transform: { scale: 0.1 } },
+                { objectId: { type: 0, instance: 3 }, objectName: 'Zone Temp' },
+                { objectId: { type: 2, instance: 9 }, objectName: 'Missed by the scan', write: {} }
+            ]
+        });
+        const policy = client.deviceRuntime.get('114').writePolicy;
+        expect(policy).toEqual(expect.objectContaining({ enabled: true, priorities: [8] }));
+        expect(policy.objects.get('2_1')).toEqual(expect.objectContaining({ min: 15, max: 28 }));
+        expect(policy.objects.has('0_3')).toBe(false);
+
+        await client.saveScannedConfig({ deviceId: 115, address: '192.168.1.12' }, [{ objectId: { type: 0, instance: 1 } }]);
+        expect(bacnetConfig.save).toHaveBeenLastCalledWith({
+            device: { deviceId: 115, address: '192.168.1.12' },
+            polling: { class: 'normal' },
+            objects: [{ objectId: { type: 0, instance: 1 } }]
+        });
+
+        cleanup(client);
+    });
+
+    test('relinquishes timed overrides when they are due and keeps them across restarts', async () => {
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, values, _options, cb) => cb(null, values));
+        const pending = { deviceId: '114', objectKey: '4_1', objectType: 4, objectInstance: 1, propertyId: 85, priority: 8, value: 1, releaseAt: 1000, attempts: 0, lastError: null, createdAt: 0 };
+        runtimeState.listTimedOverrides.mockResolvedValue([pending]);
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 4, instance: 1 } }], { class: 'slow' });
+        const releases = [];
+        client.on('overrideRelease', (release) => releases.push(release));
+
+        const now = Date.now();
+        const override = await client.trackTimedOverride('114', { type: 2, instance: 3 }, 85, undefined, 21.5, now + 3600000);
+        expect(override).toEqual(expect.objectContaining({ objectKey: '2_3', priority: 16, value: 21.5, releaseAt: now + 3600000 }));
+        expect(runtimeState.saveTimedOverride).toHaveBeenCalledWith(override);
+        expect(client.listTimedOverrides('114').map((entry) => entry.objectKey)).toEqual(['4_1', '2_3']);
+
+        // Releases of devices without a registered config wait for it.
+        await client.trackTimedOverride('200', { type: 4, instance: 1 }, 85, 8, 1, now - 1);
+        const releaseSpy = jest.spyOn(client, '_releaseOverride');
+        client._releaseDueOverrides(now);
+        expect(releaseSpy).toHaveBeenCalledTimes(1);
+        expect(releaseSpy).toHaveBeenCalledWith(expect.objectContaining({ deviceId: '114', objectKey: '4_1' }));
+        await releaseSpy.mock.results[0].value;
+
+        expect(mockWriteProperty).toHaveBeenCalledWith(expect.anything(), { type: 4, instance: 1 }, 85, [{ type: 0, value: null }], expect.objectContaining({ priority: 8 }), expect.any(Function));
+        expect(runtimeState.deleteTimedOverride).toHaveBeenCalledWith('114', '4_1', 85, 8);
+        expect(releases).toEqual([expect.objectContaining({ deviceId: '114', objectKey: '4_1', propertyId: 85, priority: 8, status: 'released' })]);
+
+        // A write without a duration to the same slot replaces the pending release.
+        await expect(client.trackTimedOverride('114', { type: 2, instance: 3 }, 85, 16, 22, null)).resolves.toBeNull();
+        expect(runtimeState.deleteTimedOverride).toHaveBeenLastCalledWith('114', '2_3', 85, 16);
+        expect(client.listTimedOverrides().map((entry) => entry.deviceId)).toEqual(['200']);
+
+        cleanup(client);
+    });
+
+    test('retries failed override releases and drops those the device refuses', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 4, instance: 1 } }], { class: 'slow' });
+        const releases = [];
+        client.on('overrideRelease', (release) => releases.push(release));
+        const override = await client.trackTimedOverride('114', { type: 4, instance: 1 }, 85, 8, 1, Date.now());
+
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => cb(new Error('ERR_TIMEOUT')));
+        await client._releaseOverride(override);
+        expect(override).toEqual(expect.objectContaining({ attempts: 1, lastError: 'ERR_TIMEOUT', releaseAt: Date.now() + 60000 }));
+        expect(runtimeState.saveTimedOverride).toHaveBeenLastCalledWith(override);
+        expect(releases[0]).toEqual(expect.objectContaining({ status: 'error', error: 'ERR_TIMEOUT', retryAt: Date.now() + 60000 }));
+        expect(client.listTimedOverrides()).toHaveLength(1);
+
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => cb(new Error('BacnetError - Class:2 - Code:40')));
+        await client._releaseOverride(override);
+        expect(releases[1]).toEqual(expect.objectContaining({ status: 'error', error: 'BacnetError - Class:2 - Code:40' }));
+        expect(releases[1].retryAt).toBeUndefined();
+        expect(runtimeState.deleteTimedOverride).toHaveBeenCalledWith('114', '4_1', 85, 8);
+        expect(client.listTimedOverrides()).toEqual([]);
+
+        cleanup(client);
+    });
+
+    test('keeps a newer write to the slot when a release fails and gives up after overrideMaxAttempts', async () => {
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+        await client.startPolling({ deviceId: 114, address: '192.168.1.10' }, [{ objectId: { type: 4, instance: 1 } }], { class: 'slow' });
+        const releases = [];
+        client.on('overrideRelease', (release) => releases.push(release));
+        let finishWrite;
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => {
+            finishWrite = () => cb(new Error('ERR_TIMEOUT'));
+        });
+
+        // A permanent write made while the release is in flight is not undone by its retry.
+        const stale = await client.trackTimedOverride('114', { type: 4, instance: 1 }, 85, 8, 1, Date.now());
+        const release = client._releaseOverride(stale);
+        await client.trackTimedOverride('114', { type: 4, instance: 1 }, 85, 8, 0, null);
+        runtimeState.saveTimedOverride.mockClear();
+        finishWrite();
+        await release;
+        expect(runtimeState.saveTimedOverride).not.toHaveBeenCalled();
+        expect(client.listTimedOverrides()).toEqual([]);
+        expect(releases).toEqual([]);
+
+        client.overrideMaxAttempts = 2;
+        mockWriteProperty.mockImplementation((_address, _objectId, _propertyId, _values, _options, cb) => cb(new Error('ERR_TIMEOUT')));
+        const override = await client.trackTimedOverride('114', { type: 4, instance: 1 }, 85, 8, 1, Date.now());
+        await client._releaseOverride(override);
+        expect(client.listTimedOverrides()).toHaveLength(1);
+        await client._releaseOverride(override);
+        expect(releases[1]).toEqual(expect.objectContaining({ status: 'error', error: 'ERR_TIMEOUT' }));
+        expect(releases[1].retryAt).toBeUndefined();
+        expect(runtimeState.deleteTimedOverride).toHaveBeenLastCalledWith('114', '4_1', 85, 8);
+        expect(client.listTimedOverrides()).toEqual([]);
+
+        cleanup(client);
+    });
+
+    test('scanDevice reports progress and stops reading objects once aborted', async () => {
+        const objectList = [{ type: 2, instance: 1 }, { type: 2, instance: 2 }, { type: 2, instance: 3 }, { type: 2, instance: 4 }, { type: 2, instance: 5 }];
+        const controller = new AbortController();
+        const progress = [];
+        mockReadProperty.mockImplementation((_addr, _objectId, _propertyId, options, cb) => {
+            cb(null, buildReadPropertyResponse(objectList.length, options.arrayIndex));
+        });
+        mockReadPropertyMultiple.mockImplementation((_addr, requestArray, _opts, cb) => {
+            const request = requestArray[0];
+            if (request.objectId.type === 8) {
+                cb(null, buildObjectListResponse(objectList));
+                return;
+            }
+            cb(null, buildFullObjectResponse(request.objectId, `Object ${request.objectId.instance}`));
+        });
+
+        const { BacnetClient } = require('../src/bacnet_client');
+        const client = new BacnetClient({ runtimeState, bacnetConfig });
+        await client.ready;
+
+        const objects = await client.scanDevice({ address: '10.0.0.1', deviceId: 123 }, {
+            onProgress: (update) => progress.push({ ...update, name: update.object ? update.object.name : null })
+        });
+        expect(objects.map((object) => object.name)).toEqual(['Object 1', 'Object 2', 'Object 3', 'Object 4', 'Object 5']);
+        expect(progress[0]).toEqual({ objectsRead: 0, totalObjects: 5, object: null, name: null });
+        expect(progress[progress.length - 1]).toEqual(expect.objectContaining({ objectsRead: 5, totalObjects: 5 }));
+
+        mockReadPropertyMultiple.mockClear();
+        client.objectConcurrency = 1;
+        const scan = client.scanDevice({ address: '10.0.0.1', deviceId: 123 }, {
+            signal: controller.signal,
+            onProgress: ({ objectsRead }) => {
+                if (objectsRead === 2) {
+                    controller.abort();
+                }
+            }
+        });
+        await expect(scan).rejects.toThrow();
+        // The object list and two objects were read before the abort.
+        expect(mockReadPropertyMultiple).toHaveBeenCalledTimes(3);
+        cleanup(client);
+    });
 });
@@ -0,0 +1,108 @@
+const {
+    APPLICATION_TAGS,
+    parseApplicationTag,
+    applicationTagName,
+    isTypedValue,
+    validateTypedValue,
+    inferApplicationTag,
+    guessApplicationTag,
+    encodeValue
+} = require('../src/bacnet_value');
+
+describe('bacnet_value', () => {
+    test('parses application tags given as numbers or names', () => {
+        expect(parseApplicationTag(9)).toBe(9);
+        expect(parseApplicationTag('4')).toBe(4);
+        expect(parseApplicationTag('enumerated')).toBe(APPLICATION_TAGS.enumerated);
+        expect(parseApplicationTag('character-string')).toBe(7);
+        expect(parseApplicationTag('UNSIGNED_INTEGER')).toBe(2);
+        expect(parseApplicationTag('objectIdentifier')).toBe(12);
+        expect(parseApplicationTag(13)).toBeNull();
+        expect(parseApplicationTag('float')).toBeNull();
+        expect(parseApplicationTag(undefined)).toBeNull();
+        expect(applicationTagName(8)).toBe('bitString');
+    });
+
+    test('validates typed values', () => {
+        expect(isTypedValue({ type: 'real', value: 1 })).toBe(true);
+        expect(isTypedValue([1])).toBe(false);
+        expect(validateTypedValue({ type: 'unsigned', value: 3 })).toEqual([]);
+        expect(validateTypedValue({ type: 'null' })).toEqual([]);
+        expect(validateTypedValue({ value: 3 })).toEqual([
+            'value must be a string, number, boolean, array, null or a typed value { "type": ..., "value": ... }.'
+        ]);
+        expect(validateTypedValue({ type: 'float', value: 3, tag: 4 })).toEqual([
+            'value.tag is not supported; use type, value.',
+            'value.type must be one of: null, boolean, unsigned, signed, real, double, octetString, characterString, bitString, enumerated, date, time, objectIdentifier.'
+        ]);
+        expect(validateTypedValue({ type: 'enumerated' })).toEqual(['value.value is required.']);
+        expect(validateTypedValue({ type: 'unsigned', value: -1 })).toEqual([
+            'value.value: -1 is not a valid unsigned value; expected an integer from 0 to 4294967295'
+        ]);
+    });
+
+    test('infers the datatype from the object type and property', () => {
+        expect(inferApplicationTag(0, 85)).toBe(APPLICATION_TAGS.real);
+        expect(inferApplicationTag(4, 85)).toBe(APPLICATION_TAGS.enumerated);
+        expect(inferApplicationTag(4, 104)).toBe(APPLICATION_TAGS.enumerated);
+        expect(inferApplicationTag(19, 85)).toBe(APPLICATION_TAGS.unsigned);
+        expect(inferApplicationTag(45, 85)).toBe(APPLICATION_TAGS.signed);
+        expect(inferApplicationTag(46, 45)).toBe(APPLICATION_TAGS.double);
+        expect(inferApplicationTag(42, 85)).toBe(APPLICATION_TAGS.date);
+        expect(inferApplicationTag(50, 85)).toBe(APPLICATION_TAGS.time);
+        expect(inferApplicationTag(39, 85)).toBe(APPLICATION_TAGS.bitString);
+        expect(inferApplicationTag(48, 22)).toBe(APPLICATION_TAGS.unsigned);
+        expect(inferApplicationTag(2, 22)).toBe(APPLICATION_TAGS.real);
+        expect(inferApplicationTag(2, 81)).toBe(APPLICATION_TAGS.boolean);
+        expect(inferApplicationTag(2, 77)).toBe(APPLICATION_TAGS.characterString);
+        expect(inferApplicationTag(2, 117)).toBe(APPLICATION_TAGS.enumerated);
+        expect(inferApplicationTag(20, 134)).toBe(APPLICATION_TAGS.unsigned);
+        expect(inferApplicationTag(17, 85)).toBeNull();
+        expect(inferApplicationTag(130, 512)).toBeNull();
+    });
+
+    test('guesses the datatype from the JSON value', () => {
+        expect(guessApplicationTag(null)).toBe(APPLICATION_TAGS.null);
+        expect(guessApplicationTag(true)).toBe(APPLICATION_TAGS.boolean);
+        expect(guessApplicationTag(7)).toBe(APPLICATION_TAGS.signed);
+        expect(guessApplicationTag('7.5')).toBe(APPLICATION_TAGS.real);
+        expect(guessApplicationTag('abc')).toBe(APPLICATION_TAGS.characterString);
+        expect(guessApplicationTag({})).toBeNull();
+    });
+
+    test('encodes values into what bacstack writes for each tag', () => {
+        expect(encodeValue(0, 'ignored')).toEqual({ type: 0, value: null });
+        expect(encodeValue(1, 'false')).toEqual({ type: 1, value: 0 });
+        expect(encodeValue(2, '42')).toEqual({ type: 2, value: 42 });
+        expect(encodeValue(3, -5)).toEqual({ type: 3, value: -5 });
+        expect(encodeValue(4, true)).toEqual({ type: 4, value: 1 });
+        expect(encodeValue(5, '1e10')).toEqual({ type: 5, value: 1e10 });
+        expect(encodeValue(6, '0A ff')).toEqual({ type: 6, value: [10, 255] });
+        expect(encodeValue(7, 12)).toEqual({ type: 7, value: '12' });
+        expect(encodeValue(8, [true, false, false, true, false, false, false, false, true])).toEqual({ type: 8, value: { bitsUsed: 9, value: [9, 1] } });
+        expect(encodeValue(8, '0100')).toEqual({ type: 8, value: { bitsUsed: 4, value: [2] } });
+        expect(encodeValue(9, 1)).toEqual({ type: 9, value: 1 });
+        expect(encodeValue(12, '8_1234')).toEqual({ type: 12, value: { type: 8, instance: 1234 } });
+        expect(encodeValue(12, { type: 2, instance: 5 })).toEqual({ type: 12, value: { type: 2, instance: 5 } });
+
+        const date = encodeValue(10, '2026-03-01').value;
+        expect([date.getFullYear(), date.getMonth(), date.getDate()]).toEqual([2026, 2, 1]);
+        const time = encodeValue(11, '07:30:15.5').value;
+        expect([time.getHours(), time.getMinutes(), time.getSeconds(), time.getMilliseconds()]).toEqual([7, 30, 15, 500]);
+    });
+
+    test('rejects values that do not fit the tag', () => {
+        expect(() => encodeValue(1, 'maybe')).toThrow('"maybe" is not a valid boolean value');
+        expect(() => encodeValue(2, 1.5)).toThrow('expected an integer from 0 to 4294967295');
+        expect(() => encodeValue(3, 2 ** 31)).toThrow('expected an integer from -2147483648 to 2147483647');
+        expect(() => encodeValue(4, 'warm')).toThrow('"warm" is not a valid real value');
+        expect(() => encodeValue(6, 'abc')).toThrow('expected a hex string or an array of bytes');
+        expect(() => encodeValue(7, { text: 'x' })).toThrow('is not a valid characterString value');
+        expect(() => encodeValue(8, [2])).toThrow('expected bits like [true, false] or "10"');
+        expect(() => encodeValue(9, -1)).toThrow('is not a valid enumerated value');
+        expect(() => encodeValue(10, '2026-02-30')).toThrow('expected YYYY-MM-DD');
+        expect(() => encodeValue(11, '25:00')).toThrow('expected HH:MM, HH:MM:SS or HH:MM:SS.hh');
+        expect(() => encodeValue(12, { type: 8 })).toThrow('is not a valid objectIdentifier value');
+        expect(() => encodeValue(42, 1)).toThrow('Unsupported BACnet application tag: 42');
+    });
+});
@@ -0,0 +1,42 @@
+const { unitsSymbol, parseUnits, canConvertUnits, convertUnits } = require('../src/engineering_units');
+
+describe('engineering_units', () => {
+    test('maps common units to their symbols', () => {
+        expect(unitsSymbol(62)).toBe('°C');
+        expect(unitsSymbol(64)).toBe('°F');
+        expect(unitsSymbol(53)).toBe('Pa');
+        expect(unitsSymbol(48)).toBe('kW');
+        expect(unitsSymbol(29)).toBe('%RH');
+        expect(unitsSymbol(98)).toBe('%');
+    });
+
+    test('spells out units without a common symbol', () => {
+        expect(unitsSymbol(143)).toBe('percent obscuration per foot');
+        expect(unitsSymbol(47808)).toBe('standard cubic feet per day');
+    });
+
+    test('returns null for no-units and unknown values', () => {
+        expect(unitsSymbol(95)).toBeNull();
+        expect(unitsSymbol(null)).toBeNull();
+        expect(unitsSymbol(undefined)).toBeNull();
+        expect(unitsSymbol(9999)).toBeNull();
+    });
+
+    test('parses units from numbers, symbols and enum names', () => {
+        expect(parseUnits(64)).toBe(64);
+        expect(parseUnits('°F')).toBe(64);
+        expect(parseUnits('degrees-fahrenheit')).toBe(64);
+        expect(parseUnits('KILOPASCALS')).toBe(54);
+        expect(parseUnits('furlongs')).toBeNull();
+        expect(parseUnits(9999)).toBeNull();
+    });
+
+    test('converts between units of the same quantity', () => {
+        expect(convertUnits(68, 64, 62)).toBeCloseTo(20);
+        expect(convertUnits(0, 62, 63)).toBeCloseTo(273.15);
+        expect(convertUnits(1, 55, 54)).toBeCloseTo(100);
+        expect(convertUnits(1000, 84, 135)).toBeCloseTo(1699.01, 1);
+        expect(canConvertUnits(62, 54)).toBe(false);
+        expect(() => convertUnits(1, 62, 54)).toThrow('Cannot convert units °C to kPa');
+    });
+});
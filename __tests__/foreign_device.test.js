@@ -0,0 +1,102 @@
+process.env.NODE_CONFIG_STRICT_MODE = '0';
+
+const { EventEmitter } = require('events');
+
+describe('ForeignDeviceRegistration', () => {
+    let client;
+    let receiveData;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        process.env.NODE_ENV = 'development';
+        jest.resetModules();
+        receiveData = jest.fn();
+        const transport = new EventEmitter();
+        transport._server = { send: jest.fn() };
+        transport.on('message', receiveData);
+        client = {
+            _transport: transport,
+            _getBuffer: () => ({ buffer: Buffer.alloc(1482), offset: 4 }),
+            _handleNpdu: jest.fn()
+        };
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        delete process.env.NODE_ENV;
+    });
+
+    function createRegistration() {
+        const { ForeignDeviceRegistration } = require('../src/foreign_device');
+        return new ForeignDeviceRegistration(client, { host: '10.1.0.1', port: 47809, ttlSeconds: 600 });
+    }
+
+    function sentFrames() {
+        return client._transport._server.send.mock.calls.map(([buffer, offset, length]) => Array.from(buffer.subarray(offset, length)));
+    }
+
+    test('registers with the BBMD and re-registers at half the TTL', () => {
+        const registration = createRegistration();
+        registration.start();
+
+        expect(client._transport._server.send).toHaveBeenCalledWith(expect.any(Buffer), 0, 6, 47809, '10.1.0.1', expect.any(Function));
+        expect(sentFrames()).toEqual([[0x81, 0x05, 0x00, 0x06, 0x02, 0x58]]);
+        expect(registration.getStatus()).toEqual(expect.objectContaining({ state: 'pending', registered: false }));
+
+        client._transport.emit('message', Buffer.from([0x81, 0x00, 0x00, 0x06, 0x00, 0x00]), '10.1.0.1');
+
+        expect(registration.getStatus()).toEqual(expect.objectContaining({ state: 'registered', registered: true, registrations: 1 }));
+        expect(receiveData).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(300000);
+        expect(client._transport._server.send).toHaveBeenCalledTimes(2);
+        registration.stop();
+    });
+
+    test('records rejected and unanswered registrations and retries', () => {
+        const registration = createRegistration();
+        registration.start();
+
+        client._transport.emit('message', Buffer.from([0x81, 0x00, 0x00, 0x06, 0x00, 0x30]), '10.1.0.1');
+        expect(registration.getStatus()).toEqual(expect.objectContaining({
+            state: 'failed',
+            failures: 1,
+            lastError: 'BBMD rejected the registration (BVLC-Result 0x0030)'
+        }));
+
+        jest.advanceTimersByTime(30000);
+        expect(client._transport._server.send).toHaveBeenCalledTimes(2);
+
+        jest.advanceTimersByTime(10000);
+        expect(registration.getStatus()).toEqual(expect.objectContaining({ failures: 2, lastError: 'No BVLC-Result from BBMD' }));
+        registration.stop();
+    });
+
+    test('hands forwarded NPDUs to bacstack with the original source address', () => {
+        const registration = createRegistration();
+        registration.start();
+        const forwarded = Buffer.from([0x81, 0x04, 0x00, 0x0E, 192, 168, 5, 20, 0xBA, 0xC0, 0x01, 0x00, 0x10, 0x00]);
+        const unicast = Buffer.from([0x81, 0x0A, 0x00, 0x06, 0x01, 0x00]);
+
+        client._transport.emit('message', forwarded, '10.1.0.1');
+        client._transport.emit('message', unicast, '192.168.5.20');
+
+        expect(client._handleNpdu).toHaveBeenCalledWith(forwarded, 10, 4, '192.168.5.20');
+        expect(receiveData).toHaveBeenCalledTimes(1);
+        expect(receiveData).toHaveBeenCalledWith(unicast, '192.168.5.20');
+        registration.stop();
+    });
+
+    test('whoIs asks the BBMD to distribute a global broadcast', () => {
+        const registration = createRegistration();
+
+        registration.whoIs(100, 200);
+
+        expect(sentFrames()).toEqual([[
+            0x81, 0x09, 0x00, 0x10,
+            0x01, 0x20, 0xFF, 0xFF, 0x00, 0xFF,
+            0x10, 0x08,
+            0x09, 0x64, 0x19, 0xC8
+        ]]);
+    });
+});
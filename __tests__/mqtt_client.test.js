@@ -61,6 +61,8 @@ describe('MqttClient', () => {
         client.publishMessage({
             '2_202': {
                 value: 42,
+                units: 62,
+                unitsSymbol: '°C',
                 name: 'Room Temp',
                 deviceId: '114',
                 address: '192.168.1.10',
@@ -85,6 +87,12 @@ describe('MqttClient', () => {
             { retain: true },
             expect.any(Function)
         );
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'homeassistant/sensor/test-gw/2_202/attributes',
+            expect.stringContaining('"units":62,"unitsSymbol":"°C"'),
+            { retain: true },
+            expect.any(Function)
+        );
         expect(mqttMocks.publishMock).toHaveBeenCalledWith(
             'bacnet-gateway/test-gw/telemetry/114/2_202',
             expect.stringContaining('"pollClass":"fast"'),
@@ -281,4 +289,173 @@ describe('MqttClient', () => {
             rejectUnauthorized: false
         }));
     });
+
+    test('priority array requests are emitted and results published', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        mqttMocks.clientInstance.emit('connect');
+        const handler = jest.fn();
+        client.on('bacnetPriorityArrayRequest', handler);
+
+        expect(mqttMocks.subscribeMock).toHaveBeenCalledWith('bacnetpriority/test-gw/+/+/get', expect.any(Function));
+        mqttMocks.clientInstance.emit('message', 'bacnetpriority/test-gw/114/2_5/get', Buffer.from(''));
+        mqttMocks.clientInstance.emit('message', 'bacnetpriority/other-gw/114/2_5/get', Buffer.from(''));
+        mqttMocks.clientInstance.emit('message', 'bacnetpriority/test-gw/114/bad/get', Buffer.from(''));
+
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith({ deviceId: '114', objectKey: '2_5', objectType: 2, objectInstance: 5 });
+
+        client.publishPriorityArray('114', '2_5', { status: 'success', activePriority: 8 });
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnet-gateway/test-gw/priority_array/114/2_5',
+            JSON.stringify({ status: 'success', activePriority: 8 }),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('publishAlarm publishes retained alarm state per object', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        const alarm = { deviceId: '114', objectKey: '0_1', eventState: 3, acknowledged: false };
+
+        client.publishAlarm(alarm);
+
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnet-gateway/test-gw/alarms/114/0_1',
+            JSON.stringify(alarm),
+            { retain: true },
+            expect.any(Function)
+        );
+    });
+
+    test('publishTrendRecords publishes each backfilled record to the history topic', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+
+        client.publishTrendRecords('114', '20_1', [
+            { sequenceNumber: 7, timestamp: 1000, datumType: 'real', value: 21.5 },
+            { sequenceNumber: 8, timestamp: 2000, datumType: 'real', value: 22 }
+        ]);
+
+        expect(mqttMocks.publishMock).toHaveBeenCalledTimes(2);
+        expect(mqttMocks.publishMock).toHaveBeenLastCalledWith(
+            'bacnet-gateway/test-gw/history/114/20_1',
+            JSON.stringify({ deviceId: '114', objectKey: '20_1', sequenceNumber: 8, timestamp: 2000, datumType: 'real', value: 22 }),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('Who-Has requests are emitted and results published', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        mqttMocks.clientInstance.emit('connect');
+        const handler = jest.fn();
+        client.on('bacnetWhoHasRequest', handler);
+
+        expect(mqttMocks.subscribeMock).toHaveBeenCalledWith('bacnetwhohas/test-gw/get', expect.any(Function));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from(JSON.stringify({ objectName: 'AHU1-SAT', lowLimit: 1000, highLimit: 1999 })));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from(JSON.stringify({ objectType: 0, objectInstance: 3 })));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from('AHU2-SAT'));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from(JSON.stringify({ objectType: 0 })));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from('null'));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/test-gw/get', Buffer.from('123'));
+        mqttMocks.clientInstance.emit('message', 'bacnetwhohas/other-gw/get', Buffer.from('AHU1-SAT'));
+
+        expect(handler.mock.calls).toEqual([
+            [{ objectName: 'AHU1-SAT', lowLimit: 1000, highLimit: 1999 }],
+            [{ objectId: { type: 0, instance: 3 } }],
+            [{ objectName: 'AHU2-SAT' }]
+        ]);
+
+        client.publishWhoHasResult({ status: 'success', request: { objectName: 'AHU1-SAT' }, results: [] });
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnet-gateway/test-gw/who_has',
+            JSON.stringify({ status: 'success', request: { objectName: 'AHU1-SAT' }, results: [] }),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('publishAddressChange publishes per device', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        const change = { deviceId: '114', configuredAddress: '10.0.0.5', observedAddress: '10.0.0.9', policy: 'warn', detectedAt: 1 };
+
+        client.publishAddressChange(change);
+
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnet-gateway/test-gw/address_changes/114',
+            JSON.stringify(change),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('publishWriteStatus publishes to the write status topic and write commands carry verify', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        mqttMocks.clientInstance.emit('connect');
+        const handler = jest.fn();
+        client.on('bacnetWriteCommand', handler);
+
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/test-gw/114/2_5/85/set', Buffer.from('{"value":21.5,"verify":true}'));
+        expect(handler).toHaveBeenCalledWith(expect.objectContaining({ value: 21.5, verify: true }));
+
+        client.publishWriteStatus('114', '2_5', 85, { status: 'success', verification: { status: 'verified' } });
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnetwrite_status/test-gw/114/2_5/85',
+            JSON.stringify({ status: 'success', verification: { status: 'verified' } }),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('batch write requests are emitted and their status published', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        mqttMocks.clientInstance.emit('connect');
+        const handler = jest.fn();
+        client.on('bacnetWriteBatchCommand', handler);
+        const entries = [{ objectType: 2, objectInstance: 1, propertyId: 85, value: 21, priority: 8 }];
+
+        expect(mqttMocks.subscribeMock).toHaveBeenCalledWith('bacnetwrite/test-gw/+/batch/set', expect.any(Function));
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/test-gw/114/batch/set', Buffer.from(JSON.stringify({ requestId: 'zone-3', entries, verify: true })));
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/other-gw/114/batch/set', Buffer.from(JSON.stringify({ entries })));
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(handler).toHaveBeenCalledWith({ deviceId: '114', requestId: 'zone-3', entries, verify: true });
+
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/test-gw/114/batch/set', Buffer.from('not json'));
+        expect(handler).toHaveBeenCalledTimes(1);
+        expect(mqttMocks.publishMock).toHaveBeenCalledWith(
+            'bacnetwrite_status/test-gw/114/batch',
+            JSON.stringify({ status: 'error', detail: 'Batch write payload must be a JSON object with an entries array' }),
+            {},
+            expect.any(Function)
+        );
+
+        client.publishWriteBatchStatus('114', { requestId: 'zone-3', status: 'success', results: [] });
+        expect(mqttMocks.publishMock).toHaveBeenLastCalledWith(
+            'bacnetwrite_status/test-gw/114/batch',
+            JSON.stringify({ requestId: 'zone-3', status: 'success', results: [] }),
+            {},
+            expect.any(Function)
+        );
+    });
+
+    test('onMessage passes the duration of timed overrides on', async () => {
+        const { MqttClient } = require('../src/mqtt_client');
+        const client = new MqttClient();
+        mqttMocks.clientInstance.emit('connect');
+
+        const handler = jest.fn();
+        client.on('bacnetWriteCommand', handler);
+
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/test-gw/114/4_1/85/set', Buffer.from('{"value":1,"priority":8,"durationMs":3600000}'));
+        mqttMocks.clientInstance.emit('message', 'bacnetwrite/test-gw/114/4_1/85/set', Buffer.from('{"value":1,"priority":8,"until":"2026-10-19T18:00:00Z"}'));
+
+        expect(handler).toHaveBeenNthCalledWith(1, expect.objectContaining({ objectKey: '4_1', value: 1, durationMs: 3600000, until: undefined }));
+        expect(handler).toHaveBeenNthCalledWith(2, expect.objectContaining({ objectKey: '4_1', value: 1, until: '2026-10-19T18:00:00Z' }));
+    });
 });
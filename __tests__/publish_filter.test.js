@@ -0,0 +1,47 @@
+const { validatePublishSettings, shouldPublish } = require('../src/publish_filter');
+
+describe('publish_filter', () => {
+    const telemetry = (value, extra = {}) => ({ value, valueLabel: null, units: 62, sourceStatus: 'fresh', properties: {}, ...extra });
+
+    test('validates publish settings', () => {
+        expect(validatePublishSettings({ deadband: 0.5, minIntervalMs: 1000, maxIntervalMs: 60000 })).toEqual([]);
+        expect(validatePublishSettings(null)).toEqual(['publish must be an object.']);
+        expect(validatePublishSettings({ deadband: -1, deadbandPercent: 2, minIntervalMs: 0, maxIntervalMs: 1.5, every: 1 })).toEqual([
+            'publish.every is not supported; use deadband, deadbandPercent, minIntervalMs, maxIntervalMs.',
+            'publish.deadband must be a non-negative number.',
+            'publish.deadband and publish.deadbandPercent cannot be combined.',
+            'publish.minIntervalMs must be a positive integer.',
+            'publish.maxIntervalMs must be a positive integer.'
+        ]);
+        expect(validatePublishSettings({ minIntervalMs: 5000, maxIntervalMs: 1000 })).toEqual([
+            'publish.minIntervalMs must not be greater than publish.maxIntervalMs.'
+        ]);
+    });
+
+    test('publishes everything without settings and the first value with them', () => {
+        const last = { telemetry: telemetry(21), publishedAt: 0 };
+        expect(shouldPublish(last, telemetry(21), undefined, 1000)).toBe(true);
+        expect(shouldPublish(null, telemetry(21), { deadband: 1 }, 1000)).toBe(true);
+    });
+
+    test('applies absolute and percent deadbands against the last published value', () => {
+        const last = { telemetry: telemetry(20), publishedAt: 0 };
+        expect(shouldPublish(last, telemetry(20), {}, 1000)).toBe(false);
+        expect(shouldPublish(last, telemetry(20.1), {}, 1000)).toBe(true);
+        expect(shouldPublish(last, telemetry(20.4), { deadband: 0.5 }, 1000)).toBe(false);
+        expect(shouldPublish(last, telemetry(19.5), { deadband: 0.5 }, 1000)).toBe(true);
+        expect(shouldPublish(last, telemetry(20.9), { deadbandPercent: 5 }, 1000)).toBe(false);
+        expect(shouldPublish(last, telemetry(21), { deadbandPercent: 5 }, 1000)).toBe(true);
+        expect(shouldPublish(last, telemetry(20, { sourceStatus: 'stale' }), { deadband: 0.5 }, 1000)).toBe(true);
+        expect(shouldPublish({ telemetry: telemetry('on'), publishedAt: 0 }, telemetry('off'), { deadband: 5 }, 1000)).toBe(true);
+    });
+
+    test('holds changes for minIntervalMs and sends a heartbeat after maxIntervalMs', () => {
+        const last = { telemetry: telemetry(20), publishedAt: 0 };
+        expect(shouldPublish(last, telemetry(25), { minIntervalMs: 10000 }, 5000)).toBe(false);
+        expect(shouldPublish(last, telemetry(25), { minIntervalMs: 10000 }, 10000)).toBe(true);
+        expect(shouldPublish(last, telemetry(20), { maxIntervalMs: 60000 }, 59999)).toBe(false);
+        expect(shouldPublish(last, telemetry(20), { maxIntervalMs: 60000 }, 60000)).toBe(true);
+        expect(shouldPublish(last, telemetry(20), {}, 900000)).toBe(true);
+    });
+});
@@ -0,0 +1,91 @@
+const baApdu = require('bacstack/lib/apdu');
+const baBvlc = require('bacstack/lib/bvlc');
+const baEnum = require('bacstack/lib/enum');
+const baNpdu = require('bacstack/lib/npdu');
+const {
+    encodeMaxApdu,
+    decodeMaxApdu,
+    validateRequestOptions,
+    enableRequestSettings,
+    withRequestSettings
+} = require('../src/request_settings');
+
+describe('request_settings', () => {
+    let client;
+    let send;
+
+    beforeEach(() => {
+        send = jest.fn();
+        client = { _transport: { send }, _settings: { apduTimeout: 3000 } };
+        enableRequestSettings(client);
+    });
+
+    // A ReadProperty request header as bacstack encodes it: segmented responses accepted, 65+ segments, 1476 octets.
+    function confirmedRequest(destination) {
+        const buffer = { buffer: Buffer.alloc(64), offset: 4 };
+        baNpdu.encode(buffer, baEnum.NpduControlPriority.NORMAL_MESSAGE | baEnum.NpduControlBits.EXPECTING_REPLY, destination);
+        baApdu.encodeConfirmedServiceRequest(
+            buffer,
+            baEnum.PduTypes.CONFIRMED_REQUEST | baEnum.PduConReqBits.SEGMENTED_RESPONSE_ACCEPTED,
+            baEnum.ConfirmedServiceChoice.READ_PROPERTY,
+            baEnum.MaxSegmentsAccepted.SEGMENTS_65,
+            baEnum.MaxApduLengthAccepted.OCTETS_1476,
+            1,
+            0,
+            0
+        );
+        baBvlc.encode(buffer.buffer, baEnum.BvlcResultPurpose.ORIGINAL_UNICAST_NPDU, buffer.offset);
+        return buffer;
+    }
+
+    test('encodes and decodes max APDU lengths', () => {
+        expect(encodeMaxApdu(1476)).toBe(5);
+        expect(encodeMaxApdu(480)).toBe(3);
+        expect(encodeMaxApdu(500)).toBe(3);
+        expect(encodeMaxApdu(20)).toBe(0);
+        expect(decodeMaxApdu(1)).toBe(128);
+        expect(decodeMaxApdu(9)).toBe(1476);
+    });
+
+    test('validates device request options', () => {
+        expect(validateRequestOptions({ maxSegments: 0, maxApdu: 0, apduTimeoutMs: 15000, retries: 0 })).toEqual([]);
+        expect(validateRequestOptions([])).toEqual(['requestOptions must be an object.']);
+        expect(validateRequestOptions({ maxSegments: 100, maxApdu: 6, apduTimeoutMs: 0, retries: -1 })).toEqual([
+            'requestOptions.maxSegments must be one of 0, 16, 32, 48, 64, 80, 96, 112.',
+            'requestOptions.maxApdu must be one of 0, 1, 2, 3, 4, 5.',
+            'requestOptions.apduTimeoutMs must be a positive integer.',
+            'requestOptions.retries must be a non-negative integer.'
+        ]);
+    });
+
+    test('rewrites the confirmed request header and applies the timeout only while sending', () => {
+        const settings = { maxSegments: 0, maxApdu: 3, apduTimeoutMs: 20000 };
+        const timeouts = [];
+
+        withRequestSettings(client, settings, () => {
+            timeouts.push(client._settings.apduTimeout);
+            const request = confirmedRequest();
+            client._transport.send(request.buffer, request.offset, '10.0.0.5');
+        });
+
+        const [buffer] = send.mock.calls[0];
+        expect(Array.from(buffer.subarray(6, 9))).toEqual([0x00, 0x03, 0x01]);
+        expect(timeouts).toEqual([20000]);
+        expect(client._settings.apduTimeout).toBe(3000);
+
+        const later = confirmedRequest();
+        client._transport.send(later.buffer, later.offset, '10.0.0.5');
+        expect(Array.from(send.mock.calls[1][0].subarray(6, 8))).toEqual([0x02, 0x75]);
+    });
+
+    test('finds the APDU behind a routed NPDU header', () => {
+        withRequestSettings(client, { maxSegments: 16, maxApdu: 1, apduTimeoutMs: 3000 }, () => {
+            const request = confirmedRequest({ net: 5, adr: [7] });
+            client._transport.send(request.buffer, request.offset, '10.0.0.5');
+        });
+
+        // BVLC (4) + NPDU version, control, DNET (2), DLEN, DADR (1), hop count.
+        const [buffer] = send.mock.calls[0];
+        expect(Array.from(buffer.subarray(11, 13))).toEqual([0x02, 0x11]);
+    });
+});
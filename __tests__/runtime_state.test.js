@@ -92,6 +92,7 @@ describe('RuntimeState', () => {
         await state.saveObjectTelemetry('114', '2_202', {
             value: 21.5,
             name: 'Temp',
+            properties: { statusFlags: { inAlarm: false, fault: false, overridden: true, outOfService: false }, reliability: 0 },
             acquiredAt: Date.now(),
             publishedAt: Date.now(),
             freshnessMs: 5000,
@@ -102,8 +103,12 @@ describe('RuntimeState', () => {
         const rows = await state.listObjectStates('114');
 
         expect(rows).toHaveLength(2);
-        expect(rows[0]).toEqual(expect.objectContaining({ object_key: '2_201', value: true }));
+        expect(rows[0]).toEqual(expect.objectContaining({ object_key: '2_201', value: true, properties: {} }));
         expect(rows[1]).toEqual(expect.objectContaining({ object_key: '2_202', value: 21.5 }));
+        expect(rows[1].properties).toEqual({
+            statusFlags: { inAlarm: false, fault: false, overridden: true, outOfService: false },
+            reliability: 0
+        });
     });
 
     test('summarizes healthy, degraded, and open-circuit devices', async () => {
@@ -151,4 +156,288 @@ describe('RuntimeState', () => {
         await expect(state.get('SELECT 1')).rejects.toThrow('get failed');
         await expect(state.all('SELECT 1')).rejects.toThrow('all failed');
     });
+
+    test('adds missing columns to existing databases and lists poll history', async () => {
+        const sqlite3 = require('sqlite3');
+        await new Promise((resolve, reject) => {
+            const legacy = new sqlite3.Database(dbPath);
+            legacy.exec(`
+                CREATE TABLE poll_history (
+                    id INTEGER PRIMARY KEY AUTOINCREMENT,
+                    device_id TEXT NOT NULL,
+                    object_count INTEGER NOT NULL DEFAULT 0,
+                    success_count INTEGER NOT NULL DEFAULT 0,
+                    failure_count INTEGER NOT NULL DEFAULT 0,
+                    duration_ms INTEGER NOT NULL DEFAULT 0,
+                    status TEXT NOT NULL,
+                    error_class TEXT,
+                    created_at INTEGER NOT NULL
+                );
+            `, (err) => legacy.close(() => (err ? reject(err) : resolve())));
+        });
+
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        await state.recordPollHistory({ deviceId: '114', objectCount: 40, successCount: 40, durationMs: 120, requestCount: 2, status: 'success', createdAt: 1000 });
+        await state.recordPollHistory({ deviceId: '114', objectCount: 40, successCount: 40, durationMs: 95, requestCount: 2, status: 'success', createdAt: 2000 });
+
+        const history = await state.listPollHistory('114', 1);
+        expect(history).toHaveLength(1);
+        expect(history[0]).toEqual(expect.objectContaining({ request_count: 2, duration_ms: 95 }));
+    });
+
+    test('stores alarms, keeps notification detail across refreshes and clears recovered objects', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        await state.upsertAlarm({
+            deviceId: '114',
+            objectKey: '0_1',
+            objectType: 0,
+            objectInstance: 1,
+            eventState: 3,
+            eventStateLabel: 'high-limit',
+            priority: 100,
+            messageText: 'High supply temp',
+            ackRequired: true,
+            acknowledged: false,
+            eventTimestamp: 1000,
+            source: 'notification'
+        });
+        await state.upsertAlarm({
+            deviceId: '114',
+            objectKey: '3_4',
+            objectType: 3,
+            objectInstance: 4,
+            eventState: 1,
+            eventStateLabel: 'fault',
+            acknowledged: true,
+            source: 'event-information'
+        });
+        const refreshed = await state.upsertAlarm({
+            deviceId: '114',
+            objectKey: '0_1',
+            objectType: 0,
+            objectInstance: 1,
+            eventState: 3,
+            eventStateLabel: 'high-limit',
+            acknowledged: false,
+            source: 'alarm-summary'
+        });
+
+        expect(refreshed).toEqual(expect.objectContaining({
+            messageText: 'High supply temp',
+            priority: 100,
+            eventTimestamp: 1000,
+            active: true,
+            ackRequired: true,
+            acknowledged: false,
+            source: 'alarm-summary'
+        }));
+
+        const acked = await state.markAlarmAcknowledged('114', '0_1', 'operator', 2000);
+        expect(acked).toEqual(expect.objectContaining({ acknowledged: true, acknowledgedBy: 'operator', acknowledgedAt: 2000 }));
+        expect(await state.getMetricsSummary()).toEqual(expect.objectContaining({ activeAlarms: 2, unacknowledgedAlarms: 0 }));
+
+        const cleared = await state.clearAlarmsExcept('114', ['0_1']);
+        expect(cleared).toEqual([expect.objectContaining({ objectKey: '3_4', eventState: 0, active: false })]);
+        expect(await state.listAlarms({ deviceId: '114', activeOnly: true })).toEqual([
+            expect.objectContaining({ objectKey: '0_1' })
+        ]);
+        expect(await state.listAlarms({ deviceId: '999' })).toEqual([]);
+    });
+
+    test('stores trend records once and filters them by time', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        const records = [
+            { sequenceNumber: 7, timestamp: 1000, datumType: 'real', value: 21.5, statusFlags: { inAlarm: false } },
+            { sequenceNumber: 8, timestamp: 2000, datumType: 'real', value: 22, statusFlags: null }
+        ];
+        expect(await state.getLatestTrendRecord('114', '20_1')).toBeNull();
+        expect(await state.saveTrendRecords('114', '20_1', records)).toBe(2);
+        expect(await state.saveTrendRecords('114', '20_1', records)).toBe(0);
+
+        expect(await state.getLatestTrendRecord('114', '20_1')).toEqual({ sequenceNumber: 8, timestamp: 2000 });
+        expect(await state.listTrendRecords('114', '20_1')).toEqual([
+            { deviceId: '114', objectKey: '20_1', sequenceNumber: 8, timestamp: 2000, datumType: 'real', value: 22, statusFlags: null },
+            { deviceId: '114', objectKey: '20_1', sequenceNumber: 7, timestamp: 1000, datumType: 'real', value: 21.5, statusFlags: { inAlarm: false } }
+        ]);
+        expect(await state.listTrendRecords('114', '20_1', { from: 1500 })).toHaveLength(1);
+        expect(await state.listTrendRecords('114', '20_1', { to: 1500, limit: 1 })).toEqual([
+            expect.objectContaining({ sequenceNumber: 7 })
+        ]);
+    });
+
+    test('keeps the first-seen time of rediscovered devices and filters the registry', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        await state.upsertDiscoveredDevice({ deviceId: 114, address: '192.168.1.10', displayAddress: '192.168.1.10', network: null, vendorId: 7, maxApdu: 480, segmentation: 3, seenAt: 1000 });
+        await state.upsertDiscoveredDevice({ deviceId: 2001013, address: { ip: '192.168.1.1', network: 2001, mac: 13 }, displayAddress: '192.168.1.1@2001:13', network: 2001, vendorId: 260, maxApdu: 206, segmentation: 0, seenAt: 1500 });
+        await state.upsertDiscoveredDevice({ deviceId: 114, address: '192.168.1.11', displayAddress: '192.168.1.11', network: null, vendorId: 7, maxApdu: 1476, segmentation: 0, seenAt: 3000 });
+
+        expect(await state.listDiscoveredDevices()).toEqual([
+            { deviceId: '114', address: '192.168.1.11', displayAddress: '192.168.1.11', network: null, vendorId: 7, maxApdu: 1476, segmentation: 0, firstSeenAt: 1000, lastSeenAt: 3000 },
+            { deviceId: '2001013', address: { ip: '192.168.1.1', network: 2001, mac: 13 }, displayAddress: '192.168.1.1@2001:13', network: 2001, vendorId: 260, maxApdu: 206, segmentation: 0, firstSeenAt: 1500, lastSeenAt: 1500 }
+        ]);
+        expect(await state.listDiscoveredDevices({ network: 2001 })).toEqual([expect.objectContaining({ deviceId: '2001013' })]);
+        expect(await state.listDiscoveredDevices({ vendorId: 7 })).toEqual([expect.objectContaining({ deviceId: '114' })]);
+        expect(await state.listDiscoveredDevices({ address: '192.168.1.1@' })).toEqual([expect.objectContaining({ deviceId: '2001013' })]);
+        expect(await state.listDiscoveredDevices({ seenSince: 2000 })).toEqual([expect.objectContaining({ deviceId: '114' })]);
+        expect(await state.listDiscoveredDevices({ limit: 1 })).toHaveLength(1);
+    });
+
+    test('stores device profiles and replaces them on the next read', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        const profile = {
+            vendorName: 'Acme Controls',
+            modelName: 'AC-500',
+            firmwareRevision: '2.4.1',
+            applicationSoftwareVersion: 'app 7',
+            protocolServicesSupported: ['readProperty', 'readPropertyMultiple'],
+            maxApduLengthAccepted: 480,
+            segmentationSupported: 3,
+            databaseRevision: 12,
+            readAt: 1000
+        };
+        await state.saveDeviceProfile('114', profile);
+        await state.saveDeviceProfile('200', { vendorName: 'Other', readAt: 1500 });
+        await state.saveDeviceProfile('114', { ...profile, firmwareRevision: '2.5.0', databaseRevision: null, readAt: 2000 });
+
+        expect(await state.listDeviceProfiles()).toEqual([
+            { deviceId: '114', ...profile, firmwareRevision: '2.5.0', databaseRevision: null, readAt: 2000 },
+            {
+                deviceId: '200',
+                vendorName: 'Other',
+                modelName: null,
+                firmwareRevision: null,
+                applicationSoftwareVersion: null,
+                protocolServicesSupported: null,
+                maxApduLengthAccepted: null,
+                segmentationSupported: null,
+                databaseRevision: null,
+                readAt: 1500
+            }
+        ]);
+    });
+
+    test('stores the state label of an object value', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        await state.saveObjectTelemetry('114', '19_1', { value: 3, valueLabel: 'Auto', name: 'Fan Mode', acquiredAt: 1000 });
+        await state.saveObjectTelemetry('114', '2_202', { value: 21.5, valueLabel: null, name: 'Temp', acquiredAt: 1000 });
+
+        expect(await state.getLatestObjectState('114', '19_1')).toEqual(expect.objectContaining({ value: 3, value_label: 'Auto' }));
+        expect(await state.getLatestObjectState('114', '2_202')).toEqual(expect.objectContaining({ value: 21.5, value_label: null }));
+    });
+
+    test('stores the units of an object value', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        await state.saveObjectTelemetry('114', '2_202', { value: 21.5, units: 62, unitsSymbol: '°C', name: 'Temp', acquiredAt: 1000 });
+        await state.saveObjectTelemetry('114', '5_1', { value: 1, units: null, unitsSymbol: null, name: 'Fan', acquiredAt: 1000 });
+
+        expect(await state.getLatestObjectState('114', '2_202')).toEqual(expect.objectContaining({ units: 62, units_symbol: '°C' }));
+        expect(await state.getLatestObjectState('114', '5_1')).toEqual(expect.objectContaining({ units: null, units_symbol: null }));
+    });
+
+    test('keeps one pending override release per priority slot', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        const override = {
+            deviceId: '114',
+            objectKey: '4_1',
+            objectType: 4,
+            objectInstance: 1,
+            propertyId: 85,
+            priority: 8,
+            value: 1,
+            releaseAt: 5000,
+            createdAt: 1000
+        };
+        await state.saveTimedOverride(override);
+        await state.saveTimedOverride({ ...override, objectKey: '2_3', objectType: 2, objectInstance: 3, value: 21.5, releaseAt: 3000 });
+        await state.saveTimedOverride({ ...override, deviceId: '200', releaseAt: 4000 });
+        await state.saveTimedOverride({ ...override, value: 0, releaseAt: 9000, attempts: 2, lastError: 'ERR_TIMEOUT' });
+
+        expect(await state.listTimedOverrides({ deviceId: 114 })).toEqual([
+            { ...override, objectKey: '2_3', objectType: 2, objectInstance: 3, value: 21.5, releaseAt: 3000, attempts: 0, lastError: null },
+            { ...override, value: 0, releaseAt: 9000, attempts: 2, lastError: 'ERR_TIMEOUT' }
+        ]);
+        expect((await state.listTimedOverrides()).map((entry) => entry.releaseAt)).toEqual([3000, 4000, 9000]);
+
+        expect(await state.deleteTimedOverride('114', '4_1', 85, 8)).toBe(true);
+        expect(await state.deleteTimedOverride('114', '4_1', 85, 8)).toBe(false);
+        expect(await state.listTimedOverrides({ deviceId: '114' })).toHaveLength(1);
+    });
+
+    test('stores write schedules and keeps a bounded run history', async () => {
+        const { RuntimeState } = require('../src/runtime_state');
+        const state = new RuntimeState();
+        await state.init();
+
+        const schedule = {
+            name: 'Occupied setpoint',
+            deviceId: 114,
+            objectType: 2,
+            objectInstance: 3,
+            propertyId: 85,
+            value: 21,
+            priority: 10,
+            bacnetApplicationTag: null,
+            durationMs: null,
+            cron: '0 7 * * 1-5',
+            runAt: null,
+            enabled: true
+        };
+        const id = await state.saveWriteSchedule(schedule);
+        const otherId = await state.saveWriteSchedule({ ...schedule, name: 'Unoccupied', value: null, cron: null, runAt: 5000 });
+
+        expect(await state.getWriteSchedule(id)).toEqual(expect.objectContaining({
+            ...schedule,
+            id,
+            deviceId: '114',
+            lastRunAt: null,
+            lastStatus: null
+        }));
+        expect(await state.saveWriteSchedule({ ...schedule, id, enabled: false })).toBe(id);
+        expect((await state.getWriteSchedule(id)).enabled).toBe(false);
+        expect(await state.setWriteScheduleEnabled(id, true)).toBe(true);
+        expect((await state.listWriteSchedules()).map((entry) => [entry.id, entry.enabled, entry.value])).toEqual([[id, true, 21], [otherId, true, null]]);
+
+        for (const startedAt of [1000, 2000, 3000]) {
+            await state.recordScheduleRun({ scheduleId: id, trigger: 'schedule', status: 'success', value: 21, priority: 10, startedAt, finishedAt: startedAt + 5 }, 2);
+        }
+        await state.recordScheduleRun({ scheduleId: otherId, trigger: 'manual', status: 'error', value: null, error: 'timeout', policy: null, startedAt: 4000 }, 2);
+
+        expect(await state.listScheduleRuns(id)).toEqual([
+            expect.objectContaining({ scheduleId: id, trigger: 'schedule', status: 'success', value: 21, priority: 10, startedAt: 3000, finishedAt: 3005 }),
+            expect.objectContaining({ startedAt: 2000 })
+        ]);
+        expect(await state.getWriteSchedule(id)).toEqual(expect.objectContaining({ lastRunAt: 3000, lastStatus: 'success' }));
+        expect(await state.listScheduleRuns(otherId, 1)).toEqual([
+            expect.objectContaining({ trigger: 'manual', status: 'error', value: null, error: 'timeout' })
+        ]);
+
+        expect(await state.deleteWriteSchedule(id)).toBe(true);
+        expect(await state.deleteWriteSchedule(id)).toBe(false);
+        expect(await state.getWriteSchedule(id)).toBeNull();
+        expect(await state.listScheduleRuns(id)).toEqual([]);
+    });
 });
@@ -0,0 +1,114 @@
+process.env.NODE_CONFIG_STRICT_MODE = '0';
+process.env.NODE_ENV = 'development';
+
+const { ScanJobManager } = require('../src/scan_jobs');
+
+describe('ScanJobManager', () => {
+    const device = { deviceId: 114, address: '192.168.1.20' };
+    const zoneTemp = { objectId: { type: 2, instance: 1 }, name: 'Zone Temp' };
+    const fanState = { objectId: { type: 3, instance: 2 }, name: 'Fan State' };
+
+    // A scanDevice mock whose scans are finished by hand.
+    function createBacnetClient() {
+        const scans = [];
+        return {
+            scans,
+            scanDevice: jest.fn((_device, options) => new Promise((resolve, reject) => {
+                scans.push({ options, resolve, reject });
+            })),
+            saveScannedConfig: jest.fn().mockResolvedValue(undefined)
+        };
+    }
+
+    test('reports progress and partial results, then the full result', async () => {
+        const bacnetClient = createBacnetClient();
+        const jobs = new ScanJobManager(bacnetClient);
+
+        const started = jobs.start(device);
+        expect(started).toEqual(expect.objectContaining({ deviceId: '114', status: 'running', objectsRead: 0, totalObjects: null, objects: [] }));
+        expect(bacnetClient.scanDevice).toHaveBeenCalledWith(device, expect.objectContaining({ signal: expect.any(Object) }));
+
+        const { options, resolve } = bacnetClient.scans[0];
+        options.onProgress({ objectsRead: 0, totalObjects: 2, object: null });
+        options.onProgress({ objectsRead: 1, totalObjects: 2, object: fanState });
+        expect(jobs.get(started.id)).toEqual(expect.objectContaining({ status: 'running', objectsRead: 1, totalObjects: 2, objectCount: 1, objects: [fanState] }));
+
+        options.onProgress({ objectsRead: 2, totalObjects: 2, object: zoneTemp });
+        resolve([zoneTemp, fanState]);
+        await new Promise((done) => setImmediate(done));
+
+        const job = jobs.get(started.id);
+        expect(job).toEqual(expect.objectContaining({ status: 'completed', objectsRead: 2, objects: [zoneTemp, fanState], error: null }));
+        expect(job.finishedAt).toEqual(expect.any(Number));
+        expect(jobs.list()).toEqual([expect.not.objectContaining({ objects: expect.anything() })]);
+        expect(bacnetClient.saveScannedConfig).not.toHaveBeenCalled();
+    });
+
+    test('runs one scan per device and saves the config of a completed scan when asked', async () => {
+        const bacnetClient = createBacnetClient();
+        const jobs = new ScanJobManager(bacnetClient);
+
+        const started = jobs.start(device, { saveConfig: true });
+        expect(jobs.start({ ...device, deviceId: '114' })).toBeNull();
+        expect(jobs.findRunning(114)).toEqual(expect.objectContaining({ id: started.id }));
+
+        bacnetClient.scans[0].resolve([zoneTemp]);
+        await new Promise((done) => setImmediate(done));
+
+        expect(bacnetClient.saveScannedConfig).toHaveBeenCalledWith(device, [zoneTemp]);
+        expect(jobs.start(device)).not.toBeNull();
+    });
+
+    test('does not cancel a scan whose config is being saved', async () => {
+        const bacnetClient = createBacnetClient();
+        let finishSave;
+        bacnetClient.saveScannedConfig.mockReturnValue(new Promise((resolve) => {
+            finishSave = resolve;
+        }));
+        const jobs = new ScanJobManager(bacnetClient);
+        const started = jobs.start(device, { saveConfig: true });
+
+        bacnetClient.scans[0].resolve([zoneTemp]);
+        await new Promise((done) => setImmediate(done));
+        expect(jobs.cancel(started.id)).toEqual(expect.objectContaining({ status: 'running' }));
+        expect(bacnetClient.scans[0].options.signal.aborted).toBe(false);
+
+        finishSave();
+        await new Promise((done) => setImmediate(done));
+        expect(jobs.get(started.id)).toEqual(expect.objectContaining({ status: 'completed', objects: [zoneTemp] }));
+    });
+
+    test('cancels a running scan and keeps the objects read so far', async () => {
+        const bacnetClient = createBacnetClient();
+        const jobs = new ScanJobManager(bacnetClient);
+        const started = jobs.start(device, { saveConfig: true });
+        const { options, reject } = bacnetClient.scans[0];
+        options.onProgress({ objectsRead: 1, totalObjects: 3, object: zoneTemp });
+
+        const cancelled = jobs.cancel(started.id);
+
+        expect(options.signal.aborted).toBe(true);
+        expect(cancelled).toEqual(expect.objectContaining({ status: 'cancelled', objectsRead: 1, objects: [zoneTemp] }));
+        reject(options.signal.reason);
+        await new Promise((done) => setImmediate(done));
+        expect(jobs.get(started.id)).toEqual(expect.objectContaining({ status: 'cancelled', error: null }));
+        expect(jobs.cancel(started.id).status).toBe('cancelled');
+        expect(jobs.cancel('unknown')).toBeNull();
+        expect(bacnetClient.saveScannedConfig).not.toHaveBeenCalled();
+    });
+
+    test('records failed scans and drops finished jobs after the retention time', async () => {
+        const bacnetClient = createBacnetClient();
+        const jobs = new ScanJobManager(bacnetClient);
+        jobs.retainMs = 1000;
+        const started = jobs.start(device);
+
+        bacnetClient.scans[0].reject(new Error('ERR_TIMEOUT'));
+        await new Promise((done) => setImmediate(done));
+        const failed = jobs.get(started.id);
+        expect(failed).toEqual(expect.objectContaining({ status: 'failed', error: 'ERR_TIMEOUT' }));
+
+        jobs._prune(failed.finishedAt + 1001);
+        expect(jobs.get(started.id)).toBeNull();
+    });
+});
@@ -16,6 +16,7 @@ describe('Server helper methods', () => {
                 post: jest.fn(),
                 get: jest.fn(),
                 put: jest.fn(),
+                delete: jest.fn(),
                 listen: jest.fn()
             };
             const express = () => expressApp;
@@ -67,8 +68,9 @@ describe('Server helper methods', () => {
         const bacnetClient = {};
         const mqttClient = {};
         const authService = {};
+        const writeScheduler = {};
 
-        new Server(bacnetClient, mqttClient, authService);
+        const server = new Server(bacnetClient, mqttClient, authService, writeScheduler);
 
         expect(rateLimitMock).toHaveBeenCalledWith(expect.objectContaining({
             windowMs: 15 * 60 * 1000,
@@ -83,6 +85,11 @@ describe('Server helper methods', () => {
         expect(expressApp.get).toHaveBeenCalledWith('/metrics', expect.any(Function));
         expect(expressApp.get).toHaveBeenCalledWith('/api/bacnet/runtime-objects/:deviceId', expect.any(Function), expect.any(Function), expect.any(Function));
         expect(expressApp.put).toHaveBeenCalledWith('/api/bacnet/write', expect.any(Function), expect.any(Function), expect.any(Function));
+        expect(expressApp.post).toHaveBeenCalledWith('/api/bacnet/schedules', expect.any(Function), expect.any(Function), expect.any(Function));
+        expect(expressApp.delete).toHaveBeenCalledWith('/api/bacnet/schedules/:id', expect.any(Function), expect.any(Function), expect.any(Function));
+        expect(server.writeScheduler).toBe(writeScheduler);
+        expect(expressApp.put).toHaveBeenCalledWith('/api/bacnet/scan-jobs/:id/cancel', expect.any(Function), expect.any(Function), expect.any(Function));
+        expect(server.scanJobs.bacnetClient).toBe(bacnetClient);
         expect(expressApp.listen).toHaveBeenCalledWith(8082, expect.any(Function));
         expressApp.listen.mock.calls[0][1]();
     });
@@ -116,29 +123,45 @@ describe('Server helper methods', () => {
         expect(buildOpenApiDocument(document, '').servers).toEqual(document.servers);
     });
 
-    test('scanForDevices collects discovered devices and responds after timeout', () => {
-        jest.useFakeTimers();
-        const { EventEmitter } = require('events');
-        const bacnetClient = new EventEmitter();
-        bacnetClient.scanForDevices = jest.fn(() => {
-            bacnetClient.emit('deviceFound', { deviceId: 1, address: '10.0.0.1' });
-            bacnetClient.emit('deviceFound', { deviceId: 2, address: '10.0.0.2' });
-        });
-        const removeListenerSpy = jest.spyOn(bacnetClient, 'removeListener');
+    test('scanForDevices passes range, target and window to the client and returns the collected devices', async () => {
         const server = Object.create(Server.prototype);
-        server.bacnetClient = bacnetClient;
-        const res = createResponse();
-
-        server._scanForDevices({}, res);
-        jest.advanceTimersByTime(5000);
+        const devices = [{ deviceId: 1200, address: '10.0.0.1' }];
+        server.bacnetClient = { scanForDevices: jest.fn().mockResolvedValue(devices) };
+
+        let res = createResponse();
+        await server._scanForDevices({}, res);
+        expect(server.bacnetClient.scanForDevices).toHaveBeenCalledWith({});
+        expect(res.payload).toEqual(devices);
+
+        res = createResponse();
+        await server._scanForDevices({ body: { lowLimit: 1000, highLimit: '1999', address: ' 10.0.255.255 ', durationMs: 10000 } }, res);
+        expect(server.bacnetClient.scanForDevices).toHaveBeenLastCalledWith({ lowLimit: 1000, highLimit: 1999, address: '10.0.255.255', durationMs: 10000 });
+        expect(res.payload).toEqual(devices);
+
+        server.bacnetClient.scanForDevices.mockRejectedValueOnce(new Error('socket closed'));
+        res = createResponse();
+        await server._scanForDevices({ body: {} }, res);
+        expect(res.statusCode).toBe(500);
+    });
 
-        expect(bacnetClient.scanForDevices).toHaveBeenCalled();
-        expect(removeListenerSpy).toHaveBeenCalledWith('deviceFound', expect.any(Function));
-        expect(res.payload).toEqual([
-            { deviceId: 1, address: '10.0.0.1' },
-            { deviceId: 2, address: '10.0.0.2' }
-        ]);
-        jest.useRealTimers();
+    test('scanForDevices rejects invalid Who-Is options', async () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = { scanForDevices: jest.fn() };
+        const cases = [
+            [{ lowLimit: 10 }, 'lowLimit and highLimit must be given together.'],
+            [{ lowLimit: 20, highLimit: 10 }, 'lowLimit must not be greater than highLimit.'],
+            [{ lowLimit: -1, highLimit: 10 }, 'lowLimit must be a device instance between 0 and 4194303.'],
+            [{ lowLimit: 0, highLimit: 4194304 }, 'highLimit must be a device instance between 0 and 4194303.'],
+            [{ address: { ip: '10.0.0.1' } }, 'address must be the IP address of a device or a directed broadcast address.'],
+            [{ durationMs: 100 }, 'durationMs must be between 1000 and 60000.']
+        ];
+        for (const [body, message] of cases) {
+            const res = createResponse();
+            await server._scanForDevices({ body }, res);
+            expect(res.statusCode).toBe(400);
+            expect(res.payload).toEqual({ status: 'error', message });
+        }
+        expect(server.bacnetClient.scanForDevices).not.toHaveBeenCalled();
     });
 
     test('health includes runtime summary and degraded status', async () => {
@@ -167,6 +190,42 @@ describe('Server helper methods', () => {
         expect(res.payload.runtime.openCircuits).toBe(1);
     });
 
+    test('health is degraded while the BBMD registration is missing', async () => {
+        const server = Object.create(Server.prototype);
+        server.mqttClient = {
+            getStatus: () => ({ connected: true })
+        };
+        const foreignDevice = { enabled: true, registered: false, state: 'failed', failures: 3 };
+        server.bacnetClient = {
+            getStatus: () => ({ configuredDevices: 1, foreignDevice }),
+            runtimeState: {
+                getMetricsSummary: jest.fn().mockResolvedValue({
+                    configuredDevices: 1,
+                    healthyDevices: 1,
+                    degradedDevices: 0,
+                    openCircuits: 0,
+                    staleObjects: 0
+                })
+            }
+        };
+        let res = createResponse();
+
+        await server._health({}, res);
+
+        expect(res.payload.status).toBe('degraded');
+        expect(res.payload.bacnet.foreignDevice.state).toBe('failed');
+
+        res = createResponse();
+        await server._metrics({}, res);
+        expect(res.payload).toContain('bacnet_gateway_bbmd_registered 0');
+        expect(res.payload).toContain('bacnet_gateway_bbmd_registration_failures_total 3');
+
+        foreignDevice.registered = true;
+        res = createResponse();
+        await server._health({}, res);
+        expect(res.payload.status).toBe('ok');
+    });
+
     test('metrics exports polling and runtime gauges', async () => {
         const server = Object.create(Server.prototype);
         server.mqttClient = {
@@ -180,7 +239,11 @@ describe('Server helper methods', () => {
                 failedPolls: 2,
                 totalObjectsRead: 20,
                 totalObjectFailures: 3,
-                avgPollDurationMs: 45
+                avgPollDurationMs: 45,
+                totalRequests: 4,
+                covSubscriptions: 12,
+                eventNotifications: 5,
+                trendRecordsStored: 9
             }),
             runtimeState: {
                 getMetricsSummary: jest.fn().mockResolvedValue({
@@ -188,7 +251,9 @@ describe('Server helper methods', () => {
                     healthyDevices: 3,
                     degradedDevices: 1,
                     openCircuits: 1,
-                    staleObjects: 6
+                    staleObjects: 6,
+                    activeAlarms: 2,
+                    unacknowledgedAlarms: 1
                 })
             }
         };
@@ -200,6 +265,12 @@ describe('Server helper methods', () => {
         expect(res.payload).toContain('bacnet_gateway_open_circuits 1');
         expect(res.payload).toContain('bacnet_gateway_poll_total 10');
         expect(res.payload).toContain('bacnet_gateway_mqtt_publish_success_total 7');
+        expect(res.payload).toContain('bacnet_gateway_poll_requests_total 4');
+        expect(res.payload).toContain('bacnet_gateway_cov_subscriptions 12');
+        expect(res.payload).toContain('bacnet_gateway_active_alarms 2');
+        expect(res.payload).toContain('bacnet_gateway_unacknowledged_alarms 1');
+        expect(res.payload).toContain('bacnet_gateway_trend_records_stored_total 9');
+        expect(res.payload).toContain('bacnet_gateway_event_notifications_total 5');
     });
 
     test('configure polling accepts class-based polling config', () => {
@@ -238,7 +309,8 @@ describe('Server helper methods', () => {
                     polling: { schedule: '*/15 * * * * *', class: 'fast', intervalMs: 1000, freshnessMs: 2000 },
                     objects: [{ objectId: { type: 2, instance: 202 }, name: 'Zone Temp', description: 'Room temperature' }]
                 }
-            ]])
+            ]]),
+            getDeviceProfile: jest.fn(() => ({ deviceId: '114', vendorName: 'Acme Controls', modelName: 'AC-500' }))
         };
         const res = createResponse();
 
@@ -249,8 +321,10 @@ describe('Server helper methods', () => {
             pollClass: 'fast',
             intervalMs: 1000,
             freshnessMs: 2000,
-            objectCount: 1
+            objectCount: 1,
+            profile: { deviceId: '114', vendorName: 'Acme Controls', modelName: 'AC-500' }
         });
+        expect(server.bacnetClient.getDeviceProfile).toHaveBeenCalledWith('114');
         expect(res.payload[0].objects).toEqual([{
             objectKey: '2_202',
             objectType: 2,
@@ -351,6 +425,30 @@ describe('Server helper methods', () => {
         ]));
     });
 
+    test('configure polling rejects unknown acquisition modes', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const req = {
+            body: {
+                device: { deviceId: 114, address: '192.168.1.10' },
+                polling: { class: 'slow', mode: 'push' },
+                objects: [{ objectId: { type: 0, instance: 1 }, polling: { mode: 'cov', covProperty: 'pv' } }]
+            }
+        };
+        const res = createResponse();
+
+        server._configurePolling(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'polling.mode must be "poll" or "cov".',
+            'objects[0].polling.covProperty must be a numeric BACnet property ID.'
+        ]);
+    });
+
     test('writeProperty returns 404 when device config is missing', async () => {
         const server = Object.create(Server.prototype);
         server.bacnetClient = {
@@ -386,6 +484,7 @@ describe('Server helper methods', () => {
         const server = Object.create(Server.prototype);
         server.bacnetClient = {
             deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
             writeProperty: jest.fn().mockRejectedValue(new Error('write failed'))
         };
         const res = createResponse();
@@ -402,7 +501,10 @@ describe('Server helper methods', () => {
         const server = Object.create(Server.prototype);
         server.bacnetClient = {
             deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
-            writeProperty: jest.fn().mockResolvedValue({ ok: true })
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
+            writeProperty: jest.fn().mockResolvedValue({ ok: true }),
+            trackTimedOverride: jest.fn().mockResolvedValue(null),
+            shouldVerifyWrite: jest.fn(() => false)
         };
         const res = createResponse();
 
@@ -424,7 +526,8 @@ describe('Server helper methods', () => {
             85,
             1,
             8,
-            4
+            4,
+            '114'
         );
         expect(res.statusCode).toBe(200);
     });
@@ -569,7 +672,7 @@ describe('Server helper methods', () => {
             scanDevice: jest.fn()
                 .mockResolvedValueOnce([{ objectId: { type: 2, instance: 202 } }])
                 .mockRejectedValueOnce(new Error('scan failed')),
-            saveConfig: jest.fn(),
+            saveConfig: jest.fn().mockResolvedValue(),
             startPolling: jest.fn()
         };
 
@@ -577,6 +680,11 @@ describe('Server helper methods', () => {
         server._scanDevice({ body: {}, query: {} }, invalidRes);
         expect(invalidRes.statusCode).toBe(400);
 
+        const invalidAddressRes = createResponse();
+        server._scanDevice({ body: { deviceId: 114, address: { ip: '192.168.1.1', network: 2001 } }, query: {} }, invalidAddressRes);
+        expect(invalidAddressRes.statusCode).toBe(400);
+        expect(invalidAddressRes.payload.message).toBe('address.mac must be a byte (0-255) or an array of bytes.');
+
         const saveRes = createResponse();
         server._scanDevice({
             body: { deviceId: 114, address: '192.168.1.10' },
@@ -595,6 +703,15 @@ describe('Server helper methods', () => {
         await new Promise((resolve) => setImmediate(resolve));
         expect(errRes.statusCode).toBe(500);
         expect(errRes.payload.message).toBe('Failed to scan device');
+
+        // A failed save is logged; the scanned objects have been sent already.
+        server.bacnetClient.scanDevice.mockResolvedValueOnce([]);
+        server.bacnetClient.saveConfig.mockRejectedValueOnce(new Error('disk full'));
+        const failedSaveRes = createResponse();
+        server._scanDevice({ body: { deviceId: 116, address: '192.168.1.12' }, query: { saveConfig: 'true' } }, failedSaveRes);
+        await new Promise((resolve) => setImmediate(resolve));
+        expect(failedSaveRes.payload).toEqual([]);
+        expect(require('../src/common').logger.log).toHaveBeenCalledWith('error', '[API] Failed to save the scanned config of device 116: disk full');
     });
 
     test('register validates required fields and returns created user', async () => {
@@ -625,4 +742,705 @@ describe('Server helper methods', () => {
         expect(res.statusCode).toBe(400);
         expect(res.payload.details).toBe('duplicate username');
     });
+
+    test('readPriorityArray validates input, resolves device address, and reports failures', async () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { deviceId: 114, address: '192.168.1.10' } }]]),
+            readPriorityArray: jest.fn().mockResolvedValue({ activePriority: 8, priorityArray: [] })
+        };
+
+        let res = createResponse();
+        await server._readPriorityArray({ params: { deviceId: '114', objectType: 'x', objectInstance: '1' } }, res);
+        expect(res.statusCode).toBe(400);
+
+        res = createResponse();
+        await server._readPriorityArray({ params: { deviceId: '999', objectType: '2', objectInstance: '1' } }, res);
+        expect(res.statusCode).toBe(404);
+
+        res = createResponse();
+        await server._readPriorityArray({ params: { deviceId: '114', objectType: '2', objectInstance: '1' } }, res);
+        expect(server.bacnetClient.readPriorityArray).toHaveBeenCalledWith('192.168.1.10', { type: 2, instance: 1 });
+        expect(res.payload).toEqual({ deviceId: '114', activePriority: 8, priorityArray: [] });
+
+        server.bacnetClient.readPriorityArray.mockRejectedValueOnce(new Error('not commandable'));
+        res = createResponse();
+        await server._readPriorityArray({ params: { deviceId: '114', objectType: '0', objectInstance: '1' } }, res);
+        expect(res.statusCode).toBe(500);
+        expect(res.payload.details).toBe('not commandable');
+    });
+
+    test('alarm routes list, refresh and acknowledge alarms', async () => {
+        const server = Object.create(Server.prototype);
+        const alarm = { deviceId: '114', objectKey: '0_1', eventState: 3, acknowledged: false };
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { deviceId: 114, address: '192.168.1.10' } }]]),
+            listAlarms: jest.fn().mockResolvedValue([alarm]),
+            refreshAlarms: jest.fn().mockResolvedValue([alarm]),
+            getAlarm: jest.fn().mockResolvedValue(alarm),
+            acknowledgeAlarm: jest.fn().mockResolvedValue({ ...alarm, acknowledged: true })
+        };
+
+        let res = createResponse();
+        await server._listAlarms({ query: { deviceId: '114', activeOnly: 'true' } }, res);
+        expect(server.bacnetClient.listAlarms).toHaveBeenCalledWith({ deviceId: '114', activeOnly: true });
+        expect(res.payload).toEqual([alarm]);
+
+        res = createResponse();
+        await server._refreshAlarms({ params: { deviceId: '999' } }, res);
+        expect(res.statusCode).toBe(404);
+
+        server.bacnetClient.refreshAlarms.mockRejectedValueOnce(new Error('BacnetAbort - Reason:9'));
+        res = createResponse();
+        await server._refreshAlarms({ params: { deviceId: '114' } }, res);
+        expect(res.statusCode).toBe(500);
+        expect(res.payload.details).toBe('BacnetAbort - Reason:9');
+
+        res = createResponse();
+        await server._acknowledgeAlarm({ params: { deviceId: '114', objectKey: '0_1' }, body: { ackText: 5 } }, res);
+        expect(res.statusCode).toBe(400);
+
+        server.bacnetClient.getAlarm.mockResolvedValueOnce(null);
+        res = createResponse();
+        await server._acknowledgeAlarm({ params: { deviceId: '114', objectKey: '9_9' }, body: {} }, res);
+        expect(res.statusCode).toBe(404);
+
+        res = createResponse();
+        await server._acknowledgeAlarm({
+            params: { deviceId: '114', objectKey: '0_1' },
+            body: { ackText: 'on site' },
+            user: { username: 'admin' }
+        }, res);
+        expect(server.bacnetClient.acknowledgeAlarm).toHaveBeenCalledWith('114', '0_1', 'on site', 'admin');
+        expect(res.payload).toEqual({ status: 'success', alarm: expect.objectContaining({ acknowledged: true }) });
+    });
+
+    test('trend log routes validate input, read logs and list stored records', async () => {
+        const server = Object.create(Server.prototype);
+        const record = { deviceId: '114', objectKey: '20_1', sequenceNumber: 7, timestamp: 1000, datumType: 'real', value: 21.5 };
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { deviceId: 114, address: '192.168.1.10' } }]]),
+            listTrendRecords: jest.fn().mockResolvedValue([record]),
+            readTrendLog: jest.fn().mockResolvedValue({ deviceId: '114', objectKey: '20_1', recordsRead: 1, recordsStored: 1, records: [record] })
+        };
+
+        let res = createResponse();
+        await server._listTrendRecords({ params: { deviceId: '114', objectKey: '20_1' }, query: { from: '500', limit: '10' } }, res);
+        expect(server.bacnetClient.listTrendRecords).toHaveBeenCalledWith('114', '20_1', { from: 500, limit: 10 });
+        expect(res.payload).toEqual([record]);
+
+        res = createResponse();
+        await server._listTrendRecords({ params: { deviceId: '114', objectKey: '20_1' }, query: { to: 'soon' } }, res);
+        expect(res.statusCode).toBe(400);
+
+        res = createResponse();
+        await server._readTrendLog({ params: { deviceId: '114', objectKey: 'trend' }, body: {} }, res);
+        expect(res.statusCode).toBe(400);
+
+        res = createResponse();
+        await server._readTrendLog({ params: { deviceId: '999', objectKey: '20_1' }, body: {} }, res);
+        expect(res.statusCode).toBe(404);
+
+        res = createResponse();
+        await server._readTrendLog({ params: { deviceId: '114', objectKey: '20_1' }, body: { replay: true, maxRecords: 100 } }, res);
+        expect(server.bacnetClient.readTrendLog).toHaveBeenCalledWith('114', { type: 20, instance: 1 }, { replay: true, maxRecords: 100 });
+        expect(res.payload).toEqual(expect.objectContaining({ recordsStored: 1 }));
+
+        server.bacnetClient.readTrendLog.mockRejectedValueOnce(new Error('BacnetError - Class:2 - Code:31'));
+        res = createResponse();
+        await server._readTrendLog({ params: { deviceId: '114', objectKey: '20_1' }, body: {} }, res);
+        expect(res.statusCode).toBe(500);
+        expect(res.payload.details).toBe('BacnetError - Class:2 - Code:31');
+    });
+
+    test('configure polling validates trend log entries', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const req = {
+            body: {
+                device: { deviceId: 114, address: '192.168.1.10' },
+                polling: { class: 'slow', trendLogs: [{ objectId: { type: 20 } }, { objectId: { type: 20, instance: 2 }, intervalMs: 0 }] },
+                objects: [{ objectId: { type: 0, instance: 1 } }]
+            }
+        };
+        const res = createResponse();
+
+        server._configurePolling(req, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'polling.trendLogs[0].objectId.type and objectId.instance are required.',
+            'polling.trendLogs[1].intervalMs must be a positive number.'
+        ]);
+    });
+
+    test('configure polling accepts routed addresses and rejects malformed ones', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const objects = [{ objectId: { type: 0, instance: 1 } }];
+
+        let res = createResponse();
+        server._configurePolling({
+            body: { device: { deviceId: 2001012, address: { ip: '192.168.1.1', network: 70000, mac: 12 } }, polling: { class: 'slow' }, objects }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual(['device.address.network must be a network number between 1 and 65534.']);
+
+        res = createResponse();
+        const device = { deviceId: 2001012, address: { ip: '192.168.1.1', network: 2001, mac: 12 } };
+        server._configurePolling({ body: { device, polling: { class: 'slow' }, objects } }, res);
+        expect(server.bacnetClient.startPolling).toHaveBeenCalledWith(device, objects, { class: 'slow' });
+    });
+
+    test('lists discovered devices with validated filters', async () => {
+        const server = Object.create(Server.prototype);
+        const device = { deviceId: '2001013', address: { ip: '192.168.1.1', network: 2001, mac: 13 }, displayAddress: '192.168.1.1@2001:13', network: 2001, vendorId: 7 };
+        server.bacnetClient = {
+            listDiscoveredDevices: jest.fn().mockResolvedValue([device])
+        };
+
+        let res = createResponse();
+        await server._listDiscovered({ query: { network: '2001', vendorId: '7', address: ' 192.168.1.1 ' } }, res);
+        expect(server.bacnetClient.listDiscoveredDevices).toHaveBeenCalledWith({ network: 2001, vendorId: 7, address: '192.168.1.1' });
+        expect(res.payload).toEqual([device]);
+
+        res = createResponse();
+        await server._listDiscovered({ query: { seenSince: 'yesterday' } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload).toEqual({ status: 'error', message: 'seenSince must be a non-negative number.' });
+
+        server.bacnetClient.listDiscoveredDevices.mockRejectedValueOnce(new Error('db closed'));
+        res = createResponse();
+        await server._listDiscovered({ query: {} }, res);
+        expect(res.statusCode).toBe(500);
+    });
+
+    test('whoHas validates the lookup and returns every matching I-Have', async () => {
+        const server = Object.create(Server.prototype);
+        const results = [{ address: '10.0.0.12', deviceId: 1200, objectId: { type: 0, instance: 3 }, objectName: 'AHU1-SAT' }];
+        server.bacnetClient = { whoHas: jest.fn().mockResolvedValue(results) };
+
+        let res = createResponse();
+        await server._whoHas({ body: { objectName: ' AHU1-SAT ', durationMs: 3000 } }, res);
+        expect(server.bacnetClient.whoHas).toHaveBeenCalledWith({ objectName: 'AHU1-SAT', durationMs: 3000 });
+        expect(res.payload).toEqual(results);
+
+        res = createResponse();
+        await server._whoHas({ body: { objectType: 0, objectInstance: 3, lowLimit: 1000, highLimit: 1999 } }, res);
+        expect(server.bacnetClient.whoHas).toHaveBeenLastCalledWith({ objectId: { type: 0, instance: 3 }, lowLimit: 1000, highLimit: 1999 });
+
+        res = createResponse();
+        await server._whoHas({ body: { objectType: 0 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload).toEqual({ status: 'error', message: 'objectName, or objectType and objectInstance, are required.' });
+
+        res = createResponse();
+        await server._whoHas({ body: { objectName: 'AHU1-SAT', lowLimit: 5 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(server.bacnetClient.whoHas).toHaveBeenCalledTimes(2);
+
+        server.bacnetClient.whoHas.mockRejectedValueOnce(new Error('socket closed'));
+        res = createResponse();
+        await server._whoHas({ body: { objectName: 'AHU1-SAT' } }, res);
+        expect(res.statusCode).toBe(500);
+    });
+
+    test('configure polling validates per-device request options', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const objects = [{ objectId: { type: 0, instance: 1 } }];
+
+        let res = createResponse();
+        server._configurePolling({
+            body: { device: { deviceId: 12, address: '10.0.0.12', requestOptions: { maxApdu: 1476, retries: 1 } }, polling: { class: 'slow' }, objects }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual(['device.requestOptions.maxApdu must be one of 0, 1, 2, 3, 4, 5.']);
+
+        res = createResponse();
+        const device = { deviceId: 12, address: '10.0.0.12', requestOptions: { maxSegments: 0, apduTimeoutMs: 20000, retries: 2 } };
+        server._configurePolling({ body: { device, polling: { class: 'slow' }, objects } }, res);
+        expect(server.bacnetClient.startPolling).toHaveBeenCalledWith(device, objects, { class: 'slow' });
+    });
+
+    test('health is degraded while a configured device answers from another address', async () => {
+        const server = Object.create(Server.prototype);
+        server.mqttClient = {
+            getStatus: () => ({ connected: true })
+        };
+        const addressMismatches = [{ deviceId: '114', configuredAddress: '10.0.0.5', observedAddress: '10.0.0.9', policy: 'warn', detectedAt: 1 }];
+        server.bacnetClient = {
+            getStatus: () => ({ configuredDevices: 1, addressMismatches, readdressedDevices: 2 }),
+            runtimeState: {
+                getMetricsSummary: jest.fn().mockResolvedValue({ configuredDevices: 1, healthyDevices: 1, degradedDevices: 0, openCircuits: 0, staleObjects: 0 })
+            }
+        };
+        let res = createResponse();
+
+        await server._health({}, res);
+        expect(res.payload.status).toBe('degraded');
+        expect(res.payload.bacnet.addressMismatches).toEqual(addressMismatches);
+
+        res = createResponse();
+        await server._metrics({}, res);
+        expect(res.payload).toContain('bacnet_gateway_address_mismatches 1');
+        expect(res.payload).toContain('bacnet_gateway_readdressed_devices_total 2');
+
+        addressMismatches.length = 0;
+        res = createResponse();
+        await server._health({}, res);
+        expect(res.payload.status).toBe('ok');
+    });
+
+    test('writeProperty writes state labels as their index and rejects unknown labels', async () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn()
+                .mockResolvedValueOnce({ value: 3, bacnetApplicationTag: 2 })
+                .mockRejectedValueOnce(new Error('Unknown state "Turbo" for object 19_1; expected one of: Off, On, Auto')),
+            writeProperty: jest.fn().mockResolvedValue({ ok: true }),
+            trackTimedOverride: jest.fn().mockResolvedValue(null),
+            shouldVerifyWrite: jest.fn(() => false)
+        };
+        let res = createResponse();
+
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 19, objectInstance: 1, propertyId: 85, value: 'Auto', priority: 8 }
+        }, res);
+
+        expect(server.bacnetClient.resolveWriteValue).toHaveBeenCalledWith('192.168.1.10', { type: 19, instance: 1 }, 85, 'Auto', undefined);
+        expect(server.bacnetClient.writeProperty).toHaveBeenCalledWith('192.168.1.10', { type: 19, instance: 1 }, 85, 3, 8, 2, '114');
+        expect(res.statusCode).toBe(200);
+
+        res = createResponse();
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 19, objectInstance: 1, propertyId: 85, value: 'Turbo' }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.message).toContain('expected one of: Off, On, Auto');
+        expect(server.bacnetClient.writeProperty).toHaveBeenCalledTimes(1);
+    });
+
+    test('configure polling validates object transforms', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const res = createResponse();
+
+        server._configurePolling({
+            body: {
+                device: { deviceId: 114, address: '192.168.1.10' },
+                polling: { class: 'slow' },
+                objects: [
+                    { objectId: { type: 0, instance: 1 }, transform: { convert: { from: '°F', to: '°C' } } },
+                    { objectId: { type: 0, instance: 2 }, transform: { scale: 0, precision: -1 } }
+                ]
+            }
+        }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'objects[1].transform.scale must be a non-zero number.',
+            'objects[1].transform.precision must be an integer between 0 and 10.'
+        ]);
+        expect(server.bacnetClient.saveConfig).not.toHaveBeenCalled();
+    });
+
+    test('configure polling validates publish settings', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            saveConfig: jest.fn(),
+            startPolling: jest.fn()
+        };
+        const res = createResponse();
+
+        server._configurePolling({
+            body: {
+                device: { deviceId: 114, address: '192.168.1.10' },
+                polling: { class: 'slow', publish: { deadbandPercent: -5 } },
+                objects: [{ objectId: { type: 0, instance: 1 }, publish: { minIntervalMs: 60000, maxIntervalMs: 1000 } }]
+            }
+        }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'polling.publish.deadbandPercent must be a non-negative number.',
+            'objects[0].publish.minIntervalMs must not be greater than publish.maxIntervalMs.'
+        ]);
+    });
+
+    test('writeProperty reports the read-back verification when requested', async () => {
+        const server = Object.create(Server.prototype);
+        const verification = { status: 'overridden', expected: 21.5, actual: 18, activePriority: 4, attempts: 1 };
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
+            writeProperty: jest.fn().mockResolvedValue({ ok: true }),
+            trackTimedOverride: jest.fn().mockResolvedValue(null),
+            shouldVerifyWrite: jest.fn((verify) => verify === true),
+            verifyWrite: jest.fn().mockResolvedValue(verification)
+        };
+        const res = createResponse();
+
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 2, objectInstance: 5, propertyId: 85, value: 21.5, priority: 8, verify: true }
+        }, res);
+
+        expect(server.bacnetClient.verifyWrite).toHaveBeenCalledWith('192.168.1.10', { type: 2, instance: 5 }, 85, 21.5, 8);
+        expect(res.statusCode).toBe(200);
+        expect(res.payload).toEqual(expect.objectContaining({ status: 'success', verification }));
+    });
+
+    test('writeProperty accepts typed values and application tag names', async () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
+            writeProperty: jest.fn().mockResolvedValue({ ok: true }),
+            trackTimedOverride: jest.fn().mockResolvedValue(null),
+            shouldVerifyWrite: jest.fn(() => false)
+        };
+        let res = createResponse();
+
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 4, objectInstance: 1, propertyId: 85, value: { type: 'enumerated', value: 1 } }
+        }, res);
+        expect(res.statusCode).toBe(200);
+        expect(server.bacnetClient.resolveWriteValue).toHaveBeenCalledWith('192.168.1.10', { type: 4, instance: 1 }, 85, { type: 'enumerated', value: 1 }, undefined);
+
+        res = createResponse();
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 2, objectInstance: 1, propertyId: 85, value: 5, bacnetApplicationTag: 'unsigned' }
+        }, res);
+        expect(res.statusCode).toBe(200);
+        expect(server.bacnetClient.writeProperty).toHaveBeenLastCalledWith('192.168.1.10', { type: 2, instance: 1 }, 85, 5, undefined, 2, '114');
+
+        res = createResponse();
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 2, objectInstance: 1, propertyId: 85, value: 5, bacnetApplicationTag: 'float' }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.message).toContain('bacnetApplicationTag must be an application tag number');
+
+        res = createResponse();
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 42, objectInstance: 1, propertyId: 85, value: { type: 'date', value: '19/10/2026' } }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload).toEqual({
+            status: 'error',
+            message: 'Invalid typed value.',
+            details: ['value.value: "19/10/2026" is not a valid date value; expected YYYY-MM-DD']
+        });
+        expect(server.bacnetClient.writeProperty).toHaveBeenCalledTimes(2);
+    });
+
+    test('writePropertyMultiple validates entries and reports the result of each', async () => {
+        const server = Object.create(Server.prototype);
+        const results = [
+            { objectKey: '2_1', propertyId: 85, priority: 8, value: 21, status: 'success' },
+            { objectKey: '2_2', propertyId: 85, priority: 8, value: 22, status: 'error', error: 'BacnetError - Class:2 - Code:40' }
+        ];
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            writePropertyMultiple: jest.fn().mockResolvedValue({ service: 'writePropertyMultiple', results })
+        };
+        let res = createResponse();
+
+        await server._writePropertyMultiple({
+            body: {
+                deviceId: '114',
+                entries: [
+                    { objectType: 2, objectInstance: '1', propertyId: 85, value: 21, priority: 8 },
+                    { objectType: 2, objectInstance: 2, propertyId: 85, value: 22, priority: '8', bacnetApplicationTag: 'real' }
+                ],
+                verify: true
+            }
+        }, res);
+
+        expect(server.bacnetClient.writePropertyMultiple).toHaveBeenCalledWith('192.168.1.10', [
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: 21, priority: 8, bacnetApplicationTag: undefined },
+            { objectId: { type: 2, instance: 2 }, propertyId: 85, value: 22, priority: 8, bacnetApplicationTag: 4 }
+        ], { verify: true, deviceId: '114' });
+        expect(res.statusCode).toBe(200);
+        expect(res.payload).toEqual({ status: 'partial', message: '1 of 2 writes failed', service: 'writePropertyMultiple', results });
+
+        res = createResponse();
+        await server._writePropertyMultiple({
+            body: { deviceId: '114', entries: [{ objectType: 2, propertyId: 85, priority: 17, value: { type: 'real' }, units: 62 }] }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'entries[0].units is not supported; use objectType, objectInstance, propertyId, value, priority, bacnetApplicationTag.',
+            'entries[0].objectInstance must be a non-negative integer.',
+            'entries[0].value.value is required.',
+            'entries[0].priority must be a number between 1 and 16.'
+        ]);
+
+        res = createResponse();
+        await server._writePropertyMultiple({ body: { deviceId: '999', entries: [{ objectType: 2, objectInstance: 1, propertyId: 85, value: 1 }] } }, res);
+        expect(res.statusCode).toBe(404);
+        expect(server.bacnetClient.writePropertyMultiple).toHaveBeenCalledTimes(1);
+    });
+
+    test('writeProperty reports writes rejected by the write policy', async () => {
+        const { WritePolicyError } = require('../src/write_policy');
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
+            writeProperty: jest.fn().mockRejectedValue(new WritePolicyError('out-of-bounds', '900 is outside the allowed range of object 2_1 on device 114 (min 10, max 30).')),
+            trackTimedOverride: jest.fn()
+        };
+        let res = createResponse();
+
+        await server._writeProperty({ body: { deviceId: '114', objectType: 2, objectInstance: 1, propertyId: 85, value: 900, priority: 8 } }, res);
+
+        expect(server.bacnetClient.writeProperty).toHaveBeenCalledWith('192.168.1.10', { type: 2, instance: 1 }, 85, 900, 8, undefined, '114');
+        expect(res.statusCode).toBe(403);
+        expect(res.payload).toEqual({ status: 'error', message: '900 is outside the allowed range of object 2_1 on device 114 (min 10, max 30).', policy: 'out-of-bounds' });
+        expect(server.bacnetClient.trackTimedOverride).not.toHaveBeenCalled();
+
+        server.bacnetClient.writeProperty.mockRejectedValue(new WritePolicyError('rate-limited', 'Device 114 allows 10 writes per minute.'));
+        res = createResponse();
+        await server._writeProperty({ body: { deviceId: '114', objectType: 2, objectInstance: 1, propertyId: 85, value: 20 } }, res);
+        expect(res.statusCode).toBe(429);
+        expect(res.payload.policy).toBe('rate-limited');
+    });
+
+    test('configurePolling validates the write policy', () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = { saveConfig: jest.fn(), startPolling: jest.fn() };
+        let res = createResponse();
+
+        server._configurePolling({
+            body: {
+                device: { deviceId: 114, address: '192.168.1.10' },
+                polling: { class: 'slow' },
+                writePolicy: { priorities: [17] },
+                objects: [{ objectId: { type: 2, instance: 1 }, write: { min: 30, max: 10 } }]
+            }
+        }, res);
+
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual([
+            'objects[0].write.min must not be greater than write.max.',
+            'writePolicy.priorities must be a non-empty array of priorities between 1 and 16.'
+        ]);
+        expect(server.bacnetClient.saveConfig).not.toHaveBeenCalled();
+
+        // null removes the device's write policy.
+        res = createResponse();
+        const config = { device: { deviceId: 114, address: '192.168.1.10' }, polling: { class: 'slow' }, writePolicy: null, objects: [{ objectId: { type: 2, instance: 1 } }] };
+        server._configurePolling({ body: config }, res);
+        expect(res.statusCode).toBe(200);
+        expect(server.bacnetClient.saveConfig).toHaveBeenCalledWith(config);
+    });
+
+    test('writeProperty schedules the release of timed overrides', async () => {
+        const server = Object.create(Server.prototype);
+        server.bacnetClient = {
+            deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, bacnetApplicationTag) => ({ value, bacnetApplicationTag })),
+            writeProperty: jest.fn().mockResolvedValue({ ok: true }),
+            trackTimedOverride: jest.fn(async (_deviceId, _objectId, _propertyId, _priority, _value, releaseAt) => (releaseAt ? { releaseAt } : null)),
+            shouldVerifyWrite: jest.fn(() => false)
+        };
+        let res = createResponse();
+
+        await server._writeProperty({
+            body: { deviceId: '114', objectType: 4, objectInstance: 1, propertyId: 85, value: 1, priority: 8, until: '2099-01-01T00:00:00Z' }
+        }, res);
+        expect(res.statusCode).toBe(200);
+        expect(res.payload.releaseAt).toBe(Date.parse('2099-01-01T00:00:00Z'));
+        expect(server.bacnetClient.trackTimedOverride).toHaveBeenCalledWith('114', { type: 4, instance: 1 }, 85, 8, 1, Date.parse('2099-01-01T00:00:00Z'));
+
+        res = createResponse();
+        await server._writeProperty({ body: { deviceId: '114', objectType: 4, objectInstance: 1, propertyId: 85, value: 1, priority: 8 } }, res);
+        expect(res.payload.releaseAt).toBeUndefined();
+        expect(server.bacnetClient.trackTimedOverride).toHaveBeenLastCalledWith('114', { type: 4, instance: 1 }, 85, 8, 1, null);
+
+        res = createResponse();
+        await server._writeProperty({ body: { deviceId: '114', objectType: 4, objectInstance: 1, propertyId: 85, value: null, priority: 8, durationMs: -5 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload).toEqual({
+            status: 'error',
+            message: 'Invalid timed override.',
+            details: [
+                'durationMs must be a positive number of milliseconds.',
+                'durationMs and until need a value; writing null already relinquishes the priority.'
+            ]
+        });
+
+        res = createResponse();
+        await server._writeProperty({ body: { deviceId: '114', objectType: 4, objectInstance: 1, propertyId: 28, value: 'Lobby fan', durationMs: 60000 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual(['durationMs and until are only supported for the present value (85); property 28 has no priority array to relinquish.']);
+        expect(server.bacnetClient.writeProperty).toHaveBeenCalledTimes(2);
+    });
+
+    test('listTimedOverrides returns the pending releases', () => {
+        const server = Object.create(Server.prototype);
+        const overrides = [{ deviceId: '114', objectKey: '4_1', propertyId: 85, priority: 8, value: 1, releaseAt: 5000 }];
+        server.bacnetClient = { listTimedOverrides: jest.fn(() => overrides) };
+        const res = createResponse();
+
+        server._listTimedOverrides({ query: { deviceId: '114' } }, res);
+
+        expect(server.bacnetClient.listTimedOverrides).toHaveBeenCalledWith('114');
+        expect(res.payload).toEqual(overrides);
+    });
+
+    test('createSchedule validates the schedule and its device before storing it', async () => {
+        const { WriteScheduleError } = require('../src/write_schedule');
+        const server = Object.create(Server.prototype);
+        const schedule = { name: 'Occupied setpoint', deviceId: '114', objectType: 2, objectInstance: 3, value: 21, priority: 10, cron: '0 7 * * 1-5' };
+        server.bacnetClient = { deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]) };
+        server.writeScheduler = { create: jest.fn(async (body) => ({ ...body, id: 1, nextRunAt: 5000 })) };
+        let res = createResponse();
+
+        await server._createSchedule({ body: schedule }, res);
+        expect(res.statusCode).toBe(201);
+        expect(res.payload).toEqual(expect.objectContaining({ id: 1, nextRunAt: 5000 }));
+
+        res = createResponse();
+        await server._createSchedule({ body: { ...schedule, cron: undefined } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload).toEqual({ status: 'error', message: 'Invalid schedule.', details: ['A schedule needs either cron or runAt.'] });
+
+        res = createResponse();
+        await server._createSchedule({ body: { ...schedule, deviceId: '999' } }, res);
+        expect(res.statusCode).toBe(404);
+
+        server.writeScheduler.create.mockRejectedValueOnce(new WriteScheduleError('Invalid schedule.', ['cron "99 7 * * *" is not a valid cron expression.']));
+        res = createResponse();
+        await server._createSchedule({ body: { ...schedule, cron: '99 7 * * *' } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.payload.details).toEqual(['cron "99 7 * * *" is not a valid cron expression.']);
+        expect(server.writeScheduler.create).toHaveBeenCalledTimes(2);
+    });
+
+    test('schedule routes report unknown schedules with 404', async () => {
+        const server = Object.create(Server.prototype);
+        const schedule = { name: 'Occupied setpoint', deviceId: '114', objectType: 2, objectInstance: 3, value: 21, cron: '0 7 * * 1-5' };
+        server.bacnetClient = { deviceConfigs: new Map([['114', { device: { address: '192.168.1.10' } }]]) };
+        server.writeScheduler = {
+            get: jest.fn().mockResolvedValue(null),
+            update: jest.fn().mockResolvedValue(null),
+            remove: jest.fn().mockResolvedValue(false),
+            runNow: jest.fn().mockResolvedValue(null)
+        };
+
+        for (const [handler, body] of [['_getSchedule'], ['_updateSchedule', schedule], ['_deleteSchedule'], ['_runSchedule']]) {
+            let res = createResponse();
+            await server[handler]({ params: { id: '7' }, body }, res);
+            expect(res.statusCode).toBe(404);
+            expect(res.payload).toEqual({ status: 'error', message: 'Schedule not found: 7' });
+
+            res = createResponse();
+            await server[handler]({ params: { id: 'abc' }, body }, res);
+            expect(res.statusCode).toBe(404);
+        }
+        expect(server.writeScheduler.update).toHaveBeenCalledWith(7, schedule);
+        expect(server.writeScheduler.remove).toHaveBeenCalledTimes(1);
+    });
+
+    test('schedule runs can be listed and started on demand', async () => {
+        const server = Object.create(Server.prototype);
+        const run = { scheduleId: 1, trigger: 'manual', status: 'error', error: 'Priority 8 is not allowed', policy: 'priority' };
+        server.writeScheduler = {
+            listRuns: jest.fn().mockResolvedValue([run]),
+            runNow: jest.fn().mockResolvedValue(run)
+        };
+        let res = createResponse();
+
+        await server._listScheduleRuns({ params: { id: '1' }, query: { limit: '10' } }, res);
+        expect(server.writeScheduler.listRuns).toHaveBeenCalledWith(1, 10);
+        expect(res.payload).toEqual([run]);
+
+        res = createResponse();
+        await server._listScheduleRuns({ params: { id: '1' }, query: { limit: '0' } }, res);
+        expect(res.statusCode).toBe(400);
+
+        res = createResponse();
+        await server._runSchedule({ params: { id: '1' } }, res);
+        expect(res.statusCode).toBe(200);
+        expect(res.payload).toEqual(run);
+    });
+
+    test('startScanJob validates the device and starts one background scan per device', () => {
+        const server = Object.create(Server.prototype);
+        const job = { id: 'job-1', deviceId: '114', status: 'running', objectsRead: 0, totalObjects: null, objects: [] };
+        server.scanJobs = {
+            start: jest.fn().mockReturnValueOnce(job).mockReturnValueOnce(null),
+            findRunning: jest.fn(() => job)
+        };
+        server.authService = { hasRequiredRole: jest.fn((role, minRole) => role === 'admin' || minRole === 'viewer') };
+        let res = createResponse();
+
+        server._startScanJob({ body: { deviceId: 114 } }, res);
+        expect(res.statusCode).toBe(400);
+
+        res = createResponse();
+        server._startScanJob({ body: { deviceId: 114, address: '192.168.1.20', saveConfig: true }, user: { role: 'viewer' } }, res);
+        expect(res.statusCode).toBe(403);
+        expect(res.payload.message).toBe('Saving the scanned objects as the device config requires the admin role.');
+        expect(server.scanJobs.start).not.toHaveBeenCalled();
+
+        res = createResponse();
+        server._startScanJob({ body: { deviceId: 114, address: '192.168.1.20', saveConfig: true }, user: { role: 'admin' } }, res);
+        expect(res.statusCode).toBe(202);
+        expect(res.payload).toEqual(job);
+        expect(server.scanJobs.start).toHaveBeenCalledWith({ deviceId: 114, address: '192.168.1.20' }, { saveConfig: true });
+
+        res = createResponse();
+        server._startScanJob({ body: { deviceId: 114, address: '192.168.1.20' } }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.payload).toEqual({ status: 'error', message: 'A scan of device 114 is already running.', job });
+        expect(server.scanJobs.start).toHaveBeenLastCalledWith({ deviceId: 114, address: '192.168.1.20' }, { saveConfig: false });
+    });
+
+    test('scan jobs can be listed, polled and cancelled', () => {
+        const server = Object.create(Server.prototype);
+        const job = { id: 'job-1', deviceId: '114', status: 'cancelled', objectsRead: 3, totalObjects: 10, objects: [] };
+        server.scanJobs = {
+            list: jest.fn(() => [job]),
+            get: jest.fn((id) => (id === 'job-1' ? job : null)),
+            cancel: jest.fn((id) => (id === 'job-1' ? job : null))
+        };
+        let res = createResponse();
+
+        server._listScanJobs({}, res);
+        expect(res.payload).toEqual([job]);
+
+        res = createResponse();
+        server._getScanJob({ params: { id: 'job-1' } }, res);
+        expect(res.payload).toEqual(job);
+
+        res = createResponse();
+        server._getScanJob({ params: { id: 'job-2' } }, res);
+        expect(res.statusCode).toBe(404);
+        expect(res.payload).toEqual({ status: 'error', message: 'Scan job not found: job-2' });
+
+        res = createResponse();
+        server._cancelScanJob({ params: { id: 'job-1' } }, res);
+        expect(server.scanJobs.cancel).toHaveBeenCalledWith('job-1');
+        expect(res.payload).toEqual(job);
+
+        res = createResponse();
+        server._cancelScanJob({ params: { id: 'job-2' } }, res);
+        expect(res.statusCode).toBe(404);
+    });
 });
@@ -0,0 +1,40 @@
+const { validateOverrideTiming, resolveReleaseAt } = require('../src/timed_override');
+
+describe('timed_override', () => {
+    const now = Date.parse('2026-10-19T08:00:00Z');
+
+    test('accepts writes without a timing and valid durations or end times', () => {
+        expect(validateOverrideTiming({ value: 1 }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, durationMs: 3600000 }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, durationMs: '60000' }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, until: '2026-10-19T09:00:00Z' }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, until: now + 1000 }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: null, durationMs: null, until: null }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, durationMs: 60000, propertyId: 85 }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: 1, durationMs: '60000', propertyId: '85' }, now)).toEqual([]);
+        expect(validateOverrideTiming({ value: true, propertyId: 81 }, now)).toEqual([]);
+    });
+
+    test('rejects invalid timings', () => {
+        expect(validateOverrideTiming({ value: 1, durationMs: 0 }, now)).toEqual(['durationMs must be a positive number of milliseconds.']);
+        expect(validateOverrideTiming({ value: 1, durationMs: 'an hour' }, now)).toEqual(['durationMs must be a positive number of milliseconds.']);
+        expect(validateOverrideTiming({ value: 1, durationMs: true }, now)).toEqual(['durationMs must be a positive number of milliseconds.']);
+        expect(validateOverrideTiming({ value: 1, until: 'tomorrow' }, now)).toEqual(['until must be an ISO 8601 timestamp or milliseconds since the epoch.']);
+        expect(validateOverrideTiming({ value: 1, until: '2026-10-19T07:00:00Z' }, now)).toEqual(['until must be in the future.']);
+        expect(validateOverrideTiming({ value: null, durationMs: 1000, until: now + 1000 }, now)).toEqual([
+            'durationMs and until cannot be combined.',
+            'durationMs and until need a value; writing null already relinquishes the priority.'
+        ]);
+        expect(validateOverrideTiming({ value: 'Lobby', durationMs: 60000, propertyId: 77 }, now)).toEqual([
+            'durationMs and until are only supported for the present value (85); property 77 has no priority array to relinquish.'
+        ]);
+    });
+
+    test('resolves when the override is released', () => {
+        expect(resolveReleaseAt({ durationMs: 3600000 }, now)).toBe(now + 3600000);
+        expect(resolveReleaseAt({ durationMs: '1000' }, now)).toBe(now + 1000);
+        expect(resolveReleaseAt({ until: '2026-10-19T09:00:00Z' }, now)).toBe(Date.parse('2026-10-19T09:00:00Z'));
+        expect(resolveReleaseAt({ until: String(now + 5) }, now)).toBe(now + 5);
+        expect(resolveReleaseAt({}, now)).toBeNull();
+    });
+});
@@ -0,0 +1,51 @@
+const { decodeReadRangeAck } = require('../src/trend_log');
+
+describe('trend_log', () => {
+    test('decodeReadRangeAck decodes log records, flags and the first sequence number', () => {
+        const buffer = Buffer.from([
+            0x0C, 0x05, 0x00, 0x00, 0x01,       // objectIdentifier trend-log,1
+            0x19, 0x83,                         // propertyIdentifier LOG_BUFFER
+            0x3A, 0x05, 0xC0,                   // resultFlags firstItem, lastItem
+            0x49, 0x02,                         // itemCount 2
+            0x5E,
+            0x0E, 0xA4, 0x7C, 0x03, 0x05, 0x02, 0xB4, 0x0A, 0x1E, 0x00, 0x00, 0x0F,
+            0x1E, 0x2C, 0x41, 0xAC, 0x00, 0x00, 0x1F,
+            0x2A, 0x04, 0x80,                   // statusFlags inAlarm
+            0x0E, 0xA4, 0x7C, 0x03, 0x05, 0x02, 0xB4, 0x0A, 0x2D, 0x00, 0x00, 0x0F,
+            0x1E, 0x0A, 0x05, 0x40, 0x1F,       // logStatus bufferPurged
+            0x5F,
+            0x69, 0x07                          // firstSequenceNumber 7
+        ]);
+
+        const result = decodeReadRangeAck(buffer, 0, buffer.length);
+
+        expect(result).toEqual({
+            objectId: { type: 20, instance: 1 },
+            propertyId: 131,
+            firstItem: true,
+            lastItem: true,
+            moreItems: false,
+            itemCount: 2,
+            firstSequenceNumber: 7,
+            records: [
+                {
+                    timestamp: new Date(2024, 2, 5, 10, 30, 0).getTime(),
+                    datumType: 'real',
+                    value: 21.5,
+                    statusFlags: { inAlarm: true, fault: false, overridden: false, outOfService: false }
+                },
+                {
+                    timestamp: new Date(2024, 2, 5, 10, 45, 0).getTime(),
+                    datumType: 'logStatus',
+                    value: { logDisabled: false, bufferPurged: true, logInterrupted: false },
+                    statusFlags: null
+                }
+            ]
+        });
+    });
+
+    test('decodeReadRangeAck rejects malformed responses', () => {
+        expect(decodeReadRangeAck(Buffer.from([0x19, 0x83]), 0, 2)).toBeNull();
+        expect(decodeReadRangeAck(Buffer.from([0x0C, 0x05, 0x00, 0x00, 0x01, 0x19, 0x83, 0x49, 0x00]), 0, 9)).toBeNull();
+    });
+});
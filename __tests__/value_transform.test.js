@@ -0,0 +1,41 @@
+const { validateTransform, transformUnits, applyTransform, reverseTransform } = require('../src/value_transform');
+
+describe('value_transform', () => {
+    test('validates object transforms', () => {
+        expect(validateTransform({ scale: 0.1, offset: -40, min: 0, max: 100, precision: 1, invert: false, convert: { from: '°F', to: '°C' } })).toEqual([]);
+        expect(validateTransform('scale')).toEqual(['transform must be an object.']);
+        expect(validateTransform({ scale: 0, offset: '1', min: 5, max: 1, precision: 1.5, invert: 'yes', round: 2 })).toEqual([
+            'transform.round is not supported; use scale, offset, min, max, precision, invert, convert.',
+            'transform.scale must be a non-zero number.',
+            'transform.offset must be a number.',
+            'transform.min must not be greater than transform.max.',
+            'transform.precision must be an integer between 0 and 10.',
+            'transform.invert must be true or false.'
+        ]);
+        expect(validateTransform({ convert: { from: '°F', to: 'kPa' } })).toEqual(['transform.convert cannot convert °F to kPa.']);
+        expect(validateTransform({ convert: { from: 'furlongs', to: 'm' } })).toEqual([
+            'transform.convert must name known units in from and to, e.g. { "from": "°F", "to": "°C" }.'
+        ]);
+    });
+
+    test('scales, converts, clamps and rounds read values', () => {
+        expect(applyTransform(215, { scale: 0.1 })).toBeCloseTo(21.5);
+        expect(applyTransform(72.5, { convert: { from: '°F', to: '°C' }, precision: 1 })).toBe(22.5);
+        expect(applyTransform(4000, { scale: 0.05, offset: -40, max: 100 })).toBe(100);
+        expect(applyTransform(1, { invert: true })).toBe(0);
+        expect(applyTransform(false, { invert: true })).toBe(true);
+        expect(applyTransform(null, { scale: 2 })).toBeNull();
+        expect(applyTransform('text', { scale: 2 })).toBe('text');
+        expect(transformUnits({ convert: { from: 'degrees-fahrenheit', to: 62 } })).toBe(62);
+        expect(transformUnits({ scale: 2 })).toBeNull();
+    });
+
+    test('reverses the transform for writes and rejects values outside min/max', () => {
+        expect(reverseTransform(20, { convert: { from: '°F', to: '°C' } })).toBeCloseTo(68);
+        expect(reverseTransform('21.5', { scale: 0.1 })).toBeCloseTo(215);
+        expect(reverseTransform(true, { invert: true })).toBe(false);
+        expect(reverseTransform(null, { scale: 0.1 })).toBeNull();
+        expect(reverseTransform(5, null)).toBe(5);
+        expect(() => reverseTransform(120, { min: 0, max: 100 })).toThrow('Value 120 is outside the configured range 0 to 100');
+    });
+});
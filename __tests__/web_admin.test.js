@@ -53,7 +53,8 @@ describe('web admin app', () => {
                 create: jest.fn(() => ({ post: jest.fn() })),
                 post: jest.fn(),
                 get: jest.fn(),
-                put: jest.fn()
+                put: jest.fn(),
+                delete: jest.fn()
             },
             Vue: {
                 createApp: jest.fn((options) => {
@@ -87,7 +88,9 @@ describe('web admin app', () => {
             DeviceScan: expect.any(Object),
             ConfiguredDevices: expect.any(Object),
             RuntimeDevices: expect.any(Object),
-            RuntimeObjects: expect.any(Object)
+            RuntimeObjects: expect.any(Object),
+            AlarmList: expect.any(Object),
+            WriteSchedules: expect.any(Object)
         }));
     });
 
@@ -126,6 +129,8 @@ describe('web admin app', () => {
         expect(html).toContain("showView('runtimeObjects')");
         expect(html).toContain('id="runtime-devices-template"');
         expect(html).toContain('id="runtime-objects-template"');
+        expect(html).toContain("showView('schedules')");
+        expect(html).toContain('id="write-schedules-template"');
     });
 
     test('runtime objects view loads persisted object states through the new API', async () => {
@@ -157,13 +162,22 @@ describe('web admin app', () => {
         };
         component.deviceId = '1';
         component.address = '192.168.1.20';
-        context.axios.put.mockResolvedValue({
-            data: [
-                { objectId: { type: 2, instance: 202 }, name: 'Zone Temp' },
-                { objectId: { type: 3, instance: 9 }, name: 'Fan State' }
-            ]
-        });
+        context.axios.post.mockResolvedValue({ data: { id: 'job-1', status: 'running', objectsRead: 0, totalObjects: null } });
         context.axios.get.mockImplementation((url) => {
+            if (url === '/api/bacnet/scan-jobs/job-1') {
+                return Promise.resolve({
+                    data: {
+                        id: 'job-1',
+                        status: 'completed',
+                        objectsRead: 2,
+                        totalObjects: 2,
+                        objects: [
+                            { objectId: { type: 2, instance: 202 }, name: 'Zone Temp' },
+                            { objectId: { type: 3, instance: 9 }, name: 'Fan State' }
+                        ]
+                    }
+                });
+            }
             if (url === '/api/bacnet/configured') {
                 return Promise.resolve({
                     data: [
@@ -181,10 +195,12 @@ describe('web admin app', () => {
 
         await component.scanDevice();
 
-        expect(context.axios.put).toHaveBeenCalledWith('/api/bacnet/1/objects', {
+        expect(context.axios.post).toHaveBeenCalledWith('/api/bacnet/scan-jobs', {
             deviceId: '1',
             address: '192.168.1.20'
         });
+        expect(component.scanning).toBe(false);
+        expect(component.scanJob.status).toBe('completed');
         expect(component.objects[0]).toEqual(expect.objectContaining({
             objectKey: '2_202',
             configured: true,
@@ -229,4 +245,229 @@ describe('web admin app', () => {
         }));
         expect(component.diagnosticsExpanded).toBe(true);
     });
+
+    test('object write form reads the priority array, relinquishes a slot and sends timed overrides', async () => {
+        const { context, exports } = loadAdminScript();
+        const ObjectWriteForm = exports.appOptions.components.DeviceScan.components.ObjectWriteForm;
+        const component = {
+            ...ObjectWriteForm.data(),
+            ...ObjectWriteForm.methods,
+            deviceId: '114',
+            objectType: 2,
+            objectInstance: 5,
+            $emit: jest.fn()
+        };
+        context.axios.get.mockResolvedValue({
+            data: { activePriority: 8, priorityArray: [{ priority: 8, value: 22.5 }] }
+        });
+        context.axios.put.mockResolvedValue({ data: { status: 'success' } });
+
+        await component.loadPriorityArray();
+        expect(context.axios.get).toHaveBeenCalledWith('/api/bacnet/114/priority-array/2/5');
+        expect(component.priorityArray.activePriority).toBe(8);
+
+        await component.relinquish(8);
+        expect(context.axios.put).toHaveBeenCalledWith('/api/bacnet/write', {
+            deviceId: '114',
+            objectType: 2,
+            objectInstance: 5,
+            propertyId: 85,
+            value: null,
+            priority: 8
+        });
+        expect(component.status).toBe('success');
+        expect(component.formatPriorityValue(null)).toBe('—');
+
+        component.valueToWrite = '1';
+        component.priority = 8;
+        component.releaseAfterMinutes = 60;
+        context.axios.put.mockResolvedValue({ data: { status: 'success', message: 'Write operation successful', releaseAt: 5000 } });
+        await component.submitWrite();
+        expect(context.axios.put).toHaveBeenLastCalledWith('/api/bacnet/write', expect.objectContaining({ value: '1', priority: 8, durationMs: 3600000 }));
+        expect(component.message).toMatch(/^Write operation successful; released at /);
+    });
+
+    test('alarm list filters alarms and acknowledges one', async () => {
+        const { context, exports } = loadAdminScript();
+        const AlarmList = exports.appOptions.components.AlarmList;
+        const component = {
+            ...AlarmList.data(),
+            ...AlarmList.methods,
+            deviceId: '114'
+        };
+        const alarm = { deviceId: '114', objectKey: '0_1', acknowledged: false };
+        context.axios.get.mockResolvedValue({ data: [alarm] });
+        context.axios.put.mockResolvedValue({ data: { status: 'success' } });
+
+        await component.load();
+        expect(context.axios.get).toHaveBeenCalledWith('/api/bacnet/alarms', { params: { activeOnly: 'true', deviceId: '114' } });
+        expect(component.alarms).toEqual([alarm]);
+
+        await component.acknowledge(alarm);
+        expect(context.axios.put).toHaveBeenCalledWith(
+            '/api/bacnet/alarms/114/0_1/acknowledge',
+            { ackText: 'Acknowledged from admin UI' }
+        );
+        expect(component.acknowledging).toBeNull();
+        expect(component.error).toBeNull();
+    });
+
+    test('device scan sends routed addresses and device lists format them', async () => {
+        const { context, exports } = loadAdminScript();
+        const { DeviceScan, WhoisPanel } = exports.appOptions.components;
+        const component = {
+            ...DeviceScan.data(),
+            ...DeviceScan.methods,
+            loadDiagnostics: jest.fn().mockResolvedValue(undefined)
+        };
+        component.deviceId = '2001012';
+        component.address = '192.168.1.1';
+        component.network = '2001';
+        component.mac = '12';
+        context.axios.post.mockResolvedValue({ data: { id: 'job-2', status: 'completed', objects: [] } });
+
+        await component.scanDevice();
+
+        expect(context.axios.post).toHaveBeenCalledWith('/api/bacnet/scan-jobs', {
+            deviceId: '2001012',
+            address: { ip: '192.168.1.1', network: 2001, mac: 12 }
+        });
+        expect(WhoisPanel.methods.formatAddress({ ip: '192.168.1.1', network: 2001, mac: 12 })).toBe('192.168.1.1 via network 2001, MAC 12');
+        expect(WhoisPanel.methods.formatAddress('192.168.1.10')).toBe('192.168.1.10');
+    });
+
+    test('whois panel lists the discovered-devices registry and reloads it after a scan', async () => {
+        const { context, exports } = loadAdminScript();
+        const { WhoisPanel } = exports.appOptions.components;
+        const component = { ...WhoisPanel.data(), ...WhoisPanel.methods };
+        const device = { deviceId: '114', address: '192.168.1.10', vendorId: 7, maxApdu: 480, segmentation: 0, firstSeenAt: 1000, lastSeenAt: 2000 };
+        context.axios.get.mockResolvedValue({ data: [device] });
+        context.axios.CancelToken = { source: () => ({ token: 'token', cancel: jest.fn() }) };
+        context.axios.isCancel = () => false;
+        context.axios.put.mockResolvedValue({ data: [{ deviceId: 114, address: '192.168.1.10' }] });
+
+        component.network = '2001';
+        await component.loadDiscovered();
+        expect(context.axios.get).toHaveBeenCalledWith('/api/bacnet/discovered', { params: { network: '2001' } });
+        expect(component.devices).toEqual([device]);
+
+        component.network = '';
+        component.lowLimit = '1000';
+        component.highLimit = '1999';
+        component.targetAddress = ' 10.0.255.255 ';
+        await component.startScan();
+        expect(context.axios.put).toHaveBeenCalledWith('/api/bacnet/scan', {
+            lowLimit: 1000,
+            highLimit: 1999,
+            address: '10.0.255.255',
+            durationMs: 5000
+        }, { cancelToken: 'token' });
+        expect(component.lastScanCount).toBe(1);
+        expect(context.axios.get).toHaveBeenLastCalledWith('/api/bacnet/discovered', { params: {} });
+        expect(component.segmentationLabel(device.segmentation)).toBe('both');
+        expect(component.segmentationLabel(null)).toBe('-');
+    });
+
+    test('configured devices show vendor and model from the device profile', () => {
+        const { exports } = loadAdminScript();
+        const { ConfiguredDevices } = exports.appOptions.components;
+
+        expect(ConfiguredDevices.methods.formatModel({ vendorName: 'Acme Controls', modelName: 'AC-500' })).toBe('Acme Controls AC-500');
+        expect(ConfiguredDevices.methods.formatModel({ vendorName: null, modelName: 'AC-500' })).toBe('AC-500');
+        expect(ConfiguredDevices.methods.formatModel(null)).toBe('-');
+    });
+
+    test('write schedules create, run and delete schedules and load their history', async () => {
+        const { context, exports } = loadAdminScript();
+        const WriteSchedules = exports.appOptions.components.WriteSchedules;
+        const component = {
+            ...WriteSchedules.data(),
+            ...WriteSchedules.methods
+        };
+        const schedule = { id: 3, name: 'Occupied setpoint', deviceId: '114', objectType: 2, objectInstance: 3, propertyId: 85, value: 21, priority: 10, cron: '0 7 * * 1-5', durationMs: null, enabled: true };
+        context.axios.get.mockResolvedValue({ data: [schedule] });
+        context.axios.post.mockResolvedValue({ data: schedule });
+        context.axios.put.mockResolvedValue({ data: { status: 'error', error: 'Priority 10 is not allowed' } });
+        context.axios.delete.mockResolvedValue({ data: { status: 'success' } });
+
+        Object.assign(component.form, {
+            name: 'Occupied setpoint',
+            deviceId: '114',
+            objectType: '2',
+            objectInstance: '3',
+            value: '21',
+            priority: '10',
+            cron: '0 7 * * 1-5',
+            releaseAfterMinutes: '60'
+        });
+        await component.save();
+        expect(context.axios.post).toHaveBeenCalledWith('/api/bacnet/schedules', {
+            name: 'Occupied setpoint',
+            deviceId: '114',
+            objectType: 2,
+            objectInstance: 3,
+            propertyId: 85,
+            value: '21',
+            enabled: true,
+            priority: 10,
+            durationMs: 3600000,
+            cron: '0 7 * * 1-5'
+        });
+        expect(component.schedules).toEqual([schedule]);
+        expect(component.form.name).toBe('');
+
+        component.edit(schedule);
+        Object.assign(component.form, { value: '', trigger: 'once', runAt: '2099-01-01T07:00' });
+        await component.save();
+        expect(context.axios.put).toHaveBeenCalledWith('/api/bacnet/schedules/3', expect.objectContaining({
+            value: null,
+            runAt: new Date('2099-01-01T07:00').toISOString()
+        }));
+        expect(context.axios.put.mock.calls[0][1].cron).toBeUndefined();
+
+        await component.runNow(schedule);
+        expect(context.axios.put).toHaveBeenLastCalledWith('/api/bacnet/schedules/3/run');
+        expect(component.message).toBe('Schedule "Occupied setpoint" failed: Priority 10 is not allowed');
+
+        context.axios.get.mockResolvedValueOnce({ data: [{ id: 1, scheduleId: 3, status: 'success' }] });
+        await component.loadRuns(schedule);
+        expect(context.axios.get).toHaveBeenLastCalledWith('/api/bacnet/schedules/3/runs');
+        expect(component.runs).toHaveLength(1);
+
+        await component.remove(schedule);
+        expect(context.axios.delete).toHaveBeenCalledWith('/api/bacnet/schedules/3');
+        expect(component.runsFor).toBeNull();
+        expect(component.error).toBeNull();
+    });
+
+    test('device scan shows partial results, reports failed jobs and cancels a running scan', async () => {
+        const { context, exports } = loadAdminScript();
+        const DeviceScan = exports.appOptions.components.DeviceScan;
+        const component = {
+            ...DeviceScan.data(),
+            ...DeviceScan.methods,
+            loadDiagnostics: jest.fn().mockResolvedValue(undefined)
+        };
+        component.deviceId = '114';
+        component.address = '192.168.1.20';
+        const zoneTemp = { objectId: { type: 2, instance: 202 }, name: 'Zone Temp' };
+        context.axios.post.mockResolvedValue({ data: { id: 'job-3', status: 'running', objectsRead: 0, totalObjects: null } });
+        context.axios.get
+            .mockResolvedValueOnce({ data: { id: 'job-3', status: 'running', objectsRead: 1, totalObjects: 3, objects: [zoneTemp] } })
+            .mockResolvedValueOnce({ data: { id: 'job-3', status: 'failed', error: 'ERR_TIMEOUT', objectsRead: 1, totalObjects: 3, objects: [zoneTemp] } });
+
+        expect(component.scanProgress()).toBe('Reading the object list...');
+        await component.scanDevice();
+
+        expect(context.axios.get).toHaveBeenCalledTimes(2);
+        expect(component.objects).toEqual([expect.objectContaining({ objectKey: '2_202' })]);
+        expect(component.error).toBe('ERR_TIMEOUT');
+        expect(component.scanProgress()).toBe('Read 1 of 3 objects');
+        expect(component.loadDiagnostics).not.toHaveBeenCalled();
+
+        context.axios.put.mockResolvedValue({ data: { id: 'job-3', status: 'cancelled', objectsRead: 1, totalObjects: 3 } });
+        await component.cancelScan();
+        expect(context.axios.put).toHaveBeenCalledWith('/api/bacnet/scan-jobs/job-3/cancel');
+        expect(component.scanJob.status).toBe('cancelled');
+    });
 });
@@ -0,0 +1,75 @@
+process.env.NODE_CONFIG_STRICT_MODE = '0';
+
+const { EventEmitter } = require('events');
+
+describe('who_has', () => {
+    let client;
+    let processRequest;
+
+    beforeEach(() => {
+        process.env.NODE_ENV = 'development';
+        jest.resetModules();
+        processRequest = jest.fn();
+        client = new EventEmitter();
+        client._transport = { send: jest.fn(), getBroadcastAddress: () => '255.255.255.255' };
+        client._getBuffer = () => ({ buffer: Buffer.alloc(1482), offset: 4 });
+        client._processUnconfirmedServiceRequest = processRequest;
+    });
+
+    afterEach(() => {
+        delete process.env.NODE_ENV;
+    });
+
+    function sentFrame(call = 0) {
+        const [buffer, length] = client._transport.send.mock.calls[call];
+        return Array.from(buffer.subarray(0, length));
+    }
+
+    test('sendWhoHas broadcasts a lookup by name and unicasts a ranged lookup by object identifier', () => {
+        const { sendWhoHas } = require('../src/who_has');
+
+        sendWhoHas(client, { objectName: 'AHU1-SAT' });
+        expect(client._transport.send).toHaveBeenCalledWith(expect.any(Buffer), 19, '255.255.255.255');
+        expect(sentFrame()).toEqual([
+            0x81, 0x0B, 0x00, 0x13,             // BVLC original-broadcast-NPDU
+            0x01, 0x00,                         // NPDU
+            0x10, 0x07,                         // unconfirmed Who-Has
+            0x3D, 0x09, 0x00, ...Buffer.from('AHU1-SAT')
+        ]);
+
+        sendWhoHas(client, { objectId: { type: 0, instance: 3 }, lowLimit: 1000, highLimit: 1999 }, '10.0.0.12');
+        expect(client._transport.send).toHaveBeenLastCalledWith(expect.any(Buffer), 19, '10.0.0.12');
+        expect(sentFrame(1)).toEqual([
+            0x81, 0x0A, 0x00, 0x13,             // BVLC original-unicast-NPDU
+            0x01, 0x00,
+            0x10, 0x07,
+            0x0A, 0x03, 0xE8,                   // lowLimit 1000
+            0x1A, 0x07, 0xCF,                   // highLimit 1999
+            0x2C, 0x00, 0x00, 0x00, 0x03        // analog-input,3
+        ]);
+    });
+
+    test('enableIHave emits decoded I-Have responses and passes other services on', () => {
+        const { enableIHave } = require('../src/who_has');
+        enableIHave(client);
+        const handler = jest.fn();
+        client.on('iHave', handler);
+
+        const iHave = Buffer.from([
+            0xC4, 0x02, 0x00, 0x04, 0xD2,       // device,1234
+            0xC4, 0x00, 0x00, 0x00, 0x03,       // analog-input,3
+            0x75, 0x09, 0x00, ...Buffer.from('AHU1-SAT')
+        ]);
+        client._processUnconfirmedServiceRequest('10.0.0.12', 0x10, 1, iHave, 0, iHave.length);
+        client._processUnconfirmedServiceRequest('10.0.0.12', 0x10, 0, Buffer.alloc(4), 0, 4);
+
+        expect(handler).toHaveBeenCalledWith({
+            address: '10.0.0.12',
+            deviceId: 1234,
+            objectId: { type: 0, instance: 3 },
+            objectName: 'AHU1-SAT'
+        });
+        expect(processRequest).toHaveBeenCalledTimes(1);
+        expect(processRequest).toHaveBeenCalledWith('10.0.0.12', 0x10, 0, expect.any(Buffer), 0, 4);
+    });
+});
@@ -0,0 +1,38 @@
+const { validateWriteEntries, normalizeWriteEntries, summarizeWriteResults } = require('../src/write_batch');
+
+describe('write_batch', () => {
+    test('validates batch write entries', () => {
+        expect(validateWriteEntries([{ objectType: 2, objectInstance: 1, propertyId: 85, value: 21, priority: 8 }])).toEqual([]);
+        expect(validateWriteEntries([{ objectType: '4', objectInstance: '3', propertyId: '85', value: null, priority: null, bacnetApplicationTag: 'enumerated' }])).toEqual([]);
+        expect(validateWriteEntries([])).toEqual(['entries must be a non-empty array.']);
+        expect(validateWriteEntries({ objectType: 2 })).toEqual(['entries must be a non-empty array.']);
+        expect(validateWriteEntries(new Array(501).fill({ objectType: 2, objectInstance: 1, propertyId: 85, value: 1 }))).toEqual([
+            'entries must not have more than 500 writes.'
+        ]);
+        expect(validateWriteEntries(['2_1', { objectType: -1, objectInstance: 1.5, value: { type: 'float', value: 1 }, bacnetApplicationTag: 'float' }])).toEqual([
+            'entries[0] must be an object.',
+            'entries[1].objectType must be a non-negative integer.',
+            'entries[1].objectInstance must be a non-negative integer.',
+            'entries[1].propertyId must be a non-negative integer.',
+            'entries[1].value.type must be one of: null, boolean, unsigned, signed, real, double, octetString, characterString, bitString, enumerated, date, time, objectIdentifier.',
+            'entries[1].bacnetApplicationTag must be an application tag number (0-12) or name such as "enumerated".'
+        ]);
+        expect(validateWriteEntries([{ objectType: 2, objectInstance: 1, propertyId: 85 }])).toEqual(['entries[0].value is required.']);
+    });
+
+    test('normalizes entries for the BACnet client', () => {
+        expect(normalizeWriteEntries([
+            { objectType: '2', objectInstance: '1', propertyId: '85', value: '21', priority: '8', bacnetApplicationTag: 'real' },
+            { objectType: 4, objectInstance: 3, propertyId: 85, value: { type: 'enumerated', value: 1 } }
+        ])).toEqual([
+            { objectId: { type: 2, instance: 1 }, propertyId: 85, value: '21', priority: 8, bacnetApplicationTag: 4 },
+            { objectId: { type: 4, instance: 3 }, propertyId: 85, value: { type: 'enumerated', value: 1 }, priority: undefined, bacnetApplicationTag: undefined }
+        ]);
+    });
+
+    test('summarizes per-entry results', () => {
+        expect(summarizeWriteResults([{ status: 'success' }, { status: 'success' }])).toBe('success');
+        expect(summarizeWriteResults([{ status: 'success' }, { status: 'error' }])).toBe('partial');
+        expect(summarizeWriteResults([{ status: 'error' }])).toBe('error');
+    });
+});
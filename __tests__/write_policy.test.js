@@ -0,0 +1,122 @@
+const { WritePolicyError, validateWritePolicy, validateObjectWritePolicy, checkWritePolicy, recordWrite } = require('../src/write_policy');
+
+function policyOf(objects, device = {}) {
+    return { enabled: true, ...device, objects: new Map(Object.entries(objects)) };
+}
+
+function rejection(fn) {
+    try {
+        fn();
+    } catch (error) {
+        return error;
+    }
+    return null;
+}
+
+describe('write_policy', () => {
+    test('validates the device writePolicy and object write blocks', () => {
+        expect(validateWritePolicy({ priorities: [8, 16], maxWritesPerMinute: 30 })).toEqual([]);
+        expect(validateWritePolicy([])).toEqual(['writePolicy must be an object.']);
+        expect(validateWritePolicy({ priorities: [0], maxWritesPerMinute: 1.5, allow: true })).toEqual([
+            'writePolicy.allow is not supported; use priorities, maxWritesPerMinute.',
+            'writePolicy.priorities must be a non-empty array of priorities between 1 and 16.',
+            'writePolicy.maxWritesPerMinute must be a positive integer.'
+        ]);
+
+        expect(validateObjectWritePolicy({})).toEqual([]);
+        expect(validateObjectWritePolicy({ properties: [85, 'OUT_OF_SERVICE'], min: 10, max: 30, priorities: [8] })).toEqual([]);
+        expect(validateObjectWritePolicy(true)).toEqual(['write must be an object.']);
+        expect(validateObjectWritePolicy({ properties: [], min: 30, max: 10, maxWritesPerMinute: 0 })).toEqual([
+            'write.properties must be a non-empty array of property IDs or names.',
+            'write.min must not be greater than write.max.',
+            'write.maxWritesPerMinute must be a positive integer.'
+        ]);
+        expect(validateObjectWritePolicy({ min: '10' })).toEqual(['write.min must be a number.']);
+    });
+
+    test('accepts any write when the config declares no policy', () => {
+        const history = new Map();
+        expect(() => checkWritePolicy({ enabled: false, objects: new Map() }, history, { deviceId: '114', objectKey: '2_1', propertyId: 85, value: 900 })).not.toThrow();
+        expect(() => checkWritePolicy(null, history, { deviceId: '114', objectKey: '2_1', propertyId: 85, value: 900 })).not.toThrow();
+        expect(history.size).toBe(0);
+    });
+
+    test('rejects objects and properties outside the allowlist', () => {
+        const policy = policyOf({ '2_1': {}, '2_2': { properties: [85, 81] } });
+        const history = new Map();
+
+        expect(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_1', propertyId: 85, value: 21 })).not.toThrow();
+        expect(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_2', propertyId: 81, value: true })).not.toThrow();
+
+        let error = rejection(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_3', propertyId: 85, value: 21 }));
+        expect(error).toBeInstanceOf(WritePolicyError);
+        expect(error.reason).toBe('not-writable');
+        expect(error.message).toBe('Writes to object 2_3 on device 114 are not allowed by its write policy.');
+
+        error = rejection(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_1', propertyId: 81, value: true }));
+        expect(error.reason).toBe('not-writable');
+        expect(error.message).toBe('Property 81 of object 2_1 on device 114 is not writable; allowed: 85.');
+    });
+
+    test('bounds present value and relinquish default writes', () => {
+        const policy = policyOf({ '2_1': { properties: [85, 104, 22], min: 10, max: 30 } });
+        const history = new Map();
+        const write = (propertyId, value) => rejection(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_1', propertyId, value }));
+
+        const error = write(85, 900);
+        expect(error.reason).toBe('out-of-bounds');
+        expect(error.message).toBe('900 is outside the allowed range of object 2_1 on device 114 (min 10, max 30).');
+        expect(write(85, '5').reason).toBe('out-of-bounds');
+        expect(write(104, { type: 'real', value: 31 }).reason).toBe('out-of-bounds');
+        expect(write(85, 30)).toBeNull();
+        // Relinquishing a priority and properties other than the value are not bounded.
+        expect(write(85, null)).toBeNull();
+        expect(write(22, 50)).toBeNull();
+    });
+
+    test('checks priorities, defaulting to 16 and preferring the object list', () => {
+        const policy = policyOf({ '2_1': {}, '2_2': { priorities: [8] } }, { priorities: [10, 16] });
+        const history = new Map();
+        const write = (objectKey, priority) => rejection(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey, propertyId: 85, value: 20, priority }));
+
+        expect(write('2_1')).toBeNull();
+        expect(write('2_1', 10)).toBeNull();
+        const error = write('2_1', 1);
+        expect(error.reason).toBe('priority');
+        expect(error.message).toBe('Priority 1 is not allowed for object 2_1 on device 114; allowed: 10, 16.');
+        expect(write('2_2', 8)).toBeNull();
+        expect(write('2_2').reason).toBe('priority');
+    });
+
+    test('limits writes per minute per object and per device', () => {
+        const policy = policyOf({ '2_1': { maxWritesPerMinute: 2 }, '2_2': {} }, { maxWritesPerMinute: 3 });
+        const history = new Map();
+        const write = (objectKey, now) => rejection(() => {
+            checkWritePolicy(policy, history, { deviceId: '114', objectKey, propertyId: 85, value: 20 }, now);
+            recordWrite(policy, history, objectKey, now);
+        });
+
+        expect(write('2_1', 0)).toBeNull();
+        expect(write('2_1', 1000)).toBeNull();
+        const error = write('2_1', 2000);
+        expect(error.reason).toBe('rate-limited');
+        expect(error.message).toBe('Object 2_1 on device 114 allows 2 writes per minute.');
+        expect(write('2_2', 3000)).toBeNull();
+        expect(write('2_2', 4000).message).toBe('Device 114 allows 3 writes per minute.');
+        // Rejected writes are not counted, and writes leave the window after a minute.
+        expect(write('2_1', 60000)).toBeNull();
+    });
+
+    test('counts only recorded writes toward the rate limits', () => {
+        const policy = policyOf({ '2_1': { maxWritesPerMinute: 1 } });
+        const history = new Map();
+        const check = () => rejection(() => checkWritePolicy(policy, history, { deviceId: '114', objectKey: '2_1', propertyId: 85, value: 20 }, 0));
+
+        expect(check()).toBeNull();
+        expect(check()).toBeNull();
+        recordWrite(policy, history, '2_1', 0);
+        expect(check().reason).toBe('rate-limited');
+        recordWrite(null, history, '2_1', 0);
+        expect(history.get('2_1')).toHaveLength(1);
+    });
+});
@@ -0,0 +1,249 @@
+const mockScheduleJob = jest.fn();
+
+jest.mock('node-schedule', () => ({
+    scheduleJob: mockScheduleJob
+}));
+
+process.env.NODE_CONFIG_STRICT_MODE = '0';
+process.env.NODE_ENV = 'development';
+
+const { WritePolicyError } = require('../src/write_policy');
+const { WriteScheduler, WriteScheduleError, validateWriteSchedule, normalizeWriteSchedule } = require('../src/write_schedule');
+
+describe('write_schedule', () => {
+    const now = Date.parse('2026-10-19T08:00:00Z');
+    const occupied = {
+        name: 'Occupied setpoint',
+        deviceId: '114',
+        objectType: 2,
+        objectInstance: 3,
+        value: 21,
+        priority: 10,
+        cron: '0 7 * * 1-5'
+    };
+
+    function createRuntimeState(schedules = []) {
+        const stored = new Map(schedules.map((schedule) => [schedule.id, { ...schedule }]));
+        let nextId = schedules.length + 1;
+        return {
+            stored,
+            listWriteSchedules: jest.fn(async () => [...stored.values()].map((schedule) => ({ ...schedule }))),
+            getWriteSchedule: jest.fn(async (id) => (stored.has(id) ? { ...stored.get(id) } : null)),
+            saveWriteSchedule: jest.fn(async (schedule) => {
+                const id = schedule.id || nextId++;
+                stored.set(id, { lastRunAt: null, lastStatus: null, ...schedule, id });
+                return id;
+            }),
+            deleteWriteSchedule: jest.fn(async (id) => stored.delete(id)),
+            setWriteScheduleEnabled: jest.fn(async (id, enabled) => {
+                stored.get(id).enabled = enabled;
+                return true;
+            }),
+            recordScheduleRun: jest.fn().mockResolvedValue(1),
+            listScheduleRuns: jest.fn().mockResolvedValue([])
+        };
+    }
+
+    function createBacnetClient() {
+        return {
+            deviceConfigs: new Map([['114', { device: { deviceId: 114, address: '192.168.1.20' } }]]),
+            resolveWriteValue: jest.fn(async (_address, _objectId, _propertyId, value, tag) => ({ value, bacnetApplicationTag: tag })),
+            writeProperty: jest.fn().mockResolvedValue({}),
+            trackTimedOverride: jest.fn().mockResolvedValue(null)
+        };
+    }
+
+    function createJob(next = null) {
+        return { cancel: jest.fn(), nextInvocation: jest.fn(() => next) };
+    }
+
+    beforeEach(() => {
+        mockScheduleJob.mockReset();
+        mockScheduleJob.mockImplementation(() => createJob());
+    });
+
+    test('accepts cron and one-off schedules', () => {
+        expect(validateWriteSchedule(occupied, now)).toEqual([]);
+        expect(validateWriteSchedule({ ...occupied, cron: '0 0 7 * * 1-5' }, now)).toEqual([]);
+        expect(validateWriteSchedule({ ...occupied, cron: undefined, runAt: '2026-10-20T07:00:00Z' }, now)).toEqual([]);
+        expect(validateWriteSchedule({ ...occupied, value: null, durationMs: undefined }, now)).toEqual([]);
+        expect(validateWriteSchedule({ ...occupied, value: { type: 'real', value: 21 }, durationMs: 3600000, bacnetApplicationTag: 'real' }, now)).toEqual([]);
+        expect(validateWriteSchedule({ ...occupied, cron: undefined, runAt: now - 1000, enabled: false }, now)).toEqual([]);
+    });
+
+    test('rejects invalid schedules', () => {
+        expect(validateWriteSchedule(null, now)).toEqual(['A schedule must be an object.']);
+        expect(validateWriteSchedule({ ...occupied, until: now + 1000 }, now)).toEqual([
+            'until is not supported; use name, deviceId, objectType, objectInstance, propertyId, value, priority, bacnetApplicationTag, durationMs, cron, runAt, enabled.'
+        ]);
+        expect(validateWriteSchedule({ ...occupied, name: ' ', objectInstance: -1, priority: 17, value: undefined }, now)).toEqual([
+            'name is required.',
+            'objectInstance must be a non-negative integer.',
+            'value is required; use null to relinquish the priority.',
+            'priority must be a number between 1 and 16.'
+        ]);
+        expect(validateWriteSchedule({ ...occupied, runAt: now + 1000 }, now)).toEqual(['A schedule needs either cron or runAt.']);
+        expect(validateWriteSchedule({ ...occupied, cron: '0 7 * *' }, now)).toEqual(['cron must be a cron expression with 5 fields, or 6 with seconds first.']);
+        expect(validateWriteSchedule({ ...occupied, cron: undefined, runAt: 'tomorrow' }, now)).toEqual(['runAt must be an ISO 8601 timestamp or milliseconds since the epoch.']);
+        expect(validateWriteSchedule({ ...occupied, cron: undefined, runAt: now - 1000 }, now)).toEqual(['runAt must be in the future.']);
+        expect(validateWriteSchedule({ ...occupied, enabled: 'yes', durationMs: 0 }, now)).toEqual([
+            'durationMs must be a positive number of milliseconds.',
+            'enabled must be true or false.'
+        ]);
+    });
+
+    test('normalizes schedules with defaults', () => {
+        expect(normalizeWriteSchedule({ ...occupied, objectType: '2', bacnetApplicationTag: 'real' })).toEqual({
+            name: 'Occupied setpoint',
+            deviceId: '114',
+            objectType: 2,
+            objectInstance: 3,
+            propertyId: 85,
+            value: 21,
+            priority: 10,
+            bacnetApplicationTag: 4,
+            durationMs: null,
+            cron: '0 7 * * 1-5',
+            runAt: null,
+            enabled: true
+        });
+        expect(normalizeWriteSchedule({ ...occupied, cron: undefined, runAt: '2026-10-20T07:00:00Z' }).runAt).toBe(Date.parse('2026-10-20T07:00:00Z'));
+    });
+
+    test('creates, arms and reports the next run of a schedule', async () => {
+        const next = new Date('2026-10-20T07:00:00Z');
+        mockScheduleJob.mockImplementation(() => createJob(next));
+        const runtimeState = createRuntimeState();
+        const scheduler = new WriteScheduler(createBacnetClient(), runtimeState);
+
+        const schedule = await scheduler.create(occupied);
+
+        expect(runtimeState.saveWriteSchedule).toHaveBeenCalledWith(expect.objectContaining({ name: 'Occupied setpoint', propertyId: 85, cron: '0 7 * * 1-5' }));
+        expect(mockScheduleJob).toHaveBeenLastCalledWith('0 7 * * 1-5', expect.any(Function));
+        expect(schedule).toEqual(expect.objectContaining({ id: 1, enabled: true, nextRunAt: next.getTime() }));
+        expect(scheduler.jobs.has(1)).toBe(true);
+    });
+
+    test('rejects cron expressions node-schedule does not accept', async () => {
+        mockScheduleJob.mockReturnValue(null);
+        const runtimeState = createRuntimeState();
+        const scheduler = new WriteScheduler(createBacnetClient(), runtimeState);
+
+        await expect(scheduler.create({ ...occupied, cron: '99 7 * * *' })).rejects.toThrow(WriteScheduleError);
+        expect(runtimeState.saveWriteSchedule).not.toHaveBeenCalled();
+    });
+
+    test('a scheduled run writes through value resolution and records the run', async () => {
+        const runtimeState = createRuntimeState();
+        const bacnetClient = createBacnetClient();
+        bacnetClient.trackTimedOverride.mockResolvedValue({ releaseAt: 5000 });
+        const scheduler = new WriteScheduler(bacnetClient, runtimeState);
+        await scheduler.create({ ...occupied, bacnetApplicationTag: 4, durationMs: 3600000 });
+
+        await mockScheduleJob.mock.calls[1][1]();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        const objectId = { type: 2, instance: 3 };
+        expect(bacnetClient.resolveWriteValue).toHaveBeenCalledWith('192.168.1.20', objectId, 85, 21, 4);
+        expect(bacnetClient.writeProperty).toHaveBeenCalledWith('192.168.1.20', objectId, 85, 21, 10, 4, '114');
+        expect(bacnetClient.trackTimedOverride).toHaveBeenCalledWith('114', objectId, 85, 10, 21, expect.any(Number));
+        expect(runtimeState.recordScheduleRun).toHaveBeenCalledWith(expect.objectContaining({
+            scheduleId: 1,
+            trigger: 'schedule',
+            status: 'success',
+            value: 21,
+            releaseAt: 5000
+        }), 1000);
+        expect(runtimeState.setWriteScheduleEnabled).not.toHaveBeenCalled();
+    });
+
+    test('records policy rejections and disables a one-off schedule after its run', async () => {
+        const runtimeState = createRuntimeState();
+        const bacnetClient = createBacnetClient();
+        bacnetClient.resolveWriteValue.mockRejectedValue(new WritePolicyError('out-of-bounds', '35 is outside the allowed range.'));
+        const scheduler = new WriteScheduler(bacnetClient, runtimeState);
+        await scheduler.create({ ...occupied, cron: undefined, runAt: Date.now() + 60000, value: 35 });
+        const job = scheduler.jobs.get(1);
+
+        await mockScheduleJob.mock.calls[0][1]();
+        await new Promise((resolve) => setImmediate(resolve));
+
+        expect(mockScheduleJob.mock.calls[0][0]).toBeInstanceOf(Date);
+        expect(bacnetClient.writeProperty).not.toHaveBeenCalled();
+        expect(runtimeState.recordScheduleRun).toHaveBeenCalledWith(expect.objectContaining({
+            status: 'error',
+            error: '35 is outside the allowed range.',
+            policy: 'out-of-bounds'
+        }), 1000);
+        expect(runtimeState.setWriteScheduleEnabled).toHaveBeenCalledWith(1, false);
+        expect(job.cancel).toHaveBeenCalled();
+        expect(scheduler.jobs.has(1)).toBe(false);
+    });
+
+    test('runs a schedule on demand and reports unknown schedules', async () => {
+        const runtimeState = createRuntimeState([{ ...normalizeWriteSchedule({ ...occupied, deviceId: '999' }), id: 1, enabled: false }]);
+        const scheduler = new WriteScheduler(createBacnetClient(), runtimeState);
+
+        const run = await scheduler.runNow(1);
+
+        expect(run).toEqual(expect.objectContaining({
+            scheduleId: 1,
+            trigger: 'manual',
+            status: 'error',
+            error: 'Device configuration not found for deviceId: 999'
+        }));
+        expect(runtimeState.recordScheduleRun).toHaveBeenCalledWith(run, 1000);
+        await expect(scheduler.runNow(2)).resolves.toBeNull();
+    });
+
+    test('init arms enabled schedules and records one-off schedules missed while down', async () => {
+        const runtimeState = createRuntimeState([
+            { ...normalizeWriteSchedule(occupied), id: 1 },
+            { ...normalizeWriteSchedule({ ...occupied, cron: undefined, runAt: Date.now() - 60000 }), id: 2 },
+            { ...normalizeWriteSchedule({ ...occupied, enabled: false }), id: 3 }
+        ]);
+        const bacnetClient = createBacnetClient();
+        const scheduler = new WriteScheduler(bacnetClient, runtimeState);
+
+        await scheduler.init();
+
+        expect(mockScheduleJob).toHaveBeenCalledTimes(1);
+        expect([...scheduler.jobs.keys()]).toEqual([1]);
+        expect(bacnetClient.writeProperty).not.toHaveBeenCalled();
+        expect(runtimeState.recordScheduleRun).toHaveBeenCalledWith(expect.objectContaining({ scheduleId: 2, status: 'missed' }), 1000);
+        expect(runtimeState.setWriteScheduleEnabled).toHaveBeenCalledWith(2, false);
+    });
+
+    test('init keeps arming schedules after one fails', async () => {
+        const runtimeState = createRuntimeState([
+            { ...normalizeWriteSchedule({ ...occupied, cron: undefined, runAt: Date.now() - 60000 }), id: 1 },
+            { ...normalizeWriteSchedule(occupied), id: 2 }
+        ]);
+        runtimeState.recordScheduleRun.mockRejectedValue(new Error('SQLITE_BUSY'));
+        const scheduler = new WriteScheduler(createBacnetClient(), runtimeState);
+
+        await expect(scheduler.init()).resolves.toBe(scheduler);
+
+        expect([...scheduler.jobs.keys()]).toEqual([2]);
+    });
+
+    test('update re-arms and remove cancels the schedule', async () => {
+        const runtimeState = createRuntimeState();
+        const scheduler = new WriteScheduler(createBacnetClient(), runtimeState);
+        await scheduler.create(occupied);
+        const first = scheduler.jobs.get(1);
+
+        const updated = await scheduler.update(1, { ...occupied, cron: '0 8 * * 1-5', enabled: false });
+
+        expect(first.cancel).toHaveBeenCalled();
+        expect(updated).toEqual(expect.objectContaining({ id: 1, cron: '0 8 * * 1-5', enabled: false, nextRunAt: null }));
+        expect(scheduler.jobs.has(1)).toBe(false);
+        await expect(scheduler.update(2, occupied)).resolves.toBeNull();
+
+        await scheduler.update(1, occupied);
+        const second = scheduler.jobs.get(1);
+        await expect(scheduler.remove(1)).resolves.toBe(true);
+        expect(second.cancel).toHaveBeenCalled();
+        expect(runtimeState.deleteWriteSchedule).toHaveBeenCalledWith(1);
+    });
+});
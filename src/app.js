@@ -6,6 +6,10 @@ const { logger } = require('./common');
 const { MqttClient } = require('./mqtt_client');
 const { AuthService } = require('./auth_service');
 const { deliverInitialAdminPassword } = require('./bootstrap_credentials');
+const { validateWriteEntries, normalizeWriteEntries, summarizeWriteResults } = require('./write_batch');
+const { WritePolicyError } = require('./write_policy');
+const { validateOverrideTiming, resolveReleaseAt } = require('./timed_override');
+const { WriteScheduler } = require('./write_schedule');
 const config = require('config');
 const httpServerEnabled = config.get('httpServer.enabled');
 
@@ -13,6 +17,7 @@ const httpServerEnabled = config.get('httpServer.enabled');
 const mqttClient = new MqttClient();
 const bacnetClient = new BacnetClient();
 const authService = new AuthService();
+const writeScheduler = new WriteScheduler(bacnetClient);
 
 bacnetClient.on('deviceFound', (device) => {
     mqttClient.publishMessage(device);
@@ -22,43 +27,133 @@ bacnetClient.on('values', (device, values) => {
     mqttClient.publishMessage(values);
 });
 
+bacnetClient.on('alarm', (alarm) => {
+    mqttClient.publishAlarm(alarm);
+});
+
+bacnetClient.on('trendRecords', (deviceId, objectKey, records) => {
+    mqttClient.publishTrendRecords(deviceId, objectKey, records);
+});
+
+bacnetClient.on('deviceAddressChanged', (change) => {
+    mqttClient.publishAddressChange(change);
+});
+
+// The release of a timed override is reported on the status topic of the write it ends.
+bacnetClient.on('overrideRelease', (release) => {
+    const { deviceId, objectKey, propertyId, ...status } = release;
+    mqttClient.publishWriteStatus(deviceId, objectKey, propertyId, status);
+});
+
 mqttClient.on('bacnetWriteCommand', (command) => {
-    const { deviceId, objectKey, objectType, objectInstance, propertyId, value, priority, bacnetApplicationTag } = command;
+    const { deviceId, objectKey, objectType, objectInstance, propertyId, value, priority, bacnetApplicationTag, verify, durationMs, until } = command;
     const targetDeviceConfig = bacnetClient.deviceConfigs.get(deviceId.toString());
+    const timingErrors = validateOverrideTiming({ value, durationMs, until, propertyId });
 
-    if (targetDeviceConfig && targetDeviceConfig.device && targetDeviceConfig.device.address) {
+    if (timingErrors.length > 0) {
+        logger.log('warn', `[App] Invalid timed override for DeviceID ${deviceId}, ObjectKey ${objectKey}: ${timingErrors.join(' ')}`);
+        mqttClient.publishWriteStatus(deviceId, objectKey, propertyId, { status: 'error', detail: timingErrors.join(' '), attemptedValue: value });
+    } else if (targetDeviceConfig && targetDeviceConfig.device && targetDeviceConfig.device.address) {
         const targetDeviceAddress = targetDeviceConfig.device.address;
         const bacnetObjectId = { type: objectType, instance: objectInstance };
-        // Construct status topic using the new structure elements
-        // Example: bacnetwrite_status/<gatewayId>/<deviceId>/<objectKey>/<propertyId>
-        const gatewayIdForTopic = config.get('mqtt.gatewayId');
-        const writeStatusTopic = `bacnetwrite_status/${gatewayIdForTopic}/${deviceId}/${objectKey}/${propertyId}`;
+        let written;
 
-        bacnetClient.writeProperty(targetDeviceAddress, bacnetObjectId, propertyId, value, priority, bacnetApplicationTag)
-            .then(response => {
+        // Status is published to bacnetwrite_status/<gatewayId>/<deviceId>/<objectKey>/<propertyId>
+        bacnetClient.resolveWriteValue(targetDeviceAddress, bacnetObjectId, propertyId, value, bacnetApplicationTag)
+            .then(resolved => {
+                written = resolved;
+                return bacnetClient.writeProperty(targetDeviceAddress, bacnetObjectId, propertyId, resolved.value, priority, resolved.bacnetApplicationTag, deviceId.toString());
+            })
+            .then(async response => {
                 const successMsg = `[App] BACnet write successful for DeviceID: ${deviceId}, ObjectKey: ${objectKey}, Property: ${propertyId}: ${JSON.stringify(response)} (Priority: ${priority}, AppTag: ${bacnetApplicationTag})`;
-           
-                mqttClient.publishMessage({
-                    [writeStatusTopic]: { status: 'success', detail: successMsg, writtenValue: value }
-                });
+                const status = { status: 'success', detail: successMsg, writtenValue: value };
+                const override = await bacnetClient.trackTimedOverride(deviceId, bacnetObjectId, propertyId, priority, value, resolveReleaseAt({ durationMs, until }));
+                if (override) {
+                    status.releaseAt = override.releaseAt;
+                }
+                if (bacnetClient.shouldVerifyWrite(verify)) {
+                    status.verification = await bacnetClient.verifyWrite(targetDeviceAddress, bacnetObjectId, propertyId, written.value, priority);
+                }
+                mqttClient.publishWriteStatus(deviceId, objectKey, propertyId, status);
             })
             .catch(error => {
                 const errorMsg = `[App] BACnet write failed for DeviceID: ${deviceId}, ObjectKey: ${objectKey}, Property: ${propertyId}: ${error.message || error}`;
                 logger.log('error', errorMsg);
-                mqttClient.publishMessage({
-                    [writeStatusTopic]: { status: 'error', detail: errorMsg, attemptedValue: value }
-                });
+                const status = { status: 'error', detail: errorMsg, attemptedValue: value };
+                if (error instanceof WritePolicyError) {
+                    status.policy = error.reason;
+                }
+                mqttClient.publishWriteStatus(deviceId, objectKey, propertyId, status);
             });
     } else {
         logger.log('warn', `[App] Could not find a configured device for DeviceID ${deviceId} (from topic) to perform write operation for objectKey ${objectKey}.`);
-        const gatewayIdForTopic = config.get('mqtt.gatewayId');
-        const statusTopic = `bacnetwrite_status/${gatewayIdForTopic}/${deviceId || 'unknown_device'}/${objectKey}/${propertyId || 'unknown_property'}`;
-         mqttClient.publishMessage({
-            [statusTopic]: { status: 'error', detail: `Device configuration not found for DeviceID ${deviceId}` }
+        mqttClient.publishWriteStatus(deviceId || 'unknown_device', objectKey, propertyId || 'unknown_property', {
+            status: 'error',
+            detail: `Device configuration not found for DeviceID ${deviceId}`
         });
     }
 });
 
+// Status is published to bacnetwrite_status/<gatewayId>/<deviceId>/batch with the request's requestId
+mqttClient.on('bacnetWriteBatchCommand', (command) => {
+    const { deviceId, requestId, entries, verify } = command;
+    const errors = validateWriteEntries(entries);
+    if (errors.length > 0) {
+        logger.log('warn', `[App] Invalid batch write for DeviceID ${deviceId}: ${errors.join(' ')}`);
+        mqttClient.publishWriteBatchStatus(deviceId, { requestId, status: 'error', detail: 'Invalid write entries.', errors });
+        return;
+    }
+    const targetDeviceConfig = bacnetClient.deviceConfigs.get(deviceId.toString());
+    if (!targetDeviceConfig || !targetDeviceConfig.device || !targetDeviceConfig.device.address) {
+        logger.log('warn', `[App] Could not find a configured device for DeviceID ${deviceId} to perform a batch write.`);
+        mqttClient.publishWriteBatchStatus(deviceId, { requestId, status: 'error', detail: `Device configuration not found for DeviceID ${deviceId}` });
+        return;
+    }
+
+    bacnetClient.writePropertyMultiple(targetDeviceConfig.device.address, normalizeWriteEntries(entries), { verify, deviceId: deviceId.toString() })
+        .then(({ service, results }) => {
+            mqttClient.publishWriteBatchStatus(deviceId, { requestId, status: summarizeWriteResults(results), service, results });
+        })
+        .catch((error) => {
+            const errorMsg = `[App] Batch write failed for DeviceID: ${deviceId}: ${error.message || error}`;
+            logger.log('error', errorMsg);
+            mqttClient.publishWriteBatchStatus(deviceId, { requestId, status: 'error', detail: errorMsg });
+        });
+});
+
+mqttClient.on('bacnetPriorityArrayRequest', (request) => {
+    const { deviceId, objectKey, objectType, objectInstance } = request;
+    const targetDeviceConfig = bacnetClient.deviceConfigs.get(deviceId.toString());
+
+    if (!targetDeviceConfig || !targetDeviceConfig.device || !targetDeviceConfig.device.address) {
+        logger.log('warn', `[App] Could not find a configured device for DeviceID ${deviceId} to read the priority array of ${objectKey}.`);
+        mqttClient.publishPriorityArray(deviceId, objectKey, { status: 'error', detail: `Device configuration not found for DeviceID ${deviceId}` });
+        return;
+    }
+
+    bacnetClient.readPriorityArray(targetDeviceConfig.device.address, { type: objectType, instance: objectInstance })
+        .then((result) => {
+            mqttClient.publishPriorityArray(deviceId, objectKey, { status: 'success', ...result });
+        })
+        .catch((error) => {
+            const errorMsg = `[App] Priority array read failed for DeviceID: ${deviceId}, ObjectKey: ${objectKey}: ${error.message || error}`;
+            logger.log('error', errorMsg);
+            mqttClient.publishPriorityArray(deviceId, objectKey, { status: 'error', detail: errorMsg });
+        });
+});
+
+mqttClient.on('bacnetWhoHasRequest', (request) => {
+    bacnetClient.whoHas(request)
+        .then((results) => {
+            mqttClient.publishWhoHasResult({ status: 'success', request, results });
+        })
+        .catch((error) => {
+            const errorMsg = `[App] Who-Has failed: ${error.message || error}`;
+            logger.log('error', errorMsg);
+            mqttClient.publishWhoHasResult({ status: 'error', request, detail: errorMsg });
+        });
+});
+
 async function init() {
     try {
         await bacnetClient.ready;
@@ -67,11 +162,16 @@ async function init() {
             deliverInitialAdminPassword('admin', seededPassword);
         }
         if (httpServerEnabled) {
-            new Server(bacnetClient, mqttClient, authService);
+            new Server(bacnetClient, mqttClient, authService, writeScheduler);
         }
     } catch (err) {
         logger.log('error', `[App] Failed to initialize auth service: ${err}`);
         process.exit(1);
     }
+    try {
+        await writeScheduler.init();
+    } catch (err) {
+        logger.log('error', `[App] Failed to arm write schedules; scheduled writes will not run until the gateway restarts: ${err.message || err}`);
+    }
 }
 init();
@@ -0,0 +1,94 @@
+const baNpdu = require('bacstack/lib/npdu');
+
+// Device addresses are an IP string for BACnet/IP devices or, for devices behind a
+// BACnet router, { ip, network, mac }: the router's IP, the destination network
+// number (DNET) and the device's MAC address on that network (DADR).
+const MAX_NETWORK_NUMBER = 65534;
+
+function isRoutedAddress(address) {
+    return Boolean(address) && typeof address === 'object';
+}
+
+function _macBytes(mac) {
+    return Array.isArray(mac) ? mac : [mac];
+}
+
+function validateAddress(address) {
+    if (typeof address === 'string') {
+        return address.trim() ? null : 'address must not be empty.';
+    }
+    if (!isRoutedAddress(address)) {
+        return 'address must be an IP address string or an object with ip, network and mac.';
+    }
+    if (typeof address.ip !== 'string' || !address.ip.trim()) {
+        return 'address.ip must be the IP address of the BACnet router.';
+    }
+    if (!Number.isInteger(address.network) || address.network < 1 || address.network > MAX_NETWORK_NUMBER) {
+        return `address.network must be a network number between 1 and ${MAX_NETWORK_NUMBER}.`;
+    }
+    const mac = _macBytes(address.mac);
+    if (mac.length === 0 || !mac.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+        return 'address.mac must be a byte (0-255) or an array of bytes.';
+    }
+    return null;
+}
+
+// bacstack puts DNET/DADR into the NPDU when the address is an { address, net, adr } object.
+function toBacstackAddress(address) {
+    if (!isRoutedAddress(address)) {
+        return address;
+    }
+    return { address: address.ip, net: address.network, adr: _macBytes(address.mac) };
+}
+
+function fromBacstackAddress(address) {
+    if (!isRoutedAddress(address)) {
+        return address;
+    }
+    const adr = address.adr || [];
+    return { ip: address.address, network: address.net, mac: adr.length === 1 ? adr[0] : adr };
+}
+
+function formatAddress(address) {
+    if (!isRoutedAddress(address)) {
+        return address;
+    }
+    const routed = address.net !== undefined ? fromBacstackAddress(address) : address;
+    return `${routed.ip}@${routed.network}:${_macBytes(routed.mac).join('.')}`;
+}
+
+function sameAddress(left, right) {
+    return formatAddress(left) === formatAddress(right);
+}
+
+// bacstack encodes routed destinations but its UDP transport only accepts an IP,
+// and it drops the NPDU source (SNET/SADR) of incoming messages. Patch both so
+// replies and events from routed devices carry the full address.
+function enableRoutedAddressing(client) {
+    const transport = client._transport;
+    const send = transport.send.bind(transport);
+    transport.send = (buffer, offset, receiver) => {
+        send(buffer, offset, isRoutedAddress(receiver) ? receiver.address : receiver);
+    };
+
+    const handleNpdu = client._handleNpdu.bind(client);
+    client._handleNpdu = (buffer, offset, msgLength, remoteAddress) => {
+        const npdu = msgLength > 0 ? baNpdu.decode(buffer, offset) : null;
+        const source = npdu && npdu.source;
+        if (source && source.net > 0 && source.net !== 0xFFFF) {
+            handleNpdu(buffer, offset, msgLength, { address: remoteAddress, net: source.net, adr: source.adr || [] });
+            return;
+        }
+        handleNpdu(buffer, offset, msgLength, remoteAddress);
+    };
+}
+
+module.exports = {
+    isRoutedAddress,
+    validateAddress,
+    toBacstackAddress,
+    fromBacstackAddress,
+    formatAddress,
+    sameAddress,
+    enableRoutedAddressing
+};
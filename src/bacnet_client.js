@@ -5,14 +5,92 @@ const { EventEmitter } = require('events');
 const { BacnetConfig } = require('./bacnet_config');
 const { DeviceObjectId, DeviceObject, logger } = require('./common');
 const { RuntimeState } = require('./runtime_state');
+const { readLogBuffer } = require('./trend_log');
+const { ForeignDeviceRegistration } = require('./foreign_device');
+const { sendWhoHas, enableIHave } = require('./who_has');
+const { isRoutedAddress, toBacstackAddress, fromBacstackAddress, formatAddress, sameAddress, enableRoutedAddressing } = require('./bacnet_address');
+const { encodeMaxApdu, decodeMaxApdu, enableRequestSettings, withRequestSettings } = require('./request_settings');
+const { unitsSymbol } = require('./engineering_units');
+const { validateTransform, transformUnits, scaleValue, applyTransform, reverseTransform } = require('./value_transform');
+const { validatePublishSettings, shouldPublish } = require('./publish_filter');
+const { APPLICATION_TAGS, parseApplicationTag, isTypedValue, inferApplicationTag, guessApplicationTag, encodeValue } = require('./bacnet_value');
+const { WritePolicyError, validateWritePolicy, validateObjectWritePolicy, checkWritePolicy, recordWrite } = require('./write_policy');
+
+const BACNET_ARRAY_ALL = 0xFFFFFFFF;
+
+// Estimates are generous; devices that still reject a chunk get it split in half.
+const DEFAULT_MAX_APDU = 1476;
+const RPM_RESPONSE_OVERHEAD_BYTES = 16;
+const RPM_OBJECT_OVERHEAD_BYTES = 8;
+const RPM_PROPERTY_ESTIMATE_BYTES = 32;
+// Abort reasons: buffer overflow, segmentation not supported, APDU too long.
+const RPM_SIZE_ABORT_REASONS = [1, 4, 11];
+// Error codes: abort buffer overflow, abort segmentation not supported, abort APDU too long.
+const RPM_SIZE_ERROR_CODES = [51, 54, 123];
+
+// WritePropertyMultiple requests are never segmented, so a chunk has to fit one APDU.
+const WPM_REQUEST_OVERHEAD_BYTES = 16;
+const WPM_OBJECT_OVERHEAD_BYTES = 8;
+const WPM_PROPERTY_OVERHEAD_BYTES = 12;
+const WPM_VALUE_ESTIMATE_BYTES = 10;
+// Reject reason unrecognized-service and error code optional-functionality-not-supported:
+// the device does not implement WritePropertyMultiple. bacstack reports Reject and Abort
+// PDUs alike, so reason 9 may also be the transient abort out-of-resources.
+const WPM_UNSUPPORTED_REJECT_REASON = 9;
+const WPM_UNSUPPORTED_ERROR_CODE = 45;
+const NO_WRITE_PRIORITY = 0;
+
+const EVENT_STATE_NAMES = ['normal', 'fault', 'offnormal', 'high-limit', 'low-limit', 'life-safety-alarm'];
+const EVENT_STATE_NORMAL = 0;
+const EVENT_STATE_FAULT = 1;
+const NOTIFY_TYPE_ACK_NOTIFICATION = 2;
+const TIMESTAMP_DATETIME = 2;
+
+// Binary and multistate input/output/value.
+const BINARY_OBJECT_TYPES = [3, 4, 5];
+const MULTISTATE_OBJECT_TYPES = [13, 14, 19];
+
+// Object types with a UNITS property.
+const UNITS_OBJECT_TYPES = [0, 1, 2, 12, 18, 23, 24, 45, 46, 48];
+
+// Log records requested per ReadRange; a record is roughly 20 bytes on the wire.
+const TREND_LOG_PAGE_SIZE = 50;
+
+const SERVICES_SUPPORTED_NAMES = [
+    'acknowledgeAlarm', 'confirmedCOVNotification', 'confirmedEventNotification', 'getAlarmSummary',
+    'getEnrollmentSummary', 'subscribeCOV', 'atomicReadFile', 'atomicWriteFile',
+    'addListElement', 'removeListElement', 'createObject', 'deleteObject',
+    'readProperty', 'readPropertyConditional', 'readPropertyMultiple', 'writeProperty',
+    'writePropertyMultiple', 'deviceCommunicationControl', 'confirmedPrivateTransfer', 'confirmedTextMessage',
+    'reinitializeDevice', 'vtOpen', 'vtClose', 'vtData',
+    'authenticate', 'requestKey', 'iAm', 'iHave',
+    'unconfirmedCOVNotification', 'unconfirmedEventNotification', 'unconfirmedPrivateTransfer', 'unconfirmedTextMessage',
+    'timeSynchronization', 'whoHas', 'whoIs', 'readRange',
+    'utcTimeSynchronization', 'lifeSafetyOperation', 'subscribeCOVProperty', 'getEventInformation',
+    'writeGroup', 'subscribeCOVPropertyMultiple', 'confirmedCOVNotificationMultiple', 'unconfirmedCOVNotificationMultiple'
+];
+
+const DEFAULT_SCAN_DURATION_MS = 5000;
+
+// Request defaults when bacnet.* does not set them: 65+ segments, 1476-octet APDUs.
+const DEFAULT_MAX_SEGMENTS = 112;
+const DEFAULT_MAX_APDU_CODE = 5;
+const DEFAULT_APDU_TIMEOUT_MS = 10000;
+const REQUEST_OPTION_KEYS = ['maxSegments', 'maxApdu', 'apduTimeoutMs', 'retries'];
+
+const DEFAULT_WRITE_PRIORITY = 16;
 
 class BacnetClient extends EventEmitter {
     constructor(options = {}) {
         super();
         this.requestOptions = this._loadRequestOptions();
-        this.client = new bacnet({ apduTimeout: 10000 });
+        this.client = new bacnet({ apduTimeout: this.requestOptions.apduTimeoutMs });
+        enableRoutedAddressing(this.client);
+        enableRequestSettings(this.client);
+        enableIHave(this.client);
         this.deviceConfigs = new Map();
         this.deviceRuntime = new Map();
+        this.deviceProfiles = new Map();
         this.schedules = new Map();
         this.queue = [];
         this.queuedDevices = new Set();
@@ -27,6 +105,26 @@ class BacnetClient extends EventEmitter {
         this.baseBackoffMs = parseInt(pollingConfig.baseBackoffMs || 5000, 10);
         this.maxBackoffMs = parseInt(pollingConfig.maxBackoffMs || 120000, 10);
         this.discoveryRetries = this._loadIntegerOption('bacnet.discoveryRetries', 2);
+        this.covLifetimeSec = parseInt(pollingConfig.covLifetimeSec || 300, 10);
+        this.covRenewMarginSec = parseInt(pollingConfig.covRenewMarginSec || 30, 10);
+        this.covSubscriptions = new Map();
+        this.nextCovProcessId = 1;
+        this.rpmMaxObjects = parseInt(pollingConfig.rpmMaxObjects || 50, 10);
+        this.alarmRefreshIntervalMs = this._loadIntegerOption('alarms.refreshIntervalMs', 300000);
+        this.trendLogIntervalMs = parseInt(pollingConfig.trendLogIntervalMs || 900000, 10);
+        this.trendLogMaxRecords = parseInt(pollingConfig.trendLogMaxRecords || 1000, 10);
+        this.unitsRefreshMs = parseInt(pollingConfig.unitsRefreshMs || 3600000, 10);
+        this.writeVerification = {
+            enabled: config.has('writes.verify') && String(config.get('writes.verify')) === 'true',
+            delayMs: this._loadIntegerOption('writes.verifyDelayMs', 500),
+            retries: this._loadIntegerOption('writes.verifyRetries', 2)
+        };
+        this.readdressPolicy = config.has('bacnet.readdressPolicy') && config.get('bacnet.readdressPolicy') === 'update' ? 'update' : 'warn';
+        this.addressMismatches = new Map();
+        this.writeMultipleUnsupported = new Set();
+        this.timedOverrides = new Map();
+        this.overrideRetryMs = this._loadIntegerOption('writes.overrideRetryMs', 60000);
+        this.overrideMaxAttempts = this._loadIntegerOption('writes.overrideMaxAttempts', 60);
 
         this.metrics = {
             totalPolls: 0,
@@ -36,15 +134,53 @@ class BacnetClient extends EventEmitter {
             totalObjectFailures: 0,
             totalPollDurationMs: 0,
             lastPollAt: null,
-            queueHighWaterMark: 0
+            queueHighWaterMark: 0,
+            covNotifications: 0,
+            covFallbacks: 0,
+            totalRequests: 0,
+            rpmSplits: 0,
+            eventNotifications: 0,
+            alarmRefreshFailures: 0,
+            trendRecordsStored: 0,
+            trendLogFailures: 0,
+            readdressedDevices: 0,
+            suppressedPublishes: 0,
+            rejectedWrites: 0
         };
 
         this.runtimeState = options.runtimeState || new RuntimeState();
         this.bacnetConfig = options.bacnetConfig || new BacnetConfig();
+        this.foreignDevice = this._createForeignDeviceRegistration();
 
-        this.client.on('iAm', (device) => {
+        this.client.on('iAm', (iAm) => {
+            const device = { ...iAm, address: fromBacstackAddress(iAm.address) };
+            this._recordDeviceCapabilities(device);
+            this._checkDeviceAddress(device);
+            this._recordDiscoveredDevice(device);
             this.emit('deviceFound', device);
         });
+        this.client.on('covNotifyUnconfirmed', (notification) => {
+            this._handleCovNotification(notification).catch((err) => {
+                logger.log('error', `[COV] Failed to handle notification: ${err.message || err}`);
+            });
+        });
+        this.client.on('covNotify', (notification) => {
+            this._acknowledgeCovNotification(notification);
+            this._handleCovNotification(notification).catch((err) => {
+                logger.log('error', `[COV] Failed to handle notification: ${err.message || err}`);
+            });
+        });
+        this.client.on('eventNotifyData', (notification) => {
+            this._acknowledgeEventNotification(notification);
+            this._handleEventNotification(notification.address, notification.request).catch((err) => {
+                logger.log('error', `[Alarms] Failed to handle event notification: ${err.message || err}`);
+            });
+        });
+        this.client.on('eventNotify', (notification) => {
+            this._handleEventNotification(notification.address, notification.eventData).catch((err) => {
+                logger.log('error', `[Alarms] Failed to handle event notification: ${err.message || err}`);
+            });
+        });
 
         this.ready = this._init();
         this.schedulerHandle = setInterval(() => {
@@ -58,6 +194,12 @@ class BacnetClient extends EventEmitter {
         if (this.runtimeState && typeof this.runtimeState.init === 'function') {
             await this.runtimeState.init();
         }
+        for (const profile of await this.runtimeState.listDeviceProfiles()) {
+            this.deviceProfiles.set(profile.deviceId, profile);
+        }
+        for (const override of await this.runtimeState.listTimedOverrides()) {
+            this.timedOverrides.set(this._timedOverrideKey(override), override);
+        }
         this.bacnetConfig.on('configLoaded', (deviceConfig) => {
             this._registerDeviceConfig(deviceConfig).catch((err) => {
                 logger.log('error', `[Polling] Failed to register config: ${err.message || err}`);
@@ -67,30 +209,96 @@ class BacnetClient extends EventEmitter {
     }
 
     _loadRequestOptions() {
-        const options = {};
-        if (config.has('bacnet.maxSegments')) {
-            const maxSegments = parseInt(config.get('bacnet.maxSegments'), 10);
-            if (!Number.isNaN(maxSegments)) {
-                options.maxSegments = maxSegments;
+        return {
+            maxSegments: this._loadIntegerOption('bacnet.maxSegments', DEFAULT_MAX_SEGMENTS),
+            // The setting keeps its historical spelling; bacstack reads maxApdu.
+            maxApdu: this._loadIntegerOption('bacnet.maxAdpu', DEFAULT_MAX_APDU_CODE),
+            apduTimeoutMs: this._loadIntegerOption('bacnet.apduTimeoutMs', DEFAULT_APDU_TIMEOUT_MS),
+            retries: this._loadIntegerOption('bacnet.requestRetries', 0)
+        };
+    }
+
+    _normalizeRequestOptions(requestOptions = {}) {
+        const normalized = {};
+        REQUEST_OPTION_KEYS.forEach((key) => {
+            const value = parseInt(requestOptions[key], 10);
+            if (!Number.isNaN(value)) {
+                normalized[key] = value;
             }
+        });
+        return normalized;
+    }
+
+    // Precedence: the device config's requestOptions, then what the device advertised
+    // (I-Am or its Device object), then the global bacnet.* settings.
+    _resolveRequestOptions(deviceAddress) {
+        const resolved = { ...this.requestOptions };
+        const deviceId = this._findDeviceIdByAddress(deviceAddress);
+        const runtime = deviceId ? this.deviceRuntime.get(deviceId) : null;
+        if (!runtime) {
+            return resolved;
         }
-        if (config.has('bacnet.maxAdpu')) {
-            const maxAdpu = parseInt(config.get('bacnet.maxAdpu'), 10);
-            if (!Number.isNaN(maxAdpu)) {
-                options.maxAdpu = maxAdpu;
-            }
+        const capabilities = runtime.capabilities || {};
+        const segmentation = bacnet.enum.Segmentations;
+        if (capabilities.segmentation === segmentation.SEGMENTATION_RECEIVE
+            || capabilities.segmentation === segmentation.SEGMENTATION_NONE) {
+            resolved.maxSegments = 0;
         }
-        return options;
+        if (capabilities.maxApdu) {
+            resolved.maxApdu = Math.min(resolved.maxApdu, encodeMaxApdu(capabilities.maxApdu));
+        }
+        return { ...resolved, ...runtime.requestOptions };
     }
 
-    _buildRequestOptions(priority) {
-        const options = { ...this.requestOptions };
+    _buildRequestOptions(requestOptions, priority) {
+        const options = { maxSegments: requestOptions.maxSegments, maxApdu: requestOptions.maxApdu };
         if (priority !== undefined) {
             options.priority = priority;
         }
         return options;
     }
 
+    // send(options, callback) makes the bacstack call; timeouts are retried up to the device's retry count.
+    _request(deviceAddress, send, priority) {
+        const requestOptions = this._resolveRequestOptions(deviceAddress);
+        return new Promise((resolve, reject) => {
+            // Retries run from bacstack's callback, outside the executor, so a throw from
+            // send() has to be turned into a rejection here.
+            const attempt = (retriesLeft) => {
+                try {
+                    withRequestSettings(this.client, requestOptions, () => {
+                        send(this._buildRequestOptions(requestOptions, priority), (err, value) => {
+                            if (err && retriesLeft > 0 && err.message === 'ERR_TIMEOUT') {
+                                attempt(retriesLeft - 1);
+                            } else if (err) {
+                                reject(err);
+                            } else {
+                                resolve(value);
+                            }
+                        });
+                    });
+                } catch (err) {
+                    reject(err);
+                }
+            };
+            attempt(requestOptions.retries);
+        });
+    }
+
+    _createForeignDeviceRegistration() {
+        const host = config.has('bacnet.bbmd.host') ? config.get('bacnet.bbmd.host') : '';
+        if (!host) {
+            return null;
+        }
+        const registration = new ForeignDeviceRegistration(this.client, {
+            host,
+            port: this._loadIntegerOption('bacnet.bbmd.port', 47808),
+            ttlSeconds: this._loadIntegerOption('bacnet.bbmd.ttlSeconds', 600)
+        });
+        registration.start();
+        return registration;
+    }
+
     _loadIntegerOption(path, fallback) {
         if (!config.has(path)) {
             return fallback;
@@ -107,13 +315,29 @@ class BacnetClient extends EventEmitter {
 
         const deviceId = deviceConfig.device.deviceId.toString();
         this.deviceConfigs.set(deviceId, deviceConfig);
+        this.addressMismatches.delete(deviceId);
         const runtime = this._getOrCreateRuntime(deviceConfig.device, deviceConfig.polling);
         runtime.objects = Array.isArray(deviceConfig.objects) ? deviceConfig.objects : [];
         runtime.polling = this._normalizePolling(deviceConfig.polling);
         runtime.address = deviceConfig.device.address;
+        runtime.requestOptions = this._normalizeRequestOptions(deviceConfig.device.requestOptions);
+        runtime.rpmBatchSize = null;
+        runtime.stateTexts = new Map();
+        runtime.units = new Map();
+        runtime.transforms = this._loadTransforms(deviceId, runtime.objects);
+        runtime.publishSettings = this._loadPublishSettings(deviceId, runtime.polling.publish, runtime.objects);
+        const previousPolicy = runtime.writePolicy;
+        runtime.writePolicy = this._loadWritePolicy(deviceId, deviceConfig.writePolicy, runtime.objects);
+        if (previousPolicy && previousPolicy.enabled && !runtime.writePolicy.enabled) {
+            logger.log('warn', `[Write] Device ${deviceId} no longer has a write policy; all of its objects can be written.`);
+        }
+        runtime.lastPublished = new Map();
 
         await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
+        this._refreshDeviceProfile(deviceId, runtime.address);
         this._configureSchedule(deviceId, runtime.polling);
+        this._configureTrendLogs(runtime);
+        await this._configureCov(deviceId, runtime);
     }
 
     _normalizePolling(polling = {}) {
@@ -123,9 +347,101 @@ class BacnetClient extends EventEmitter {
         normalized.freshnessMs = parseInt(polling.freshnessMs || normalized.intervalMs * 2 || this.defaultFreshnessMs, 10);
         normalized.schedule = polling.schedule || null;
         normalized.jitterMs = parseInt(polling.jitterMs || 0, 10);
+        normalized.mode = polling.mode === 'cov' ? 'cov' : 'poll';
         return normalized;
     }
 
+    _loadTransforms(deviceId, objects) {
+        const transforms = new Map();
+        objects.forEach((deviceObject) => {
+            if (!deviceObject || !deviceObject.objectId || deviceObject.transform === undefined) {
+                return;
+            }
+            const objectKey = `${deviceObject.objectId.type}_${deviceObject.objectId.instance}`;
+            const errors = validateTransform(deviceObject.transform);
+            if (errors.length > 0) {
+                logger.log('warn', `[Polling] Ignoring the transform of ${objectKey} on device ${deviceId}: ${errors.join(' ')}`);
+                return;
+            }
+            transforms.set(objectKey, deviceObject.transform);
+        });
+        return transforms;
+    }
+
+    // An object that sets either deadband replaces the device's deadband instead of adding to it.
+    _loadPublishSettings(deviceId, devicePublish, objects) {
+        const settings = new Map();
+        let defaults = null;
+        if (devicePublish !== undefined) {
+            const errors = validatePublishSettings(devicePublish);
+            if (errors.length > 0) {
+                logger.log('warn', `[Polling] Ignoring polling.publish on device ${deviceId}: ${errors.join(' ')}`);
+            } else {
+                defaults = devicePublish;
+            }
+        }
+        objects.forEach((deviceObject) => {
+            if (!deviceObject || !deviceObject.objectId) {
+                return;
+            }
+            const objectKey = `${deviceObject.objectId.type}_${deviceObject.objectId.instance}`;
+            const own = deviceObject.publish;
+            const errors = own !== undefined ? validatePublishSettings(own) : [];
+            if (errors.length > 0) {
+                logger.log('warn', `[Polling] Ignoring the publish settings of ${objectKey} on device ${deviceId}: ${errors.join(' ')}`);
+            } else if (own !== undefined) {
+                const inherited = { ...defaults };
+                if (own.deadband !== undefined || own.deadbandPercent !== undefined) {
+                    delete inherited.deadband;
+                    delete inherited.deadbandPercent;
+                }
+                settings.set(objectKey, { ...inherited, ...own });
+                return;
+            }
+            if (defaults) {
+                settings.set(objectKey, defaults);
+            }
+        });
+        return settings;
+    }
+
+    // An invalid write block fails closed: its object stays read-only.
+    _loadWritePolicy(deviceId, devicePolicy, objects) {
+        const policy = { enabled: devicePolicy !== undefined, objects: new Map() };
+        if (devicePolicy !== undefined) {
+            const errors = validateWritePolicy(devicePolicy);
+            if (errors.length > 0) {
+                logger.log('warn', `[Write] Ignoring writePolicy on device ${deviceId}: ${errors.join(' ')}`);
+            } else {
+                policy.priorities = devicePolicy.priorities;
+                policy.maxWritesPerMinute = devicePolicy.maxWritesPerMinute;
+            }
+        }
+        objects.forEach((deviceObject) => {
+            if (!deviceObject || !deviceObject.objectId || deviceObject.write === undefined) {
+                return;
+            }
+            policy.enabled = true;
+            const objectKey = `${deviceObject.objectId.type}_${deviceObject.objectId.instance}`;
+            const errors = validateObjectWritePolicy(deviceObject.write);
+            const properties = errors.length === 0 && deviceObject.write.properties
+                ? deviceObject.write.properties.map((property) => this._resolvePropertyRef(property))
+                : null;
+            if (properties && properties.includes(null)) {
+                errors.push('write.properties must name known BACnet properties.');
+            }
+            if (errors.length > 0) {
+                logger.log('warn', `[Write] Object ${objectKey} on device ${deviceId} is read-only; its write policy is invalid: ${errors.join(' ')}`);
+                return;
+            }
+            policy.objects.set(objectKey, {
+                ...deviceObject.write,
+                properties: properties ? properties.map((property) => property.id) : undefined
+            });
+        });
+        return policy;
+    }
+
     _resolveIntervalMs(polling = {}) {
         if (polling.intervalMs) {
             return parseInt(polling.intervalMs, 10);
@@ -154,6 +470,20 @@ class BacnetClient extends EventEmitter {
                 lastError: null,
                 cronDue: false,
                 objects: [],
+                covObjectKeys: new Set(),
+                capabilities: {},
+                requestOptions: {},
+                rpmBatchSize: null,
+                stateTexts: new Map(),
+                units: new Map(),
+                transforms: new Map(),
+                publishSettings: new Map(),
+                writePolicy: null,
+                writeHistory: new Map(),
+                lastPublished: new Map(),
+                nextAlarmRefreshAt: Date.now(),
+                alarmRefreshInFlight: false,
+                trendLogs: [],
                 polling: this._normalizePolling(polling)
             });
         }
@@ -163,7 +493,7 @@ class BacnetClient extends EventEmitter {
     _serializeRuntime(runtime) {
         return {
             deviceId: runtime.deviceId,
-            address: runtime.address,
+            address: formatAddress(runtime.address),
             pollClass: runtime.pollClass,
             schedule: runtime.schedule,
             circuitState: runtime.circuitState,
@@ -204,8 +534,12 @@ class BacnetClient extends EventEmitter {
     async _schedulerLoop() {
         await this.ready;
         const now = Date.now();
+        await this._renewCovSubscriptions(now);
+        this._refreshDueAlarms(now);
+        this._readDueTrendLogs(now);
+        this._releaseDueOverrides(now);
         for (const [deviceId, runtime] of this.deviceRuntime.entries()) {
-            if (!runtime.objects || runtime.objects.length === 0) {
+            if (this._getPolledObjects(runtime).length === 0) {
                 continue;
             }
             if (this.queuedDevices.has(deviceId)) {
@@ -269,11 +603,32 @@ class BacnetClient extends EventEmitter {
         runtime.nextEligiblePollAt = startedAt;
         await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
 
-        const reads = await this._runWithConcurrency(runtime.objects, this.objectConcurrency, async (deviceObject) => {
-            const objectId = deviceObject.objectId;
-            const result = await this._readObjectPresentValue(deviceConfig.device.address, objectId.type, objectId.instance);
-            return { objectId, result };
+        const polledObjects = this._getPolledObjects(runtime);
+        const requests = polledObjects.map((deviceObject) => {
+            const extras = this._getExtraProperties(runtime, deviceObject);
+            // State texts rarely change, so they ride along only until they are cached.
+            const stateTextProperties = this._hasStateTexts(runtime, deviceObject.objectId) ? [] : this._getStateTextProperties(deviceObject.objectId);
+            const unitsProperties = this._needsUnits(runtime, deviceObject.objectId, startedAt)
+                && !extras.some((extra) => extra.id === bacnet.enum.PropertyIds.PROP_UNITS)
+                ? [{ id: bacnet.enum.PropertyIds.PROP_UNITS }]
+                : [];
+            return {
+                objectId: deviceObject.objectId,
+                properties: this._getPollProperties().concat(extras.map((extra) => ({ id: extra.id })), stateTextProperties, unitsProperties),
+                extras
+            };
         });
+        const maxPropertyCount = requests.reduce((max, request) => Math.max(max, request.properties.length), 0);
+        const batchSize = this._resolveRpmBatchSize(runtime, maxPropertyCount);
+        const chunks = [];
+        for (let offset = 0; offset < requests.length; offset += batchSize) {
+            chunks.push(requests.slice(offset, offset + batchSize));
+        }
+        const batch = { requestCount: 0 };
+        const chunkReads = await this._runWithConcurrency(chunks, this.objectConcurrency, (chunk) => {
+            return this._readObjectBatch(runtime, deviceConfig.device.address, chunk, batch);
+        });
+        const reads = [].concat(...chunkReads);
 
         const completedAt = Date.now();
         const durationMs = completedAt - startedAt;
@@ -302,73 +657,1180 @@ class BacnetClient extends EventEmitter {
             const object = entry.result.value;
             const presentValue = this._findValueById(object.values[0].values, bacnet.enum.PropertyIds.PROP_PRESENT_VALUE);
             const objectName = this._findValueById(object.values[0].values, bacnet.enum.PropertyIds.PROP_OBJECT_NAME);
-            const acquiredAt = completedAt;
-            const freshnessMs = runtime.polling.freshnessMs;
+            if (!this._hasStateTexts(runtime, entry.objectId)) {
+                this._cacheStateTexts(runtime, entry.objectId, object.values[0].values);
+            }
+            this._cacheUnits(runtime, entry.objectId, object.values[0].values, completedAt);
+
+            values[objectKey] = this._buildTelemetry(deviceConfig, runtime, entry.objectId, {
+                value: applyTransform(presentValue, runtime.transforms.get(objectKey)),
+                valueLabel: this._getStateLabel(runtime, entry.objectId, presentValue),
+                units: this._getUnits(runtime, entry.objectId),
+                name: objectName,
+                properties: this._decodeExtraProperties(object.values[0].values, entry.extras),
+                acquiredAt: completedAt,
+                freshnessMs: runtime.polling.freshnessMs,
+                pollDurationMs: durationMs,
+                acquisitionMode: 'poll'
+            });
+
+            await this.runtimeState.saveObjectTelemetry(deviceId, objectKey, values[objectKey]);
+        }
+
+        if (successCount > 0) {
+            runtime.consecutiveFailures = 0;
+            runtime.circuitState = 'closed';
+            runtime.lastSuccessAt = completedAt;
+            runtime.lastError = null;
+            runtime.lastDurationMs = durationMs;
+            runtime.nextEligiblePollAt = completedAt;
+            this.metrics.successfulPolls += 1;
+            await this.runtimeState.recordPollHistory({
+                deviceId,
+                objectCount: polledObjects.length,
+                successCount,
+                failureCount,
+                durationMs,
+                status: failureCount > 0 ? 'partial' : 'success',
+                errorClass: pollErrorClass,
+                requestCount: batch.requestCount,
+                createdAt: completedAt
+            });
+            await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
+            this._emitValues(deviceConfig.device, runtime, values, completedAt);
+            return;
+        }
+
+        runtime.consecutiveFailures += 1;
+        runtime.circuitState = runtime.consecutiveFailures >= this.failureThreshold ? 'open' : 'closed';
+        runtime.lastError = pollErrorClass || 'poll_failed';
+        runtime.lastDurationMs = durationMs;
+        runtime.nextEligiblePollAt = completedAt + this._calculateBackoffMs(runtime.consecutiveFailures);
+        this.metrics.failedPolls += 1;
+        await this.runtimeState.recordPollHistory({
+            deviceId,
+            objectCount: polledObjects.length,
+            successCount,
+            failureCount,
+            durationMs,
+            status: 'failed',
+            errorClass: runtime.lastError,
+            requestCount: batch.requestCount,
+            createdAt: completedAt
+        });
+        await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
+    }
+
+    _calculateBackoffMs(consecutiveFailures) {
+        const factor = Math.max(0, consecutiveFailures - 1);
+        return Math.min(this.maxBackoffMs, this.baseBackoffMs * Math.pow(2, factor));
+    }
+
+    _getPollProperties() {
+        return [
+            { id: bacnet.enum.PropertyIds.PROP_PRESENT_VALUE },
+            { id: bacnet.enum.PropertyIds.PROP_OBJECT_NAME }
+        ];
+    }
+
+    _recordDeviceCapabilities(device) {
+        if (!device || device.deviceId === undefined) {
+            return;
+        }
+        const runtime = this.deviceRuntime.get(device.deviceId.toString());
+        if (!runtime) {
+            return;
+        }
+        runtime.capabilities = {
+            maxApdu: device.maxApdu,
+            segmentation: device.segmentation
+        };
+    }
+
+    _checkDeviceAddress(device) {
+        if (!device || device.deviceId === undefined) {
+            return;
+        }
+        const deviceId = String(device.deviceId);
+        const deviceConfig = this.deviceConfigs.get(deviceId);
+        if (!deviceConfig || !deviceConfig.device) {
+            return;
+        }
+        const configuredAddress = deviceConfig.device.address;
+        if (sameAddress(configuredAddress, device.address)) {
+            this.addressMismatches.delete(deviceId);
+            return;
+        }
+        const change = {
+            deviceId,
+            configuredAddress,
+            observedAddress: device.address,
+            policy: this.readdressPolicy,
+            detectedAt: Date.now()
+        };
+        if (this.readdressPolicy === 'update') {
+            logger.log('warn', `[Readdress] Device ${deviceId} moved from ${formatAddress(configuredAddress)} to ${formatAddress(device.address)}; updating its config.`);
+            this.metrics.readdressedDevices += 1;
+            this.emit('deviceAddressChanged', change);
+            this.saveConfig({ ...deviceConfig, device: { ...deviceConfig.device, address: device.address } }).catch((err) => {
+                logger.log('error', `[Readdress] Failed to re-register device ${deviceId}: ${err.message || err}`);
+            });
+            return;
+        }
+        const known = this.addressMismatches.get(deviceId);
+        if (known && sameAddress(known.observedAddress, device.address)) {
+            return;
+        }
+        logger.log('warn', `[Readdress] Device ${deviceId} answered from ${formatAddress(device.address)} but is configured at ${formatAddress(configuredAddress)}.`);
+        this.addressMismatches.set(deviceId, change);
+        this.emit('deviceAddressChanged', change);
+    }
+
+    _recordDiscoveredDevice(device) {
+        if (!device || device.deviceId === undefined) {
+            return;
+        }
+        this.runtimeState.upsertDiscoveredDevice({
+            deviceId: device.deviceId,
+            address: device.address,
+            displayAddress: formatAddress(device.address),
+            network: isRoutedAddress(device.address) ? device.address.network : null,
+            vendorId: device.vendorId,
+            maxApdu: device.maxApdu,
+            segmentation: device.segmentation
+        }).catch((err) => {
+            logger.log('error', `[Discovery] Failed to store device ${device.deviceId}: ${err.message || err}`);
+        });
+    }
+
+    async readDeviceProfile(deviceId, deviceAddress) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        const response = await this._readObject(deviceAddress, bacnet.enum.ObjectTypes.OBJECT_DEVICE, parseInt(deviceId, 10), [
+            { id: propertyIds.PROP_VENDOR_NAME },
+            { id: propertyIds.PROP_MODEL_NAME },
+            { id: propertyIds.PROP_FIRMWARE_REVISION },
+            { id: propertyIds.PROP_APPLICATION_SOFTWARE_VERSION },
+            { id: propertyIds.PROP_PROTOCOL_SERVICES_SUPPORTED },
+            { id: propertyIds.PROP_MAX_APDU_LENGTH_ACCEPTED },
+            { id: propertyIds.PROP_SEGMENTATION_SUPPORTED },
+            { id: propertyIds.PROP_DATABASE_REVISION }
+        ]);
+        if (response.error) {
+            throw response.error;
+        }
+        const objectResult = response.value && response.value.values && response.value.values[0];
+        const properties = objectResult && Array.isArray(objectResult.values) ? objectResult.values : [];
+        const read = (id) => this._decodePropertyValue(id, properties.find((property) => property.id === id));
+        const services = read(propertyIds.PROP_PROTOCOL_SERVICES_SUPPORTED);
+        const profile = {
+            deviceId: String(deviceId),
+            vendorName: read(propertyIds.PROP_VENDOR_NAME),
+            modelName: read(propertyIds.PROP_MODEL_NAME),
+            firmwareRevision: read(propertyIds.PROP_FIRMWARE_REVISION),
+            applicationSoftwareVersion: read(propertyIds.PROP_APPLICATION_SOFTWARE_VERSION),
+            protocolServicesSupported: services ? this._decodeServicesSupported(services) : null,
+            maxApduLengthAccepted: read(propertyIds.PROP_MAX_APDU_LENGTH_ACCEPTED),
+            segmentationSupported: read(propertyIds.PROP_SEGMENTATION_SUPPORTED),
+            databaseRevision: read(propertyIds.PROP_DATABASE_REVISION),
+            readAt: Date.now()
+        };
+        await this.runtimeState.saveDeviceProfile(profile.deviceId, profile);
+        this.deviceProfiles.set(profile.deviceId, profile);
+        const runtime = this.deviceRuntime.get(profile.deviceId);
+        if (runtime && profile.maxApduLengthAccepted !== null && profile.segmentationSupported !== null) {
+            runtime.capabilities = {
+                maxApdu: profile.maxApduLengthAccepted,
+                segmentation: profile.segmentationSupported
+            };
+        }
+        return profile;
+    }
+
+    async _refreshDeviceProfile(deviceId, deviceAddress) {
+        try {
+            return await this.readDeviceProfile(deviceId, deviceAddress);
+        } catch (err) {
+            logger.log('warn', `[Discovery] Failed to read device profile of ${deviceId}: ${err.message || err}`);
+            return null;
+        }
+    }
+
+    getDeviceProfile(deviceId) {
+        return this.deviceProfiles.get(String(deviceId)) || null;
+    }
+
+    _decodeServicesSupported(bitString) {
+        const bytes = Array.isArray(bitString.value) ? bitString.value : [];
+        const bitsUsed = bitString.bitsUsed !== undefined ? bitString.bitsUsed : bytes.length * 8;
+        const supported = [];
+        for (let bit = 0; bit < Math.min(bitsUsed, SERVICES_SUPPORTED_NAMES.length); bit += 1) {
+            if ((bytes[bit >> 3] & (1 << (bit & 7))) !== 0) {
+                supported.push(SERVICES_SUPPORTED_NAMES[bit]);
+            }
+        }
+        return supported;
+    }
+
+    _decodeMaxSegments(maxSegments) {
+        const code = (parseInt(maxSegments, 10) >> 4) & 0x07;
+        if (code === 0) {
+            return 1;
+        }
+        return code === 7 ? 64 : Math.pow(2, code);
+    }
+
+    _resolveRpmBatchSize(runtime, propertyCount) {
+        if (runtime.rpmBatchSize) {
+            return runtime.rpmBatchSize;
+        }
+        const capabilities = runtime.capabilities || {};
+        const requestOptions = this._resolveRequestOptions(runtime.address);
+        const maxApdu = Math.min(capabilities.maxApdu || DEFAULT_MAX_APDU, decodeMaxApdu(requestOptions.maxApdu));
+        const segmentation = bacnet.enum.Segmentations;
+        const deviceSegments = capabilities.segmentation === segmentation.SEGMENTATION_BOTH
+            || capabilities.segmentation === segmentation.SEGMENTATION_TRANSMIT;
+        const segments = deviceSegments && requestOptions.maxSegments
+            ? this._decodeMaxSegments(requestOptions.maxSegments)
+            : 1;
+        const bytesPerObject = RPM_OBJECT_OVERHEAD_BYTES + propertyCount * RPM_PROPERTY_ESTIMATE_BYTES;
+        const fitting = Math.floor((maxApdu * segments - RPM_RESPONSE_OVERHEAD_BYTES) / bytesPerObject);
+        const configured = parseInt(runtime.polling.rpmMaxObjects || this.rpmMaxObjects, 10);
+        return Math.max(1, Math.min(configured, fitting));
+    }
+
+    _isRpmSizeError(error) {
+        const message = error && error.message ? error.message : String(error);
+        const abort = /BacnetAbort - Reason:(\d+)/.exec(message);
+        if (abort) {
+            return RPM_SIZE_ABORT_REASONS.includes(parseInt(abort[1], 10));
+        }
+        const bacnetError = /BacnetError - Class:\d+ - Code:(\d+)/.exec(message);
+        return bacnetError !== null && RPM_SIZE_ERROR_CODES.includes(parseInt(bacnetError[1], 10));
+    }
+
+    async _readObjectBatch(runtime, deviceAddress, requests, batch) {
+        batch.requestCount += 1;
+        this.metrics.totalRequests += 1;
+        const response = await this._readObjects(deviceAddress, requests)
+            .catch((error) => ({ error, value: null }));
+
+        if (response.error) {
+            if (requests.length > 1 && this._isRpmSizeError(response.error)) {
+                const half = Math.ceil(requests.length / 2);
+                runtime.rpmBatchSize = half;
+                this.metrics.rpmSplits += 1;
+                logger.log('debug', `[Polling] Device ${runtime.deviceId} rejected a ${requests.length}-object RPM; retrying with ${half}: ${response.error.message || response.error}`);
+                const first = await this._readObjectBatch(runtime, deviceAddress, requests.slice(0, half), batch);
+                const second = await this._readObjectBatch(runtime, deviceAddress, requests.slice(half), batch);
+                return first.concat(second);
+            }
+            return requests.map(({ objectId, extras }) => ({ objectId, extras, result: { error: response.error, value: null } }));
+        }
+
+        const results = response.value && Array.isArray(response.value.values) ? response.value.values : [];
+        return requests.map(({ objectId, extras }) => {
+            const objectResult = results.find((entry) => entry.objectId
+                && entry.objectId.type === objectId.type
+                && entry.objectId.instance === objectId.instance);
+            if (!objectResult) {
+                return { objectId, extras, result: { error: new Error('missing_from_response'), value: null } };
+            }
+            const presentValue = (objectResult.values || []).find((property) => property.id === bacnet.enum.PropertyIds.PROP_PRESENT_VALUE);
+            const propertyError = this._extractPropertyError(presentValue);
+            if (propertyError) {
+                return { objectId, extras, result: { error: propertyError, value: null } };
+            }
+            return { objectId, extras, result: { error: null, value: { values: [objectResult] } } };
+        });
+    }
+
+    _resolvePropertyRef(ref) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        if (typeof ref === 'number' || (typeof ref === 'string' && /^\d+$/.test(ref))) {
+            const id = parseInt(ref, 10);
+            const name = Object.keys(propertyIds).find((key) => propertyIds[key] === id);
+            return { id, key: name ? this._propertyKey(name) : String(id) };
+        }
+        if (typeof ref !== 'string') {
+            return null;
+        }
+        const name = ref.toUpperCase().replace(/^PROP_/, '');
+        const id = propertyIds[`PROP_${name}`];
+        return id === undefined ? null : { id, key: this._propertyKey(name) };
+    }
+
+    _propertyKey(name) {
+        return name.replace(/^PROP_/, '').toLowerCase().replace(/_([a-z0-9])/g, (_match, char) => char.toUpperCase());
+    }
+
+    _getExtraProperties(runtime, deviceObject) {
+        const byType = runtime.polling.properties || {};
+        const refs = []
+            .concat(byType['*'] || [])
+            .concat(byType[deviceObject.objectId.type] || [])
+            .concat(Array.isArray(deviceObject.properties) ? deviceObject.properties : []);
+        const baseIds = this._getPollProperties().map((property) => property.id);
+        const extras = [];
+        for (const ref of refs) {
+            const resolved = this._resolvePropertyRef(ref);
+            if (!resolved) {
+                logger.log('warn', `[Polling] Ignoring unknown property ${JSON.stringify(ref)} for device ${runtime.deviceId}`);
+                continue;
+            }
+            if (baseIds.includes(resolved.id) || extras.some((extra) => extra.id === resolved.id)) {
+                continue;
+            }
+            extras.push(resolved);
+        }
+        return extras;
+    }
+
+    _decodeExtraProperties(properties, extras = []) {
+        const decoded = {};
+        for (const extra of extras) {
+            const property = (properties || []).find((entry) => entry.id === extra.id);
+            decoded[extra.key] = this._decodePropertyValue(extra.id, property);
+        }
+        return decoded;
+    }
+
+    _decodePropertyValue(propertyId, property) {
+        if (!property || !Array.isArray(property.value) || property.value.length === 0 || this._extractPropertyError(property)) {
+            return null;
+        }
+        if (propertyId === bacnet.enum.PropertyIds.PROP_STATUS_FLAGS) {
+            return this._decodeStatusFlags(property.value[0].value);
+        }
+        if (property.value.length === 1) {
+            return property.value[0].value;
+        }
+        return property.value.map((entry) => entry.value);
+    }
+
+    _decodeStatusFlags(bitString) {
+        const bits = bitString && Array.isArray(bitString.value) && bitString.value.length > 0 ? bitString.value[0] : 0;
+        return {
+            inAlarm: (bits & 0x01) !== 0,
+            fault: (bits & 0x02) !== 0,
+            overridden: (bits & 0x04) !== 0,
+            outOfService: (bits & 0x08) !== 0
+        };
+    }
+
+    _extractPropertyError(property) {
+        if (!property || !Array.isArray(property.value) || property.value.length === 0) {
+            return null;
+        }
+        const value = property.value[0].value;
+        if (value && typeof value === 'object' && value.errorClass !== undefined) {
+            return new Error(`BacnetError - Class:${value.errorClass} - Code:${value.errorCode}`);
+        }
+        return null;
+    }
+
+    _buildTelemetry(deviceConfig, runtime, objectId, reading) {
+        const objectKey = `${objectId.type}_${objectId.instance}`;
+        return {
+            value: reading.value,
+            valueLabel: reading.valueLabel !== undefined ? reading.valueLabel : null,
+            units: reading.units !== undefined ? reading.units : null,
+            unitsSymbol: unitsSymbol(reading.units),
+            name: reading.name,
+            properties: reading.properties || {},
+            objectKey,
+            objectType: objectId.type,
+            objectInstance: objectId.instance,
+            deviceId: runtime.deviceId,
+            address: formatAddress(deviceConfig.device.address),
+            acquiredAt: reading.acquiredAt,
+            publishedAt: reading.acquiredAt,
+            freshnessMs: reading.freshnessMs,
+            sourceStatus: 'fresh',
+            pollDurationMs: reading.pollDurationMs,
+            pollClass: runtime.polling.class,
+            acquisitionMode: reading.acquisitionMode
+        };
+    }
+
+    // Runtime state has already stored every value, so freshness tracking is unaffected.
+    _emitValues(device, runtime, values, now) {
+        const published = {};
+        for (const [objectKey, telemetry] of Object.entries(values)) {
+            if (!shouldPublish(runtime.lastPublished.get(objectKey), telemetry, runtime.publishSettings.get(objectKey), now)) {
+                this.metrics.suppressedPublishes += 1;
+                continue;
+            }
+            runtime.lastPublished.set(objectKey, { telemetry, publishedAt: now });
+            published[objectKey] = telemetry;
+        }
+        if (Object.keys(published).length > 0) {
+            this.emit('values', device, published);
+        }
+    }
+
+    _getStateTextProperties(objectId) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        if (BINARY_OBJECT_TYPES.includes(objectId.type)) {
+            return [{ id: propertyIds.PROP_INACTIVE_TEXT }, { id: propertyIds.PROP_ACTIVE_TEXT }];
+        }
+        if (MULTISTATE_OBJECT_TYPES.includes(objectId.type)) {
+            return [{ id: propertyIds.PROP_STATE_TEXT }];
+        }
+        return [];
+    }
+
+    _hasStateTexts(runtime, objectId) {
+        return this._getStateTextProperties(objectId).length === 0 || runtime.stateTexts.has(`${objectId.type}_${objectId.instance}`);
+    }
+
+    // Caches labels indexed by present value: [inactive, active] for binary objects,
+    // [null, state 1, state 2, ...] for multistate. Devices without texts cache [].
+    _cacheStateTexts(runtime, objectId, properties) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        const read = (id) => this._decodePropertyValue(id, (properties || []).find((property) => property.id === id));
+        let labels = [];
+        if (BINARY_OBJECT_TYPES.includes(objectId.type)) {
+            const inactive = read(propertyIds.PROP_INACTIVE_TEXT);
+            const active = read(propertyIds.PROP_ACTIVE_TEXT);
+            labels = inactive === null && active === null ? [] : [inactive, active];
+        } else if (MULTISTATE_OBJECT_TYPES.includes(objectId.type)) {
+            const stateText = read(propertyIds.PROP_STATE_TEXT);
+            labels = stateText === null ? [] : [null].concat(stateText);
+        }
+        runtime.stateTexts.set(`${objectId.type}_${objectId.instance}`, labels);
+        return labels;
+    }
+
+    async _loadStateTexts(runtime, deviceAddress, objectId) {
+        const objectKey = `${objectId.type}_${objectId.instance}`;
+        if (runtime && runtime.stateTexts.has(objectKey)) {
+            return runtime.stateTexts.get(objectKey);
+        }
+        const properties = this._getStateTextProperties(objectId);
+        if (properties.length === 0) {
+            return [];
+        }
+        const response = await this._readObject(deviceAddress, objectId.type, objectId.instance, properties);
+        if (response.error) {
+            logger.log('warn', `[Polling] Failed to read state texts of ${objectKey}: ${response.error.message || response.error}`);
+            return [];
+        }
+        const objectResult = response.value && response.value.values && response.value.values[0];
+        return this._cacheStateTexts(runtime || { stateTexts: new Map() }, objectId, objectResult ? objectResult.values : []);
+    }
+
+    _getStateLabel(runtime, objectId, value) {
+        const labels = runtime.stateTexts.get(`${objectId.type}_${objectId.instance}`);
+        if (!labels || !Number.isInteger(value)) {
+            return null;
+        }
+        const label = labels[value];
+        return typeof label === 'string' ? label : null;
+    }
+
+    _needsUnits(runtime, objectId, now) {
+        if (!UNITS_OBJECT_TYPES.includes(objectId.type)) {
+            return false;
+        }
+        const cached = runtime.units.get(`${objectId.type}_${objectId.instance}`);
+        return !cached || now - cached.readAt >= this.unitsRefreshMs;
+    }
+
+    _cacheUnits(runtime, objectId, properties, readAt) {
+        const property = (properties || []).find((entry) => entry.id === bacnet.enum.PropertyIds.PROP_UNITS);
+        if (!property) {
+            return;
+        }
+        const objectKey = `${objectId.type}_${objectId.instance}`;
+        const units = this._decodePropertyValue(property.id, property);
+        const previous = runtime.units.get(objectKey);
+        runtime.units.set(objectKey, {
+            units: Number.isInteger(units) ? units : (previous ? previous.units : null),
+            readAt
+        });
+    }
+
+    // COV notifications carry no units, so a stale entry is read on its own.
+    async _loadUnits(runtime, objectId) {
+        const now = Date.now();
+        if (!this._needsUnits(runtime, objectId, now)) {
+            return;
+        }
+        const properties = [{ id: bacnet.enum.PropertyIds.PROP_UNITS }];
+        const response = await this._readObject(runtime.address, objectId.type, objectId.instance, properties);
+        if (response.error) {
+            logger.log('warn', `[Polling] Failed to read units of ${objectId.type}_${objectId.instance}: ${response.error.message || response.error}`);
+        }
+        // A failed read is cached too, so it is retried at the next refresh rather than on every notification.
+        const objectResult = !response.error && response.value && response.value.values && response.value.values[0];
+        this._cacheUnits(runtime, objectId, objectResult ? objectResult.values : properties, now);
+    }
+
+    _getUnits(runtime, objectId) {
+        const converted = transformUnits(runtime.transforms.get(`${objectId.type}_${objectId.instance}`));
+        if (converted !== null) {
+            return converted;
+        }
+        const cached = runtime.units.get(`${objectId.type}_${objectId.instance}`);
+        if (cached && cached.units !== null) {
+            return cached.units;
+        }
+        const configured = (runtime.objects || []).find((deviceObject) => deviceObject && deviceObject.objectId
+            && deviceObject.objectId.type === objectId.type && deviceObject.objectId.instance === objectId.instance);
+        return configured && Number.isInteger(configured.units) ? configured.units : null;
+    }
+
+    // State labels become their index and other present values go through the inverse
+    // transform; typed values and other properties are written as given.
+    async resolveWriteValue(deviceAddress, objectId, propertyId, value, bacnetApplicationTag) {
+        const resolved = await this._resolvePresentValue(deviceAddress, objectId, propertyId, value);
+        const encoded = this._encodeWriteValue(objectId, propertyId, resolved, bacnetApplicationTag);
+        return {
+            value: isTypedValue(resolved) ? resolved.value : resolved,
+            bacnetApplicationTag: encoded.type
+        };
+    }
+
+    // Bounds apply in published units; toPrecision drops the rounding error of the
+    // inverse transform's round trip.
+    _enforceWritePolicy(deviceId, objectId, propertyId, value, priority, history) {
+        const runtime = deviceId !== undefined && deviceId !== null ? this.deviceRuntime.get(String(deviceId)) : null;
+        if (!runtime) {
+            this.metrics.rejectedWrites += 1;
+            logger.log('warn', `[Write] Rejected: device ${deviceId} has no registered config.`);
+            throw new WritePolicyError('not-writable', `Device ${deviceId} has no registered config, so its write policy cannot be checked.`);
+        }
+        const objectKey = `${objectId.type}_${objectId.instance}`;
+        const transform = propertyId === bacnet.enum.PropertyIds.PROP_PRESENT_VALUE ? runtime.transforms.get(objectKey) : null;
+        const scaled = transform && typeof value === 'number' ? scaleValue(value, transform) : value;
+        try {
+            checkWritePolicy(runtime.writePolicy, history || runtime.writeHistory, {
+                deviceId: String(deviceId),
+                objectKey,
+                propertyId,
+                value: typeof scaled === 'number' && Number.isFinite(scaled) ? Number(scaled.toPrecision(12)) : scaled,
+                priority
+            });
+        } catch (error) {
+            if (error instanceof WritePolicyError) {
+                this.metrics.rejectedWrites += 1;
+                logger.log('warn', `[Write] Rejected by policy (${error.reason}): ${error.message}`);
+            }
+            throw error;
+        }
+    }
+
+    // Only writes the device acknowledged count toward the rate limits.
+    _recordWrite(deviceId, objectId, history) {
+        const runtime = this.deviceRuntime.get(String(deviceId));
+        if (runtime) {
+            recordWrite(runtime.writePolicy, history || runtime.writeHistory, `${objectId.type}_${objectId.instance}`);
+        }
+    }
+
+    async _resolvePresentValue(deviceAddress, objectId, propertyId, value) {
+        if (propertyId !== bacnet.enum.PropertyIds.PROP_PRESENT_VALUE || isTypedValue(value)) {
+            return value;
+        }
+        const deviceId = this._findDeviceIdByAddress(deviceAddress);
+        const runtime = deviceId ? this.deviceRuntime.get(deviceId) : null;
+        if (typeof value !== 'string' || !value.trim() || !isNaN(Number(value))
+            || this._getStateTextProperties(objectId).length === 0) {
+            const transform = runtime ? runtime.transforms.get(`${objectId.type}_${objectId.instance}`) : null;
+            return reverseTransform(value, transform);
+        }
+        const labels = await this._loadStateTexts(runtime, deviceAddress, objectId);
+        const wanted = value.trim().toLowerCase();
+        const index = labels.findIndex((label) => typeof label === 'string' && label.toLowerCase() === wanted);
+        if (index < 0) {
+            const known = labels.filter((label) => typeof label === 'string');
+            throw new Error(known.length > 0
+                ? `Unknown state "${value}" for object ${objectId.type}_${objectId.instance}; expected one of: ${known.join(', ')}`
+                : `Object ${objectId.type}_${objectId.instance} has no state texts to match "${value}"`);
+        }
+        return index;
+    }
+
+    _resolveObjectMode(deviceObject, polling = {}) {
+        const objectPolling = deviceObject && deviceObject.polling ? deviceObject.polling : {};
+        return (objectPolling.mode || polling.mode) === 'cov' ? 'cov' : 'poll';
+    }
+
+    _getPolledObjects(runtime) {
+        const objects = Array.isArray(runtime.objects) ? runtime.objects : [];
+        if (!runtime.covObjectKeys || runtime.covObjectKeys.size === 0) {
+            return objects;
+        }
+        return objects.filter((deviceObject) => {
+            const objectId = deviceObject.objectId;
+            return !runtime.covObjectKeys.has(`${objectId.type}_${objectId.instance}`);
+        });
+    }
+
+    async _configureCov(deviceId, runtime) {
+        await this._cancelCovSubscriptions(deviceId);
+        runtime.covObjectKeys = new Set();
+        const covObjects = runtime.objects.filter((deviceObject) => {
+            return deviceObject && deviceObject.objectId && this._resolveObjectMode(deviceObject, runtime.polling) === 'cov';
+        });
+        if (covObjects.length === 0) {
+            return;
+        }
+
+        await this._runWithConcurrency(covObjects, this.objectConcurrency, async (deviceObject) => {
+            const covProperty = deviceObject.polling && deviceObject.polling.covProperty !== undefined
+                ? parseInt(deviceObject.polling.covProperty, 10)
+                : null;
+            const subscription = {
+                processId: this.nextCovProcessId,
+                deviceId,
+                objectId: deviceObject.objectId,
+                objectKey: `${deviceObject.objectId.type}_${deviceObject.objectId.instance}`,
+                covProperty: Number.isNaN(covProperty) ? null : covProperty,
+                name: deviceObject.name || null,
+                active: false,
+                fallback: false,
+                renewAt: null,
+                lastNotificationAt: null
+            };
+            this.nextCovProcessId += 1;
+            this.covSubscriptions.set(subscription.processId, subscription);
+            await this._subscribeCov(subscription);
+        });
+    }
+
+    async _subscribeCov(subscription) {
+        const runtime = this.deviceRuntime.get(subscription.deviceId);
+        if (!runtime) {
+            this.covSubscriptions.delete(subscription.processId);
+            return false;
+        }
+        try {
+            await this._sendCovSubscription(runtime.address, subscription, false);
+        } catch (err) {
+            if (!subscription.fallback) {
+                this.metrics.covFallbacks += 1;
+                logger.log('warn', `[COV] Device ${subscription.deviceId} rejected COV for ${subscription.objectKey}; falling back to polling: ${err.message || err}`);
+            }
+            subscription.fallback = true;
+            subscription.active = false;
+            subscription.renewAt = Date.now() + this.covLifetimeSec * 1000;
+            runtime.covObjectKeys.delete(subscription.objectKey);
+            return false;
+        }
+        subscription.active = true;
+        subscription.fallback = false;
+        subscription.renewAt = Date.now() + Math.max(1, this.covLifetimeSec - this.covRenewMarginSec) * 1000;
+        runtime.covObjectKeys.add(subscription.objectKey);
+        return true;
+    }
+
+    async _sendCovSubscription(deviceAddress, subscription, cancel) {
+        await this._request(deviceAddress, (options, callback) => {
+            if (subscription.covProperty !== null) {
+                this.client.subscribeProperty(
+                    toBacstackAddress(deviceAddress),
+                    subscription.objectId,
+                    { id: subscription.covProperty, index: BACNET_ARRAY_ALL },
+                    subscription.processId,
+                    cancel,
+                    false,
+                    options,
+                    callback
+                );
+                return;
+            }
+            this.client.subscribeCOV(
+                toBacstackAddress(deviceAddress),
+                subscription.objectId,
+                subscription.processId,
+                cancel,
+                false,
+                cancel ? 0 : this.covLifetimeSec,
+                options,
+                callback
+            );
+        });
+    }
+
+    async _renewCovSubscriptions(now) {
+        const due = Array.from(this.covSubscriptions.values()).filter((subscription) => {
+            return subscription.renewAt !== null && subscription.renewAt <= now;
+        });
+        for (const subscription of due) {
+            subscription.renewAt = null;
+            await this._subscribeCov(subscription);
+        }
+    }
+
+    async _cancelCovSubscriptions(deviceId) {
+        const runtime = this.deviceRuntime.get(deviceId);
+        for (const [processId, subscription] of this.covSubscriptions.entries()) {
+            if (subscription.deviceId !== deviceId) {
+                continue;
+            }
+            this.covSubscriptions.delete(processId);
+            if (subscription.active && runtime) {
+                try {
+                    await this._sendCovSubscription(runtime.address, subscription, true);
+                } catch (err) {
+                    logger.log('warn', `[COV] Failed to cancel subscription for ${deviceId}/${subscription.objectKey}: ${err.message || err}`);
+                }
+            }
+        }
+    }
+
+    _acknowledgeCovNotification(notification) {
+        if (!notification || notification.invokeId === undefined) {
+            return;
+        }
+        this.client.simpleAckResponse(
+            notification.address,
+            bacnet.enum.ConfirmedServices.SERVICE_CONFIRMED_COV_NOTIFICATION,
+            notification.invokeId
+        );
+    }
+
+    async _handleCovNotification(notification) {
+        const request = notification && notification.request;
+        if (!request) {
+            return;
+        }
+        const subscription = this.covSubscriptions.get(request.subscriberProcessId);
+        if (!subscription || !request.monitoredObjectId
+            || request.monitoredObjectId.type !== subscription.objectId.type
+            || request.monitoredObjectId.instance !== subscription.objectId.instance) {
+            logger.log('debug', `[COV] Ignoring notification for unknown subscription ${request.subscriberProcessId}`);
+            return;
+        }
+        const deviceConfig = this.deviceConfigs.get(subscription.deviceId);
+        const runtime = this.deviceRuntime.get(subscription.deviceId);
+        if (!deviceConfig || !runtime) {
+            return;
+        }
+
+        const monitoredProperty = subscription.covProperty !== null
+            ? subscription.covProperty
+            : bacnet.enum.PropertyIds.PROP_PRESENT_VALUE;
+        const properties = (request.values || []).map((entry) => ({
+            id: entry.property ? entry.property.id : undefined,
+            value: entry.value
+        }));
+        const hasValue = properties.some((property) => property.id === monitoredProperty);
+        if (!hasValue) {
+            return;
+        }
+
+        const receivedAt = Date.now();
+        subscription.lastNotificationAt = receivedAt;
+        this.metrics.covNotifications += 1;
+        const notified = properties
+            .filter((property) => property.id !== monitoredProperty)
+            .map((property) => this._resolvePropertyRef(property.id))
+            .filter(Boolean);
+        let value = this._findValueById(properties, monitoredProperty);
+        let valueLabel = null;
+        if (monitoredProperty === bacnet.enum.PropertyIds.PROP_PRESENT_VALUE) {
+            await this._loadStateTexts(runtime, runtime.address, subscription.objectId);
+            valueLabel = this._getStateLabel(runtime, subscription.objectId, value);
+            value = applyTransform(value, runtime.transforms.get(subscription.objectKey));
+        }
+        await this._loadUnits(runtime, subscription.objectId);
+        const telemetry = this._buildTelemetry(deviceConfig, runtime, subscription.objectId, {
+            value,
+            valueLabel,
+            units: this._getUnits(runtime, subscription.objectId),
+            name: subscription.name,
+            properties: this._decodeExtraProperties(properties, notified),
+            acquiredAt: receivedAt,
+            freshnessMs: (this.covLifetimeSec + this.covRenewMarginSec) * 1000,
+            pollDurationMs: null,
+            acquisitionMode: 'cov'
+        });
+        const values = { [subscription.objectKey]: telemetry };
+        await this.runtimeState.saveObjectTelemetry(subscription.deviceId, subscription.objectKey, telemetry);
+        this._emitValues(deviceConfig.device, runtime, values, receivedAt);
+    }
+
+    _acknowledgeEventNotification(notification) {
+        if (!notification || notification.invokeId === undefined) {
+            return;
+        }
+        this.client.simpleAckResponse(
+            notification.address,
+            bacnet.enum.ConfirmedServices.SERVICE_CONFIRMED_EVENT_NOTIFICATION,
+            notification.invokeId
+        );
+    }
+
+    _findDeviceIdByAddress(address) {
+        for (const [deviceId, runtime] of this.deviceRuntime.entries()) {
+            if (sameAddress(runtime.address, address)) {
+                return deviceId;
+            }
+        }
+        return null;
+    }
+
+    async _handleEventNotification(address, eventData) {
+        if (!eventData || !eventData.eventObjectId) {
+            // bacstack drops the payload of some unconfirmed notifications; re-read the device's alarms instead.
+            const deviceId = this._findDeviceIdByAddress(address);
+            if (deviceId) {
+                await this.refreshAlarms(deviceId);
+            }
+            return;
+        }
+
+        const initiating = eventData.initiatingObjectId;
+        const deviceId = initiating && initiating.type === bacnet.enum.ObjectTypes.OBJECT_DEVICE
+            ? String(initiating.instance)
+            : this._findDeviceIdByAddress(address);
+        if (!deviceId || !this.deviceConfigs.has(deviceId)) {
+            logger.log('debug', `[Alarms] Ignoring event notification from unconfigured device at ${formatAddress(address)}`);
+            return;
+        }
+        this.metrics.eventNotifications += 1;
+
+        const objectKey = `${eventData.eventObjectId.type}_${eventData.eventObjectId.instance}`;
+        if (eventData.notifyType === NOTIFY_TYPE_ACK_NOTIFICATION) {
+            const existing = await this.runtimeState.getAlarm(deviceId, objectKey);
+            if (existing) {
+                const updated = await this.runtimeState.markAlarmAcknowledged(deviceId, objectKey, 'device', Date.now());
+                this.emit('alarm', updated);
+            }
+            return;
+        }
+
+        await this._storeAlarm({
+            deviceId,
+            objectId: eventData.eventObjectId,
+            eventState: eventData.toState,
+            fromState: eventData.fromState,
+            eventType: eventData.eventType,
+            notifyType: eventData.notifyType,
+            notificationClass: eventData.notificationClass,
+            priority: eventData.priority,
+            messageText: eventData.messageText,
+            ackRequired: eventData.ackRequired === true,
+            acknowledged: eventData.ackRequired !== true,
+            eventTimestamp: this._timestampToMs(eventData.timeStamp),
+            source: 'notification'
+        });
+    }
+
+    _refreshDueAlarms(now) {
+        if (this.alarmRefreshIntervalMs <= 0) {
+            return;
+        }
+        for (const [deviceId, runtime] of this.deviceRuntime.entries()) {
+            if (runtime.alarmRefreshInFlight || runtime.nextAlarmRefreshAt > now || runtime.circuitState === 'open') {
+                continue;
+            }
+            runtime.alarmRefreshInFlight = true;
+            runtime.nextAlarmRefreshAt = now + this.alarmRefreshIntervalMs;
+            this.refreshAlarms(deviceId)
+                .catch((err) => {
+                    logger.log('warn', `[Alarms] Alarm refresh failed for device ${deviceId}: ${err.message || err}`);
+                })
+                .finally(() => {
+                    runtime.alarmRefreshInFlight = false;
+                });
+        }
+    }
+
+    async refreshAlarms(deviceId) {
+        const id = String(deviceId);
+        const runtime = this.deviceRuntime.get(id);
+        if (!runtime || !runtime.address) {
+            throw new Error(`Device configuration not found for deviceId: ${id}`);
+        }
+
+        let entries;
+        try {
+            entries = await this._getEventInformation(runtime.address, id);
+        } catch (err) {
+            logger.log('debug', `[Alarms] GetEventInformation failed for device ${id}, trying GetAlarmSummary: ${err.message || err}`);
+            try {
+                entries = await this._getAlarmSummary(runtime.address);
+            } catch (summaryErr) {
+                this.metrics.alarmRefreshFailures += 1;
+                throw summaryErr;
+            }
+        }
+
+        const alarms = [];
+        for (const entry of entries) {
+            alarms.push(await this._storeAlarm({ deviceId: id, ...entry }));
+        }
+        const cleared = await this.runtimeState.clearAlarmsExcept(id, alarms.map((alarm) => alarm.objectKey));
+        cleared.forEach((alarm) => this.emit('alarm', alarm));
+        return alarms;
+    }
+
+    async _getEventInformation(deviceAddress, deviceId) {
+        // bacstack always sends a last-received object identifier, so paging starts
+        // after the Device object, which devices conventionally list first.
+        let cursor = { type: bacnet.enum.ObjectTypes.OBJECT_DEVICE, instance: parseInt(deviceId, 10) };
+        const entries = [];
+        for (;;) {
+            const page = await this._request(deviceAddress, (options, callback) => {
+                this.client.getEventInformation(toBacstackAddress(deviceAddress), cursor, options, callback);
+            }) || {};
+            const alarms = Array.isArray(page.alarms) ? page.alarms : [];
+            alarms.forEach((alarm) => {
+                const transition = this._transitionIndex(alarm.eventState);
+                const timestamp = Array.isArray(alarm.eventTimeStamps) ? alarm.eventTimeStamps[transition] : null;
+                entries.push({
+                    objectId: alarm.objectId,
+                    eventState: alarm.eventState,
+                    notifyType: alarm.notifyType,
+                    priority: Array.isArray(alarm.eventPriorities) ? alarm.eventPriorities[transition] : null,
+                    acknowledged: this._isTransitionAcknowledged(alarm.eventState, alarm.acknowledgedTransitions),
+                    eventTimestamp: this._timestampToMs(timestamp),
+                    source: 'event-information'
+                });
+            });
+            if (!page.moreEvents || alarms.length === 0) {
+                return entries;
+            }
+            cursor = alarms[alarms.length - 1].objectId;
+        }
+    }
+
+    async _getAlarmSummary(deviceAddress) {
+        const value = await this._request(deviceAddress, (options, callback) => {
+            this.client.getAlarmSummary(toBacstackAddress(deviceAddress), options, callback);
+        });
+        const alarms = value && Array.isArray(value.alarms) ? value.alarms : [];
+        return alarms.map((alarm) => ({
+            objectId: alarm.objectId,
+            eventState: alarm.alarmState,
+            acknowledged: this._isTransitionAcknowledged(alarm.alarmState, alarm.acknowledgedTransitions),
+            source: 'alarm-summary'
+        }));
+    }
+
+    async _storeAlarm(entry) {
+        const alarm = await this.runtimeState.upsertAlarm({
+            deviceId: entry.deviceId,
+            objectKey: `${entry.objectId.type}_${entry.objectId.instance}`,
+            objectType: entry.objectId.type,
+            objectInstance: entry.objectId.instance,
+            eventState: entry.eventState,
+            eventStateLabel: this._eventStateLabel(entry.eventState),
+            fromState: entry.fromState,
+            eventType: entry.eventType,
+            notifyType: entry.notifyType,
+            notificationClass: entry.notificationClass,
+            priority: entry.priority,
+            messageText: entry.messageText,
+            ackRequired: entry.ackRequired,
+            acknowledged: entry.acknowledged,
+            eventTimestamp: entry.eventTimestamp,
+            source: entry.source
+        });
+        this.emit('alarm', alarm);
+        return alarm;
+    }
+
+    _eventStateLabel(eventState) {
+        return EVENT_STATE_NAMES[eventState] || `state-${eventState}`;
+    }
+
+    // Index into acked-transitions / event-time-stamps: to-offnormal, to-fault, to-normal.
+    _transitionIndex(eventState) {
+        if (eventState === EVENT_STATE_NORMAL) {
+            return 2;
+        }
+        return eventState === EVENT_STATE_FAULT ? 1 : 0;
+    }
+
+    _isTransitionAcknowledged(eventState, bitString) {
+        const bits = bitString && Array.isArray(bitString.value) && bitString.value.length > 0 ? bitString.value[0] : 0x07;
+        return (bits & (1 << this._transitionIndex(eventState))) !== 0;
+    }
+
+    _timestampToMs(timestamp) {
+        const value = timestamp && timestamp.value instanceof Date ? timestamp.value : timestamp;
+        return value instanceof Date && !Number.isNaN(value.getTime()) ? value.getTime() : null;
+    }
+
+    async acknowledgeAlarm(deviceId, objectKey, ackText, acknowledgedBy) {
+        const id = String(deviceId);
+        const runtime = this.deviceRuntime.get(id);
+        if (!runtime || !runtime.address) {
+            throw new Error(`Device configuration not found for deviceId: ${id}`);
+        }
+        const alarm = await this.runtimeState.getAlarm(id, objectKey);
+        if (!alarm) {
+            throw new Error(`No alarm recorded for ${id}/${objectKey}`);
+        }
+        if (alarm.eventTimestamp === null) {
+            throw new Error(`Event time stamp of ${id}/${objectKey} is unknown; refresh alarms before acknowledging`);
+        }
+
+        await this._request(runtime.address, (options, callback) => {
+            this.client.acknowledgeAlarm(
+                toBacstackAddress(runtime.address),
+                { type: alarm.objectType, instance: alarm.objectInstance },
+                alarm.eventState,
+                ackText || '',
+                { type: TIMESTAMP_DATETIME, value: new Date(alarm.eventTimestamp) },
+                { type: TIMESTAMP_DATETIME, value: new Date() },
+                options,
+                callback
+            );
+        });
+
+        const updated = await this.runtimeState.markAlarmAcknowledged(id, objectKey, acknowledgedBy || null, Date.now());
+        this.emit('alarm', updated);
+        return updated;
+    }
+
+    _configureTrendLogs(runtime) {
+        (runtime.trendLogs || []).forEach((trendLog) => {
+            if (trendLog.job) {
+                trendLog.job.cancel();
+            }
+        });
+        const entries = Array.isArray(runtime.polling.trendLogs) ? runtime.polling.trendLogs : [];
+        runtime.trendLogs = entries
+            .filter((entry) => entry && entry.objectId && entry.objectId.type !== undefined && entry.objectId.instance !== undefined)
+            .map((entry) => {
+                const trendLog = {
+                    objectId: { type: parseInt(entry.objectId.type, 10), instance: parseInt(entry.objectId.instance, 10) },
+                    intervalMs: parseInt(entry.intervalMs || this.trendLogIntervalMs, 10),
+                    schedule: entry.schedule || null,
+                    replay: entry.replay === true,
+                    maxRecords: parseInt(entry.maxRecords || this.trendLogMaxRecords, 10),
+                    nextDueAt: Date.now(),
+                    cronDue: false,
+                    inFlight: false,
+                    job: null
+                };
+                if (trendLog.schedule) {
+                    trendLog.job = scheduleJob(trendLog.schedule, () => {
+                        trendLog.cronDue = true;
+                    });
+                }
+                return trendLog;
+            });
+    }
+
+    _readDueTrendLogs(now) {
+        for (const [deviceId, runtime] of this.deviceRuntime.entries()) {
+            if (runtime.circuitState === 'open') {
+                continue;
+            }
+            for (const trendLog of runtime.trendLogs || []) {
+                const due = trendLog.schedule ? trendLog.cronDue : trendLog.nextDueAt <= now;
+                if (trendLog.inFlight || !due) {
+                    continue;
+                }
+                trendLog.inFlight = true;
+                trendLog.cronDue = false;
+                trendLog.nextDueAt = now + trendLog.intervalMs;
+                this.readTrendLog(deviceId, trendLog.objectId, { replay: trendLog.replay, maxRecords: trendLog.maxRecords })
+                    .catch((err) => {
+                        logger.log('warn', `[TrendLog] Backfill failed for ${deviceId}/${trendLog.objectId.type}_${trendLog.objectId.instance}: ${err.message || err}`);
+                    })
+                    .finally(() => {
+                        trendLog.inFlight = false;
+                    });
+            }
+        }
+    }
+
+    async readTrendLog(deviceId, objectId, options = {}) {
+        const id = String(deviceId);
+        const runtime = this.deviceRuntime.get(id);
+        if (!runtime || !runtime.address) {
+            throw new Error(`Device configuration not found for deviceId: ${id}`);
+        }
+        const objectKey = `${objectId.type}_${objectId.instance}`;
+        const maxRecords = parseInt(options.maxRecords || this.trendLogMaxRecords, 10);
+        const latest = await this.runtimeState.getLatestTrendRecord(id, objectKey);
 
-            values[objectKey] = {
-                value: presentValue,
-                name: objectName,
-                objectKey,
-                objectType: entry.objectId.type,
-                objectInstance: entry.objectId.instance,
-                deviceId,
-                address: deviceConfig.device.address,
-                acquiredAt,
-                publishedAt: completedAt,
-                freshnessMs,
-                sourceStatus: 'fresh',
-                pollDurationMs: durationMs,
-                pollClass: runtime.polling.class
-            };
+        let records;
+        try {
+            try {
+                records = await this._readTrendLogBySequence(runtime.address, objectId, latest, maxRecords);
+            } catch (err) {
+                logger.log('debug', `[TrendLog] ReadRange by sequence number failed for ${id}/${objectKey}, reading by position: ${err.message || err}`);
+                records = await this._readTrendLogByPosition(runtime.address, objectId, latest, maxRecords);
+            }
+        } catch (err) {
+            this.metrics.trendLogFailures += 1;
+            throw err;
+        }
 
-            await this.runtimeState.saveObjectTelemetry(deviceId, objectKey, values[objectKey]);
+        const stored = await this.runtimeState.saveTrendRecords(id, objectKey, records);
+        this.metrics.trendRecordsStored += stored;
+        if (options.replay && records.length > 0) {
+            this.emit('trendRecords', id, objectKey, records);
         }
+        return { deviceId: id, objectKey, recordsRead: records.length, recordsStored: stored, records };
+    }
 
-        if (successCount > 0) {
-            runtime.consecutiveFailures = 0;
-            runtime.circuitState = 'closed';
-            runtime.lastSuccessAt = completedAt;
-            runtime.lastError = null;
-            runtime.lastDurationMs = durationMs;
-            runtime.nextEligiblePollAt = completedAt;
-            this.metrics.successfulPolls += 1;
-            await this.runtimeState.recordPollHistory({
-                deviceId,
-                objectCount: runtime.objects.length,
-                successCount,
-                failureCount,
-                durationMs,
-                status: failureCount > 0 ? 'partial' : 'success',
-                errorClass: pollErrorClass,
-                createdAt: completedAt
+    async _readTrendLogBySequence(deviceAddress, objectId, latest, maxRecords) {
+        let reference = latest && latest.sequenceNumber !== null ? latest.sequenceNumber + 1 : 1;
+        const records = [];
+        while (records.length < maxRecords) {
+            const count = Math.min(TREND_LOG_PAGE_SIZE, maxRecords - records.length);
+            const page = await this._readLogBuffer(deviceAddress, objectId, { bySequenceNumber: true, reference, count });
+            if (page.records.length === 0) {
+                break;
+            }
+            if (page.firstSequenceNumber === null) {
+                throw new Error('ReadRange response carried no sequence numbers');
+            }
+            page.records.forEach((record, index) => {
+                records.push({ ...record, sequenceNumber: page.firstSequenceNumber + index });
             });
-            await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
-            this.emit('values', deviceConfig.device, values);
-            return;
+            reference = page.firstSequenceNumber + page.records.length;
+            if (!page.moreItems) {
+                break;
+            }
         }
+        return records;
+    }
 
-        runtime.consecutiveFailures += 1;
-        runtime.circuitState = runtime.consecutiveFailures >= this.failureThreshold ? 'open' : 'closed';
-        runtime.lastError = pollErrorClass || 'poll_failed';
-        runtime.lastDurationMs = durationMs;
-        runtime.nextEligiblePollAt = completedAt + this._calculateBackoffMs(runtime.consecutiveFailures);
-        this.metrics.failedPolls += 1;
-        await this.runtimeState.recordPollHistory({
-            deviceId,
-            objectCount: runtime.objects.length,
-            successCount,
-            failureCount,
-            durationMs,
-            status: 'failed',
-            errorClass: runtime.lastError,
-            createdAt: completedAt
+    async _readTrendLogByPosition(deviceAddress, objectId, latest, maxRecords) {
+        const since = latest ? latest.timestamp : null;
+        const response = await this._readObject(deviceAddress, objectId.type, objectId.instance, [
+            { id: bacnet.enum.PropertyIds.PROP_RECORD_COUNT }
+        ]);
+        if (response.error) {
+            throw response.error;
+        }
+        const objectResult = response.value && response.value.values && response.value.values[0];
+        let reference = parseInt(this._findValueById(objectResult ? objectResult.values : [], bacnet.enum.PropertyIds.PROP_RECORD_COUNT), 10);
+        const records = [];
+        while (reference >= 1 && records.length < maxRecords) {
+            const count = Math.min(TREND_LOG_PAGE_SIZE, maxRecords - records.length);
+            const page = await this._readLogBuffer(deviceAddress, objectId, { bySequenceNumber: false, reference, count: -count });
+            const fresh = page.records
+                .filter((record) => since === null || record.timestamp > since)
+                .map((record) => ({ ...record, sequenceNumber: null }));
+            records.unshift(...fresh);
+            if (page.records.length === 0 || fresh.length < page.records.length || !page.moreItems) {
+                break;
+            }
+            reference -= page.records.length;
+        }
+        return records;
+    }
+
+    _readLogBuffer(deviceAddress, objectId, range) {
+        return this._request(deviceAddress, (options, callback) => {
+            readLogBuffer(this.client, toBacstackAddress(deviceAddress), objectId, range, options)
+                .then((page) => callback(null, page), callback);
         });
-        await this.runtimeState.upsertDeviceState(this._serializeRuntime(runtime));
     }
 
-    _calculateBackoffMs(consecutiveFailures) {
-        const factor = Math.max(0, consecutiveFailures - 1);
-        return Math.min(this.maxBackoffMs, this.baseBackoffMs * Math.pow(2, factor));
+    async listTrendRecords(deviceId, objectKey, filter = {}) {
+        return this.runtimeState.listTrendRecords(String(deviceId), objectKey, filter);
     }
 
     async _runWithConcurrency(items, limit, worker) {
@@ -399,7 +1861,9 @@ class BacnetClient extends EventEmitter {
                 { id: bacnet.enum.PropertyIds.PROP_OBJECT_LIST }
             ]
         }];
-        this.client.readPropertyMultiple(deviceAddress, requestArray, this._buildRequestOptions(), callback);
+        this._request(deviceAddress, (options, requestCallback) => {
+            this.client.readPropertyMultiple(toBacstackAddress(deviceAddress), requestArray, options, requestCallback);
+        }).then((value) => callback(null, value), callback);
     }
 
     _readObjectListOnce(deviceAddress, deviceId) {
@@ -422,17 +1886,10 @@ class BacnetClient extends EventEmitter {
     }
 
     _readObjectListArrayIndex(deviceAddress, deviceId, arrayIndex) {
-        return new Promise((resolve, reject) => {
-            const objectId = { type: bacnet.enum.ObjectTypes.OBJECT_DEVICE, instance: deviceId };
-            const options = this._buildRequestOptions();
+        const objectId = { type: bacnet.enum.ObjectTypes.OBJECT_DEVICE, instance: deviceId };
+        return this._request(deviceAddress, (options, callback) => {
             options.arrayIndex = arrayIndex;
-            this.client.readProperty(deviceAddress, objectId, bacnet.enum.PropertyIds.PROP_OBJECT_LIST, options, (error, value) => {
-                if (error) {
-                    reject(error);
-                } else {
-                    resolve(value);
-                }
-            });
+            this.client.readProperty(toBacstackAddress(deviceAddress), objectId, bacnet.enum.PropertyIds.PROP_OBJECT_LIST, options, callback);
         });
     }
 
@@ -478,18 +1935,7 @@ class BacnetClient extends EventEmitter {
     }
 
     _readObject(deviceAddress, type, instance, properties) {
-        return new Promise((resolve) => {
-            const requestArray = [{
-                objectId: { type: type, instance: instance },
-                properties: properties
-            }];
-            this.client.readPropertyMultiple(deviceAddress, requestArray, this._buildRequestOptions(), (error, value) => {
-                resolve({
-                    error: error,
-                    value: value
-                });
-            });
-        });
+        return this._readObjects(deviceAddress, [{ objectId: { type, instance }, properties }]);
     }
 
     _readObjectFull(deviceAddress, type, instance) {
@@ -570,11 +2016,19 @@ class BacnetClient extends EventEmitter {
         };
     }
 
-    _readObjectPresentValue(deviceAddress, type, instance) {
-        return this._readObject(deviceAddress, type, instance, [
-            { id: bacnet.enum.PropertyIds.PROP_PRESENT_VALUE },
-            { id: bacnet.enum.PropertyIds.PROP_OBJECT_NAME }
-        ]);
+    _readObjects(deviceAddress, requests) {
+        return new Promise((resolve) => {
+            const requestArray = requests.map((request) => ({
+                objectId: { type: request.objectId.type, instance: request.objectId.instance },
+                properties: request.properties
+            }));
+            this._request(deviceAddress, (options, callback) => {
+                this.client.readPropertyMultiple(toBacstackAddress(deviceAddress), requestArray, options, callback);
+            }).then(
+                (value) => resolve({ error: null, value: value }),
+                (error) => resolve({ error: error, value: undefined })
+            );
+        });
     }
 
     _findValueById(properties, id) {
@@ -680,15 +2134,78 @@ class BacnetClient extends EventEmitter {
         return new DeviceObject(deviceObjectId, name, description, type, units, presentValue);
     }
 
-    scanForDevices() {
-        this.client.whoIs();
+    // A targeted Who-Is (address) is not distributed through the BBMD.
+    scanForDevices(options = {}) {
+        const { lowLimit, highLimit, address } = options;
+        const durationMs = options.durationMs || DEFAULT_SCAN_DURATION_MS;
+        const ranged = lowLimit !== undefined && highLimit !== undefined;
+        const devices = new Map();
+        const listener = (device) => {
+            // Unsolicited I-Ams and answers to other scans also arrive here.
+            if (!ranged || (device.deviceId >= lowLimit && device.deviceId <= highLimit)) {
+                devices.set(String(device.deviceId), device);
+            }
+        };
+        this.on('deviceFound', listener);
+
+        this.client.whoIs(ranged ? { lowLimit, highLimit, address } : { address });
+        if (this.foreignDevice && !address) {
+            this.foreignDevice.whoIs(ranged ? lowLimit : undefined, ranged ? highLimit : undefined);
+        }
+
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                this.removeListener('deviceFound', listener);
+                resolve(Array.from(devices.values()));
+            }, durationMs);
+        });
+    }
+
+    whoHas(query) {
+        const { lowLimit, highLimit, address, objectName, objectId } = query;
+        const durationMs = query.durationMs || DEFAULT_SCAN_DURATION_MS;
+        const ranged = lowLimit !== undefined && highLimit !== undefined;
+        const request = objectName
+            ? { objectName }
+            : { objectId: { type: objectId.type, instance: objectId.instance } };
+        if (ranged) {
+            request.lowLimit = lowLimit;
+            request.highLimit = highLimit;
+        }
+        const matches = new Map();
+        const listener = (iHave) => {
+            const matchesQuery = objectName
+                ? iHave.objectName === objectName
+                : iHave.objectId.type === objectId.type && iHave.objectId.instance === objectId.instance;
+            if (!matchesQuery || (ranged && (iHave.deviceId < lowLimit || iHave.deviceId > highLimit))) {
+                return;
+            }
+            const result = { ...iHave, address: fromBacstackAddress(iHave.address) };
+            matches.set(`${iHave.deviceId}:${iHave.objectId.type}_${iHave.objectId.instance}`, result);
+        };
+        this.client.on('iHave', listener);
+
+        sendWhoHas(this.client, request, address);
+        if (this.foreignDevice && !address) {
+            this.foreignDevice.whoHas(request);
+        }
+
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                this.client.removeListener('iHave', listener);
+                resolve(Array.from(matches.values()));
+            }, durationMs);
+        });
     }
 
-    scanDevice(device) {
-        return this._scanDevice(device);
+    // onProgress gets { objectsRead, totalObjects, object } once the object list is known
+    // and after each object read. Once signal is aborted, no further objects are read.
+    scanDevice(device, options = {}) {
+        return this._scanDevice(device, options);
     }
 
-    async _scanDevice(device) {
+    async _scanDevice(device, options = {}) {
+        const { onProgress, signal } = options;
         try {
             const result = await this._readObjectListWithRetry(device.address, device.deviceId);
             let objectArray = this._extractObjectListEntries(result);
@@ -702,15 +2219,50 @@ class BacnetClient extends EventEmitter {
                 logger.log('warn', `[Discovery] Full Object_List returned ${objectArray.length}/${expectedCount} objects for ${device.deviceId}; retrying with indexed reads.`);
                 objectArray = await this._readObjectListByIndex(device.address, device.deviceId, expectedCount);
             }
-            const resolved = await Promise.all(objectArray.map((object) => {
-                return this._readObjectDiscoveryDetails(device.address, object);
-            }));
-            const successfulResults = resolved.filter((element) => !element.error);
-            const deviceObjects = successfulResults.map((element) => this._mapToDeviceObject(element.value));
+            if (signal) {
+                signal.throwIfAborted();
+            }
+
+            const totalObjects = objectArray.length;
+            const mapped = new Array(totalObjects).fill(null);
+            let objectsRead = 0;
+            let failure = null;
+            if (onProgress) {
+                onProgress({ objectsRead, totalObjects, object: null });
+            }
+            await this._runWithConcurrency(objectArray, this.objectConcurrency, async (objectId, index) => {
+                if (failure || (signal && signal.aborted)) {
+                    return;
+                }
+                try {
+                    const element = await this._readObjectDiscoveryDetails(device.address, objectId);
+                    if (!element.error) {
+                        mapped[index] = this._mapToDeviceObject(element.value);
+                    }
+                } catch (err) {
+                    failure = failure || err;
+                    return;
+                }
+                objectsRead += 1;
+                if (onProgress) {
+                    onProgress({ objectsRead, totalObjects, object: mapped[index] });
+                }
+            });
+            if (failure) {
+                throw failure;
+            }
+            if (signal) {
+                signal.throwIfAborted();
+            }
+
+            const deviceObjects = mapped.filter((object) => object !== null);
+            await this._refreshDeviceProfile(device.deviceId, device.address);
             this.emit('deviceObjects', device, deviceObjects);
             return deviceObjects;
         } catch (error) {
-            logger.log('error', `Error whilte fetching objects: ${error}`);
+            if (!(signal && signal.aborted)) {
+                logger.log('error', `Error whilte fetching objects: ${error}`);
+            }
             throw error;
         }
     }
@@ -719,75 +2271,536 @@ class BacnetClient extends EventEmitter {
         const pollSettings = typeof pollingOrSchedule === 'string'
             ? { schedule: pollingOrSchedule }
             : (pollingOrSchedule || {});
-        const deviceConfig = {
+        return this._registerDeviceConfig(this._keepWritePolicy({
             device,
             objects,
             polling: pollSettings
-        };
-        return this._registerDeviceConfig(deviceConfig);
+        }));
     }
 
+    // A config without writePolicy keeps the registered one; writePolicy: null removes it.
     saveConfig(deviceConfig) {
-        this.bacnetConfig.save(deviceConfig);
-        return this._registerDeviceConfig(deviceConfig);
+        const config = this._keepWritePolicy(deviceConfig);
+        this.bacnetConfig.save(config);
+        return this._registerDeviceConfig(config);
+    }
+
+    // Objects already configured keep their own settings, and those the scan missed stay.
+    saveScannedConfig(device, objects) {
+        const registered = this.deviceConfigs.get(device.deviceId.toString());
+        if (!registered) {
+            return this.saveConfig({ device, polling: { class: 'normal' }, objects });
+        }
+        const objectKey = (deviceObject) => `${deviceObject.objectId.type}_${deviceObject.objectId.instance}`;
+        const configured = new Map((registered.objects || [])
+            .filter((deviceObject) => deviceObject && deviceObject.objectId)
+            .map((deviceObject) => [objectKey(deviceObject), deviceObject]));
+        const merged = objects.map((deviceObject) => {
+            const existing = configured.get(objectKey(deviceObject));
+            configured.delete(objectKey(deviceObject));
+            return existing ? { ...existing, ...deviceObject } : deviceObject;
+        });
+        return this.saveConfig({
+            ...registered,
+            device: { ...registered.device, ...device },
+            objects: merged.concat([...configured.values()])
+        });
+    }
+
+    _keepWritePolicy(deviceConfig) {
+        if (!deviceConfig || !deviceConfig.device || deviceConfig.device.deviceId === undefined) {
+            return deviceConfig;
+        }
+        if (deviceConfig.writePolicy === null) {
+            const { writePolicy, ...config } = deviceConfig;
+            return config;
+        }
+        const registered = this.deviceConfigs.get(deviceConfig.device.deviceId.toString());
+        if (deviceConfig.writePolicy === undefined && registered && registered.writePolicy !== undefined) {
+            return { ...deviceConfig, writePolicy: registered.writePolicy };
+        }
+        return deviceConfig;
+    }
+
+    // Picks the application tag for a write: the typed value's, the caller's, the one
+    // BACnet defines for the object type and property, or a guess from the JSON value.
+    _encodeWriteValue(objectId, propertyId, value, bacnetApplicationTag) {
+        if (value === null) {
+            // BACnet NULL at a priority relinquishes that slot of the priority array.
+            return encodeValue(APPLICATION_TAGS.null, null);
+        }
+        if (isTypedValue(value)) {
+            const tag = parseApplicationTag(value.type);
+            if (tag === null) {
+                throw new Error(`Unsupported BACnet application tag: ${value.type}`);
+            }
+            return encodeValue(tag, value.value);
+        }
+        if (bacnetApplicationTag !== undefined && bacnetApplicationTag !== null) {
+            const tag = parseApplicationTag(bacnetApplicationTag);
+            if (tag === null) {
+                throw new Error(`Unsupported BACnet application tag: ${bacnetApplicationTag}`);
+            }
+            return encodeValue(tag, value);
+        }
+        const inferred = objectId ? inferApplicationTag(objectId.type, propertyId) : null;
+        const tag = inferred !== null ? inferred : guessApplicationTag(value);
+        if (tag === null) {
+            throw new Error(`Unsupported value type for BACnet write: ${typeof value} (and no BACnetApplicationTag provided)`);
+        }
+        return encodeValue(tag, value);
+    }
+
+    writeProperty(deviceAddress, objectId, propertyId, valueToWrite, priority, bacnetApplicationTag, deviceId) {
+        let values;
+        try {
+            values = [this._encodeWriteValue(objectId, propertyId, valueToWrite, bacnetApplicationTag)];
+            this._enforceWritePolicy(deviceId, objectId, propertyId, valueToWrite, priority);
+        } catch (error) {
+            return Promise.reject(error);
+        }
+        return this._sendWriteProperty(deviceAddress, objectId, propertyId, values, priority).then((response) => {
+            this._recordWrite(deviceId, objectId);
+            return response;
+        });
     }
 
-    writeProperty(deviceAddress, objectId, propertyId, valueToWrite, priority, bacnetApplicationTag) {
+    _sendWriteProperty(deviceAddress, objectId, propertyId, values, priority) {
         return new Promise((resolve, reject) => {
-            let bacnetValue = valueToWrite;
-            let bacnetType;
+            this._request(deviceAddress, (options, callback) => {
+                this.client.writeProperty(toBacstackAddress(deviceAddress), objectId, propertyId, values, options, callback);
+            }, priority).then(resolve, (err) => {
+                logger.log('error', `[BACnet Write] Error writing property: ${err}`);
+                reject(err);
+            });
+        });
+    }
+
+    // Chunks that fail are written entry by entry to find the failing ones. Never rejects;
+    // each result names the service that carried it.
+    async writePropertyMultiple(deviceAddress, entries, options = {}) {
+        const results = entries.map((entry) => ({
+            objectKey: `${entry.objectId.type}_${entry.objectId.instance}`,
+            propertyId: entry.propertyId,
+            priority: entry.priority !== undefined ? entry.priority : null,
+            value: entry.value === undefined ? null : entry.value,
+            status: 'success'
+        }));
+        const fail = (index, error) => {
+            results[index].status = 'error';
+            results[index].error = error && error.message ? error.message : String(error);
+            if (error instanceof WritePolicyError) {
+                results[index].policy = error.reason;
+            }
+        };
+        const deviceId = options.deviceId !== undefined && options.deviceId !== null ? String(options.deviceId) : null;
+        const runtime = deviceId ? this.deviceRuntime.get(deviceId) : null;
+        // Entries accepted earlier in the batch count toward the rate limits of the later ones.
+        const batchHistory = new Map(runtime ? [...runtime.writeHistory].map(([key, times]) => [key, [...times]]) : []);
+        const writes = [];
+        for (let index = 0; index < entries.length; index += 1) {
+            const entry = entries[index];
+            try {
+                const resolved = await this.resolveWriteValue(deviceAddress, entry.objectId, entry.propertyId, entry.value, entry.bacnetApplicationTag);
+                const encoded = this._encodeWriteValue(entry.objectId, entry.propertyId, resolved.value, resolved.bacnetApplicationTag);
+                this._enforceWritePolicy(deviceId, entry.objectId, entry.propertyId, resolved.value, entry.priority, batchHistory);
+                this._recordWrite(deviceId, entry.objectId, batchHistory);
+                writes.push({ index, entry, resolved, encoded });
+            } catch (error) {
+                fail(index, error);
+            }
+        }
 
-            if (bacnetApplicationTag !== undefined && typeof bacnetApplicationTag === 'number') {
-                bacnetType = bacnetApplicationTag;
-                if (bacnetType === bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_BOOLEAN) {
-                    bacnetValue = valueToWrite ? 1 : 0;
+        let useMultiple = this._supportsWritePropertyMultiple(deviceId);
+        const send = (chunk) => this._sendWritePropertyMultiple(deviceAddress, chunk).then(() => null, (err) => err);
+        for (const chunk of this._chunkWrites(deviceId, deviceAddress, writes)) {
+            if (useMultiple) {
+                chunk.forEach((write) => {
+                    results[write.index].service = 'writePropertyMultiple';
+                });
+                let err = await send(chunk);
+                if (err && this._isWriteMultipleAbortReason(err)) {
+                    err = await send(chunk);
                 }
-            } else {
-                if (typeof valueToWrite === 'number') {
-                    bacnetType = Number.isInteger(valueToWrite)
-                        ? bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_SIGNED_INT
-                        : bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_REAL;
-                } else if (typeof valueToWrite === 'boolean') {
-                    bacnetType = bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_BOOLEAN;
-                    bacnetValue = valueToWrite ? 1 : 0;
-                } else if (typeof valueToWrite === 'string') {
-                    const numVal = parseFloat(valueToWrite);
-                    if (!isNaN(numVal)) {
-                        bacnetType = Number.isInteger(numVal)
-                            ? bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_SIGNED_INT
-                            : bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_REAL;
-                        bacnetValue = numVal;
-                    } else {
-                        bacnetType = bacnet.enum.ApplicationTags.BACNET_APPLICATION_TAG_CHARACTER_STRING;
+                if (!err) {
+                    continue;
+                }
+                if (err.message === 'ERR_TIMEOUT') {
+                    chunk.forEach((write) => fail(write.index, err));
+                    continue;
+                }
+                if (this._isWriteMultipleUnsupported(err)) {
+                    useMultiple = false;
+                    if (deviceId) {
+                        this.writeMultipleUnsupported.add(deviceId);
                     }
+                    logger.log('warn', `[BACnet Write] Device ${deviceId || formatAddress(deviceAddress)} does not support WritePropertyMultiple; writing one property at a time: ${err.message || err}`);
                 } else {
-                    reject(new Error(`Unsupported value type for BACnet write: ${typeof valueToWrite} (and no BACnetApplicationTag provided)`));
-                    return;
+                    logger.log('warn', `[BACnet Write] WritePropertyMultiple to ${deviceId || formatAddress(deviceAddress)} failed; writing its ${chunk.length} entries one by one: ${err.message || err}`);
+                }
+            }
+            for (const write of chunk) {
+                results[write.index].service = 'writeProperty';
+                try {
+                    await this._sendWriteProperty(deviceAddress, write.entry.objectId, write.entry.propertyId, [write.encoded], write.entry.priority);
+                } catch (err) {
+                    fail(write.index, err);
                 }
             }
+        }
 
-            const values = [{ type: bacnetType, value: bacnetValue }];
-            const options = this._buildRequestOptions(priority);
+        writes.filter((write) => results[write.index].status === 'success').forEach((write) => this._recordWrite(deviceId, write.entry.objectId));
+        if (this.shouldVerifyWrite(options.verify)) {
+            await Promise.all(writes.filter((write) => results[write.index].status === 'success').map(async (write) => {
+                results[write.index].verification = await this.verifyWrite(deviceAddress, write.entry.objectId, write.entry.propertyId, write.resolved.value, write.entry.priority);
+            }));
+        }
+        const services = new Set(results.map((result) => result.service).filter(Boolean));
+        return { service: services.size > 1 ? 'mixed' : (services.values().next().value || null), results };
+    }
 
-            this.client.writeProperty(deviceAddress, objectId, propertyId, values, options, (err, val) => {
-                if (err) {
-                    logger.log('error', `[BACnet Write] Error writing property: ${err}`);
-                    reject(err);
-                } else {
-                    resolve(val);
-                }
+    _supportsWritePropertyMultiple(deviceId) {
+        if (deviceId && this.writeMultipleUnsupported.has(deviceId)) {
+            return false;
+        }
+        const profile = deviceId ? this.getDeviceProfile(deviceId) : null;
+        if (profile && Array.isArray(profile.protocolServicesSupported)) {
+            return profile.protocolServicesSupported.includes('writePropertyMultiple');
+        }
+        return true;
+    }
+
+    // A reason 9 that persists after a retry is taken as the reject rather than the abort.
+    _isWriteMultipleUnsupported(error) {
+        if (this._isWriteMultipleAbortReason(error)) {
+            return true;
+        }
+        const message = error && error.message ? error.message : String(error);
+        const bacnetError = /BacnetError - Class:\d+ - Code:(\d+)/.exec(message);
+        return bacnetError !== null && parseInt(bacnetError[1], 10) === WPM_UNSUPPORTED_ERROR_CODE;
+    }
+
+    _isWriteMultipleAbortReason(error) {
+        const message = error && error.message ? error.message : String(error);
+        const abort = /BacnetAbort - Reason:(\d+)/.exec(message);
+        return abort !== null && parseInt(abort[1], 10) === WPM_UNSUPPORTED_REJECT_REASON;
+    }
+
+    _estimateWriteBytes(encoded) {
+        const value = encoded.value;
+        if (typeof value === 'string') {
+            return WPM_PROPERTY_OVERHEAD_BYTES + Buffer.byteLength(value) + 3;
+        }
+        if (Array.isArray(value)) {
+            return WPM_PROPERTY_OVERHEAD_BYTES + value.length + 3;
+        }
+        if (value && Array.isArray(value.value)) {
+            return WPM_PROPERTY_OVERHEAD_BYTES + value.value.length + 4;
+        }
+        return WPM_PROPERTY_OVERHEAD_BYTES + WPM_VALUE_ESTIMATE_BYTES;
+    }
+
+    _chunkWrites(deviceId, deviceAddress, writes) {
+        const runtime = deviceId ? this.deviceRuntime.get(deviceId) : null;
+        const capabilities = runtime && runtime.capabilities ? runtime.capabilities : {};
+        const requestOptions = this._resolveRequestOptions(deviceAddress);
+        const maxBytes = Math.min(capabilities.maxApdu || DEFAULT_MAX_APDU, decodeMaxApdu(requestOptions.maxApdu)) - WPM_REQUEST_OVERHEAD_BYTES;
+        const chunks = [];
+        let chunk = [];
+        let bytes = 0;
+        for (const write of writes) {
+            const size = WPM_OBJECT_OVERHEAD_BYTES + this._estimateWriteBytes(write.encoded);
+            if (chunk.length > 0 && bytes + size > maxBytes) {
+                chunks.push(chunk);
+                chunk = [];
+                bytes = 0;
+            }
+            chunk.push(write);
+            bytes += size;
+        }
+        if (chunk.length > 0) {
+            chunks.push(chunk);
+        }
+        return chunks;
+    }
+
+    _sendWritePropertyMultiple(deviceAddress, chunk) {
+        const objects = new Map();
+        for (const write of chunk) {
+            const objectKey = `${write.entry.objectId.type}_${write.entry.objectId.instance}`;
+            if (!objects.has(objectKey)) {
+                objects.set(objectKey, { objectId: write.entry.objectId, values: [] });
+            }
+            objects.get(objectKey).values.push({
+                property: { id: write.entry.propertyId, index: BACNET_ARRAY_ALL },
+                value: [write.encoded],
+                priority: write.entry.priority || NO_WRITE_PRIORITY
             });
+        }
+        return this._request(deviceAddress, (options, callback) => {
+            this.client.writePropertyMultiple(toBacstackAddress(deviceAddress), Array.from(objects.values()), options, callback);
         });
     }
 
+    shouldVerifyWrite(verify) {
+        if (verify === undefined || verify === null) {
+            return this.writeVerification.enabled;
+        }
+        return verify === true || verify === 'true';
+    }
+
+    // Retries writes.verifyRetries times while the read-back differs. Never rejects, since
+    // the write itself succeeded.
+    async verifyWrite(deviceAddress, objectId, propertyId, writtenValue, priority) {
+        const writtenPriority = priority || DEFAULT_WRITE_PRIORITY;
+        let result = null;
+        for (let attempt = 1; attempt <= this.writeVerification.retries + 1; attempt += 1) {
+            await new Promise((resolve) => setTimeout(resolve, this.writeVerification.delayMs));
+            result = await this._readBack(deviceAddress, objectId, propertyId, writtenValue, writtenPriority);
+            result.attempts = attempt;
+            if (result.status === 'verified' || result.status === 'overridden') {
+                break;
+            }
+        }
+        if (result.status !== 'verified') {
+            logger.log('warn', `[BACnet Write] Read-back of ${objectId.type}_${objectId.instance} property ${propertyId} is ${result.status}: expected ${JSON.stringify(writtenValue)}, read ${JSON.stringify(result.actual)}`);
+        }
+        return result;
+    }
+
+    async _readBack(deviceAddress, objectId, propertyId, writtenValue, writtenPriority) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        const isPresentValue = propertyId === propertyIds.PROP_PRESENT_VALUE;
+        const properties = isPresentValue
+            ? [{ id: propertyIds.PROP_PRESENT_VALUE }, { id: propertyIds.PROP_PRIORITY_ARRAY }]
+            : [{ id: propertyId }];
+        const result = { status: 'unverified', expected: writtenValue, actual: null, activePriority: null };
+        const response = await this._readObject(deviceAddress, objectId.type, objectId.instance, properties);
+        const objectResult = !response.error && response.value && response.value.values && response.value.values[0];
+        const values = objectResult && Array.isArray(objectResult.values) ? objectResult.values : [];
+        const property = values.find((entry) => entry.id === propertyId);
+        const readError = response.error || this._extractPropertyError(property) || (property ? null : new Error('Property was not returned'));
+        if (readError) {
+            return { ...result, error: readError.message || String(readError) };
+        }
+        result.actual = this._decodePropertyValue(propertyId, property);
+
+        const slots = isPresentValue ? this._decodePrioritySlots(values.find((entry) => entry.id === propertyIds.PROP_PRIORITY_ARRAY)) : null;
+        if (slots) {
+            const active = slots.find((slot) => slot.value !== null && slot.value !== undefined);
+            result.activePriority = active ? active.priority : null;
+            const ownSlot = slots[writtenPriority - 1];
+            if (writtenValue === null) {
+                // A relinquish is verified by its slot, whatever the present value now is.
+                return { ...result, status: ownSlot && ownSlot.value === null ? 'verified' : 'mismatch' };
+            }
+            if (active && active.priority < writtenPriority && ownSlot && this._sameValue(ownSlot.value, writtenValue)) {
+                return { ...result, status: 'overridden' };
+            }
+        }
+        return { ...result, status: this._sameValue(result.actual, writtenValue) ? 'verified' : 'mismatch' };
+    }
+
+    // Booleans are read back as 0/1 and REALs in single precision.
+    _sameValue(actual, expected) {
+        const normalize = (value) => {
+            if (typeof value === 'boolean') {
+                return value ? 1 : 0;
+            }
+            if (typeof value === 'string' && value.trim() && !isNaN(Number(value))) {
+                return Number(value);
+            }
+            return value;
+        };
+        const left = normalize(actual);
+        const right = normalize(expected);
+        if (typeof left === 'number' && typeof right === 'number') {
+            return left === right || Math.fround(left) === Math.fround(right);
+        }
+        return JSON.stringify(left) === JSON.stringify(right);
+    }
+
+    _decodePrioritySlots(priorityArray) {
+        if (!priorityArray || !Array.isArray(priorityArray.value) || priorityArray.value.length === 0 || this._extractPropertyError(priorityArray)) {
+            return null;
+        }
+        return priorityArray.value.map((entry, index) => ({
+            priority: index + 1,
+            value: entry.type === APPLICATION_TAGS.null ? null : entry.value
+        }));
+    }
+
+    async readPriorityArray(deviceAddress, objectId) {
+        const propertyIds = bacnet.enum.PropertyIds;
+        const response = await this._readObject(deviceAddress, objectId.type, objectId.instance, [
+            { id: propertyIds.PROP_PRESENT_VALUE },
+            { id: propertyIds.PROP_PRIORITY_ARRAY },
+            { id: propertyIds.PROP_RELINQUISH_DEFAULT }
+        ]);
+        if (response.error) {
+            throw response.error;
+        }
+        const objectResult = response.value && response.value.values && response.value.values[0];
+        const properties = objectResult && Array.isArray(objectResult.values) ? objectResult.values : [];
+        const priorityArray = properties.find((property) => property.id === propertyIds.PROP_PRIORITY_ARRAY);
+        if (!priorityArray || !Array.isArray(priorityArray.value) || priorityArray.value.length === 0) {
+            throw new Error('Object did not return a priority array');
+        }
+        const priorityError = this._extractPropertyError(priorityArray);
+        if (priorityError) {
+            throw new Error(`Object is not commandable: ${priorityError.message}`);
+        }
+
+        const slots = this._decodePrioritySlots(priorityArray);
+        const active = slots.find((slot) => slot.value !== null && slot.value !== undefined);
+        return {
+            objectId: { type: objectId.type, instance: objectId.instance },
+            presentValue: this._findValueById(properties, propertyIds.PROP_PRESENT_VALUE),
+            relinquishDefault: this._findValueById(properties, propertyIds.PROP_RELINQUISH_DEFAULT),
+            activePriority: active ? active.priority : null,
+            priorityArray: slots
+        };
+    }
+
+    _timedOverrideKey(override) {
+        return `${override.deviceId}/${override.objectKey}/${override.propertyId}/${override.priority}`;
+    }
+
+    // Without releaseAt, a pending release of the slot is dropped, since the newer write
+    // is meant to stay.
+    async trackTimedOverride(deviceId, objectId, propertyId, priority, value, releaseAt) {
+        const override = {
+            deviceId: String(deviceId),
+            objectKey: `${objectId.type}_${objectId.instance}`,
+            objectType: objectId.type,
+            objectInstance: objectId.instance,
+            propertyId,
+            priority: priority ? parseInt(priority, 10) : DEFAULT_WRITE_PRIORITY,
+            value,
+            releaseAt,
+            attempts: 0,
+            lastError: null,
+            createdAt: Date.now()
+        };
+        const key = this._timedOverrideKey(override);
+        try {
+            if (releaseAt === null || releaseAt === undefined) {
+                if (this.timedOverrides.delete(key)) {
+                    await this.runtimeState.deleteTimedOverride(override.deviceId, override.objectKey, propertyId, override.priority);
+                }
+                return null;
+            }
+            this.timedOverrides.set(key, override);
+            await this.runtimeState.saveTimedOverride(override);
+        } catch (err) {
+            logger.log('error', `[Override] Failed to store the release of ${key}: ${err.message || err}`);
+        }
+        return releaseAt === null || releaseAt === undefined ? null : override;
+    }
+
+    listTimedOverrides(deviceId) {
+        return [...this.timedOverrides.values()]
+            .filter((override) => deviceId === undefined || deviceId === null || override.deviceId === String(deviceId))
+            .sort((a, b) => a.releaseAt - b.releaseAt)
+            .map(({ inFlight, ...override }) => override);
+    }
+
+    // Overrides of devices whose config is not (yet) registered wait for it.
+    _releaseDueOverrides(now) {
+        for (const override of this.timedOverrides.values()) {
+            if (override.inFlight || override.releaseAt > now || !this.deviceRuntime.has(override.deviceId)) {
+                continue;
+            }
+            override.inFlight = true;
+            this._releaseOverride(override)
+                .catch((err) => {
+                    logger.log('error', `[Override] Release of ${this._timedOverrideKey(override)} failed: ${err.message || err}`);
+                })
+                .finally(() => {
+                    override.inFlight = false;
+                });
+        }
+    }
+
+    // Releases the device refused are dropped; others, such as timeouts, are retried up to
+    // writes.overrideMaxAttempts times.
+    async _releaseOverride(override) {
+        const key = this._timedOverrideKey(override);
+        const runtime = this.deviceRuntime.get(override.deviceId);
+        const objectId = { type: override.objectType, instance: override.objectInstance };
+        const outcome = {
+            deviceId: override.deviceId,
+            objectKey: override.objectKey,
+            propertyId: override.propertyId,
+            priority: override.priority,
+            releaseAt: override.releaseAt
+        };
+        try {
+            if (!runtime || !runtime.address) {
+                throw new Error(`Device configuration not found for deviceId: ${override.deviceId}`);
+            }
+            // Sent past the write policy: the override it ends was allowed when it was written.
+            await this._sendWriteProperty(runtime.address, objectId, override.propertyId, [encodeValue(APPLICATION_TAGS.null, null)], override.priority);
+        } catch (err) {
+            const message = err && err.message ? err.message : String(err);
+            if (/^Bacnet(Error|Abort)/.test(message)) {
+                logger.log('warn', `[Override] Device refused the release of ${key}; dropping it: ${message}`);
+                await this._forgetTimedOverride(key, override);
+                this.emit('overrideRelease', { ...outcome, status: 'error', error: message });
+                return;
+            }
+            if (this.timedOverrides.get(key) !== override) {
+                return;
+            }
+            override.attempts += 1;
+            override.lastError = message;
+            if (override.attempts >= this.overrideMaxAttempts) {
+                logger.log('error', `[Override] Giving up on the release of ${key} after ${override.attempts} attempts: ${message}`);
+                await this._forgetTimedOverride(key, override);
+                this.emit('overrideRelease', { ...outcome, status: 'error', error: message });
+                return;
+            }
+            override.releaseAt = Date.now() + this.overrideRetryMs;
+            logger.log('warn', `[Override] Release of ${key} failed; retrying at ${new Date(override.releaseAt).toISOString()}: ${message}`);
+            await this.runtimeState.saveTimedOverride(override);
+            this.emit('overrideRelease', { ...outcome, status: 'error', error: message, retryAt: override.releaseAt });
+            return;
+        }
+        logger.log('info', `[Override] Released priority ${override.priority} of ${override.objectKey} property ${override.propertyId} on device ${override.deviceId}.`);
+        await this._forgetTimedOverride(key, override);
+        this.emit('overrideRelease', { ...outcome, status: 'released', releasedAt: Date.now() });
+    }
+
+    async _forgetTimedOverride(key, override) {
+        // A newer write to the slot may have replaced the override while it was being released.
+        if (this.timedOverrides.get(key) !== override) {
+            return;
+        }
+        this.timedOverrides.delete(key);
+        await this.runtimeState.deleteTimedOverride(override.deviceId, override.objectKey, override.propertyId, override.priority);
+    }
+
     async listRuntimeStates() {
-        return this.runtimeState.listDeviceStates();
+        const states = await this.runtimeState.listDeviceStates();
+        return states.map((state) => ({ ...state, profile: this.getDeviceProfile(state.device_id) }));
     }
 
     async listRuntimeObjectStates(deviceId) {
         return this.runtimeState.listObjectStates(deviceId.toString());
     }
 
+    async listAlarms(filter = {}) {
+        return this.runtimeState.listAlarms(filter);
+    }
+
+    async listDiscoveredDevices(filter = {}) {
+        return this.runtimeState.listDiscoveredDevices(filter);
+    }
+
+    async getAlarm(deviceId, objectKey) {
+        return this.runtimeState.getAlarm(String(deviceId), objectKey);
+    }
+
     getStatus() {
         const avgPollDurationMs = this.metrics.totalPolls > 0
             ? this.metrics.totalPollDurationMs / this.metrics.totalPolls
@@ -803,7 +2816,21 @@ class BacnetClient extends EventEmitter {
             totalObjectsRead: this.metrics.totalObjectsRead,
             totalObjectFailures: this.metrics.totalObjectFailures,
             avgPollDurationMs,
-            lastPollAt: this.metrics.lastPollAt
+            lastPollAt: this.metrics.lastPollAt,
+            totalRequests: this.metrics.totalRequests,
+            rpmSplits: this.metrics.rpmSplits,
+            covSubscriptions: Array.from(this.covSubscriptions.values()).filter((subscription) => subscription.active).length,
+            covNotifications: this.metrics.covNotifications,
+            covFallbacks: this.metrics.covFallbacks,
+            eventNotifications: this.metrics.eventNotifications,
+            alarmRefreshFailures: this.metrics.alarmRefreshFailures,
+            trendRecordsStored: this.metrics.trendRecordsStored,
+            trendLogFailures: this.metrics.trendLogFailures,
+            readdressedDevices: this.metrics.readdressedDevices,
+            suppressedPublishes: this.metrics.suppressedPublishes,
+            rejectedWrites: this.metrics.rejectedWrites,
+            addressMismatches: Array.from(this.addressMismatches.values()),
+            foreignDevice: this.foreignDevice ? this.foreignDevice.getStatus() : { enabled: false }
         };
     }
 }
@@ -0,0 +1,302 @@
+// Typed values for writes. A write value is either a plain JSON value, whose BACnet
+// datatype is inferred from the object type and property, or an explicit typed value
+// such as { "type": "enumerated", "value": 1 } that names its application tag.
+const APPLICATION_TAGS = {
+    null: 0,
+    boolean: 1,
+    unsigned: 2,
+    signed: 3,
+    real: 4,
+    double: 5,
+    octetString: 6,
+    characterString: 7,
+    bitString: 8,
+    enumerated: 9,
+    date: 10,
+    time: 11,
+    objectIdentifier: 12
+};
+const TAG_NAMES = Object.keys(APPLICATION_TAGS);
+const TAG_ALIASES = {
+    unsignedinteger: APPLICATION_TAGS.unsigned,
+    unsignedint: APPLICATION_TAGS.unsigned,
+    signedinteger: APPLICATION_TAGS.signed,
+    signedint: APPLICATION_TAGS.signed,
+    objectid: APPLICATION_TAGS.objectIdentifier
+};
+
+const MAX_UNSIGNED = 0xFFFFFFFF;
+const MIN_SIGNED = -0x80000000;
+const MAX_SIGNED = 0x7FFFFFFF;
+const MAX_OBJECT_TYPE = 1023;
+const MAX_OBJECT_INSTANCE = 0x3FFFFF;
+
+// Present value datatype by object type. Properties in PRESENT_VALUE_PROPERTIES share it.
+const PRESENT_VALUE_TAGS = {
+    0: APPLICATION_TAGS.real, 1: APPLICATION_TAGS.real, 2: APPLICATION_TAGS.real,
+    3: APPLICATION_TAGS.enumerated, 4: APPLICATION_TAGS.enumerated, 5: APPLICATION_TAGS.enumerated,
+    12: APPLICATION_TAGS.real, 13: APPLICATION_TAGS.unsigned, 14: APPLICATION_TAGS.unsigned,
+    18: APPLICATION_TAGS.real, 19: APPLICATION_TAGS.unsigned, 23: APPLICATION_TAGS.unsigned,
+    24: APPLICATION_TAGS.real, 31: APPLICATION_TAGS.unsigned, 39: APPLICATION_TAGS.bitString,
+    40: APPLICATION_TAGS.characterString, 42: APPLICATION_TAGS.date, 45: APPLICATION_TAGS.signed,
+    46: APPLICATION_TAGS.double, 47: APPLICATION_TAGS.octetString, 48: APPLICATION_TAGS.unsigned,
+    50: APPLICATION_TAGS.time, 54: APPLICATION_TAGS.real, 55: APPLICATION_TAGS.enumerated
+};
+// Present value, alarm value, feedback value, high and low limit, max and min present
+// value and relinquish default.
+const PRESENT_VALUE_PROPERTIES = [85, 6, 40, 45, 59, 65, 69, 104];
+// COV increment and deadband are unsigned on integer and positive integer values and
+// double on large analog values, real elsewhere.
+const INCREMENT_PROPERTIES = [22, 25];
+const INTEGER_OBJECT_TYPES = [45, 48];
+
+// Datatypes of writable properties that are the same on every object type.
+const PROPERTY_TAGS = {
+    // Out of service, enable, stop when full, event detection enable, reliability evaluation inhibit.
+    81: APPLICATION_TAGS.boolean, 133: APPLICATION_TAGS.boolean, 144: APPLICATION_TAGS.boolean,
+    353: APPLICATION_TAGS.boolean, 357: APPLICATION_TAGS.boolean,
+    // Object name, description, location, active/inactive text, profile name.
+    77: APPLICATION_TAGS.characterString, 28: APPLICATION_TAGS.characterString, 58: APPLICATION_TAGS.characterString,
+    4: APPLICATION_TAGS.characterString, 46: APPLICATION_TAGS.characterString, 168: APPLICATION_TAGS.characterString,
+    // Action, notify type, polarity, reliability, units.
+    2: APPLICATION_TAGS.enumerated, 72: APPLICATION_TAGS.enumerated, 84: APPLICATION_TAGS.enumerated,
+    103: APPLICATION_TAGS.enumerated, 117: APPLICATION_TAGS.enumerated,
+    // Ack required, event enable, limit enable.
+    1: APPLICATION_TAGS.bitString, 35: APPLICATION_TAGS.bitString, 52: APPLICATION_TAGS.bitString,
+    // APDU timeout, notification class, minimum off/on time, APDU retries, number of states,
+    // priority for writing, time delay, update interval, buffer size, COV resubscription
+    // interval, log interval, record count, time delay normal.
+    11: APPLICATION_TAGS.unsigned, 17: APPLICATION_TAGS.unsigned, 66: APPLICATION_TAGS.unsigned,
+    67: APPLICATION_TAGS.unsigned, 73: APPLICATION_TAGS.unsigned, 74: APPLICATION_TAGS.unsigned,
+    88: APPLICATION_TAGS.unsigned, 113: APPLICATION_TAGS.unsigned, 118: APPLICATION_TAGS.unsigned,
+    126: APPLICATION_TAGS.unsigned, 128: APPLICATION_TAGS.unsigned, 134: APPLICATION_TAGS.unsigned,
+    141: APPLICATION_TAGS.unsigned, 356: APPLICATION_TAGS.unsigned,
+    // Bias, COV increment, deadband, derivative/integral/proportional constant, maximum and
+    // minimum output, resolution, setpoint.
+    14: APPLICATION_TAGS.real, 22: APPLICATION_TAGS.real, 25: APPLICATION_TAGS.real, 26: APPLICATION_TAGS.real,
+    49: APPLICATION_TAGS.real, 61: APPLICATION_TAGS.real, 68: APPLICATION_TAGS.real, 93: APPLICATION_TAGS.real,
+    106: APPLICATION_TAGS.real, 108: APPLICATION_TAGS.real,
+    // Local date and time, UTC offset.
+    56: APPLICATION_TAGS.date, 57: APPLICATION_TAGS.time, 119: APPLICATION_TAGS.signed
+};
+
+function _normalizeTagName(name) {
+    return name.trim().toLowerCase().replace(/[-_\s]/g, '');
+}
+
+// Application tag number for a tag given as its number (0-12) or name ("enumerated",
+// "character-string", "UNSIGNED_INTEGER"), or null when it is not a supported tag.
+function parseApplicationTag(tag) {
+    if (typeof tag === 'number' || (typeof tag === 'string' && /^\d+$/.test(tag.trim()))) {
+        const number = Number(tag);
+        return Number.isInteger(number) && number >= 0 && number < TAG_NAMES.length ? number : null;
+    }
+    if (typeof tag !== 'string' || !tag.trim()) {
+        return null;
+    }
+    const wanted = _normalizeTagName(tag);
+    const name = TAG_NAMES.find((candidate) => candidate.toLowerCase() === wanted);
+    if (name !== undefined) {
+        return APPLICATION_TAGS[name];
+    }
+    return TAG_ALIASES[wanted] !== undefined ? TAG_ALIASES[wanted] : null;
+}
+
+function applicationTagName(tag) {
+    return TAG_NAMES[tag] || null;
+}
+
+function isTypedValue(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) && Object.prototype.hasOwnProperty.call(value, 'type');
+}
+
+function validateTypedValue(typedValue) {
+    if (!isTypedValue(typedValue)) {
+        return ['value must be a string, number, boolean, array, null or a typed value { "type": ..., "value": ... }.'];
+    }
+    const errors = [];
+    Object.keys(typedValue).filter((key) => key !== 'type' && key !== 'value').forEach((key) => {
+        errors.push(`value.${key} is not supported; use type, value.`);
+    });
+    const tag = parseApplicationTag(typedValue.type);
+    if (tag === null) {
+        errors.push(`value.type must be one of: ${TAG_NAMES.join(', ')}.`);
+        return errors;
+    }
+    if (typedValue.value === undefined && tag !== APPLICATION_TAGS.null) {
+        errors.push('value.value is required.');
+        return errors;
+    }
+    try {
+        encodeValue(tag, typedValue.value);
+    } catch (error) {
+        errors.push(`value.value: ${error.message}`);
+    }
+    return errors;
+}
+
+// Datatype BACnet defines for a property of an object type, or null when the gateway
+// does not know it (proprietary objects and properties, schedules, channels).
+function inferApplicationTag(objectType, propertyId) {
+    if (PRESENT_VALUE_PROPERTIES.includes(propertyId)) {
+        const tag = PRESENT_VALUE_TAGS[objectType];
+        if (tag !== undefined) {
+            return tag;
+        }
+    }
+    if (INCREMENT_PROPERTIES.includes(propertyId) && INTEGER_OBJECT_TYPES.includes(objectType)) {
+        return APPLICATION_TAGS.unsigned;
+    }
+    if (INCREMENT_PROPERTIES.includes(propertyId) && objectType === 46) {
+        return APPLICATION_TAGS.double;
+    }
+    return PROPERTY_TAGS[propertyId] !== undefined ? PROPERTY_TAGS[propertyId] : null;
+}
+
+// Datatype from the JSON value alone, for properties inferApplicationTag does not know.
+function guessApplicationTag(value) {
+    if (value === null) {
+        return APPLICATION_TAGS.null;
+    }
+    if (typeof value === 'boolean') {
+        return APPLICATION_TAGS.boolean;
+    }
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number === 'number' && Number.isFinite(number)) {
+        return Number.isInteger(number) ? APPLICATION_TAGS.signed : APPLICATION_TAGS.real;
+    }
+    return typeof value === 'string' ? APPLICATION_TAGS.characterString : null;
+}
+
+function _toNumber(value, tagName) {
+    if (typeof value === 'boolean') {
+        return value ? 1 : 0;
+    }
+    const number = typeof value === 'string' && value.trim() ? Number(value) : value;
+    if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${JSON.stringify(value)} is not a valid ${tagName} value`);
+    }
+    return number;
+}
+
+function _toInteger(value, tagName, min, max) {
+    const number = _toNumber(value, tagName);
+    if (!Number.isInteger(number) || number < min || number > max) {
+        throw new Error(`${JSON.stringify(value)} is not a valid ${tagName} value; expected an integer from ${min} to ${max}`);
+    }
+    return number;
+}
+
+function _toBoolean(value) {
+    if (value === true || value === 1 || value === 'true' || value === '1') {
+        return 1;
+    }
+    if (value === false || value === 0 || value === 'false' || value === '0') {
+        return 0;
+    }
+    throw new Error(`${JSON.stringify(value)} is not a valid boolean value`);
+}
+
+// Bits are given bit 0 first, as an array of booleans or 0/1 or a string like "0110".
+function _toBitString(value) {
+    const bits = typeof value === 'string' ? value.trim().split('') : value;
+    if (!Array.isArray(bits) || !bits.every((bit) => [true, false, 0, 1, '0', '1'].includes(bit))) {
+        throw new Error(`${JSON.stringify(value)} is not a valid bitString value; expected bits like [true, false] or "10"`);
+    }
+    const bytes = [];
+    bits.forEach((bit, index) => {
+        const byteIndex = Math.floor(index / 8);
+        bytes[byteIndex] = (bytes[byteIndex] || 0) | (bit === true || bit === 1 || bit === '1' ? 1 << (index % 8) : 0);
+    });
+    return { bitsUsed: bits.length, value: bytes };
+}
+
+// Octets are given as a hex string ("0a1b") or an array of byte values.
+function _toOctetString(value) {
+    if (typeof value === 'string' && /^([0-9a-fA-F]{2})*$/.test(value.replace(/\s/g, ''))) {
+        return (value.replace(/\s/g, '').match(/../g) || []).map((pair) => parseInt(pair, 16));
+    }
+    if (Array.isArray(value) && value.every((byte) => Number.isInteger(byte) && byte >= 0 && byte <= 255)) {
+        return value.slice();
+    }
+    throw new Error(`${JSON.stringify(value)} is not a valid octetString value; expected a hex string or an array of bytes`);
+}
+
+function _toDate(value) {
+    const match = typeof value === 'string' ? /^(\d{4})-(\d{2})-(\d{2})$/.exec(value.trim()) : null;
+    const date = match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    if (!date || date.getMonth() !== Number(match[2]) - 1 || date.getDate() !== Number(match[3])) {
+        throw new Error(`${JSON.stringify(value)} is not a valid date value; expected YYYY-MM-DD`);
+    }
+    return date;
+}
+
+function _toTime(value) {
+    const match = typeof value === 'string' ? /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,2}))?)?$/.exec(value.trim()) : null;
+    const [hours, minutes, seconds] = match ? [match[1], match[2], match[3] || '0'].map(Number) : [];
+    if (!match || hours > 23 || minutes > 59 || seconds > 59) {
+        throw new Error(`${JSON.stringify(value)} is not a valid time value; expected HH:MM, HH:MM:SS or HH:MM:SS.hh`);
+    }
+    const hundredths = match[4] ? Number(match[4].padEnd(2, '0')) : 0;
+    return new Date(1970, 0, 1, hours, minutes, seconds, hundredths * 10);
+}
+
+// Object identifiers are given as { type, instance } or the "type_instance" object key.
+function _toObjectIdentifier(value) {
+    const match = typeof value === 'string' ? /^(\d+)_(\d+)$/.exec(value.trim()) : null;
+    const objectId = match ? { type: Number(match[1]), instance: Number(match[2]) } : value;
+    if (!objectId || typeof objectId !== 'object'
+        || !Number.isInteger(objectId.type) || objectId.type < 0 || objectId.type > MAX_OBJECT_TYPE
+        || !Number.isInteger(objectId.instance) || objectId.instance < 0 || objectId.instance > MAX_OBJECT_INSTANCE) {
+        throw new Error(`${JSON.stringify(value)} is not a valid objectIdentifier value; expected { "type": 8, "instance": 1234 } or "8_1234"`);
+    }
+    return { type: objectId.type, instance: objectId.instance };
+}
+
+// Converts a JSON value into the { type, value } bacstack encodes for the application
+// tag. Throws when the value does not fit the tag.
+function encodeValue(tag, value) {
+    switch (tag) {
+        case APPLICATION_TAGS.null:
+            return { type: tag, value: null };
+        case APPLICATION_TAGS.boolean:
+            return { type: tag, value: _toBoolean(value) };
+        case APPLICATION_TAGS.unsigned:
+            return { type: tag, value: _toInteger(value, 'unsigned', 0, MAX_UNSIGNED) };
+        case APPLICATION_TAGS.signed:
+            return { type: tag, value: _toInteger(value, 'signed', MIN_SIGNED, MAX_SIGNED) };
+        case APPLICATION_TAGS.real:
+        case APPLICATION_TAGS.double:
+            return { type: tag, value: _toNumber(value, applicationTagName(tag)) };
+        case APPLICATION_TAGS.octetString:
+            return { type: tag, value: _toOctetString(value) };
+        case APPLICATION_TAGS.characterString:
+            if (value === null || typeof value === 'object') {
+                throw new Error(`${JSON.stringify(value)} is not a valid characterString value`);
+            }
+            return { type: tag, value: String(value) };
+        case APPLICATION_TAGS.bitString:
+            return { type: tag, value: _toBitString(value) };
+        case APPLICATION_TAGS.enumerated:
+            return { type: tag, value: _toInteger(value, 'enumerated', 0, MAX_UNSIGNED) };
+        case APPLICATION_TAGS.date:
+            return { type: tag, value: _toDate(value) };
+        case APPLICATION_TAGS.time:
+            return { type: tag, value: _toTime(value) };
+        case APPLICATION_TAGS.objectIdentifier:
+            return { type: tag, value: _toObjectIdentifier(value) };
+        default:
+            throw new Error(`Unsupported BACnet application tag: ${tag}`);
+    }
+}
+
+module.exports = {
+    APPLICATION_TAGS,
+    parseApplicationTag,
+    applicationTagName,
+    isTypedValue,
+    validateTypedValue,
+    inferApplicationTag,
+    guessApplicationTag,
+    encodeValue
+};
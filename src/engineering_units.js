@@ -0,0 +1,131 @@
+const baEnum = require('bacstack/lib/enum');
+
+// BACnetEngineeringUnits: no-units, which is published without a symbol.
+const NO_UNITS = 95;
+
+// Symbols for the units seen on building automation points. Other units fall back
+// to their enum name in lower case, e.g. "kilowatt hours per square meter".
+const UNIT_SYMBOLS = {
+    0: 'm²', 1: 'ft²', 2: 'mA', 3: 'A', 4: 'Ω', 5: 'V', 6: 'kV', 7: 'MV',
+    8: 'VA', 9: 'kVA', 10: 'MVA', 11: 'var', 12: 'kvar', 13: 'Mvar', 14: '°', 15: 'PF',
+    16: 'J', 17: 'kJ', 18: 'Wh', 19: 'kWh', 20: 'BTU', 21: 'thm', 22: 'ton·h',
+    23: 'J/kg', 24: 'BTU/lb', 25: '/h', 26: '/min', 27: 'Hz', 28: 'g/kg', 29: '%RH',
+    30: 'mm', 31: 'm', 32: 'in', 33: 'ft', 34: 'W/ft²', 35: 'W/m²', 36: 'lm', 37: 'lx',
+    38: 'fc', 39: 'kg', 40: 'lb', 41: 't', 42: 'kg/s', 43: 'kg/min', 44: 'kg/h',
+    45: 'lb/min', 46: 'lb/h', 47: 'W', 48: 'kW', 49: 'MW', 50: 'BTU/h', 51: 'hp',
+    52: 'TR', 53: 'Pa', 54: 'kPa', 55: 'bar', 56: 'psi', 57: 'cmH₂O', 58: 'inH₂O',
+    59: 'mmHg', 60: 'cmHg', 61: 'inHg', 62: '°C', 63: 'K', 64: '°F', 65: '°C·d',
+    66: '°F·d', 67: 'yr', 68: 'mo', 69: 'wk', 70: 'd', 71: 'h', 72: 'min', 73: 's',
+    74: 'm/s', 75: 'km/h', 76: 'ft/s', 77: 'ft/min', 78: 'mph', 79: 'ft³', 80: 'm³',
+    81: 'imp gal', 82: 'L', 83: 'gal', 84: 'cfm', 85: 'm³/s', 86: 'imp gal/min',
+    87: 'L/s', 88: 'L/min', 89: 'gpm', 90: '°', 91: '°C/h', 92: '°C/min', 93: '°F/h',
+    94: '°F/min', 96: 'ppm', 97: 'ppb', 98: '%', 99: '%/s', 100: '/min', 101: '/s',
+    102: 'psi/°F', 103: 'rad', 104: 'rpm', 115: 'in²', 116: 'cm²', 117: 'BTU/lb',
+    118: 'cm', 119: 'lb/s', 120: 'Δ°F', 121: 'ΔK', 122: 'kΩ', 123: 'MΩ', 124: 'mV',
+    125: 'kJ/kg', 126: 'MJ', 127: 'J/K', 128: 'J/(kg·K)', 129: 'kHz', 130: 'MHz',
+    131: '/h', 132: 'mW', 133: 'hPa', 134: 'mbar', 135: 'm³/h', 136: 'L/h',
+    137: 'kWh/m²', 138: 'kWh/ft²', 139: 'MJ/m²', 140: 'MJ/ft²', 141: 'W/(m²·K)',
+    142: 'ft³/s', 145: 'mΩ', 146: 'MWh', 147: 'kBTU', 148: 'MBTU', 149: 'kJ/kg',
+    150: 'MJ/kg', 151: 'kJ/K', 152: 'MJ/K', 153: 'N', 154: 'g/s', 155: 'g/min',
+    156: 't/h', 157: 'kBTU/h', 158: 'cs', 159: 'ms', 160: 'N·m', 161: 'mm/s',
+    162: 'mm/min', 163: 'm/min', 164: 'm/h', 165: 'm³/min', 166: 'm/s²', 170: 'F',
+    171: 'H', 173: 'S', 175: 'T', 178: 'Wb', 179: 'cd', 180: 'cd/m²', 181: 'K/h',
+    182: 'K/min', 184: 'rad/s', 186: 'kg/m³', 190: 'µS', 191: 'ft³/h', 192: 'gal/h',
+    193: 'km', 194: 'µm', 195: 'g', 196: 'mg', 197: 'mL', 198: 'mL/s', 199: 'dB',
+    202: 'mS', 203: 'varh', 204: 'kvarh', 205: 'Mvarh', 206: 'mmH₂O', 207: '‰',
+    214: 'g/L', 215: 'mg/L', 216: 'µg/L', 217: 'g/m³', 218: 'mg/m³', 219: 'µg/m³',
+    220: 'ng/m³', 222: 'Bq', 228: 'Sv', 232: 'dBA', 233: 'NTU', 234: 'pH',
+    239: 'VAh', 240: 'kVAh', 241: 'MVAh', 248: 'ft³/d', 249: 'm³/d'
+};
+
+// Units that can be converted into each other: quantity, factor and offset to the
+// quantity's base unit (base = value * factor + offset).
+const UNIT_CONVERSIONS = {
+    62: ['temperature', 1, 0], 63: ['temperature', 1, -273.15], 64: ['temperature', 5 / 9, -160 / 9],
+    121: ['temperatureDifference', 1], 120: ['temperatureDifference', 5 / 9],
+    53: ['pressure', 1], 54: ['pressure', 1000], 133: ['pressure', 100], 55: ['pressure', 100000],
+    134: ['pressure', 100], 56: ['pressure', 6894.757293], 57: ['pressure', 98.0665],
+    58: ['pressure', 249.08891], 206: ['pressure', 9.80665], 59: ['pressure', 133.322387],
+    60: ['pressure', 1333.22387], 61: ['pressure', 3386.38864],
+    132: ['power', 0.001], 47: ['power', 1], 48: ['power', 1000], 49: ['power', 1000000],
+    50: ['power', 0.29307107], 157: ['power', 293.07107], 51: ['power', 745.699872], 52: ['power', 3516.85284],
+    16: ['energy', 1], 17: ['energy', 1000], 126: ['energy', 1000000], 18: ['energy', 3600],
+    19: ['energy', 3600000], 146: ['energy', 3600000000], 20: ['energy', 1055.05585],
+    147: ['energy', 1055055.85], 148: ['energy', 1055055850], 21: ['energy', 105505585], 22: ['energy', 12660670.2],
+    85: ['volumeFlow', 1], 165: ['volumeFlow', 1 / 60], 135: ['volumeFlow', 1 / 3600], 249: ['volumeFlow', 1 / 86400],
+    87: ['volumeFlow', 0.001], 88: ['volumeFlow', 0.001 / 60], 136: ['volumeFlow', 0.001 / 3600],
+    198: ['volumeFlow', 0.000001], 84: ['volumeFlow', 0.000471947443], 142: ['volumeFlow', 0.0283168466],
+    191: ['volumeFlow', 0.0283168466 / 3600], 248: ['volumeFlow', 0.0283168466 / 86400],
+    89: ['volumeFlow', 0.0000630901964], 192: ['volumeFlow', 0.0000630901964 / 60], 86: ['volumeFlow', 0.0000757681667],
+    80: ['volume', 1], 82: ['volume', 0.001], 197: ['volume', 0.000001], 79: ['volume', 0.0283168466],
+    83: ['volume', 0.003785411784], 81: ['volume', 0.00454609],
+    31: ['length', 1], 30: ['length', 0.001], 118: ['length', 0.01], 193: ['length', 1000],
+    194: ['length', 0.000001], 32: ['length', 0.0254], 33: ['length', 0.3048],
+    74: ['velocity', 1], 75: ['velocity', 1 / 3.6], 76: ['velocity', 0.3048], 77: ['velocity', 0.00508],
+    78: ['velocity', 0.44704], 161: ['velocity', 0.001], 162: ['velocity', 0.001 / 60],
+    163: ['velocity', 1 / 60], 164: ['velocity', 1 / 3600],
+    39: ['mass', 1], 195: ['mass', 0.001], 196: ['mass', 0.000001], 40: ['mass', 0.45359237], 41: ['mass', 1000],
+    42: ['massFlow', 1], 43: ['massFlow', 1 / 60], 44: ['massFlow', 1 / 3600], 154: ['massFlow', 0.001],
+    155: ['massFlow', 0.001 / 60], 119: ['massFlow', 0.45359237], 45: ['massFlow', 0.45359237 / 60],
+    46: ['massFlow', 0.45359237 / 3600], 156: ['massFlow', 1000 / 3600],
+    0: ['area', 1], 1: ['area', 0.09290304], 115: ['area', 0.00064516], 116: ['area', 0.0001],
+    73: ['time', 1], 159: ['time', 0.001], 158: ['time', 0.01], 72: ['time', 60], 71: ['time', 3600],
+    70: ['time', 86400], 69: ['time', 604800],
+    5: ['voltage', 1], 124: ['voltage', 0.001], 6: ['voltage', 1000], 7: ['voltage', 1000000],
+    3: ['current', 1], 2: ['current', 0.001],
+    4: ['resistance', 1], 145: ['resistance', 0.001], 122: ['resistance', 1000], 123: ['resistance', 1000000],
+    27: ['frequency', 1], 129: ['frequency', 1000], 130: ['frequency', 1000000],
+    8: ['apparentPower', 1], 9: ['apparentPower', 1000], 10: ['apparentPower', 1000000],
+    11: ['reactivePower', 1], 12: ['reactivePower', 1000], 13: ['reactivePower', 1000000],
+    37: ['illuminance', 1], 38: ['illuminance', 10.7639104],
+    35: ['irradiance', 1], 34: ['irradiance', 10.7639104]
+};
+
+const UNIT_NAMES = Object.entries(baEnum.EngineeringUnits).reduce((names, [name, code]) => {
+    names[code] = name.toLowerCase().replace(/_/g, ' ');
+    return names;
+}, {});
+
+// Readable symbol for a BACnetEngineeringUnits value, or null for no-units and
+// values that are not units at all.
+function unitsSymbol(units) {
+    if (!Number.isInteger(units) || units === NO_UNITS) {
+        return null;
+    }
+    return UNIT_SYMBOLS[units] || UNIT_NAMES[units] || null;
+}
+
+// BACnetEngineeringUnits value for a unit given as its number, symbol ("°F") or
+// enum name ("degrees-fahrenheit"), or null when it is not a known unit.
+function parseUnits(units) {
+    if (Number.isInteger(units)) {
+        return UNIT_NAMES[units] ? units : null;
+    }
+    if (typeof units !== 'string' || !units.trim()) {
+        return null;
+    }
+    const wanted = units.trim();
+    const bySymbol = Object.keys(UNIT_SYMBOLS).find((code) => UNIT_SYMBOLS[code] === wanted);
+    if (bySymbol !== undefined) {
+        return parseInt(bySymbol, 10);
+    }
+    const name = wanted.toLowerCase().replace(/[-_]/g, ' ');
+    const byName = Object.keys(UNIT_NAMES).find((code) => UNIT_NAMES[code] === name);
+    return byName !== undefined ? parseInt(byName, 10) : null;
+}
+
+function canConvertUnits(from, to) {
+    return Boolean(UNIT_CONVERSIONS[from] && UNIT_CONVERSIONS[to] && UNIT_CONVERSIONS[from][0] === UNIT_CONVERSIONS[to][0]);
+}
+
+// Converts a number between two units of the same quantity, e.g. 68 °F (64) to 20 °C (62).
+function convertUnits(value, from, to) {
+    if (!canConvertUnits(from, to)) {
+        throw new Error(`Cannot convert units ${unitsSymbol(from) || from} to ${unitsSymbol(to) || to}`);
+    }
+    const [, fromFactor, fromOffset = 0] = UNIT_CONVERSIONS[from];
+    const [, toFactor, toOffset = 0] = UNIT_CONVERSIONS[to];
+    return (value * fromFactor + fromOffset - toOffset) / toFactor;
+}
+
+module.exports = { unitsSymbol, parseUnits, canConvertUnits, convertUnits };
@@ -0,0 +1,189 @@
+const baApdu = require('bacstack/lib/apdu');
+const baBvlc = require('bacstack/lib/bvlc');
+const baEnum = require('bacstack/lib/enum');
+const baNpdu = require('bacstack/lib/npdu');
+const baServices = require('bacstack/lib/services');
+const { logger } = require('./common');
+const { encodeWhoHas } = require('./who_has');
+
+// bacstack can neither register with a BBMD nor read BVLC-Result, and it reports
+// Forwarded-NPDUs as coming from the BBMD, so those BVLL messages are handled here
+// on the client's own socket.
+const FORWARDED_NPDU_HEADER_LENGTH = 10;
+const GLOBAL_BROADCAST_NETWORK = 0xFFFF;
+const DEFAULT_HOP_COUNT = 0xFF;
+const RESPONSE_TIMEOUT_MS = 10000;
+const RETRY_INTERVAL_MS = 30000;
+
+class ForeignDeviceRegistration {
+    constructor(client, options = {}) {
+        this.client = client;
+        this.host = options.host;
+        this.port = options.port || 47808;
+        this.ttlSeconds = options.ttlSeconds || 600;
+        this.state = 'unregistered';
+        this.registeredAt = null;
+        this.expiresAt = null;
+        this.lastError = null;
+        this.registrations = 0;
+        this.failures = 0;
+        this.responseTimer = null;
+        this.renewTimer = null;
+    }
+
+    start() {
+        this._hookTransport();
+        this.register();
+    }
+
+    stop() {
+        clearTimeout(this.responseTimer);
+        clearTimeout(this.renewTimer);
+        this.responseTimer = null;
+        this.renewTimer = null;
+    }
+
+    register() {
+        clearTimeout(this.renewTimer);
+        const buffer = Buffer.alloc(6);
+        baBvlc.encode(buffer, baEnum.BvlcResultPurpose.REGISTER_FOREIGN_DEVICE, buffer.length);
+        buffer.writeUInt16BE(this.ttlSeconds, 4);
+        if (!this._isRegistered()) {
+            this.state = 'pending';
+        }
+        clearTimeout(this.responseTimer);
+        this.responseTimer = setTimeout(() => {
+            this.responseTimer = null;
+            this._registrationFailed('No BVLC-Result from BBMD');
+        }, RESPONSE_TIMEOUT_MS);
+        this._send(buffer, buffer.length);
+    }
+
+    // Sends a global Who-Is through the BBMD, which broadcasts it on its own
+    // network and forwards it to its broadcast distribution table.
+    whoIs(lowLimit, highLimit) {
+        this.distributeBroadcast(baEnum.UnconfirmedServiceChoice.WHO_IS, (buffer) => {
+            baServices.whoIs.encode(buffer, lowLimit, highLimit);
+        });
+    }
+
+    whoHas(query) {
+        this.distributeBroadcast(baEnum.UnconfirmedServiceChoice.WHO_HAS, (buffer) => encodeWhoHas(buffer, query));
+    }
+
+    distributeBroadcast(serviceChoice, encodeService) {
+        const buffer = this.client._getBuffer();
+        baNpdu.encode(buffer, baEnum.NpduControlPriority.NORMAL_MESSAGE, { net: GLOBAL_BROADCAST_NETWORK }, null, DEFAULT_HOP_COUNT);
+        baApdu.encodeUnconfirmedServiceRequest(buffer, baEnum.PduTypes.UNCONFIRMED_REQUEST, serviceChoice);
+        encodeService(buffer);
+        baBvlc.encode(buffer.buffer, baEnum.BvlcResultPurpose.DISTRIBUTE_BROADCAST_TO_NETWORK, buffer.offset);
+        this._send(buffer.buffer, buffer.offset);
+    }
+
+    getStatus() {
+        return {
+            enabled: true,
+            host: this.host,
+            port: this.port,
+            ttlSeconds: this.ttlSeconds,
+            state: this._isRegistered() ? 'registered' : this.state,
+            registered: this._isRegistered(),
+            registeredAt: this.registeredAt,
+            expiresAt: this.expiresAt,
+            registrations: this.registrations,
+            failures: this.failures,
+            lastError: this.lastError
+        };
+    }
+
+    _isRegistered() {
+        return this.expiresAt !== null && this.expiresAt > Date.now();
+    }
+
+    // The transport sends to its own local port, so the BBMD port is addressed on the socket directly.
+    _send(buffer, length) {
+        this.client._transport._server.send(buffer, 0, length, this.port, this.host, (err) => {
+            if (err) {
+                logger.log('warn', `[BBMD] Failed to send to ${this.host}:${this.port}: ${err.message || err}`);
+            }
+        });
+    }
+
+    _hookTransport() {
+        const transport = this.client._transport;
+        const listeners = transport.listeners('message');
+        transport.removeAllListeners('message');
+        transport.on('message', (buffer, address) => {
+            if (Buffer.isBuffer(buffer) && this._handleBvll(buffer)) {
+                return;
+            }
+            listeners.forEach((listener) => listener(buffer, address));
+        });
+    }
+
+    _handleBvll(buffer) {
+        if (buffer.length < baEnum.BVLC_HEADER_LENGTH || buffer[0] !== baEnum.BVLL_TYPE_BACNET_IP) {
+            return false;
+        }
+        const func = buffer[1];
+        if (func === baEnum.BvlcResultPurpose.BVLC_RESULT && buffer.length >= 6) {
+            this._handleResult(buffer.readUInt16BE(4));
+            return true;
+        }
+        if (func === baEnum.BvlcResultPurpose.FORWARDED_NPDU && buffer.length > FORWARDED_NPDU_HEADER_LENGTH) {
+            // Only the IP is kept: bacstack addresses every peer on its own UDP port.
+            const originalAddress = `${buffer[4]}.${buffer[5]}.${buffer[6]}.${buffer[7]}`;
+            this.client._handleNpdu(buffer, FORWARDED_NPDU_HEADER_LENGTH, buffer.length - FORWARDED_NPDU_HEADER_LENGTH, originalAddress);
+            return true;
+        }
+        return false;
+    }
+
+    _handleResult(resultCode) {
+        if (resultCode === baEnum.BvlcResultFormat.DISTRIBUTE_BROADCAST_TO_NETWORK_NAK) {
+            logger.log('warn', `[BBMD] ${this.host} refused to distribute a broadcast; the registration may have expired.`);
+            this.register();
+            return;
+        }
+        if (!this.responseTimer) {
+            return;
+        }
+        clearTimeout(this.responseTimer);
+        this.responseTimer = null;
+        if (resultCode !== baEnum.BvlcResultFormat.SUCCESSFUL_COMPLETION) {
+            this._registrationFailed(`BBMD rejected the registration (BVLC-Result 0x${resultCode.toString(16).padStart(4, '0')})`);
+            return;
+        }
+        const now = Date.now();
+        if (!this._isRegistered()) {
+            logger.log('info', `[BBMD] Registered as foreign device with ${this.host}:${this.port} for ${this.ttlSeconds}s.`);
+        }
+        this.state = 'registered';
+        this.registeredAt = now;
+        this.expiresAt = now + this.ttlSeconds * 1000;
+        this.lastError = null;
+        this.registrations += 1;
+        // Re-register at half the TTL so one lost request still leaves time for a retry.
+        this._scheduleRegister(this.ttlSeconds * 500);
+    }
+
+    _registrationFailed(reason) {
+        this.failures += 1;
+        this.lastError = reason;
+        if (!this._isRegistered()) {
+            this.state = 'failed';
+        }
+        logger.log('warn', `[BBMD] Foreign device registration with ${this.host}:${this.port} failed: ${reason}`);
+        this._scheduleRegister(Math.min(RETRY_INTERVAL_MS, this.ttlSeconds * 500));
+    }
+
+    _scheduleRegister(delayMs) {
+        clearTimeout(this.renewTimer);
+        this.renewTimer = setTimeout(() => {
+            this.renewTimer = null;
+            this.register();
+        }, delayMs);
+    }
+}
+
+module.exports = { ForeignDeviceRegistration };
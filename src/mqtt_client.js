@@ -93,12 +93,43 @@ class MqttClient extends EventEmitter {
                 logger.log('error', `[MQTT] Error subscribing to write topic pattern ${writeTopicPattern}: ${err}`);
             }
         });
+        const batchWriteTopicPattern = `bacnetwrite/${gatewayId}/+/batch/set`;
+        this.client.subscribe(batchWriteTopicPattern, (err) => {
+            if (err) {
+                logger.log('error', `[MQTT] Error subscribing to batch write topic pattern ${batchWriteTopicPattern}: ${err}`);
+            }
+        });
+        const priorityTopicPattern = `bacnetpriority/${gatewayId}/+/+/get`;
+        this.client.subscribe(priorityTopicPattern, (err) => {
+            if (err) {
+                logger.log('error', `[MQTT] Error subscribing to priority array topic pattern ${priorityTopicPattern}: ${err}`);
+            }
+        });
+
+        const whoHasTopic = `bacnetwhohas/${gatewayId}/get`;
+        this.client.subscribe(whoHasTopic, (err) => {
+            if (err) {
+                logger.log('error', `[MQTT] Error subscribing to Who-Has topic ${whoHasTopic}: ${err}`);
+            }
+        });
 
         this.client.on('message', (topic, message) => this._onMessage(topic, message));
     }
 
     _onMessage(topic, message) {
         const topicParts = topic.split('/');
+        if (topicParts.length === 3 && topicParts[0] === 'bacnetwhohas' && topicParts[2] === 'get') {
+            this._onWhoHasRequest(topicParts[1], message);
+            return;
+        }
+        if (topicParts.length === 5 && topicParts[0] === 'bacnetpriority' && topicParts[4] === 'get') {
+            this._onPriorityArrayRequest(topic, topicParts);
+            return;
+        }
+        if (topicParts.length === 5 && topicParts[0] === 'bacnetwrite' && topicParts[3] === 'batch' && topicParts[4] === 'set') {
+            this._onBatchWriteRequest(topicParts[1], topicParts[2], message);
+            return;
+        }
         if (topicParts.length === 6 && topicParts[0] === 'bacnetwrite' && topicParts[5] === 'set') {
             const receivedGatewayId = topicParts[1];
             const deviceIdFromTopic = topicParts[2];
@@ -144,11 +175,121 @@ class MqttClient extends EventEmitter {
                 propertyId: propertyIdFromTopic,
                 value: payload.value,
                 priority: payload.priority,
-                bacnetApplicationTag: payload.bacnetApplicationTag
+                bacnetApplicationTag: payload.bacnetApplicationTag,
+                verify: payload.verify,
+                durationMs: payload.durationMs,
+                until: payload.until
             });
         }
     }
 
+    _onPriorityArrayRequest(topic, topicParts) {
+        const [, receivedGatewayId, deviceId, objectKey] = topicParts;
+        if (receivedGatewayId !== gatewayId) {
+            logger.log('warn', `[MQTT Priority] Received priority array request for wrong gatewayId. Expected ${gatewayId}, got ${receivedGatewayId}. Ignoring.`);
+            return;
+        }
+        const objectIdParts = objectKey.split('_');
+        const objectType = parseInt(objectIdParts[0], 10);
+        const objectInstance = parseInt(objectIdParts[1], 10);
+        if (objectIdParts.length !== 2 || isNaN(objectType) || isNaN(objectInstance)) {
+            logger.log('warn', `[MQTT Priority] Malformed objectKey in topic ${topic}: ${objectKey}. Expected type_instance.`);
+            return;
+        }
+        this.emit('bacnetPriorityArrayRequest', { deviceId, objectKey, objectType, objectInstance });
+    }
+
+    // Payload: { "requestId": "zone-3", "entries": [{ "objectType": 2, "objectInstance": 1,
+    // "propertyId": 85, "value": 21, "priority": 8 }, ...], "verify": true }. The entries
+    // are validated by the app, which publishes problems on the batch status topic.
+    _onBatchWriteRequest(receivedGatewayId, deviceId, message) {
+        if (receivedGatewayId !== gatewayId) {
+            logger.log('warn', `[MQTT Write] Received batch write for wrong gatewayId. Expected ${gatewayId}, got ${receivedGatewayId}. Ignoring.`);
+            return;
+        }
+        let payload;
+        try {
+            payload = JSON.parse(message.toString());
+        } catch (_e) {
+            payload = null;
+        }
+        if (!payload || typeof payload !== 'object') {
+            logger.log('warn', `[MQTT Write] Batch write payload for device ${deviceId} is not a JSON object. Payload: ${message.toString()}`);
+            this.publishWriteBatchStatus(deviceId, { status: 'error', detail: 'Batch write payload must be a JSON object with an entries array' });
+            return;
+        }
+        this.emit('bacnetWriteBatchCommand', {
+            deviceId,
+            requestId: payload.requestId,
+            entries: payload.entries,
+            verify: payload.verify
+        });
+    }
+
+    // Payload: { "objectName": "AHU1-SAT" } or { "objectType": 0, "objectInstance": 3 },
+    // optionally with "lowLimit" and "highLimit" device instances.
+    _onWhoHasRequest(receivedGatewayId, message) {
+        if (receivedGatewayId !== gatewayId) {
+            logger.log('warn', `[MQTT WhoHas] Received Who-Has request for wrong gatewayId. Expected ${gatewayId}, got ${receivedGatewayId}. Ignoring.`);
+            return;
+        }
+        let payload;
+        try {
+            payload = JSON.parse(message.toString());
+        } catch (_e) {
+            payload = { objectName: message.toString() };
+        }
+        if (!payload || typeof payload !== 'object') {
+            logger.log('warn', `[MQTT WhoHas] Who-Has payload is not a JSON object or object name. Payload: ${message.toString()}`);
+            return;
+        }
+        const request = {};
+        if (typeof payload.objectName === 'string' && payload.objectName.trim()) {
+            request.objectName = payload.objectName.trim();
+        } else if (Number.isInteger(payload.objectType) && Number.isInteger(payload.objectInstance)) {
+            request.objectId = { type: payload.objectType, instance: payload.objectInstance };
+        } else {
+            logger.log('warn', `[MQTT WhoHas] Who-Has request needs objectName or objectType and objectInstance. Payload: ${message.toString()}`);
+            return;
+        }
+        if (Number.isInteger(payload.lowLimit) && Number.isInteger(payload.highLimit)) {
+            request.lowLimit = payload.lowLimit;
+            request.highLimit = payload.highLimit;
+        }
+        this.emit('bacnetWhoHasRequest', request);
+    }
+
+    publishWhoHasResult(payload) {
+        this._publish(`bacnet-gateway/${gatewayId}/who_has`, JSON.stringify(payload));
+    }
+
+    publishAddressChange(change) {
+        this._publish(`bacnet-gateway/${gatewayId}/address_changes/${change.deviceId}`, JSON.stringify(change));
+    }
+
+    publishWriteStatus(deviceId, objectKey, propertyId, payload) {
+        this._publish(`bacnetwrite_status/${gatewayId}/${deviceId}/${objectKey}/${propertyId}`, JSON.stringify(payload));
+    }
+
+    publishWriteBatchStatus(deviceId, payload) {
+        this._publish(`bacnetwrite_status/${gatewayId}/${deviceId}/batch`, JSON.stringify(payload));
+    }
+
+    publishPriorityArray(deviceId, objectKey, payload) {
+        this._publish(`bacnet-gateway/${gatewayId}/priority_array/${deviceId}/${objectKey}`, JSON.stringify(payload));
+    }
+
+    publishAlarm(alarm) {
+        this._publish(`bacnet-gateway/${gatewayId}/alarms/${alarm.deviceId}/${alarm.objectKey}`, JSON.stringify(alarm), { retain: true });
+    }
+
+    publishTrendRecords(deviceId, objectKey, records) {
+        const topic = `bacnet-gateway/${gatewayId}/history/${deviceId}/${objectKey}`;
+        for (const record of records) {
+            this._publish(topic, JSON.stringify({ deviceId, objectKey, ...record }));
+        }
+    }
+
     _publish(topic, message, options = {}) {
         this.client.publish(topic, message, options, (err) => {
             if (err) {
@@ -184,6 +325,9 @@ class MqttClient extends EventEmitter {
             this._publish(stateTopic, JSON.stringify(telemetry.value), { retain: true });
             this._publish(attributesTopic, JSON.stringify({
                 name: telemetry.name,
+                valueLabel: telemetry.valueLabel,
+                units: telemetry.units,
+                unitsSymbol: telemetry.unitsSymbol,
                 deviceId: telemetry.deviceId,
                 address: telemetry.address,
                 acquiredAt: telemetry.acquiredAt,
@@ -191,7 +335,8 @@ class MqttClient extends EventEmitter {
                 freshnessMs: telemetry.freshnessMs,
                 sourceStatus: telemetry.sourceStatus,
                 pollDurationMs: telemetry.pollDurationMs,
-                pollClass: telemetry.pollClass
+                pollClass: telemetry.pollClass,
+                acquisitionMode: telemetry.acquisitionMode
             }), { retain: true });
             this._publish(canonicalTopic, JSON.stringify(telemetry), { retain: true });
         }
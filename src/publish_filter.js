@@ -0,0 +1,66 @@
+// Report-by-exception publishing. With publish settings an object's telemetry is
+// only published when it moved past the deadband since the last publish, or when
+// maxIntervalMs passed without one, and never more often than minIntervalMs.
+const PUBLISH_KEYS = ['deadband', 'deadbandPercent', 'minIntervalMs', 'maxIntervalMs'];
+const DEFAULT_MAX_INTERVAL_MS = 900000;
+
+function validatePublishSettings(settings) {
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+        return ['publish must be an object.'];
+    }
+    const errors = [];
+    Object.keys(settings).filter((key) => !PUBLISH_KEYS.includes(key)).forEach((key) => {
+        errors.push(`publish.${key} is not supported; use ${PUBLISH_KEYS.join(', ')}.`);
+    });
+    ['deadband', 'deadbandPercent'].forEach((key) => {
+        if (settings[key] !== undefined && (!Number.isFinite(settings[key]) || settings[key] < 0)) {
+            errors.push(`publish.${key} must be a non-negative number.`);
+        }
+    });
+    if (settings.deadband !== undefined && settings.deadbandPercent !== undefined) {
+        errors.push('publish.deadband and publish.deadbandPercent cannot be combined.');
+    }
+    ['minIntervalMs', 'maxIntervalMs'].forEach((key) => {
+        if (settings[key] !== undefined && (!Number.isInteger(settings[key]) || settings[key] <= 0)) {
+            errors.push(`publish.${key} must be a positive integer.`);
+        }
+    });
+    if (Number.isInteger(settings.minIntervalMs) && Number.isInteger(settings.maxIntervalMs) && settings.minIntervalMs > settings.maxIntervalMs) {
+        errors.push('publish.minIntervalMs must not be greater than publish.maxIntervalMs.');
+    }
+    return errors;
+}
+
+function _sameJson(left, right) {
+    return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function _hasChanged(previous, telemetry, settings) {
+    if (previous.valueLabel !== telemetry.valueLabel || previous.units !== telemetry.units
+        || previous.sourceStatus !== telemetry.sourceStatus || !_sameJson(previous.properties, telemetry.properties)) {
+        return true;
+    }
+    if (!Number.isFinite(previous.value) || !Number.isFinite(telemetry.value)) {
+        return !_sameJson(previous.value, telemetry.value);
+    }
+    const delta = Math.abs(telemetry.value - previous.value);
+    const threshold = settings.deadbandPercent !== undefined
+        ? Math.abs(previous.value) * settings.deadbandPercent / 100
+        : settings.deadband || 0;
+    return delta > 0 && delta >= threshold;
+}
+
+// lastPublish is { telemetry, publishedAt } of the object's last publish, or null.
+function shouldPublish(lastPublish, telemetry, settings, now) {
+    if (!settings || !lastPublish) {
+        return true;
+    }
+    const elapsed = now - lastPublish.publishedAt;
+    if (settings.minIntervalMs !== undefined && elapsed < settings.minIntervalMs) {
+        return false;
+    }
+    const maxIntervalMs = settings.maxIntervalMs !== undefined ? settings.maxIntervalMs : DEFAULT_MAX_INTERVAL_MS;
+    return elapsed >= maxIntervalMs || _hasChanged(lastPublish.telemetry, telemetry, settings);
+}
+
+module.exports = { validatePublishSettings, shouldPublish };
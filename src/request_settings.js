@@ -0,0 +1,98 @@
+const baEnum = require('bacstack/lib/enum');
+const baNpdu = require('bacstack/lib/npdu');
+
+// bacstack substitutes its defaults for a falsy maxSegments or maxApdu, so it can
+// never ask for unsegmented responses (SEGMENTS_0) or 50-octet APDUs, and its APDU
+// timeout is client-wide. Both are applied here around each confirmed request.
+const MAX_APDU_OCTETS = [50, 128, 206, 480, 1024, 1476];
+const MAX_APDU_CODES = Object.values(baEnum.MaxApduLengthAccepted);
+const MAX_SEGMENTS_CODES = Object.values(baEnum.MaxSegmentsAccepted);
+
+// Largest max-APDU-length-accepted code that fits within the given octet count.
+function encodeMaxApdu(octets) {
+    let code = 0;
+    MAX_APDU_OCTETS.forEach((size, index) => {
+        if (size <= octets) {
+            code = index;
+        }
+    });
+    return code;
+}
+
+function decodeMaxApdu(code) {
+    return MAX_APDU_OCTETS[code] || MAX_APDU_OCTETS[MAX_APDU_OCTETS.length - 1];
+}
+
+function validateRequestOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+        return ['requestOptions must be an object.'];
+    }
+    const errors = [];
+    if (options.maxSegments !== undefined && !MAX_SEGMENTS_CODES.includes(options.maxSegments)) {
+        errors.push(`requestOptions.maxSegments must be one of ${MAX_SEGMENTS_CODES.join(', ')}.`);
+    }
+    if (options.maxApdu !== undefined && !MAX_APDU_CODES.includes(options.maxApdu)) {
+        errors.push(`requestOptions.maxApdu must be one of ${MAX_APDU_CODES.join(', ')}.`);
+    }
+    if (options.apduTimeoutMs !== undefined && (!Number.isInteger(options.apduTimeoutMs) || options.apduTimeoutMs <= 0)) {
+        errors.push('requestOptions.apduTimeoutMs must be a positive integer.');
+    }
+    if (options.retries !== undefined && (!Number.isInteger(options.retries) || options.retries < 0)) {
+        errors.push('requestOptions.retries must be a non-negative integer.');
+    }
+    return errors;
+}
+
+function _applyHeader(buffer, settings) {
+    if (buffer[0] !== baEnum.BVLL_TYPE_BACNET_IP) {
+        return;
+    }
+    const npdu = baNpdu.decode(buffer, baEnum.BVLC_HEADER_LENGTH);
+    if (!npdu || (npdu.funct & baEnum.NpduControlBits.NETWORK_LAYER_MESSAGE)) {
+        return;
+    }
+    const apdu = baEnum.BVLC_HEADER_LENGTH + npdu.len;
+    if ((buffer[apdu] & 0xF0) !== baEnum.PduTypes.CONFIRMED_REQUEST) {
+        return;
+    }
+    if (settings.maxSegments === baEnum.MaxSegmentsAccepted.SEGMENTS_0) {
+        buffer[apdu] &= ~baEnum.PduConReqBits.SEGMENTED_RESPONSE_ACCEPTED;
+    }
+    buffer[apdu + 1] = (settings.maxSegments & 0x70) | (settings.maxApdu & 0x0F);
+}
+
+// Rewrites the max-segments and max-APDU header of confirmed requests sent inside
+// withRequestSettings().
+function enableRequestSettings(client) {
+    const transport = client._transport;
+    const send = transport.send.bind(transport);
+    transport.send = (buffer, offset, receiver) => {
+        if (client._requestSettings) {
+            _applyHeader(buffer, client._requestSettings);
+        }
+        send(buffer, offset, receiver);
+    };
+}
+
+// Runs send() with { maxSegments, maxApdu, apduTimeoutMs } applied to the request it
+// issues. bacstack encodes, sends and arms the timeout synchronously, so the
+// client-wide settings are restored as soon as send() returns.
+function withRequestSettings(client, settings, send) {
+    const previousTimeout = client._settings.apduTimeout;
+    client._settings.apduTimeout = settings.apduTimeoutMs;
+    client._requestSettings = settings;
+    try {
+        return send();
+    } finally {
+        client._settings.apduTimeout = previousTimeout;
+        client._requestSettings = null;
+    }
+}
+
+module.exports = {
+    encodeMaxApdu,
+    decodeMaxApdu,
+    validateRequestOptions,
+    enableRequestSettings,
+    withRequestSettings
+};
@@ -4,6 +4,20 @@ const sqlite3 = require('sqlite3').verbose();
 const config = require('config');
 const { logger } = require('./common');
 
+// Columns added after a table was first released. CREATE TABLE IF NOT EXISTS
+// leaves existing databases untouched, so these are added with ALTER TABLE.
+const COLUMN_MIGRATIONS = {
+    object_state: {
+        properties_json: 'TEXT',
+        value_label: 'TEXT',
+        units: 'INTEGER',
+        units_symbol: 'TEXT'
+    },
+    poll_history: {
+        request_count: 'INTEGER NOT NULL DEFAULT 0'
+    }
+};
+
 class RuntimeState {
     constructor() {
         const runtimeCfg = config.has('runtime') ? config.get('runtime') : {};
@@ -54,12 +68,16 @@ class RuntimeState {
                 device_id TEXT NOT NULL,
                 object_key TEXT NOT NULL,
                 value_json TEXT,
+                value_label TEXT,
+                units INTEGER,
+                units_symbol TEXT,
                 object_name TEXT,
                 acquired_at INTEGER,
                 published_at INTEGER,
                 freshness_ms INTEGER,
                 source_status TEXT,
                 poll_duration_ms INTEGER,
+                properties_json TEXT,
                 updated_at INTEGER NOT NULL,
                 PRIMARY KEY (device_id, object_key)
             );
@@ -72,10 +90,116 @@ class RuntimeState {
                 duration_ms INTEGER NOT NULL DEFAULT 0,
                 status TEXT NOT NULL,
                 error_class TEXT,
+                request_count INTEGER NOT NULL DEFAULT 0,
                 created_at INTEGER NOT NULL
             );
             CREATE INDEX IF NOT EXISTS idx_poll_history_device_created_at
                 ON poll_history(device_id, created_at DESC);
+            CREATE TABLE IF NOT EXISTS alarm_state (
+                device_id TEXT NOT NULL,
+                object_key TEXT NOT NULL,
+                object_type INTEGER NOT NULL,
+                object_instance INTEGER NOT NULL,
+                event_state INTEGER NOT NULL,
+                event_state_label TEXT,
+                from_state INTEGER,
+                event_type INTEGER,
+                notify_type INTEGER,
+                notification_class INTEGER,
+                priority INTEGER,
+                message_text TEXT,
+                ack_required INTEGER NOT NULL DEFAULT 0,
+                acknowledged INTEGER NOT NULL DEFAULT 1,
+                acknowledged_at INTEGER,
+                acknowledged_by TEXT,
+                event_timestamp INTEGER,
+                source TEXT,
+                updated_at INTEGER NOT NULL,
+                PRIMARY KEY (device_id, object_key)
+            );
+            CREATE TABLE IF NOT EXISTS trend_history (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                device_id TEXT NOT NULL,
+                object_key TEXT NOT NULL,
+                sequence_number INTEGER,
+                recorded_at INTEGER NOT NULL,
+                datum_type TEXT NOT NULL,
+                value_json TEXT,
+                status_flags_json TEXT,
+                created_at INTEGER NOT NULL,
+                UNIQUE (device_id, object_key, recorded_at, datum_type)
+            );
+            CREATE TABLE IF NOT EXISTS device_profile (
+                device_id TEXT PRIMARY KEY,
+                vendor_name TEXT,
+                model_name TEXT,
+                firmware_revision TEXT,
+                application_software_version TEXT,
+                protocol_services_supported_json TEXT,
+                max_apdu_length_accepted INTEGER,
+                segmentation_supported INTEGER,
+                database_revision INTEGER,
+                read_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS discovered_devices (
+                device_id TEXT PRIMARY KEY,
+                address TEXT NOT NULL,
+                address_json TEXT NOT NULL,
+                network INTEGER,
+                vendor_id INTEGER,
+                max_apdu INTEGER,
+                segmentation INTEGER,
+                first_seen_at INTEGER NOT NULL,
+                last_seen_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS timed_overrides (
+                device_id TEXT NOT NULL,
+                object_key TEXT NOT NULL,
+                object_type INTEGER NOT NULL,
+                object_instance INTEGER NOT NULL,
+                property_id INTEGER NOT NULL,
+                priority INTEGER NOT NULL,
+                value_json TEXT,
+                release_at INTEGER NOT NULL,
+                attempts INTEGER NOT NULL DEFAULT 0,
+                last_error TEXT,
+                created_at INTEGER NOT NULL,
+                PRIMARY KEY (device_id, object_key, property_id, priority)
+            );
+            CREATE TABLE IF NOT EXISTS write_schedules (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                name TEXT NOT NULL,
+                device_id TEXT NOT NULL,
+                object_type INTEGER NOT NULL,
+                object_instance INTEGER NOT NULL,
+                property_id INTEGER NOT NULL,
+                value_json TEXT,
+                priority INTEGER,
+                application_tag INTEGER,
+                duration_ms INTEGER,
+                cron TEXT,
+                run_at INTEGER,
+                enabled INTEGER NOT NULL DEFAULT 1,
+                last_run_at INTEGER,
+                last_status TEXT,
+                created_at INTEGER NOT NULL,
+                updated_at INTEGER NOT NULL
+            );
+            CREATE TABLE IF NOT EXISTS schedule_runs (
+                id INTEGER PRIMARY KEY AUTOINCREMENT,
+                schedule_id INTEGER NOT NULL,
+                triggered_by TEXT NOT NULL,
+                status TEXT NOT NULL,
+                value_json TEXT,
+                priority INTEGER,
+                error TEXT,
+                policy TEXT,
+                release_at INTEGER,
+                started_at INTEGER NOT NULL,
+                finished_at INTEGER
+            );
+            CREATE INDEX IF NOT EXISTS idx_schedule_runs_schedule_started_at
+                ON schedule_runs(schedule_id, started_at DESC);
         `;
 
         return new Promise((resolve, reject) => {
@@ -87,7 +211,19 @@ class RuntimeState {
                     resolve();
                 }
             });
-        });
+        }).then(() => this._migrateColumns());
+    }
+
+    async _migrateColumns() {
+        for (const [table, columns] of Object.entries(COLUMN_MIGRATIONS)) {
+            const existing = await this.all(`PRAGMA table_info(${table})`);
+            const names = new Set(existing.map((column) => column.name));
+            for (const [column, definition] of Object.entries(columns)) {
+                if (!names.has(column)) {
+                    await this.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+                }
+            }
+        }
     }
 
     run(sql, params = []) {
@@ -169,29 +305,37 @@ class RuntimeState {
         await this.run(
             `
             INSERT INTO object_state (
-                device_id, object_key, value_json, object_name, acquired_at, published_at,
-                freshness_ms, source_status, poll_duration_ms, updated_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+                device_id, object_key, value_json, value_label, units, units_symbol, object_name, acquired_at, published_at,
+                freshness_ms, source_status, poll_duration_ms, properties_json, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
             ON CONFLICT(device_id, object_key) DO UPDATE SET
                 value_json = excluded.value_json,
+                value_label = excluded.value_label,
+                units = excluded.units,
+                units_symbol = excluded.units_symbol,
                 object_name = excluded.object_name,
                 acquired_at = excluded.acquired_at,
                 published_at = excluded.published_at,
                 freshness_ms = excluded.freshness_ms,
                 source_status = excluded.source_status,
                 poll_duration_ms = excluded.poll_duration_ms,
+                properties_json = excluded.properties_json,
                 updated_at = excluded.updated_at
             `,
             [
                 deviceId,
                 objectKey,
                 JSON.stringify(telemetry.value),
+                telemetry.valueLabel || null,
+                Number.isInteger(telemetry.units) ? telemetry.units : null,
+                telemetry.unitsSymbol || null,
                 telemetry.name || null,
                 telemetry.acquiredAt || null,
                 telemetry.publishedAt || null,
                 telemetry.freshnessMs || null,
                 telemetry.sourceStatus || null,
                 telemetry.pollDurationMs || null,
+                JSON.stringify(telemetry.properties || {}),
                 now
             ]
         );
@@ -201,8 +345,8 @@ class RuntimeState {
         await this.run(
             `
             INSERT INTO poll_history (
-                device_id, object_count, success_count, failure_count, duration_ms, status, error_class, created_at
-            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                device_id, object_count, success_count, failure_count, duration_ms, status, error_class, request_count, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
             `,
             [
                 entry.deviceId,
@@ -212,11 +356,19 @@ class RuntimeState {
                 entry.durationMs || 0,
                 entry.status || 'unknown',
                 entry.errorClass || null,
+                entry.requestCount || 0,
                 entry.createdAt || Date.now()
             ]
         );
     }
 
+    listPollHistory(deviceId, limit = 50) {
+        return this.all(
+            'SELECT * FROM poll_history WHERE device_id = ? ORDER BY created_at DESC, id DESC LIMIT ?',
+            [deviceId, limit]
+        );
+    }
+
     getDeviceState(deviceId) {
         return this.get('SELECT * FROM device_state WHERE device_id = ?', [deviceId]);
     }
@@ -233,20 +385,537 @@ class RuntimeState {
         if (!row) {
             return null;
         }
+        return this._parseObjectRow(row);
+    }
+
+    async listObjectStates(deviceId) {
+        const rows = await this.all(
+            'SELECT * FROM object_state WHERE device_id = ? ORDER BY object_key ASC',
+            [deviceId]
+        );
+        return rows.map((row) => this._parseObjectRow(row));
+    }
+
+    _parseObjectRow(row) {
         return {
             ...row,
-            value: row.value_json ? JSON.parse(row.value_json) : null
+            value: row.value_json ? JSON.parse(row.value_json) : null,
+            properties: row.properties_json ? JSON.parse(row.properties_json) : {}
         };
     }
 
-    async listObjectStates(deviceId) {
+    async upsertAlarm(alarm) {
+        // Notifications carry more detail than GetEventInformation/GetAlarmSummary,
+        // so a refresh keeps the detail fields it cannot supply.
+        await this.run(
+            `
+            INSERT INTO alarm_state (
+                device_id, object_key, object_type, object_instance, event_state, event_state_label,
+                from_state, event_type, notify_type, notification_class, priority, message_text,
+                ack_required, acknowledged, event_timestamp, source, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(device_id, object_key) DO UPDATE SET
+                event_state = excluded.event_state,
+                event_state_label = excluded.event_state_label,
+                from_state = COALESCE(excluded.from_state, alarm_state.from_state),
+                event_type = COALESCE(excluded.event_type, alarm_state.event_type),
+                notify_type = COALESCE(excluded.notify_type, alarm_state.notify_type),
+                notification_class = COALESCE(excluded.notification_class, alarm_state.notification_class),
+                priority = COALESCE(excluded.priority, alarm_state.priority),
+                message_text = COALESCE(excluded.message_text, alarm_state.message_text),
+                ack_required = MAX(excluded.ack_required, alarm_state.ack_required),
+                acknowledged = excluded.acknowledged,
+                acknowledged_at = CASE WHEN excluded.acknowledged = 1 THEN alarm_state.acknowledged_at ELSE NULL END,
+                acknowledged_by = CASE WHEN excluded.acknowledged = 1 THEN alarm_state.acknowledged_by ELSE NULL END,
+                event_timestamp = COALESCE(excluded.event_timestamp, alarm_state.event_timestamp),
+                source = excluded.source,
+                updated_at = excluded.updated_at
+            `,
+            [
+                alarm.deviceId,
+                alarm.objectKey,
+                alarm.objectType,
+                alarm.objectInstance,
+                alarm.eventState,
+                alarm.eventStateLabel || null,
+                this._nullable(alarm.fromState),
+                this._nullable(alarm.eventType),
+                this._nullable(alarm.notifyType),
+                this._nullable(alarm.notificationClass),
+                this._nullable(alarm.priority),
+                alarm.messageText || null,
+                alarm.ackRequired ? 1 : 0,
+                alarm.acknowledged === false ? 0 : 1,
+                alarm.eventTimestamp || null,
+                alarm.source || null,
+                Date.now()
+            ]
+        );
+        return this.getAlarm(alarm.deviceId, alarm.objectKey);
+    }
+
+    async getAlarm(deviceId, objectKey) {
+        const row = await this.get(
+            'SELECT * FROM alarm_state WHERE device_id = ? AND object_key = ?',
+            [deviceId, objectKey]
+        );
+        return row ? this._parseAlarmRow(row) : null;
+    }
+
+    async listAlarms(filter = {}) {
+        const clauses = [];
+        const params = [];
+        if (filter.deviceId !== undefined && filter.deviceId !== null && filter.deviceId !== '') {
+            clauses.push('device_id = ?');
+            params.push(String(filter.deviceId));
+        }
+        if (filter.activeOnly) {
+            clauses.push('(event_state != 0 OR acknowledged = 0)');
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
         const rows = await this.all(
-            'SELECT * FROM object_state WHERE device_id = ? ORDER BY object_key ASC',
+            `SELECT * FROM alarm_state ${where} ORDER BY event_timestamp DESC, device_id ASC, object_key ASC`,
+            params
+        );
+        return rows.map((row) => this._parseAlarmRow(row));
+    }
+
+    async markAlarmAcknowledged(deviceId, objectKey, acknowledgedBy, acknowledgedAt) {
+        await this.run(
+            `
+            UPDATE alarm_state SET acknowledged = 1, acknowledged_at = ?, acknowledged_by = ?, updated_at = ?
+            WHERE device_id = ? AND object_key = ?
+            `,
+            [acknowledgedAt, acknowledgedBy, Date.now(), deviceId, objectKey]
+        );
+        return this.getAlarm(deviceId, objectKey);
+    }
+
+    // Objects missing from a full alarm refresh are back to normal and acknowledged.
+    async clearAlarmsExcept(deviceId, activeObjectKeys) {
+        const keep = new Set(activeObjectKeys);
+        const rows = await this.all(
+            'SELECT object_key FROM alarm_state WHERE device_id = ? AND (event_state != 0 OR acknowledged = 0)',
             [deviceId]
         );
+        const cleared = [];
+        for (const row of rows.filter((candidate) => !keep.has(candidate.object_key))) {
+            await this.run(
+                `
+                UPDATE alarm_state SET event_state = 0, event_state_label = 'normal', acknowledged = 1, source = 'refresh', updated_at = ?
+                WHERE device_id = ? AND object_key = ?
+                `,
+                [Date.now(), deviceId, row.object_key]
+            );
+            cleared.push(await this.getAlarm(deviceId, row.object_key));
+        }
+        return cleared;
+    }
+
+    _parseAlarmRow(row) {
+        return {
+            deviceId: row.device_id,
+            objectKey: row.object_key,
+            objectType: row.object_type,
+            objectInstance: row.object_instance,
+            eventState: row.event_state,
+            eventStateLabel: row.event_state_label,
+            fromState: row.from_state,
+            eventType: row.event_type,
+            notifyType: row.notify_type,
+            notificationClass: row.notification_class,
+            priority: row.priority,
+            messageText: row.message_text,
+            active: row.event_state !== 0,
+            ackRequired: row.ack_required === 1,
+            acknowledged: row.acknowledged === 1,
+            acknowledgedAt: row.acknowledged_at,
+            acknowledgedBy: row.acknowledged_by,
+            eventTimestamp: row.event_timestamp,
+            source: row.source,
+            updatedAt: row.updated_at
+        };
+    }
+
+    _nullable(value) {
+        return value === undefined ? null : value;
+    }
+
+    // Returns the number of records inserted; records already stored are skipped.
+    async saveTrendRecords(deviceId, objectKey, records) {
+        const now = Date.now();
+        let inserted = 0;
+        for (const record of records) {
+            const result = await this.run(
+                `
+                INSERT OR IGNORE INTO trend_history (
+                    device_id, object_key, sequence_number, recorded_at, datum_type, value_json, status_flags_json, created_at
+                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+                `,
+                [
+                    deviceId,
+                    objectKey,
+                    this._nullable(record.sequenceNumber),
+                    record.timestamp,
+                    record.datumType,
+                    JSON.stringify(this._nullable(record.value)),
+                    record.statusFlags ? JSON.stringify(record.statusFlags) : null,
+                    now
+                ]
+            );
+            inserted += result.changes;
+        }
+        return inserted;
+    }
+
+    async getLatestTrendRecord(deviceId, objectKey) {
+        const row = await this.get(
+            'SELECT MAX(sequence_number) as sequence_number, MAX(recorded_at) as recorded_at FROM trend_history WHERE device_id = ? AND object_key = ?',
+            [deviceId, objectKey]
+        );
+        if (!row || row.recorded_at === null) {
+            return null;
+        }
+        return { sequenceNumber: row.sequence_number, timestamp: row.recorded_at };
+    }
+
+    async listTrendRecords(deviceId, objectKey, filter = {}) {
+        const clauses = ['device_id = ?', 'object_key = ?'];
+        const params = [deviceId, objectKey];
+        if (filter.from !== undefined && filter.from !== null) {
+            clauses.push('recorded_at >= ?');
+            params.push(filter.from);
+        }
+        if (filter.to !== undefined && filter.to !== null) {
+            clauses.push('recorded_at <= ?');
+            params.push(filter.to);
+        }
+        params.push(filter.limit || 500);
+        const rows = await this.all(
+            `SELECT * FROM trend_history WHERE ${clauses.join(' AND ')} ORDER BY recorded_at DESC LIMIT ?`,
+            params
+        );
         return rows.map((row) => ({
-            ...row,
-            value: row.value_json ? JSON.parse(row.value_json) : null
+            deviceId: row.device_id,
+            objectKey: row.object_key,
+            sequenceNumber: row.sequence_number,
+            timestamp: row.recorded_at,
+            datumType: row.datum_type,
+            value: row.value_json ? JSON.parse(row.value_json) : null,
+            statusFlags: row.status_flags_json ? JSON.parse(row.status_flags_json) : null
+        }));
+    }
+
+    async saveDeviceProfile(deviceId, profile) {
+        await this.run(
+            `
+            INSERT OR REPLACE INTO device_profile (
+                device_id, vendor_name, model_name, firmware_revision, application_software_version,
+                protocol_services_supported_json, max_apdu_length_accepted, segmentation_supported,
+                database_revision, read_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+                deviceId,
+                this._nullable(profile.vendorName),
+                this._nullable(profile.modelName),
+                this._nullable(profile.firmwareRevision),
+                this._nullable(profile.applicationSoftwareVersion),
+                profile.protocolServicesSupported ? JSON.stringify(profile.protocolServicesSupported) : null,
+                this._nullable(profile.maxApduLengthAccepted),
+                this._nullable(profile.segmentationSupported),
+                this._nullable(profile.databaseRevision),
+                profile.readAt || Date.now()
+            ]
+        );
+    }
+
+    async listDeviceProfiles() {
+        const rows = await this.all('SELECT * FROM device_profile ORDER BY device_id ASC');
+        return rows.map((row) => ({
+            deviceId: row.device_id,
+            vendorName: row.vendor_name,
+            modelName: row.model_name,
+            firmwareRevision: row.firmware_revision,
+            applicationSoftwareVersion: row.application_software_version,
+            protocolServicesSupported: row.protocol_services_supported_json ? JSON.parse(row.protocol_services_supported_json) : null,
+            maxApduLengthAccepted: row.max_apdu_length_accepted,
+            segmentationSupported: row.segmentation_supported,
+            databaseRevision: row.database_revision,
+            readAt: row.read_at
+        }));
+    }
+
+    // address is the display form (ip or ip@network:mac); address_json keeps the original value.
+    async upsertDiscoveredDevice(device) {
+        const seenAt = device.seenAt || Date.now();
+        await this.run(
+            `
+            INSERT INTO discovered_devices (
+                device_id, address, address_json, network, vendor_id, max_apdu, segmentation, first_seen_at, last_seen_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+            ON CONFLICT(device_id) DO UPDATE SET
+                address = excluded.address,
+                address_json = excluded.address_json,
+                network = excluded.network,
+                vendor_id = excluded.vendor_id,
+                max_apdu = excluded.max_apdu,
+                segmentation = excluded.segmentation,
+                last_seen_at = excluded.last_seen_at
+            `,
+            [
+                String(device.deviceId),
+                device.displayAddress,
+                JSON.stringify(device.address),
+                this._nullable(device.network),
+                this._nullable(device.vendorId),
+                this._nullable(device.maxApdu),
+                this._nullable(device.segmentation),
+                seenAt,
+                seenAt
+            ]
+        );
+    }
+
+    async listDiscoveredDevices(filter = {}) {
+        const clauses = [];
+        const params = [];
+        if (filter.vendorId !== undefined && filter.vendorId !== null) {
+            clauses.push('vendor_id = ?');
+            params.push(filter.vendorId);
+        }
+        if (filter.network !== undefined && filter.network !== null) {
+            clauses.push('network = ?');
+            params.push(filter.network);
+        }
+        if (filter.address) {
+            clauses.push('address LIKE ?');
+            params.push(`%${filter.address}%`);
+        }
+        if (filter.seenSince !== undefined && filter.seenSince !== null) {
+            clauses.push('last_seen_at >= ?');
+            params.push(filter.seenSince);
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        params.push(filter.limit || 500);
+        const rows = await this.all(
+            `SELECT * FROM discovered_devices ${where} ORDER BY last_seen_at DESC, device_id ASC LIMIT ?`,
+            params
+        );
+        return rows.map((row) => ({
+            deviceId: row.device_id,
+            address: JSON.parse(row.address_json),
+            displayAddress: row.address,
+            network: row.network,
+            vendorId: row.vendor_id,
+            maxApdu: row.max_apdu,
+            segmentation: row.segmentation,
+            firstSeenAt: row.first_seen_at,
+            lastSeenAt: row.last_seen_at
+        }));
+    }
+
+    // One pending release per priority slot; a newer timed write to the slot replaces it.
+    async saveTimedOverride(override) {
+        await this.run(
+            `
+            INSERT OR REPLACE INTO timed_overrides (
+                device_id, object_key, object_type, object_instance, property_id, priority,
+                value_json, release_at, attempts, last_error, created_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+                override.deviceId,
+                override.objectKey,
+                override.objectType,
+                override.objectInstance,
+                override.propertyId,
+                override.priority,
+                override.value === undefined ? null : JSON.stringify(override.value),
+                override.releaseAt,
+                override.attempts || 0,
+                override.lastError || null,
+                override.createdAt || Date.now()
+            ]
+        );
+    }
+
+    async deleteTimedOverride(deviceId, objectKey, propertyId, priority) {
+        const result = await this.run(
+            'DELETE FROM timed_overrides WHERE device_id = ? AND object_key = ? AND property_id = ? AND priority = ?',
+            [deviceId, objectKey, propertyId, priority]
+        );
+        return result.changes > 0;
+    }
+
+    async listTimedOverrides(filter = {}) {
+        const clauses = [];
+        const params = [];
+        if (filter.deviceId !== undefined && filter.deviceId !== null) {
+            clauses.push('device_id = ?');
+            params.push(String(filter.deviceId));
+        }
+        const where = clauses.length > 0 ? `WHERE ${clauses.join(' AND ')}` : '';
+        const rows = await this.all(`SELECT * FROM timed_overrides ${where} ORDER BY release_at ASC`, params);
+        return rows.map((row) => ({
+            deviceId: row.device_id,
+            objectKey: row.object_key,
+            objectType: row.object_type,
+            objectInstance: row.object_instance,
+            propertyId: row.property_id,
+            priority: row.priority,
+            value: row.value_json ? JSON.parse(row.value_json) : null,
+            releaseAt: row.release_at,
+            attempts: row.attempts,
+            lastError: row.last_error,
+            createdAt: row.created_at
+        }));
+    }
+
+    async saveWriteSchedule(schedule) {
+        const now = Date.now();
+        const params = [
+            schedule.name,
+            String(schedule.deviceId),
+            schedule.objectType,
+            schedule.objectInstance,
+            schedule.propertyId,
+            schedule.value === undefined ? null : JSON.stringify(schedule.value),
+            this._nullable(schedule.priority),
+            this._nullable(schedule.bacnetApplicationTag),
+            this._nullable(schedule.durationMs),
+            schedule.cron || null,
+            this._nullable(schedule.runAt),
+            schedule.enabled === false ? 0 : 1,
+            this._nullable(schedule.lastRunAt),
+            schedule.lastStatus || null
+        ];
+        if (schedule.id !== undefined && schedule.id !== null) {
+            await this.run(
+                `
+                UPDATE write_schedules SET
+                    name = ?, device_id = ?, object_type = ?, object_instance = ?, property_id = ?, value_json = ?,
+                    priority = ?, application_tag = ?, duration_ms = ?, cron = ?, run_at = ?, enabled = ?,
+                    last_run_at = ?, last_status = ?, updated_at = ?
+                WHERE id = ?
+                `,
+                [...params, now, schedule.id]
+            );
+            return schedule.id;
+        }
+        const result = await this.run(
+            `
+            INSERT INTO write_schedules (
+                name, device_id, object_type, object_instance, property_id, value_json,
+                priority, application_tag, duration_ms, cron, run_at, enabled,
+                last_run_at, last_status, created_at, updated_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [...params, schedule.createdAt || now, now]
+        );
+        return result.lastID;
+    }
+
+    async getWriteSchedule(id) {
+        const row = await this.get('SELECT * FROM write_schedules WHERE id = ?', [id]);
+        return row ? this._parseScheduleRow(row) : null;
+    }
+
+    async listWriteSchedules() {
+        const rows = await this.all('SELECT * FROM write_schedules ORDER BY id ASC');
+        return rows.map((row) => this._parseScheduleRow(row));
+    }
+
+    // A schedule's run history goes with it.
+    async deleteWriteSchedule(id) {
+        await this.run('DELETE FROM schedule_runs WHERE schedule_id = ?', [id]);
+        const result = await this.run('DELETE FROM write_schedules WHERE id = ?', [id]);
+        return result.changes > 0;
+    }
+
+    _parseScheduleRow(row) {
+        return {
+            id: row.id,
+            name: row.name,
+            deviceId: row.device_id,
+            objectType: row.object_type,
+            objectInstance: row.object_instance,
+            propertyId: row.property_id,
+            value: row.value_json ? JSON.parse(row.value_json) : null,
+            priority: row.priority,
+            bacnetApplicationTag: row.application_tag,
+            durationMs: row.duration_ms,
+            cron: row.cron,
+            runAt: row.run_at,
+            enabled: row.enabled === 1,
+            lastRunAt: row.last_run_at,
+            lastStatus: row.last_status,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at
+        };
+    }
+
+    async setWriteScheduleEnabled(id, enabled) {
+        const result = await this.run(
+            'UPDATE write_schedules SET enabled = ?, updated_at = ? WHERE id = ?',
+            [enabled ? 1 : 0, Date.now(), id]
+        );
+        return result.changes > 0;
+    }
+
+    // Records a run as its schedule's last and keeps the newest keep runs of the schedule.
+    async recordScheduleRun(run, keep = 1000) {
+        const result = await this.run(
+            `
+            INSERT INTO schedule_runs (
+                schedule_id, triggered_by, status, value_json, priority, error, policy, release_at, started_at, finished_at
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+            `,
+            [
+                run.scheduleId,
+                run.trigger,
+                run.status,
+                run.value === undefined ? null : JSON.stringify(run.value),
+                this._nullable(run.priority),
+                run.error || null,
+                run.policy || null,
+                this._nullable(run.releaseAt),
+                run.startedAt || Date.now(),
+                this._nullable(run.finishedAt)
+            ]
+        );
+        await this.run(
+            'UPDATE write_schedules SET last_run_at = ?, last_status = ? WHERE id = ?',
+            [run.startedAt || Date.now(), run.status, run.scheduleId]
+        );
+        await this.run(
+            `
+            DELETE FROM schedule_runs WHERE schedule_id = ? AND id NOT IN (
+                SELECT id FROM schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC, id DESC LIMIT ?
+            )
+            `,
+            [run.scheduleId, run.scheduleId, keep]
+        );
+        return result.lastID;
+    }
+
+    async listScheduleRuns(scheduleId, limit = 50) {
+        const rows = await this.all(
+            'SELECT * FROM schedule_runs WHERE schedule_id = ? ORDER BY started_at DESC, id DESC LIMIT ?',
+            [scheduleId, limit]
+        );
+        return rows.map((row) => ({
+            id: row.id,
+            scheduleId: row.schedule_id,
+            trigger: row.triggered_by,
+            status: row.status,
+            value: row.value_json ? JSON.parse(row.value_json) : null,
+            priority: row.priority,
+            error: row.error,
+            policy: row.policy,
+            releaseAt: row.release_at,
+            startedAt: row.started_at,
+            finishedAt: row.finished_at
         }));
     }
 
@@ -259,12 +928,17 @@ class RuntimeState {
             'SELECT COUNT(*) as count FROM object_state WHERE acquired_at IS NOT NULL AND freshness_ms IS NOT NULL AND (? - acquired_at) > freshness_ms',
             [Date.now()]
         );
+        const alarmRow = await this.get(
+            'SELECT SUM(CASE WHEN event_state != 0 THEN 1 ELSE 0 END) as active, SUM(CASE WHEN acknowledged = 0 THEN 1 ELSE 0 END) as unacknowledged FROM alarm_state'
+        );
         return {
             configuredDevices: deviceRows.length,
             healthyDevices,
             degradedDevices,
             openCircuits,
-            staleObjects: staleRows ? staleRows.count : 0
+            staleObjects: staleRows ? staleRows.count : 0,
+            activeAlarms: alarmRow && alarmRow.active ? alarmRow.active : 0,
+            unacknowledgedAlarms: alarmRow && alarmRow.unacknowledged ? alarmRow.unacknowledged : 0
         };
     }
 }
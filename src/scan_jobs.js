@@ -0,0 +1,161 @@
+const crypto = require('crypto');
+const config = require('config');
+const { logger } = require('./common');
+
+// Object scans run as background jobs so that large devices do not hold an HTTP
+// request open. A job reports its progress and the objects read so far; finished
+// jobs keep their result in memory for SCAN_JOBS_RETAIN_MS and are lost on restart.
+const DEFAULT_RETAIN_MS = 3600000;
+const MAX_FINISHED_JOBS = 50;
+
+class ScanJobManager {
+    constructor(bacnetClient) {
+        this.bacnetClient = bacnetClient;
+        this.jobs = new Map();
+        this.retainMs = DEFAULT_RETAIN_MS;
+        if (config.has('scanJobs.retainMs')) {
+            const retainMs = parseInt(config.get('scanJobs.retainMs'), 10);
+            this.retainMs = Number.isNaN(retainMs) || retainMs < 0 ? DEFAULT_RETAIN_MS : retainMs;
+        }
+    }
+
+    // Starts a scan of device ({ deviceId, address }) and returns the job. With
+    // saveConfig, a completed scan is saved as the device's config and polled. Returns
+    // null when a scan of the device is already running.
+    start(device, { saveConfig = false } = {}) {
+        this._prune();
+        const deviceId = String(device.deviceId);
+        if (this.findRunning(deviceId)) {
+            return null;
+        }
+        const job = {
+            id: crypto.randomUUID(),
+            deviceId,
+            device,
+            saveConfig,
+            status: 'running',
+            objectsRead: 0,
+            totalObjects: null,
+            objects: [],
+            error: null,
+            startedAt: Date.now(),
+            finishedAt: null,
+            saving: false,
+            controller: new AbortController()
+        };
+        this.jobs.set(job.id, job);
+        logger.log('info', `[ScanJob] Started scan ${job.id} of device ${deviceId}.`);
+        this._run(job);
+        return this._snapshot(job);
+    }
+
+    findRunning(deviceId) {
+        for (const job of this.jobs.values()) {
+            if (job.status === 'running' && job.deviceId === String(deviceId)) {
+                return this._snapshot(job, { objects: false });
+            }
+        }
+        return null;
+    }
+
+    list() {
+        this._prune();
+        return [...this.jobs.values()]
+            .sort((a, b) => b.startedAt - a.startedAt)
+            .map((job) => this._snapshot(job, { objects: false }));
+    }
+
+    get(id) {
+        this._prune();
+        const job = this.jobs.get(id);
+        return job ? this._snapshot(job) : null;
+    }
+
+    // Stops a running job after the reads in flight; the objects read so far are kept.
+    // A finished job, or one whose config is being saved, is returned unchanged. Returns
+    // null for unknown jobs.
+    cancel(id) {
+        const job = this.jobs.get(id);
+        if (!job) {
+            return null;
+        }
+        if (job.status === 'running' && !job.saving) {
+            job.status = 'cancelled';
+            job.finishedAt = Date.now();
+            job.controller.abort();
+            logger.log('info', `[ScanJob] Cancelled scan ${job.id} of device ${job.deviceId} after ${job.objectsRead} objects.`);
+        }
+        return this._snapshot(job);
+    }
+
+    async _run(job) {
+        try {
+            const objects = await this.bacnetClient.scanDevice(job.device, {
+                signal: job.controller.signal,
+                onProgress: ({ objectsRead, totalObjects, object }) => {
+                    job.objectsRead = objectsRead;
+                    job.totalObjects = totalObjects;
+                    if (object) {
+                        job.objects.push(object);
+                    }
+                }
+            });
+            if (job.status !== 'running') {
+                return;
+            }
+            job.objects = objects;
+            if (job.saveConfig) {
+                job.saving = true;
+                await this.bacnetClient.saveScannedConfig(job.device, objects);
+            }
+            job.status = 'completed';
+            logger.log('info', `[ScanJob] Scan ${job.id} of device ${job.deviceId} found ${objects.length} objects.`);
+        } catch (err) {
+            if (job.status !== 'running') {
+                return;
+            }
+            job.status = 'failed';
+            job.error = err && err.message ? err.message : String(err);
+            logger.log('error', `[ScanJob] Scan ${job.id} of device ${job.deviceId} failed: ${job.error}`);
+        } finally {
+            if (!job.finishedAt) {
+                job.finishedAt = Date.now();
+            }
+        }
+    }
+
+    // Drops finished jobs older than the retention time, and the oldest ones beyond
+    // MAX_FINISHED_JOBS.
+    _prune(now = Date.now()) {
+        const finished = [...this.jobs.values()]
+            .filter((job) => job.status !== 'running')
+            .sort((a, b) => b.finishedAt - a.finishedAt);
+        finished.forEach((job, index) => {
+            if (index >= MAX_FINISHED_JOBS || now - job.finishedAt > this.retainMs) {
+                this.jobs.delete(job.id);
+            }
+        });
+    }
+
+    _snapshot(job, { objects = true } = {}) {
+        const snapshot = {
+            id: job.id,
+            deviceId: job.deviceId,
+            device: job.device,
+            saveConfig: job.saveConfig,
+            status: job.status,
+            objectsRead: job.objectsRead,
+            totalObjects: job.totalObjects,
+            objectCount: job.objects.length,
+            error: job.error,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+        if (objects) {
+            snapshot.objects = job.objects.slice();
+        }
+        return snapshot;
+    }
+}
+
+module.exports = { ScanJobManager };
@@ -3,12 +3,26 @@ const config = require('config');
 const cors = require('cors');
 const { json } = require('body-parser');
 const { logger } = require('./common');
+const { validateAddress } = require('./bacnet_address');
+const { validateRequestOptions } = require('./request_settings');
+const { validateTransform } = require('./value_transform');
+const { validatePublishSettings } = require('./publish_filter');
+const { parseApplicationTag, validateTypedValue } = require('./bacnet_value');
+const { validateWriteEntries, normalizeWriteEntries, summarizeWriteResults } = require('./write_batch');
+const { WritePolicyError, validateWritePolicy, validateObjectWritePolicy } = require('./write_policy');
+const { validateOverrideTiming, resolveReleaseAt } = require('./timed_override');
+const { WriteScheduleError, validateWriteSchedule } = require('./write_schedule');
+const { ScanJobManager } = require('./scan_jobs');
 const swaggerUi = require('swagger-ui-express'); 
 const YAML = require('yamljs'); 
 const path = require('path'); 
 const rateLimit = require('express-rate-limit');
 
 const port = config.get('httpServer.port');
+// Who-Is range limits are 22-bit device instances.
+const MAX_DEVICE_INSTANCE = 4194303;
+const MIN_SCAN_DURATION_MS = 1000;
+const MAX_SCAN_DURATION_MS = 60000;
 const openapiDocument = buildOpenApiDocument(
     YAML.load(path.join(__dirname, '../openapi.yaml')),
     getOpenApiServerUrl()
@@ -36,11 +50,13 @@ function buildOpenApiDocument(document, configuredServerUrl) {
 
 class Server {
 
-    constructor(bacnetClient, mqttClient, authService) {
+    constructor(bacnetClient, mqttClient, authService, writeScheduler) {
 
         this.bacnetClient = bacnetClient;
         this.mqttClient = mqttClient;
         this.authService = authService;
+        this.writeScheduler = writeScheduler;
+        this.scanJobs = new ScanJobManager(bacnetClient);
         
         this.app = express();        
         this.app.use(json());
@@ -73,27 +89,107 @@ class Server {
 
         // protected API
         this.app.put('/api/bacnet/scan', apiLimiter, this._requireRole('viewer'), this._scanForDevices.bind(this));
+        this.app.put('/api/bacnet/who-has', apiLimiter, this._requireRole('viewer'), this._whoHas.bind(this));
         this.app.put('/api/bacnet/:deviceId/objects', apiLimiter, this._requireRole('viewer'), this._scanDevice.bind(this));
+        this.app.post('/api/bacnet/scan-jobs', apiLimiter, this._requireRole('viewer'), this._startScanJob.bind(this));
+        this.app.get('/api/bacnet/scan-jobs', apiLimiter, this._requireRole('viewer'), this._listScanJobs.bind(this));
+        this.app.get('/api/bacnet/scan-jobs/:id', apiLimiter, this._requireRole('viewer'), this._getScanJob.bind(this));
+        this.app.put('/api/bacnet/scan-jobs/:id/cancel', apiLimiter, this._requireRole('viewer'), this._cancelScanJob.bind(this));
+        this.app.get('/api/bacnet/discovered', apiLimiter, this._requireRole('viewer'), this._listDiscovered.bind(this));
         this.app.get('/api/bacnet/configured', apiLimiter, this._requireRole('viewer'), this._listConfigured.bind(this));
         this.app.get('/api/bacnet/runtime', apiLimiter, this._requireRole('viewer'), this._listRuntime.bind(this));
         this.app.get('/api/bacnet/runtime-objects/:deviceId', apiLimiter, this._requireRole('viewer'), this._listRuntimeObjects.bind(this));
         this.app.put('/api/bacnet/:deviceId/config', apiLimiter, this._requireRole('admin'), this._configurePolling.bind(this));
         this.app.put('/api/bacnet/write', apiLimiter, this._requireRole('admin'), this._writeProperty.bind(this)); 
+        this.app.put('/api/bacnet/write-multiple', apiLimiter, this._requireRole('admin'), this._writePropertyMultiple.bind(this));
+        this.app.get('/api/bacnet/overrides', apiLimiter, this._requireRole('viewer'), this._listTimedOverrides.bind(this));
+        this.app.get('/api/bacnet/schedules', apiLimiter, this._requireRole('viewer'), this._listSchedules.bind(this));
+        this.app.post('/api/bacnet/schedules', apiLimiter, this._requireRole('admin'), this._createSchedule.bind(this));
+        this.app.get('/api/bacnet/schedules/:id', apiLimiter, this._requireRole('viewer'), this._getSchedule.bind(this));
+        this.app.put('/api/bacnet/schedules/:id', apiLimiter, this._requireRole('admin'), this._updateSchedule.bind(this));
+        this.app.delete('/api/bacnet/schedules/:id', apiLimiter, this._requireRole('admin'), this._deleteSchedule.bind(this));
+        this.app.get('/api/bacnet/schedules/:id/runs', apiLimiter, this._requireRole('viewer'), this._listScheduleRuns.bind(this));
+        this.app.put('/api/bacnet/schedules/:id/run', apiLimiter, this._requireRole('admin'), this._runSchedule.bind(this));
+        this.app.get('/api/bacnet/:deviceId/priority-array/:objectType/:objectInstance', apiLimiter, this._requireRole('viewer'), this._readPriorityArray.bind(this));
+        this.app.get('/api/bacnet/alarms', apiLimiter, this._requireRole('viewer'), this._listAlarms.bind(this));
+        this.app.put('/api/bacnet/alarms/:deviceId/refresh', apiLimiter, this._requireRole('viewer'), this._refreshAlarms.bind(this));
+        this.app.put('/api/bacnet/alarms/:deviceId/:objectKey/acknowledge', apiLimiter, this._requireRole('admin'), this._acknowledgeAlarm.bind(this));
+        this.app.get('/api/bacnet/trend-logs/:deviceId/:objectKey', apiLimiter, this._requireRole('viewer'), this._listTrendRecords.bind(this));
+        this.app.put('/api/bacnet/trend-logs/:deviceId/:objectKey/read', apiLimiter, this._requireRole('viewer'), this._readTrendLog.bind(this));
 
         // start server
         this.app.listen(port, () => {
         });
     }
 
-    _scanForDevices(req, res) {
-        const devices = [];
-        const eventListener = (device) => devices.push(device);
-        this.bacnetClient.on('deviceFound', eventListener);
-        this.bacnetClient.scanForDevices();
-        setTimeout(() => {
-            this.bacnetClient.removeListener('deviceFound', eventListener);
+    // Range, target address and listen window shared by Who-Is and Who-Has requests.
+    _parseDiscoveryOptions(body) {
+        const options = {};
+        for (const key of ['lowLimit', 'highLimit']) {
+            if (body[key] !== undefined && body[key] !== null && body[key] !== '') {
+                const value = Number(body[key]);
+                if (!Number.isInteger(value) || value < 0 || value > MAX_DEVICE_INSTANCE) {
+                    return { error: `${key} must be a device instance between 0 and ${MAX_DEVICE_INSTANCE}.` };
+                }
+                options[key] = value;
+            }
+        }
+        if ((options.lowLimit === undefined) !== (options.highLimit === undefined)) {
+            return { error: 'lowLimit and highLimit must be given together.' };
+        }
+        if (options.lowLimit > options.highLimit) {
+            return { error: 'lowLimit must not be greater than highLimit.' };
+        }
+        if (body.address !== undefined && body.address !== null && body.address !== '') {
+            if (typeof body.address !== 'string' || !body.address.trim()) {
+                return { error: 'address must be the IP address of a device or a directed broadcast address.' };
+            }
+            options.address = body.address.trim();
+        }
+        if (body.durationMs !== undefined && body.durationMs !== null && body.durationMs !== '') {
+            const durationMs = Number(body.durationMs);
+            if (!Number.isInteger(durationMs) || durationMs < MIN_SCAN_DURATION_MS || durationMs > MAX_SCAN_DURATION_MS) {
+                return { error: `durationMs must be between ${MIN_SCAN_DURATION_MS} and ${MAX_SCAN_DURATION_MS}.` };
+            }
+            options.durationMs = durationMs;
+        }
+        return { options };
+    }
+
+    async _scanForDevices(req, res) {
+        const { options, error } = this._parseDiscoveryOptions(req.body || {});
+        if (error) {
+            return res.status(400).send({ status: 'error', message: error });
+        }
+        try {
+            const devices = await this.bacnetClient.scanForDevices(options);
             res.send(devices);
-        }, 5000);
+        } catch (err) {
+            logger.log('error', `[API] Who-Is scan failed: ${err.message || err}`);
+            res.status(500).send({ status: 'error', message: 'Failed to scan for devices', details: err && err.message ? err.message : err });
+        }
+    }
+
+    async _whoHas(req, res) {
+        const body = req.body || {};
+        const { options, error } = this._parseDiscoveryOptions(body);
+        if (error) {
+            return res.status(400).send({ status: 'error', message: error });
+        }
+        if (typeof body.objectName === 'string' && body.objectName.trim()) {
+            options.objectName = body.objectName.trim();
+        } else if (body.objectName === undefined && Number.isInteger(body.objectType) && Number.isInteger(body.objectInstance)) {
+            options.objectId = { type: body.objectType, instance: body.objectInstance };
+        } else {
+            return res.status(400).send({ status: 'error', message: 'objectName, or objectType and objectInstance, are required.' });
+        }
+        try {
+            const results = await this.bacnetClient.whoHas(options);
+            res.send(results);
+        } catch (err) {
+            logger.log('error', `[API] Who-Has failed: ${err.message || err}`);
+            res.status(500).send({ status: 'error', message: 'Failed to look up object', details: err && err.message ? err.message : err });
+        }
     }
 
     _scanDevice(req, res) {
@@ -101,6 +197,10 @@ class Server {
         if (!device || device.deviceId === undefined || !device.address) {
             return res.status(400).send({ status: 'error', message: 'deviceId and address are required in request body.' });
         }
+        const addressError = validateAddress(device.address);
+        if (addressError) {
+            return res.status(400).send({ status: 'error', message: addressError });
+        }
         this.bacnetClient.scanDevice(device)
             .then(deviceObjects => {
                 if (req.query.saveConfig === 'true') {
@@ -111,8 +211,11 @@ class Server {
                         },
                         'objects': deviceObjects
                     }
-                    this.bacnetClient.saveConfig(config);
-                    this.bacnetClient.startPolling(config.device, config.objects, config.polling);
+                    this.bacnetClient.saveConfig(config)
+                        .then(() => this.bacnetClient.startPolling(config.device, config.objects, config.polling))
+                        .catch((err) => {
+                            logger.log('error', `[API] Failed to save the scanned config of device ${device.deviceId}: ${err.message || err}`);
+                        });
                 }
                 res.send(deviceObjects);
             })
@@ -122,13 +225,64 @@ class Server {
             });
     }
 
+    // Starts an object scan in the background; the job is polled with
+    // GET /api/bacnet/scan-jobs/:id. Only one scan per device runs at a time.
+    _startScanJob(req, res) {
+        const body = req.body || {};
+        if (body.deviceId === undefined || !body.address) {
+            return res.status(400).send({ status: 'error', message: 'deviceId and address are required in request body.' });
+        }
+        const addressError = validateAddress(body.address);
+        if (addressError) {
+            return res.status(400).send({ status: 'error', message: addressError });
+        }
+        const { saveConfig, ...device } = body;
+        if (saveConfig === true && !this._isAdmin(req)) {
+            return res.status(403).send({ status: 'error', message: 'Saving the scanned objects as the device config requires the admin role.' });
+        }
+        const job = this.scanJobs.start(device, { saveConfig: saveConfig === true });
+        if (!job) {
+            return res.status(409).send({
+                status: 'error',
+                message: `A scan of device ${device.deviceId} is already running.`,
+                job: this.scanJobs.findRunning(device.deviceId)
+            });
+        }
+        res.status(202).send(job);
+    }
+
+    _listScanJobs(req, res) {
+        res.send(this.scanJobs.list());
+    }
+
+    _getScanJob(req, res) {
+        const job = this.scanJobs.get(req.params.id);
+        if (!job) {
+            return res.status(404).send({ status: 'error', message: `Scan job not found: ${req.params.id}` });
+        }
+        res.send(job);
+    }
+
+    _cancelScanJob(req, res) {
+        const job = this.scanJobs.cancel(req.params.id);
+        if (!job) {
+            return res.status(404).send({ status: 'error', message: `Scan job not found: ${req.params.id}` });
+        }
+        res.send(job);
+    }
+
     async _health(_req, res) {
         const mqttStatus = this.mqttClient && this.mqttClient.getStatus ? this.mqttClient.getStatus() : { connected: false };
         const bacnetStatus = this.bacnetClient && this.bacnetClient.getStatus ? this.bacnetClient.getStatus() : { configuredDevices: 0 };
         const runtimeSummary = this.bacnetClient && this.bacnetClient.runtimeState && this.bacnetClient.runtimeState.getMetricsSummary
             ? await this.bacnetClient.runtimeState.getMetricsSummary()
             : { healthyDevices: 0, degradedDevices: 0, openCircuits: 0, staleObjects: 0 };
-        const overallOk = mqttStatus.connected === true && runtimeSummary.openCircuits === 0;
+        const foreignDevice = bacnetStatus.foreignDevice || { enabled: false };
+        const addressMismatches = bacnetStatus.addressMismatches || [];
+        const overallOk = mqttStatus.connected === true
+            && runtimeSummary.openCircuits === 0
+            && addressMismatches.length === 0
+            && (!foreignDevice.enabled || foreignDevice.registered === true);
         res.status(200).send({
             status: overallOk ? 'ok' : 'degraded',
             mqtt: mqttStatus,
@@ -143,6 +297,7 @@ class Server {
         const runtimeSummary = this.bacnetClient && this.bacnetClient.runtimeState && this.bacnetClient.runtimeState.getMetricsSummary
             ? await this.bacnetClient.runtimeState.getMetricsSummary()
             : { configuredDevices: 0, healthyDevices: 0, degradedDevices: 0, openCircuits: 0, staleObjects: 0 };
+        const foreignDevice = bacnetStatus.foreignDevice || { enabled: false };
         const lines = [
             '# HELP bacnet_gateway_mqtt_connected MQTT connection state (1=connected, 0=not connected)',
             '# TYPE bacnet_gateway_mqtt_connected gauge',
@@ -183,6 +338,57 @@ class Server {
             '# HELP bacnet_gateway_poll_average_duration_ms Average BACnet poll duration in milliseconds',
             '# TYPE bacnet_gateway_poll_average_duration_ms gauge',
             `bacnet_gateway_poll_average_duration_ms ${bacnetStatus.avgPollDurationMs || 0}`,
+            '# HELP bacnet_gateway_poll_requests_total Total ReadPropertyMultiple requests sent by polls',
+            '# TYPE bacnet_gateway_poll_requests_total counter',
+            `bacnet_gateway_poll_requests_total ${bacnetStatus.totalRequests || 0}`,
+            '# HELP bacnet_gateway_rpm_splits_total Total ReadPropertyMultiple batches split after size or segmentation errors',
+            '# TYPE bacnet_gateway_rpm_splits_total counter',
+            `bacnet_gateway_rpm_splits_total ${bacnetStatus.rpmSplits || 0}`,
+            '# HELP bacnet_gateway_cov_subscriptions Active BACnet COV subscriptions',
+            '# TYPE bacnet_gateway_cov_subscriptions gauge',
+            `bacnet_gateway_cov_subscriptions ${bacnetStatus.covSubscriptions || 0}`,
+            '# HELP bacnet_gateway_cov_notifications_total Total BACnet COV notifications applied',
+            '# TYPE bacnet_gateway_cov_notifications_total counter',
+            `bacnet_gateway_cov_notifications_total ${bacnetStatus.covNotifications || 0}`,
+            '# HELP bacnet_gateway_cov_fallbacks_total Total COV subscriptions that fell back to polling',
+            '# TYPE bacnet_gateway_cov_fallbacks_total counter',
+            `bacnet_gateway_cov_fallbacks_total ${bacnetStatus.covFallbacks || 0}`,
+            '# HELP bacnet_gateway_active_alarms Count of BACnet objects in an off-normal or fault event state',
+            '# TYPE bacnet_gateway_active_alarms gauge',
+            `bacnet_gateway_active_alarms ${runtimeSummary.activeAlarms || 0}`,
+            '# HELP bacnet_gateway_unacknowledged_alarms Count of BACnet alarms awaiting acknowledgement',
+            '# TYPE bacnet_gateway_unacknowledged_alarms gauge',
+            `bacnet_gateway_unacknowledged_alarms ${runtimeSummary.unacknowledgedAlarms || 0}`,
+            '# HELP bacnet_gateway_event_notifications_total Total BACnet event notifications received',
+            '# TYPE bacnet_gateway_event_notifications_total counter',
+            `bacnet_gateway_event_notifications_total ${bacnetStatus.eventNotifications || 0}`,
+            '# HELP bacnet_gateway_alarm_refresh_failures_total Total alarm refreshes rejected by devices',
+            '# TYPE bacnet_gateway_alarm_refresh_failures_total counter',
+            `bacnet_gateway_alarm_refresh_failures_total ${bacnetStatus.alarmRefreshFailures || 0}`,
+            '# HELP bacnet_gateway_trend_records_stored_total Total Trend Log records backfilled into runtime state',
+            '# TYPE bacnet_gateway_trend_records_stored_total counter',
+            `bacnet_gateway_trend_records_stored_total ${bacnetStatus.trendRecordsStored || 0}`,
+            '# HELP bacnet_gateway_trend_log_failures_total Total failed Trend Log ReadRange backfills',
+            '# TYPE bacnet_gateway_trend_log_failures_total counter',
+            `bacnet_gateway_trend_log_failures_total ${bacnetStatus.trendLogFailures || 0}`,
+            '# HELP bacnet_gateway_address_mismatches Configured BACnet devices answering I-Am from an address other than their configured one',
+            '# TYPE bacnet_gateway_address_mismatches gauge',
+            `bacnet_gateway_address_mismatches ${(bacnetStatus.addressMismatches || []).length}`,
+            '# HELP bacnet_gateway_readdressed_devices_total Total device configs updated to a new address from an I-Am',
+            '# TYPE bacnet_gateway_readdressed_devices_total counter',
+            `bacnet_gateway_readdressed_devices_total ${bacnetStatus.readdressedDevices || 0}`,
+            '# HELP bacnet_gateway_suppressed_publishes_total Total object values not published because they stayed within their deadband',
+            '# TYPE bacnet_gateway_suppressed_publishes_total counter',
+            `bacnet_gateway_suppressed_publishes_total ${bacnetStatus.suppressedPublishes || 0}`,
+            '# HELP bacnet_gateway_rejected_writes_total Total writes rejected by a device write policy',
+            '# TYPE bacnet_gateway_rejected_writes_total counter',
+            `bacnet_gateway_rejected_writes_total ${bacnetStatus.rejectedWrites || 0}`,
+            '# HELP bacnet_gateway_bbmd_registered Foreign device registration with the BBMD (1=registered, 0=not registered or no BBMD configured)',
+            '# TYPE bacnet_gateway_bbmd_registered gauge',
+            `bacnet_gateway_bbmd_registered ${foreignDevice.registered ? 1 : 0}`,
+            '# HELP bacnet_gateway_bbmd_registration_failures_total Total failed or unanswered foreign device registrations',
+            '# TYPE bacnet_gateway_bbmd_registration_failures_total counter',
+            `bacnet_gateway_bbmd_registration_failures_total ${foreignDevice.failures || 0}`,
             '# HELP bacnet_gateway_mqtt_publish_success_total Total successful MQTT publishes',
             '# TYPE bacnet_gateway_mqtt_publish_success_total counter',
             `bacnet_gateway_mqtt_publish_success_total ${mqttStatus.publishSuccessCount || 0}`,
@@ -217,7 +423,8 @@ class Server {
                     intervalMs: cfg.polling && cfg.polling.intervalMs,
                     freshnessMs: cfg.polling && cfg.polling.freshnessMs,
                     objectCount: objects.length,
-                    objects
+                    objects,
+                    profile: this.bacnetClient.getDeviceProfile(deviceId)
                 });
             }
         }
@@ -254,6 +461,14 @@ class Server {
 
         if (!config || !config.device || config.device.deviceId === undefined || !config.device.address) {
             validationErrors.push('device.deviceId and device.address are required.');
+        } else {
+            const addressError = validateAddress(config.device.address);
+            if (addressError) {
+                validationErrors.push(`device.${addressError}`);
+            }
+        }
+        if (config && config.device && config.device.requestOptions !== undefined) {
+            validateRequestOptions(config.device.requestOptions).forEach((error) => validationErrors.push(`device.${error}`));
         }
         if (!config || !config.polling) {
             validationErrors.push('polling configuration is required.');
@@ -272,6 +487,41 @@ class Server {
                 validationErrors.push('polling.freshnessMs must be a positive number.');
             }
         }
+        if (config && config.polling && config.polling.rpmMaxObjects !== undefined) {
+            const rpmMaxObjects = parseInt(config.polling.rpmMaxObjects, 10);
+            if (isNaN(rpmMaxObjects) || rpmMaxObjects <= 0) {
+                validationErrors.push('polling.rpmMaxObjects must be a positive number.');
+            }
+        }
+        if (config && config.polling && config.polling.properties !== undefined) {
+            const byType = config.polling.properties;
+            if (!byType || typeof byType !== 'object' || Array.isArray(byType) || Object.values(byType).some((list) => !Array.isArray(list))) {
+                validationErrors.push('polling.properties must map object types to arrays of property IDs or names.');
+            }
+        }
+        if (config && config.polling && config.polling.mode !== undefined && !['poll', 'cov'].includes(config.polling.mode)) {
+            validationErrors.push('polling.mode must be "poll" or "cov".');
+        }
+        if (config && config.polling && config.polling.publish !== undefined) {
+            validatePublishSettings(config.polling.publish).forEach((error) => validationErrors.push(`polling.${error}`));
+        }
+        if (config && config.polling && config.polling.trendLogs !== undefined) {
+            if (!Array.isArray(config.polling.trendLogs)) {
+                validationErrors.push('polling.trendLogs must be an array.');
+            } else {
+                config.polling.trendLogs.forEach((trendLog, idx) => {
+                    if (!trendLog || !trendLog.objectId || trendLog.objectId.type === undefined || trendLog.objectId.instance === undefined) {
+                        validationErrors.push(`polling.trendLogs[${idx}].objectId.type and objectId.instance are required.`);
+                    }
+                    if (trendLog && trendLog.intervalMs !== undefined && (isNaN(parseInt(trendLog.intervalMs, 10)) || parseInt(trendLog.intervalMs, 10) <= 0)) {
+                        validationErrors.push(`polling.trendLogs[${idx}].intervalMs must be a positive number.`);
+                    }
+                    if (trendLog && trendLog.maxRecords !== undefined && (isNaN(parseInt(trendLog.maxRecords, 10)) || parseInt(trendLog.maxRecords, 10) <= 0)) {
+                        validationErrors.push(`polling.trendLogs[${idx}].maxRecords must be a positive number.`);
+                    }
+                });
+            }
+        }
         if (!config || !Array.isArray(config.objects) || config.objects.length === 0) {
             validationErrors.push('objects must be a non-empty array.');
         } else {
@@ -279,8 +529,29 @@ class Server {
                 if (!obj || !obj.objectId || obj.objectId.type === undefined || obj.objectId.instance === undefined) {
                     validationErrors.push(`objects[${idx}].objectId.type and objectId.instance are required.`);
                 }
+                if (obj && obj.properties !== undefined && !Array.isArray(obj.properties)) {
+                    validationErrors.push(`objects[${idx}].properties must be an array of property IDs or names.`);
+                }
+                if (obj && obj.polling && obj.polling.mode !== undefined && !['poll', 'cov'].includes(obj.polling.mode)) {
+                    validationErrors.push(`objects[${idx}].polling.mode must be "poll" or "cov".`);
+                }
+                if (obj && obj.polling && obj.polling.covProperty !== undefined && isNaN(parseInt(obj.polling.covProperty, 10))) {
+                    validationErrors.push(`objects[${idx}].polling.covProperty must be a numeric BACnet property ID.`);
+                }
+                if (obj && obj.publish !== undefined) {
+                    validatePublishSettings(obj.publish).forEach((error) => validationErrors.push(`objects[${idx}].${error}`));
+                }
+                if (obj && obj.transform !== undefined) {
+                    validateTransform(obj.transform).forEach((error) => validationErrors.push(`objects[${idx}].${error}`));
+                }
+                if (obj && obj.write !== undefined) {
+                    validateObjectWritePolicy(obj.write).forEach((error) => validationErrors.push(`objects[${idx}].${error}`));
+                }
             });
         }
+        if (config && config.writePolicy !== undefined && config.writePolicy !== null) {
+            validateWritePolicy(config.writePolicy).forEach((error) => validationErrors.push(error));
+        }
 
         if (validationErrors.length > 0) {
             return res.status(400).send({ status: 'error', message: 'Invalid configuration', details: validationErrors });
@@ -304,20 +575,30 @@ class Server {
             propertyId,
             value,
             priority,
-            bacnetApplicationTag
+            bacnetApplicationTag,
+            verify,
+            durationMs,
+            until
         } = req.body;
 
         if (deviceId === undefined || objectType === undefined || objectInstance === undefined || propertyId === undefined || value === undefined) {
             return res.status(400).send({ status: 'error', message: 'Missing required fields: deviceId, objectType, objectInstance, propertyId, value' });
         }
-        if (typeof value === 'object' && value !== null) {
-            return res.status(400).send({ status: 'error', message: 'value must be a primitive type (string/number/boolean).' });
+        if (typeof value === 'object' && value !== null && !Array.isArray(value)) {
+            const errors = validateTypedValue(value);
+            if (errors.length > 0) {
+                return res.status(400).send({ status: 'error', message: 'Invalid typed value.', details: errors });
+            }
         }
         if (priority !== undefined && (isNaN(parseInt(priority, 10)) || priority < 1 || priority > 16)) {
             return res.status(400).send({ status: 'error', message: 'priority must be a number between 1 and 16.' });
         }
-        if (bacnetApplicationTag !== undefined && isNaN(parseInt(bacnetApplicationTag, 10))) {
-            return res.status(400).send({ status: 'error', message: 'bacnetApplicationTag must be numeric if provided.' });
+        if (bacnetApplicationTag !== undefined && parseApplicationTag(bacnetApplicationTag) === null) {
+            return res.status(400).send({ status: 'error', message: 'bacnetApplicationTag must be an application tag number (0-12) or name such as "enumerated".' });
+        }
+        const timingErrors = validateOverrideTiming({ value, durationMs, until, propertyId });
+        if (timingErrors.length > 0) {
+            return res.status(400).send({ status: 'error', message: 'Invalid timed override.', details: timingErrors });
         }
 
         const deviceConfig = this.bacnetClient.deviceConfigs.get(deviceId.toString());
@@ -329,7 +610,7 @@ class Server {
         const deviceAddress = deviceConfig.device.address;
         const bacnetObjectId = { type: parseInt(objectType, 10), instance: parseInt(objectInstance, 10) };
         const propIdToUse = parseInt(propertyId, 10);
-        const appTagToUse = bacnetApplicationTag !== undefined ? parseInt(bacnetApplicationTag, 10) : undefined;
+        const appTagToUse = bacnetApplicationTag !== undefined ? parseApplicationTag(bacnetApplicationTag) : undefined;
         const priorityToUse = priority !== undefined ? parseInt(priority, 10) : undefined;
 
         if (isNaN(bacnetObjectId.type) || isNaN(bacnetObjectId.instance) || isNaN(propIdToUse)) {
@@ -338,27 +619,367 @@ class Server {
         if (priorityToUse !== undefined && (isNaN(priorityToUse) || priorityToUse < 1 || priorityToUse > 16)) {
             return res.status(400).send({ status: 'error', message: 'priority must be a number between 1 and 16.' });
         }
-         if (appTagToUse !== undefined && isNaN(appTagToUse)) {
-            return res.status(400).send({ status: 'error', message: 'bacnetApplicationTag must be a number.' });
-        }
 
+        let resolved;
+        try {
+            resolved = await this.bacnetClient.resolveWriteValue(deviceAddress, bacnetObjectId, propIdToUse, value, appTagToUse);
+        } catch (error) {
+            return res.status(400).send({ status: 'error', message: error.message || String(error) });
+        }
 
         try {
             const writeResponse = await this.bacnetClient.writeProperty(
                 deviceAddress,
                 bacnetObjectId,
                 propIdToUse,
-                value,
+                resolved.value,
                 priorityToUse,
-                appTagToUse
+                resolved.bacnetApplicationTag,
+                deviceId.toString()
             );
-            res.status(200).send({ status: 'success', message: 'Write operation successful', response: writeResponse });
+            const result = { status: 'success', message: 'Write operation successful', response: writeResponse };
+            const override = await this.bacnetClient.trackTimedOverride(deviceId, bacnetObjectId, propIdToUse, priorityToUse, value, resolveReleaseAt({ durationMs, until }));
+            if (override) {
+                result.releaseAt = override.releaseAt;
+            }
+            if (this.bacnetClient.shouldVerifyWrite(verify)) {
+                result.verification = await this.bacnetClient.verifyWrite(deviceAddress, bacnetObjectId, propIdToUse, resolved.value, priorityToUse);
+            }
+            res.status(200).send(result);
         } catch (error) {
+            if (error instanceof WritePolicyError) {
+                return res.status(error.reason === 'rate-limited' ? 429 : 403).send({ status: 'error', message: error.message, policy: error.reason });
+            }
             logger.log('error', `[API Write] Failed for DeviceId ${deviceId}: ${error.message || error}`);
             res.status(500).send({ status: 'error', message: `BACnet write operation failed: ${error.message || error}`, details: error });
         }
     }
 
+    // Writes several properties of one device, reporting the outcome of each entry. The
+    // response is 200 whenever the batch was attempted; status is success, partial or error.
+    async _writePropertyMultiple(req, res) {
+        const { deviceId, entries, verify } = req.body || {};
+        if (deviceId === undefined) {
+            return res.status(400).send({ status: 'error', message: 'Missing required field: deviceId' });
+        }
+        const errors = validateWriteEntries(entries);
+        if (errors.length > 0) {
+            return res.status(400).send({ status: 'error', message: 'Invalid write entries.', details: errors });
+        }
+        const deviceConfig = this.bacnetClient.deviceConfigs.get(deviceId.toString());
+        if (!deviceConfig || !deviceConfig.device || !deviceConfig.device.address) {
+            return res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${deviceId}` });
+        }
+
+        const { service, results } = await this.bacnetClient.writePropertyMultiple(deviceConfig.device.address, normalizeWriteEntries(entries), { verify, deviceId: deviceId.toString() });
+        const status = summarizeWriteResults(results);
+        const failed = results.filter((result) => result.status !== 'success').length;
+        if (failed > 0) {
+            logger.log('warn', `[API Write] ${failed} of ${results.length} batch writes failed for DeviceId ${deviceId}`);
+        }
+        res.status(200).send({
+            status,
+            message: failed === 0 ? 'Write operation successful' : `${failed} of ${results.length} writes failed`,
+            service,
+            results
+        });
+    }
+
+    _listTimedOverrides(req, res) {
+        const query = req.query || {};
+        res.send(this.bacnetClient.listTimedOverrides(query.deviceId));
+    }
+
+    _parseScheduleId(req, res) {
+        const id = /^\d+$/.test(req.params.id) ? Number(req.params.id) : NaN;
+        if (!Number.isInteger(id) || id <= 0) {
+            res.status(404).send({ status: 'error', message: `Schedule not found: ${req.params.id}` });
+            return null;
+        }
+        return id;
+    }
+
+    // Checks a schedule body; sends the 400 or 404 and returns false when it cannot be stored.
+    _checkScheduleBody(body, res) {
+        const errors = validateWriteSchedule(body);
+        if (errors.length > 0) {
+            res.status(400).send({ status: 'error', message: 'Invalid schedule.', details: errors });
+            return false;
+        }
+        if (!this.bacnetClient.deviceConfigs.has(String(body.deviceId))) {
+            res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${body.deviceId}` });
+            return false;
+        }
+        return true;
+    }
+
+    _sendScheduleError(res, action, err) {
+        if (err instanceof WriteScheduleError) {
+            return res.status(400).send({ status: 'error', message: err.message, details: err.details });
+        }
+        logger.log('error', `[API] Failed to ${action}: ${err.message || err}`);
+        res.status(500).send({ status: 'error', message: `Failed to ${action}`, details: err && err.message ? err.message : err });
+    }
+
+    async _listSchedules(req, res) {
+        try {
+            res.send(await this.writeScheduler.list());
+        } catch (err) {
+            this._sendScheduleError(res, 'list schedules', err);
+        }
+    }
+
+    async _getSchedule(req, res) {
+        const id = this._parseScheduleId(req, res);
+        if (id === null) {
+            return;
+        }
+        try {
+            const schedule = await this.writeScheduler.get(id);
+            if (!schedule) {
+                return res.status(404).send({ status: 'error', message: `Schedule not found: ${id}` });
+            }
+            res.send(schedule);
+        } catch (err) {
+            this._sendScheduleError(res, 'load the schedule', err);
+        }
+    }
+
+    async _createSchedule(req, res) {
+        const body = req.body || {};
+        if (!this._checkScheduleBody(body, res)) {
+            return;
+        }
+        try {
+            res.status(201).send(await this.writeScheduler.create(body));
+        } catch (err) {
+            this._sendScheduleError(res, 'create the schedule', err);
+        }
+    }
+
+    async _updateSchedule(req, res) {
+        const id = this._parseScheduleId(req, res);
+        if (id === null) {
+            return;
+        }
+        const body = req.body || {};
+        if (!this._checkScheduleBody(body, res)) {
+            return;
+        }
+        try {
+            const schedule = await this.writeScheduler.update(id, body);
+            if (!schedule) {
+                return res.status(404).send({ status: 'error', message: `Schedule not found: ${id}` });
+            }
+            res.send(schedule);
+        } catch (err) {
+            this._sendScheduleError(res, 'update the schedule', err);
+        }
+    }
+
+    async _deleteSchedule(req, res) {
+        const id = this._parseScheduleId(req, res);
+        if (id === null) {
+            return;
+        }
+        try {
+            if (!await this.writeScheduler.remove(id)) {
+                return res.status(404).send({ status: 'error', message: `Schedule not found: ${id}` });
+            }
+            res.send({ status: 'success', message: `Schedule ${id} deleted` });
+        } catch (err) {
+            this._sendScheduleError(res, 'delete the schedule', err);
+        }
+    }
+
+    async _listScheduleRuns(req, res) {
+        const id = this._parseScheduleId(req, res);
+        if (id === null) {
+            return;
+        }
+        const query = req.query || {};
+        const limit = query.limit !== undefined ? parseInt(query.limit, 10) : 50;
+        if (isNaN(limit) || limit <= 0) {
+            return res.status(400).send({ status: 'error', message: 'limit must be a positive number.' });
+        }
+        try {
+            res.send(await this.writeScheduler.listRuns(id, limit));
+        } catch (err) {
+            this._sendScheduleError(res, 'list schedule runs', err);
+        }
+    }
+
+    // Runs the schedule now. The response is 200 whenever the run was attempted;
+    // the run's status says whether the write succeeded.
+    async _runSchedule(req, res) {
+        const id = this._parseScheduleId(req, res);
+        if (id === null) {
+            return;
+        }
+        try {
+            const run = await this.writeScheduler.runNow(id);
+            if (!run) {
+                return res.status(404).send({ status: 'error', message: `Schedule not found: ${id}` });
+            }
+            res.send(run);
+        } catch (err) {
+            this._sendScheduleError(res, 'run the schedule', err);
+        }
+    }
+
+    async _readPriorityArray(req, res) {
+        const { deviceId } = req.params;
+        const objectType = parseInt(req.params.objectType, 10);
+        const objectInstance = parseInt(req.params.objectInstance, 10);
+        if (isNaN(objectType) || isNaN(objectInstance)) {
+            return res.status(400).send({ status: 'error', message: 'objectType and objectInstance must be numbers.' });
+        }
+
+        const deviceConfig = this.bacnetClient.deviceConfigs.get(String(deviceId));
+        if (!deviceConfig || !deviceConfig.device || !deviceConfig.device.address) {
+            return res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${deviceId}` });
+        }
+
+        try {
+            const result = await this.bacnetClient.readPriorityArray(deviceConfig.device.address, { type: objectType, instance: objectInstance });
+            res.send({ deviceId: String(deviceId), ...result });
+        } catch (error) {
+            logger.log('error', `[API] Failed to read priority array for ${deviceId}/${objectType}_${objectInstance}: ${error.message || error}`);
+            res.status(500).send({ status: 'error', message: 'Failed to read priority array', details: error && error.message ? error.message : error });
+        }
+    }
+
+    async _listAlarms(req, res) {
+        const query = req.query || {};
+        try {
+            const alarms = await this.bacnetClient.listAlarms({
+                deviceId: query.deviceId,
+                activeOnly: query.activeOnly === 'true'
+            });
+            res.send(alarms);
+        } catch (err) {
+            logger.log('error', `[API] Failed to fetch alarms: ${err}`);
+            res.status(500).send({ status: 'error', message: 'Failed to fetch alarms' });
+        }
+    }
+
+    async _listDiscovered(req, res) {
+        const query = req.query || {};
+        const filter = {};
+        for (const key of ['vendorId', 'network', 'seenSince', 'limit']) {
+            if (query[key] !== undefined) {
+                const value = parseInt(query[key], 10);
+                if (isNaN(value) || value < 0) {
+                    return res.status(400).send({ status: 'error', message: `${key} must be a non-negative number.` });
+                }
+                filter[key] = value;
+            }
+        }
+        if (typeof query.address === 'string' && query.address.trim()) {
+            filter.address = query.address.trim();
+        }
+        try {
+            const devices = await this.bacnetClient.listDiscoveredDevices(filter);
+            res.send(devices);
+        } catch (err) {
+            logger.log('error', `[API] Failed to fetch discovered devices: ${err}`);
+            res.status(500).send({ status: 'error', message: 'Failed to fetch discovered devices' });
+        }
+    }
+
+    async _refreshAlarms(req, res) {
+        const { deviceId } = req.params;
+        if (!this.bacnetClient.deviceConfigs.has(String(deviceId))) {
+            return res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${deviceId}` });
+        }
+        try {
+            const alarms = await this.bacnetClient.refreshAlarms(deviceId);
+            res.send(alarms);
+        } catch (error) {
+            logger.log('error', `[API] Failed to refresh alarms for ${deviceId}: ${error.message || error}`);
+            res.status(500).send({ status: 'error', message: 'Failed to refresh alarms', details: error && error.message ? error.message : error });
+        }
+    }
+
+    async _acknowledgeAlarm(req, res) {
+        const { deviceId, objectKey } = req.params;
+        const { ackText } = req.body || {};
+        if (ackText !== undefined && typeof ackText !== 'string') {
+            return res.status(400).send({ status: 'error', message: 'ackText must be a string if provided.' });
+        }
+        if (!this.bacnetClient.deviceConfigs.has(String(deviceId))) {
+            return res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${deviceId}` });
+        }
+        const alarm = await this.bacnetClient.getAlarm(deviceId, objectKey);
+        if (!alarm) {
+            return res.status(404).send({ status: 'error', message: `No alarm recorded for ${deviceId}/${objectKey}` });
+        }
+        try {
+            const updated = await this.bacnetClient.acknowledgeAlarm(deviceId, objectKey, ackText, req.user && req.user.username);
+            res.send({ status: 'success', alarm: updated });
+        } catch (error) {
+            logger.log('error', `[API] Failed to acknowledge alarm ${deviceId}/${objectKey}: ${error.message || error}`);
+            res.status(500).send({ status: 'error', message: 'Failed to acknowledge alarm', details: error && error.message ? error.message : error });
+        }
+    }
+
+    _parseObjectKey(objectKey) {
+        const parts = String(objectKey || '').split('_');
+        const type = parseInt(parts[0], 10);
+        const instance = parseInt(parts[1], 10);
+        if (parts.length !== 2 || isNaN(type) || isNaN(instance)) {
+            return null;
+        }
+        return { type, instance };
+    }
+
+    async _listTrendRecords(req, res) {
+        const { deviceId, objectKey } = req.params;
+        const query = req.query || {};
+        const filter = {};
+        for (const key of ['from', 'to', 'limit']) {
+            if (query[key] !== undefined) {
+                const value = parseInt(query[key], 10);
+                if (isNaN(value) || value < 0) {
+                    return res.status(400).send({ status: 'error', message: `${key} must be a non-negative number.` });
+                }
+                filter[key] = value;
+            }
+        }
+        try {
+            const records = await this.bacnetClient.listTrendRecords(deviceId, objectKey, filter);
+            res.send(records);
+        } catch (err) {
+            logger.log('error', `[API] Failed to fetch trend records for ${deviceId}/${objectKey}: ${err}`);
+            res.status(500).send({ status: 'error', message: 'Failed to fetch trend records' });
+        }
+    }
+
+    async _readTrendLog(req, res) {
+        const { deviceId, objectKey } = req.params;
+        const body = req.body || {};
+        const objectId = this._parseObjectKey(objectKey);
+        if (!objectId) {
+            return res.status(400).send({ status: 'error', message: 'objectKey must be <objectType>_<objectInstance>.' });
+        }
+        if (body.maxRecords !== undefined && (isNaN(parseInt(body.maxRecords, 10)) || parseInt(body.maxRecords, 10) <= 0)) {
+            return res.status(400).send({ status: 'error', message: 'maxRecords must be a positive number.' });
+        }
+        if (!this.bacnetClient.deviceConfigs.has(String(deviceId))) {
+            return res.status(404).send({ status: 'error', message: `Device configuration not found for deviceId: ${deviceId}` });
+        }
+        try {
+            const result = await this.bacnetClient.readTrendLog(deviceId, objectId, {
+                replay: body.replay === true,
+                maxRecords: body.maxRecords
+            });
+            res.send(result);
+        } catch (error) {
+            logger.log('error', `[API] Failed to read trend log ${deviceId}/${objectKey}: ${error.message || error}`);
+            res.status(500).send({ status: 'error', message: 'Failed to read trend log', details: error && error.message ? error.message : error });
+        }
+    }
+
     async _login(req, res) {
         const { username, password } = req.body;
         if (!username || !password) {
@@ -422,6 +1043,10 @@ class Server {
         }
     }
 
+    _isAdmin(req) {
+        return Boolean(req.user) && this.authService.hasRequiredRole(req.user.role, 'admin');
+    }
+
     _requireRole(minRole) {
         return async (req, res, next) => {
             try {
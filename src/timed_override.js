@@ -0,0 +1,59 @@
+// A write with durationMs or until is a timed override: once the time is up, the
+// gateway writes NULL at the same priority, handing the point back to the next
+// lower priority or RELINQUISH_DEFAULT. Only the present value is commandable, so
+// only it can be overridden for a time; a device refuses NULL for other properties.
+const PROPERTY_PRESENT_VALUE = 85;
+
+function _parseUntil(until) {
+    if (typeof until === 'number') {
+        return Number.isFinite(until) ? until : NaN;
+    }
+    if (typeof until === 'string' && until.trim()) {
+        return /^\d+$/.test(until.trim()) ? Number(until) : Date.parse(until);
+    }
+    return NaN;
+}
+
+function validateOverrideTiming({ value, durationMs, until, propertyId }, now = Date.now()) {
+    const hasDuration = durationMs !== undefined && durationMs !== null;
+    const hasUntil = until !== undefined && until !== null;
+    if (!hasDuration && !hasUntil) {
+        return [];
+    }
+    const errors = [];
+    if (hasDuration && hasUntil) {
+        errors.push('durationMs and until cannot be combined.');
+    }
+    if (hasDuration && (!Number.isInteger(Number(durationMs)) || Number(durationMs) <= 0 || typeof durationMs === 'boolean')) {
+        errors.push('durationMs must be a positive number of milliseconds.');
+    }
+    if (hasUntil) {
+        const releaseAt = _parseUntil(until);
+        if (Number.isNaN(releaseAt)) {
+            errors.push('until must be an ISO 8601 timestamp or milliseconds since the epoch.');
+        } else if (releaseAt <= now) {
+            errors.push('until must be in the future.');
+        }
+    }
+    if (value === null) {
+        errors.push('durationMs and until need a value; writing null already relinquishes the priority.');
+    }
+    if (propertyId !== undefined && propertyId !== null && Number(propertyId) !== PROPERTY_PRESENT_VALUE) {
+        errors.push(`durationMs and until are only supported for the present value (${PROPERTY_PRESENT_VALUE}); property ${propertyId} has no priority array to relinquish.`);
+    }
+    return errors;
+}
+
+// When a validated write is to be relinquished, in milliseconds since the epoch,
+// or null when it is permanent.
+function resolveReleaseAt({ durationMs, until }, now = Date.now()) {
+    if (durationMs !== undefined && durationMs !== null) {
+        return now + Number(durationMs);
+    }
+    if (until !== undefined && until !== null) {
+        return _parseUntil(until);
+    }
+    return null;
+}
+
+module.exports = { validateOverrideTiming, resolveReleaseAt };
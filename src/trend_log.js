@@ -0,0 +1,292 @@
+const baAsn1 = require('bacstack/lib/asn1');
+const baApdu = require('bacstack/lib/apdu');
+const baBvlc = require('bacstack/lib/bvlc');
+const baEnum = require('bacstack/lib/enum');
+const baNpdu = require('bacstack/lib/npdu');
+const baServices = require('bacstack/lib/services');
+
+// bacstack's readRange() only reads by position and returns the item list undecoded
+// (and cut short), so ReadRange on LOG_BUFFER is encoded and decoded here.
+const READ_RANGE_BY_POSITION = baEnum.ReadRangeType.BY_POSITION;
+const READ_RANGE_BY_SEQUENCE_NUMBER = baEnum.ReadRangeType.BY_SEQUENCE_NUMBER;
+
+// BACnetLogRecord log-datum choice tags.
+const LOG_DATUM_TYPES = [
+    'logStatus', 'boolean', 'real', 'enumerated', 'unsigned', 'signed',
+    'bitstring', 'null', 'failure', 'timeChange', 'any'
+];
+
+function readLogBuffer(client, address, objectId, range, options = {}) {
+    return new Promise((resolve, reject) => {
+        const invokeId = options.invokeId || client._getInvokeId();
+        const buffer = client._getBuffer();
+        baNpdu.encode(buffer, baEnum.NpduControlPriority.NORMAL_MESSAGE | baEnum.NpduControlBits.EXPECTING_REPLY, address);
+        baApdu.encodeConfirmedServiceRequest(
+            buffer,
+            baEnum.PduTypes.CONFIRMED_REQUEST,
+            baEnum.ConfirmedServiceChoice.READ_RANGE,
+            options.maxSegments || baEnum.MaxSegmentsAccepted.SEGMENTS_65,
+            options.maxApdu || baEnum.MaxApduLengthAccepted.OCTETS_1476,
+            invokeId,
+            0,
+            0
+        );
+        baServices.readRange.encode(
+            buffer,
+            objectId,
+            baEnum.PropertyIdentifier.LOG_BUFFER,
+            baEnum.ASN1_ARRAY_ALL,
+            range.bySequenceNumber ? READ_RANGE_BY_SEQUENCE_NUMBER : READ_RANGE_BY_POSITION,
+            range.reference,
+            null,
+            range.count
+        );
+        baBvlc.encode(buffer.buffer, baEnum.BvlcResultPurpose.ORIGINAL_UNICAST_NPDU, buffer.offset);
+        client._transport.send(buffer.buffer, buffer.offset, address);
+        client._addCallback(invokeId, (err, data) => {
+            if (err) {
+                reject(err);
+                return;
+            }
+            const result = decodeReadRangeAck(data.buffer, data.offset, data.length);
+            if (!result) {
+                reject(new Error('INVALID_DECODING'));
+                return;
+            }
+            resolve(result);
+        });
+    });
+}
+
+function decodeReadRangeAck(buffer, offset, length) {
+    const end = offset + length;
+    let pos = offset;
+    if (!baAsn1.decodeIsContextTag(buffer, pos, 0)) {
+        return null;
+    }
+    pos += 1;
+    const objectId = baAsn1.decodeObjectId(buffer, pos);
+    pos += objectId.len;
+
+    let tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+    if (tag.tagNumber !== 1) {
+        return null;
+    }
+    pos += tag.len;
+    const propertyId = baAsn1.decodeEnumerated(buffer, pos, tag.value);
+    pos += propertyId.len;
+
+    tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+    if (tag.tagNumber === 2) {
+        pos += tag.len + tag.value;
+        tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+    }
+    if (tag.tagNumber !== 3) {
+        return null;
+    }
+    pos += tag.len;
+    const flags = baAsn1.decodeBitstring(buffer, pos, tag.value);
+    pos += flags.len;
+
+    tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+    if (tag.tagNumber !== 4) {
+        return null;
+    }
+    pos += tag.len;
+    const itemCount = baAsn1.decodeUnsigned(buffer, pos, tag.value);
+    pos += itemCount.len;
+
+    if (!baAsn1.decodeIsOpeningTagNumber(buffer, pos, 5)) {
+        return null;
+    }
+    pos += 1;
+    const records = [];
+    while (pos < end && !baAsn1.decodeIsClosingTagNumber(buffer, pos, 5)) {
+        const record = decodeLogRecord(buffer, pos);
+        if (!record) {
+            return null;
+        }
+        records.push(record.value);
+        pos += record.len;
+    }
+    pos += 1;
+
+    let firstSequenceNumber = null;
+    if (pos < end && baAsn1.decodeIsContextTag(buffer, pos, 6)) {
+        tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+        pos += tag.len;
+        firstSequenceNumber = baAsn1.decodeUnsigned(buffer, pos, tag.value).value;
+    }
+
+    const flagBits = flags.value.value.length > 0 ? flags.value.value[0] : 0;
+    return {
+        objectId: { type: objectId.objectType, instance: objectId.instance },
+        propertyId: propertyId.value,
+        firstItem: (flagBits & 0x01) !== 0,
+        lastItem: (flagBits & 0x02) !== 0,
+        moreItems: (flagBits & 0x04) !== 0,
+        itemCount: itemCount.value,
+        firstSequenceNumber,
+        records
+    };
+}
+
+function decodeLogRecord(buffer, offset) {
+    let pos = offset;
+    if (!baAsn1.decodeIsOpeningTagNumber(buffer, pos, 0)) {
+        return null;
+    }
+    pos += 1;
+    const timestamp = decodeDateTime(buffer, pos);
+    if (!timestamp) {
+        return null;
+    }
+    pos += timestamp.len;
+    if (!baAsn1.decodeIsClosingTagNumber(buffer, pos, 0) || !baAsn1.decodeIsOpeningTagNumber(buffer, pos + 1, 1)) {
+        return null;
+    }
+    pos += 2;
+
+    const datum = decodeLogDatum(buffer, pos);
+    if (!datum || !baAsn1.decodeIsClosingTagNumber(buffer, pos + datum.len, 1)) {
+        return null;
+    }
+    pos += datum.len + 1;
+
+    let statusFlags = null;
+    if (baAsn1.decodeIsContextTag(buffer, pos, 2) && !baAsn1.decodeIsClosingTag(buffer, pos)) {
+        const tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+        pos += tag.len;
+        const bits = baAsn1.decodeBitstring(buffer, pos, tag.value);
+        pos += bits.len;
+        const flagBits = bits.value.value.length > 0 ? bits.value.value[0] : 0;
+        statusFlags = {
+            inAlarm: (flagBits & 0x01) !== 0,
+            fault: (flagBits & 0x02) !== 0,
+            overridden: (flagBits & 0x04) !== 0,
+            outOfService: (flagBits & 0x08) !== 0
+        };
+    }
+
+    return {
+        len: pos - offset,
+        value: {
+            timestamp: timestamp.value,
+            datumType: datum.type,
+            value: datum.value,
+            statusFlags
+        }
+    };
+}
+
+// BACnet dates carry months 1-12; bacstack's own date codec is off by one month.
+function decodeDateTime(buffer, offset) {
+    const dateTag = baAsn1.decodeTagNumberAndValue(buffer, offset);
+    const timeTag = baAsn1.decodeTagNumberAndValue(buffer, offset + dateTag.len + 4);
+    if (dateTag.tagNumber !== baEnum.ApplicationTags.DATE || timeTag.tagNumber !== baEnum.ApplicationTags.TIME) {
+        return null;
+    }
+    const d = offset + dateTag.len;
+    const t = d + 4 + timeTag.len;
+    const hundredths = buffer[t + 3] === 0xFF ? 0 : buffer[t + 3];
+    const value = new Date(
+        buffer[d] + 1900,
+        buffer[d + 1] - 1,
+        buffer[d + 2],
+        buffer[t] === 0xFF ? 0 : buffer[t],
+        buffer[t + 1] === 0xFF ? 0 : buffer[t + 1],
+        buffer[t + 2] === 0xFF ? 0 : buffer[t + 2],
+        hundredths * 10
+    ).getTime();
+    return { len: t + 4 - offset, value };
+}
+
+function decodeLogDatum(buffer, offset) {
+    const tag = baAsn1.decodeTagNumberAndValue(buffer, offset);
+    const type = LOG_DATUM_TYPES[tag.tagNumber];
+    if (!type) {
+        return null;
+    }
+    if (baAsn1.decodeIsOpeningTag(buffer, offset)) {
+        // failure (BACnetError) and any-value are constructed; only the error pair is decoded.
+        const len = skipConstructed(buffer, offset, tag.tagNumber);
+        if (len === null) {
+            return null;
+        }
+        let value = null;
+        if (type === 'failure') {
+            const classTag = baAsn1.decodeTagNumberAndValue(buffer, offset + 1);
+            const errorClass = baAsn1.decodeEnumerated(buffer, offset + 1 + classTag.len, classTag.value);
+            const codeOffset = offset + 1 + classTag.len + errorClass.len;
+            const codeTag = baAsn1.decodeTagNumberAndValue(buffer, codeOffset);
+            const errorCode = baAsn1.decodeEnumerated(buffer, codeOffset + codeTag.len, codeTag.value);
+            value = { errorClass: errorClass.value, errorCode: errorCode.value };
+        }
+        return { len, type, value };
+    }
+
+    const pos = offset + tag.len;
+    let decoded;
+    switch (type) {
+        case 'boolean':
+            decoded = { len: tag.value, value: buffer[pos] > 0 };
+            break;
+        case 'real':
+        case 'timeChange':
+            decoded = baAsn1.decodeReal(buffer, pos);
+            break;
+        case 'enumerated':
+            decoded = baAsn1.decodeEnumerated(buffer, pos, tag.value);
+            break;
+        case 'unsigned':
+            decoded = baAsn1.decodeUnsigned(buffer, pos, tag.value);
+            break;
+        case 'signed':
+            decoded = baAsn1.decodeSigned(buffer, pos, tag.value);
+            break;
+        case 'null':
+            decoded = { len: 0, value: null };
+            break;
+        case 'logStatus': {
+            const bits = baAsn1.decodeBitstring(buffer, pos, tag.value);
+            const flagBits = bits.value.value.length > 0 ? bits.value.value[0] : 0;
+            decoded = {
+                len: bits.len,
+                value: {
+                    logDisabled: (flagBits & 0x01) !== 0,
+                    bufferPurged: (flagBits & 0x02) !== 0,
+                    logInterrupted: (flagBits & 0x04) !== 0
+                }
+            };
+            break;
+        }
+        default: {
+            const bits = baAsn1.decodeBitstring(buffer, pos, tag.value);
+            decoded = { len: bits.len, value: bits.value };
+        }
+    }
+    return { len: tag.len + decoded.len, type, value: decoded.value };
+}
+
+function skipConstructed(buffer, offset, tagNumber) {
+    let pos = offset + 1;
+    let depth = 1;
+    while (pos < buffer.length) {
+        const tag = baAsn1.decodeTagNumberAndValue(buffer, pos);
+        if (baAsn1.decodeIsOpeningTag(buffer, pos)) {
+            depth += 1;
+            pos += tag.len;
+        } else if (baAsn1.decodeIsClosingTag(buffer, pos)) {
+            depth -= 1;
+            pos += tag.len;
+            if (depth === 0) {
+                return tag.tagNumber === tagNumber ? pos - offset : null;
+            }
+        } else {
+            pos += tag.len + tag.value;
+        }
+    }
+    return null;
+}
+
+module.exports = { readLogBuffer, decodeReadRangeAck };
@@ -0,0 +1,115 @@
+const { parseUnits, canConvertUnits, convertUnits } = require('./engineering_units');
+
+// An object's transform turns the raw present value into the published one:
+// invert (booleans and 0/1), then value * scale + offset, unit conversion, clamping
+// to min/max and rounding to precision decimals. Writes go through the inverse.
+const TRANSFORM_KEYS = ['scale', 'offset', 'min', 'max', 'precision', 'invert', 'convert'];
+const MAX_PRECISION = 10;
+
+function validateTransform(transform) {
+    if (!transform || typeof transform !== 'object' || Array.isArray(transform)) {
+        return ['transform must be an object.'];
+    }
+    const errors = [];
+    Object.keys(transform).filter((key) => !TRANSFORM_KEYS.includes(key)).forEach((key) => {
+        errors.push(`transform.${key} is not supported; use ${TRANSFORM_KEYS.join(', ')}.`);
+    });
+    if (transform.scale !== undefined && (!Number.isFinite(transform.scale) || transform.scale === 0)) {
+        errors.push('transform.scale must be a non-zero number.');
+    }
+    ['offset', 'min', 'max'].forEach((key) => {
+        if (transform[key] !== undefined && !Number.isFinite(transform[key])) {
+            errors.push(`transform.${key} must be a number.`);
+        }
+    });
+    if (Number.isFinite(transform.min) && Number.isFinite(transform.max) && transform.min > transform.max) {
+        errors.push('transform.min must not be greater than transform.max.');
+    }
+    if (transform.precision !== undefined
+        && (!Number.isInteger(transform.precision) || transform.precision < 0 || transform.precision > MAX_PRECISION)) {
+        errors.push(`transform.precision must be an integer between 0 and ${MAX_PRECISION}.`);
+    }
+    if (transform.invert !== undefined && typeof transform.invert !== 'boolean') {
+        errors.push('transform.invert must be true or false.');
+    }
+    if (transform.convert !== undefined) {
+        const convert = transform.convert;
+        const from = convert && parseUnits(convert.from);
+        const to = convert && parseUnits(convert.to);
+        if (!convert || typeof convert !== 'object' || from === null || to === null) {
+            errors.push('transform.convert must name known units in from and to, e.g. { "from": "°F", "to": "°C" }.');
+        } else if (!canConvertUnits(from, to)) {
+            errors.push(`transform.convert cannot convert ${convert.from} to ${convert.to}.`);
+        }
+    }
+    return errors;
+}
+
+// Units the transformed value is published in, or null when the transform keeps them.
+function transformUnits(transform) {
+    return transform && transform.convert ? parseUnits(transform.convert.to) : null;
+}
+
+function _invert(value) {
+    if (typeof value === 'boolean') {
+        return !value;
+    }
+    if (value === 0 || value === 1) {
+        return 1 - value;
+    }
+    return value;
+}
+
+// The transformed value before clamping and rounding.
+function scaleValue(value, transform) {
+    if (!transform || value === null || value === undefined) {
+        return value;
+    }
+    let result = transform.invert ? _invert(value) : value;
+    if (typeof result !== 'number' || !Number.isFinite(result)) {
+        return result;
+    }
+    result = result * (transform.scale !== undefined ? transform.scale : 1) + (transform.offset || 0);
+    if (transform.convert) {
+        result = convertUnits(result, parseUnits(transform.convert.from), parseUnits(transform.convert.to));
+    }
+    return result;
+}
+
+function applyTransform(value, transform) {
+    let result = scaleValue(value, transform);
+    if (!transform || typeof result !== 'number' || !Number.isFinite(result)) {
+        return result;
+    }
+    if (transform.min !== undefined) {
+        result = Math.max(transform.min, result);
+    }
+    if (transform.max !== undefined) {
+        result = Math.min(transform.max, result);
+    }
+    if (transform.precision !== undefined) {
+        result = Number(result.toFixed(transform.precision));
+    }
+    return result;
+}
+
+// Turns a value in published units back into the raw value the device expects.
+// Values outside min/max are rejected rather than clamped.
+function reverseTransform(value, transform) {
+    if (!transform || value === null || value === undefined) {
+        return value;
+    }
+    let result = typeof value === 'string' && value.trim() && !isNaN(Number(value)) ? Number(value) : value;
+    if (typeof result === 'number' && Number.isFinite(result)) {
+        if ((transform.min !== undefined && result < transform.min) || (transform.max !== undefined && result > transform.max)) {
+            throw new Error(`Value ${result} is outside the configured range ${transform.min !== undefined ? transform.min : '-∞'} to ${transform.max !== undefined ? transform.max : '∞'}`);
+        }
+        if (transform.convert) {
+            result = convertUnits(result, parseUnits(transform.convert.to), parseUnits(transform.convert.from));
+        }
+        result = (result - (transform.offset || 0)) / (transform.scale !== undefined ? transform.scale : 1);
+    }
+    return transform.invert ? _invert(result) : result;
+}
+
+module.exports = { validateTransform, transformUnits, scaleValue, applyTransform, reverseTransform };
@@ -0,0 +1,66 @@
+const baApdu = require('bacstack/lib/apdu');
+const baBvlc = require('bacstack/lib/bvlc');
+const baEnum = require('bacstack/lib/enum');
+const baNpdu = require('bacstack/lib/npdu');
+const baServices = require('bacstack/lib/services');
+const { logger } = require('./common');
+
+// bacstack cannot send Who-Has, and its ihaveBroadcast event drops the decoded
+// I-Have content, so both are handled here on the client's transport.
+
+function encodeWhoHas(buffer, query) {
+    baServices.whoHas.encode(buffer, query.lowLimit, query.highLimit, query.objectId, query.objectName);
+}
+
+// Sends to the local broadcast address, or unicast/directed broadcast when address is set.
+function sendWhoHas(client, query, address) {
+    const broadcastAddress = client._transport.getBroadcastAddress();
+    const buffer = client._getBuffer();
+    baNpdu.encode(buffer, baEnum.NpduControlPriority.NORMAL_MESSAGE);
+    baApdu.encodeUnconfirmedServiceRequest(buffer, baEnum.PduTypes.UNCONFIRMED_REQUEST, baEnum.UnconfirmedServiceChoice.WHO_HAS);
+    encodeWhoHas(buffer, query);
+    const bvlcFunction = address
+        ? baEnum.BvlcResultPurpose.ORIGINAL_UNICAST_NPDU
+        : baEnum.BvlcResultPurpose.ORIGINAL_BROADCAST_NPDU;
+    baBvlc.encode(buffer.buffer, bvlcFunction, buffer.offset);
+    client._transport.send(buffer.buffer, buffer.offset, address || broadcastAddress);
+}
+
+function decodeIHave(buffer, offset, length) {
+    const result = baServices.iHaveBroadcast.decode(buffer, offset, offset + length);
+    if (!result || !result.deviceId || result.deviceId.type !== baEnum.ObjectType.DEVICE) {
+        return null;
+    }
+    return {
+        deviceId: result.deviceId.instance,
+        objectId: result.objectId,
+        objectName: result.objectName
+    };
+}
+
+// Emits 'iHave' with { address, deviceId, objectId, objectName } on the client.
+function enableIHave(client) {
+    const processRequest = client._processUnconfirmedServiceRequest.bind(client);
+    client._processUnconfirmedServiceRequest = (address, type, service, buffer, offset, length) => {
+        if (service !== baEnum.UnconfirmedServiceChoice.I_HAVE) {
+            processRequest(address, type, service, buffer, offset, length);
+            return;
+        }
+        let iHave = null;
+        try {
+            iHave = decodeIHave(buffer, offset, length);
+        } catch (err) {
+            logger.log('warn', `[WhoHas] Failed to decode I-Have: ${err.message || err}`);
+        }
+        if (iHave) {
+            client.emit('iHave', { address, ...iHave });
+        }
+    };
+}
+
+module.exports = {
+    encodeWhoHas,
+    sendWhoHas,
+    decodeIHave,
+    enableIHave
+};
@@ -0,0 +1,73 @@
+const { parseApplicationTag, validateTypedValue } = require('./bacnet_value');
+
+// Batch writes as accepted by PUT /api/bacnet/write-multiple and the MQTT batch topic:
+// a list of { objectType, objectInstance, propertyId, value, priority?, bacnetApplicationTag? }.
+const ENTRY_KEYS = ['objectType', 'objectInstance', 'propertyId', 'value', 'priority', 'bacnetApplicationTag'];
+const MAX_BATCH_ENTRIES = 500;
+
+function _isInteger(value, min, max) {
+    const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isInteger(number) && number >= min && number <= max;
+}
+
+function validateWriteEntries(entries) {
+    if (!Array.isArray(entries) || entries.length === 0) {
+        return ['entries must be a non-empty array.'];
+    }
+    if (entries.length > MAX_BATCH_ENTRIES) {
+        return [`entries must not have more than ${MAX_BATCH_ENTRIES} writes.`];
+    }
+    const errors = [];
+    entries.forEach((entry, index) => {
+        const prefix = `entries[${index}]`;
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+            errors.push(`${prefix} must be an object.`);
+            return;
+        }
+        Object.keys(entry).filter((key) => !ENTRY_KEYS.includes(key)).forEach((key) => {
+            errors.push(`${prefix}.${key} is not supported; use ${ENTRY_KEYS.join(', ')}.`);
+        });
+        ['objectType', 'objectInstance', 'propertyId'].forEach((key) => {
+            if (!_isInteger(entry[key], 0, Number.MAX_SAFE_INTEGER)) {
+                errors.push(`${prefix}.${key} must be a non-negative integer.`);
+            }
+        });
+        if (entry.value === undefined) {
+            errors.push(`${prefix}.value is required.`);
+        } else if (entry.value !== null && typeof entry.value === 'object' && !Array.isArray(entry.value)) {
+            validateTypedValue(entry.value).forEach((error) => errors.push(`${prefix}.${error}`));
+        }
+        if (entry.priority !== undefined && entry.priority !== null && !_isInteger(entry.priority, 1, 16)) {
+            errors.push(`${prefix}.priority must be a number between 1 and 16.`);
+        }
+        if (entry.bacnetApplicationTag !== undefined && entry.bacnetApplicationTag !== null
+            && parseApplicationTag(entry.bacnetApplicationTag) === null) {
+            errors.push(`${prefix}.bacnetApplicationTag must be an application tag number (0-12) or name such as "enumerated".`);
+        }
+    });
+    return errors;
+}
+
+// Turns validated entries into what BacnetClient.writePropertyMultiple takes.
+function normalizeWriteEntries(entries) {
+    return entries.map((entry) => ({
+        objectId: { type: Number(entry.objectType), instance: Number(entry.objectInstance) },
+        propertyId: Number(entry.propertyId),
+        value: entry.value,
+        priority: entry.priority !== undefined && entry.priority !== null ? Number(entry.priority) : undefined,
+        bacnetApplicationTag: entry.bacnetApplicationTag !== undefined && entry.bacnetApplicationTag !== null
+            ? parseApplicationTag(entry.bacnetApplicationTag)
+            : undefined
+    }));
+}
+
+// success when every entry was written, error when none was, partial otherwise.
+function summarizeWriteResults(results) {
+    const failed = results.filter((result) => result.status !== 'success').length;
+    if (failed === 0) {
+        return 'success';
+    }
+    return failed === results.length ? 'error' : 'partial';
+}
+
+module.exports = { validateWriteEntries, normalizeWriteEntries, summarizeWriteResults };
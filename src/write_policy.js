@@ -0,0 +1,149 @@
+// A device config's write policy: objects[].write marks an object writable and may
+// limit which properties, values, priorities and how often; writePolicy holds the
+// device-wide priorities and rate limit. Once a config declares either, objects
+// without a write block are read-only. Configs without them accept any write.
+const WRITE_POLICY_KEYS = ['priorities', 'maxWritesPerMinute'];
+const OBJECT_WRITE_KEYS = ['properties', 'min', 'max', 'priorities', 'maxWritesPerMinute'];
+const PROPERTY_PRESENT_VALUE = 85;
+const PROPERTY_RELINQUISH_DEFAULT = 104;
+// min and max bound the values that reach the outputs.
+const BOUNDED_PROPERTIES = [PROPERTY_PRESENT_VALUE, PROPERTY_RELINQUISH_DEFAULT];
+// BACnet writes without a priority at the lowest one.
+const DEFAULT_PRIORITY = 16;
+const RATE_WINDOW_MS = 60000;
+const DEVICE_HISTORY_KEY = '*';
+
+class WritePolicyError extends Error {
+    // reason is not-writable, priority, out-of-bounds or rate-limited.
+    constructor(reason, message) {
+        super(message);
+        this.name = 'WritePolicyError';
+        this.reason = reason;
+    }
+}
+
+function _validatePriorities(priorities, prefix) {
+    if (!Array.isArray(priorities) || priorities.length === 0
+        || priorities.some((priority) => !Number.isInteger(priority) || priority < 1 || priority > 16)) {
+        return [`${prefix}.priorities must be a non-empty array of priorities between 1 and 16.`];
+    }
+    return [];
+}
+
+function _validateRate(maxWritesPerMinute, prefix) {
+    if (!Number.isInteger(maxWritesPerMinute) || maxWritesPerMinute <= 0) {
+        return [`${prefix}.maxWritesPerMinute must be a positive integer.`];
+    }
+    return [];
+}
+
+function _unsupportedKeys(block, keys, prefix) {
+    return Object.keys(block).filter((key) => !keys.includes(key))
+        .map((key) => `${prefix}.${key} is not supported; use ${keys.join(', ')}.`);
+}
+
+function validateWritePolicy(policy) {
+    if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+        return ['writePolicy must be an object.'];
+    }
+    const errors = _unsupportedKeys(policy, WRITE_POLICY_KEYS, 'writePolicy');
+    if (policy.priorities !== undefined) {
+        errors.push(..._validatePriorities(policy.priorities, 'writePolicy'));
+    }
+    if (policy.maxWritesPerMinute !== undefined) {
+        errors.push(..._validateRate(policy.maxWritesPerMinute, 'writePolicy'));
+    }
+    return errors;
+}
+
+function validateObjectWritePolicy(write) {
+    if (!write || typeof write !== 'object' || Array.isArray(write)) {
+        return ['write must be an object.'];
+    }
+    const errors = _unsupportedKeys(write, OBJECT_WRITE_KEYS, 'write');
+    if (write.properties !== undefined && (!Array.isArray(write.properties) || write.properties.length === 0
+        || write.properties.some((property) => !(Number.isInteger(property) && property >= 0) && !(typeof property === 'string' && property.trim())))) {
+        errors.push('write.properties must be a non-empty array of property IDs or names.');
+    }
+    ['min', 'max'].forEach((key) => {
+        if (write[key] !== undefined && !Number.isFinite(write[key])) {
+            errors.push(`write.${key} must be a number.`);
+        }
+    });
+    if (Number.isFinite(write.min) && Number.isFinite(write.max) && write.min > write.max) {
+        errors.push('write.min must not be greater than write.max.');
+    }
+    if (write.priorities !== undefined) {
+        errors.push(..._validatePriorities(write.priorities, 'write'));
+    }
+    if (write.maxWritesPerMinute !== undefined) {
+        errors.push(..._validateRate(write.maxWritesPerMinute, 'write'));
+    }
+    return errors;
+}
+
+// The numeric value a write asks for, or null when it is not a number (a state
+// label, a boolean, a string). Typed values are bounded by their inner value.
+function _numericValue(value) {
+    const raw = value && typeof value === 'object' && !Array.isArray(value) ? value.value : value;
+    if (typeof raw === 'number') {
+        return Number.isFinite(raw) ? raw : null;
+    }
+    if (typeof raw === 'string' && raw.trim() && Number.isFinite(Number(raw))) {
+        return Number(raw);
+    }
+    return null;
+}
+
+function _recentWrites(history, key, now) {
+    const writes = (history.get(key) || []).filter((at) => now - at < RATE_WINDOW_MS);
+    history.set(key, writes);
+    return writes;
+}
+
+// history is a Map of write times by object key, kept by recordWrite.
+function checkWritePolicy(policy, history, write, now = Date.now()) {
+    if (!policy || !policy.enabled) {
+        return;
+    }
+    const { deviceId, objectKey, propertyId, value } = write;
+    const target = `object ${objectKey} on device ${deviceId}`;
+    const rule = policy.objects.get(objectKey);
+    if (!rule) {
+        throw new WritePolicyError('not-writable', `Writes to ${target} are not allowed by its write policy.`);
+    }
+    const properties = rule.properties || [PROPERTY_PRESENT_VALUE];
+    if (!properties.includes(propertyId)) {
+        throw new WritePolicyError('not-writable', `Property ${propertyId} of ${target} is not writable; allowed: ${properties.join(', ')}.`);
+    }
+
+    const priority = write.priority !== undefined && write.priority !== null ? write.priority : DEFAULT_PRIORITY;
+    const priorities = rule.priorities || policy.priorities;
+    if (priorities && !priorities.includes(priority)) {
+        throw new WritePolicyError('priority', `Priority ${priority} is not allowed for ${target}; allowed: ${priorities.join(', ')}.`);
+    }
+
+    const number = value === null ? null : _numericValue(value);
+    if (number !== null && BOUNDED_PROPERTIES.includes(propertyId)
+        && ((rule.min !== undefined && number < rule.min) || (rule.max !== undefined && number > rule.max))) {
+        const range = [rule.min !== undefined ? `min ${rule.min}` : null, rule.max !== undefined ? `max ${rule.max}` : null].filter(Boolean).join(', ');
+        throw new WritePolicyError('out-of-bounds', `${number} is outside the allowed range of ${target} (${range}).`);
+    }
+
+    if (rule.maxWritesPerMinute !== undefined && _recentWrites(history, objectKey, now).length >= rule.maxWritesPerMinute) {
+        throw new WritePolicyError('rate-limited', `${target[0].toUpperCase()}${target.slice(1)} allows ${rule.maxWritesPerMinute} writes per minute.`);
+    }
+    if (policy.maxWritesPerMinute !== undefined && _recentWrites(history, DEVICE_HISTORY_KEY, now).length >= policy.maxWritesPerMinute) {
+        throw new WritePolicyError('rate-limited', `Device ${deviceId} allows ${policy.maxWritesPerMinute} writes per minute.`);
+    }
+}
+
+function recordWrite(policy, history, objectKey, now = Date.now()) {
+    if (!policy || !policy.enabled) {
+        return;
+    }
+    _recentWrites(history, objectKey, now).push(now);
+    _recentWrites(history, DEVICE_HISTORY_KEY, now).push(now);
+}
+
+module.exports = { WritePolicyError, validateWritePolicy, validateObjectWritePolicy, checkWritePolicy, recordWrite };
@@ -0,0 +1,352 @@
+const { scheduleJob } = require('node-schedule');
+const config = require('config');
+const { logger } = require('./common');
+const { parseApplicationTag, validateTypedValue } = require('./bacnet_value');
+const { WritePolicyError } = require('./write_policy');
+const { validateOverrideTiming, resolveReleaseAt } = require('./timed_override');
+
+// A write schedule writes one value to one property, either on a cron expression
+// (recurring, in the gateway's local time) or once at runAt. Schedules and their
+// runs are kept in the runtime database; a run goes through the same value
+// resolution and write policy as a REST or MQTT write.
+const SCHEDULE_KEYS = [
+    'name', 'deviceId', 'objectType', 'objectInstance', 'propertyId', 'value',
+    'priority', 'bacnetApplicationTag', 'durationMs', 'cron', 'runAt', 'enabled'
+];
+const PROPERTY_PRESENT_VALUE = 85;
+const DEFAULT_RUN_HISTORY_LIMIT = 1000;
+
+class WriteScheduleError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'WriteScheduleError';
+        this.details = details;
+    }
+}
+
+function _isInteger(value, min, max) {
+    const number = typeof value === 'string' && /^\d+$/.test(value.trim()) ? Number(value) : value;
+    return Number.isInteger(number) && number >= min && number <= max;
+}
+
+function _parseRunAt(runAt) {
+    if (typeof runAt === 'number') {
+        return Number.isFinite(runAt) ? runAt : NaN;
+    }
+    if (typeof runAt === 'string' && runAt.trim()) {
+        return /^\d+$/.test(runAt.trim()) ? Number(runAt) : Date.parse(runAt);
+    }
+    return NaN;
+}
+
+function _isSet(value) {
+    return value !== undefined && value !== null;
+}
+
+function validateWriteSchedule(schedule, now = Date.now()) {
+    if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+        return ['A schedule must be an object.'];
+    }
+    const errors = Object.keys(schedule).filter((key) => !SCHEDULE_KEYS.includes(key))
+        .map((key) => `${key} is not supported; use ${SCHEDULE_KEYS.join(', ')}.`);
+    if (typeof schedule.name !== 'string' || !schedule.name.trim()) {
+        errors.push('name is required.');
+    }
+    if (!_isSet(schedule.deviceId) || String(schedule.deviceId).trim() === '') {
+        errors.push('deviceId is required.');
+    }
+    ['objectType', 'objectInstance'].forEach((key) => {
+        if (!_isInteger(schedule[key], 0, Number.MAX_SAFE_INTEGER)) {
+            errors.push(`${key} must be a non-negative integer.`);
+        }
+    });
+    if (_isSet(schedule.propertyId) && !_isInteger(schedule.propertyId, 0, Number.MAX_SAFE_INTEGER)) {
+        errors.push('propertyId must be a non-negative integer.');
+    }
+    if (schedule.value === undefined) {
+        errors.push('value is required; use null to relinquish the priority.');
+    } else if (schedule.value !== null && typeof schedule.value === 'object' && !Array.isArray(schedule.value)) {
+        errors.push(...validateTypedValue(schedule.value));
+    }
+    if (_isSet(schedule.priority) && !_isInteger(schedule.priority, 1, 16)) {
+        errors.push('priority must be a number between 1 and 16.');
+    }
+    if (_isSet(schedule.bacnetApplicationTag) && parseApplicationTag(schedule.bacnetApplicationTag) === null) {
+        errors.push('bacnetApplicationTag must be an application tag number (0-12) or name such as "enumerated".');
+    }
+    if (schedule.value !== undefined) {
+        errors.push(...validateOverrideTiming({ value: schedule.value, durationMs: schedule.durationMs, propertyId: schedule.propertyId }, now));
+    }
+    if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') {
+        errors.push('enabled must be true or false.');
+    }
+
+    const hasCron = _isSet(schedule.cron);
+    const hasRunAt = _isSet(schedule.runAt);
+    if (hasCron === hasRunAt) {
+        errors.push('A schedule needs either cron or runAt.');
+    }
+    if (hasCron && (typeof schedule.cron !== 'string' || ![5, 6].includes(schedule.cron.trim().split(/\s+/).length))) {
+        errors.push('cron must be a cron expression with 5 fields, or 6 with seconds first.');
+    }
+    if (hasRunAt) {
+        const runAt = _parseRunAt(schedule.runAt);
+        if (Number.isNaN(runAt)) {
+            errors.push('runAt must be an ISO 8601 timestamp or milliseconds since the epoch.');
+        } else if (runAt <= now && schedule.enabled !== false) {
+            errors.push('runAt must be in the future.');
+        }
+    }
+    return errors;
+}
+
+function normalizeWriteSchedule(schedule) {
+    return {
+        name: schedule.name.trim(),
+        deviceId: String(schedule.deviceId),
+        objectType: Number(schedule.objectType),
+        objectInstance: Number(schedule.objectInstance),
+        propertyId: _isSet(schedule.propertyId) ? Number(schedule.propertyId) : PROPERTY_PRESENT_VALUE,
+        value: schedule.value,
+        priority: _isSet(schedule.priority) ? Number(schedule.priority) : null,
+        bacnetApplicationTag: _isSet(schedule.bacnetApplicationTag) ? parseApplicationTag(schedule.bacnetApplicationTag) : null,
+        durationMs: _isSet(schedule.durationMs) ? Number(schedule.durationMs) : null,
+        cron: _isSet(schedule.cron) ? schedule.cron.trim() : null,
+        runAt: _isSet(schedule.runAt) ? _parseRunAt(schedule.runAt) : null,
+        enabled: schedule.enabled !== false
+    };
+}
+
+class WriteScheduler {
+    constructor(bacnetClient, runtimeState = bacnetClient.runtimeState) {
+        this.bacnetClient = bacnetClient;
+        this.runtimeState = runtimeState;
+        this.jobs = new Map();
+        this.running = new Set();
+        this.runHistoryLimit = DEFAULT_RUN_HISTORY_LIMIT;
+        if (config.has('schedules.runHistoryLimit')) {
+            const limit = parseInt(config.get('schedules.runHistoryLimit'), 10);
+            this.runHistoryLimit = Number.isNaN(limit) || limit <= 0 ? DEFAULT_RUN_HISTORY_LIMIT : limit;
+        }
+    }
+
+    // Arms the stored schedules. One-off schedules whose time passed while the
+    // gateway was down are recorded as missed rather than written late.
+    async init() {
+        const now = Date.now();
+        for (const schedule of await this.runtimeState.listWriteSchedules()) {
+            if (!schedule.enabled) {
+                continue;
+            }
+            try {
+                await this._initSchedule(schedule, now);
+            } catch (err) {
+                logger.log('error', `[Schedule] Could not start schedule ${schedule.id} (${schedule.name}): ${err.message || err}`);
+            }
+        }
+        return this;
+    }
+
+    async _initSchedule(schedule, now) {
+        if (schedule.runAt !== null && schedule.runAt <= now) {
+            logger.log('warn', `[Schedule] Schedule ${schedule.id} (${schedule.name}) was due at ${new Date(schedule.runAt).toISOString()} while the gateway was down; it is not run late.`);
+            await this._finishRun(schedule, {
+                scheduleId: schedule.id,
+                trigger: 'schedule',
+                status: 'missed',
+                value: schedule.value,
+                priority: schedule.priority,
+                startedAt: now,
+                finishedAt: now
+            });
+            return;
+        }
+        if (!this._arm(schedule)) {
+            logger.log('warn', `[Schedule] Could not arm schedule ${schedule.id} (${schedule.name}) with ${schedule.cron || schedule.runAt}.`);
+        }
+    }
+
+    stop() {
+        for (const job of this.jobs.values()) {
+            job.cancel();
+        }
+        this.jobs.clear();
+    }
+
+    async list() {
+        const schedules = await this.runtimeState.listWriteSchedules();
+        return schedules.map((schedule) => this._withNextRun(schedule));
+    }
+
+    async get(id) {
+        const schedule = await this.runtimeState.getWriteSchedule(id);
+        return schedule ? this._withNextRun(schedule) : null;
+    }
+
+    // Stores and arms a validated schedule. Throws a WriteScheduleError when
+    // node-schedule does not accept its cron expression.
+    async create(input) {
+        const schedule = normalizeWriteSchedule(input);
+        this._checkTrigger(schedule);
+        schedule.id = await this.runtimeState.saveWriteSchedule(schedule);
+        this._arm(schedule);
+        logger.log('info', `[Schedule] Created schedule ${schedule.id} (${schedule.name}) for device ${schedule.deviceId}, object ${schedule.objectType}_${schedule.objectInstance}.`);
+        return this.get(schedule.id);
+    }
+
+    async update(id, input) {
+        const existing = await this.runtimeState.getWriteSchedule(id);
+        if (!existing) {
+            return null;
+        }
+        const schedule = { ...normalizeWriteSchedule(input), id: existing.id, lastRunAt: existing.lastRunAt, lastStatus: existing.lastStatus };
+        this._checkTrigger(schedule);
+        this._disarm(existing.id);
+        await this.runtimeState.saveWriteSchedule(schedule);
+        this._arm(schedule);
+        logger.log('info', `[Schedule] Updated schedule ${schedule.id} (${schedule.name}).`);
+        return this.get(schedule.id);
+    }
+
+    async remove(id) {
+        this._disarm(Number(id));
+        const deleted = await this.runtimeState.deleteWriteSchedule(id);
+        if (deleted) {
+            logger.log('info', `[Schedule] Deleted schedule ${id}.`);
+        }
+        return deleted;
+    }
+
+    // Runs a schedule now, whether or not it is enabled; returns the run, or null
+    // when there is no schedule with this id.
+    async runNow(id) {
+        const schedule = await this.runtimeState.getWriteSchedule(id);
+        if (!schedule) {
+            return null;
+        }
+        return this._execute(schedule, 'manual');
+    }
+
+    listRuns(id, limit = 50) {
+        return this.runtimeState.listScheduleRuns(id, limit);
+    }
+
+    _checkTrigger(schedule) {
+        if (!schedule.cron) {
+            return;
+        }
+        const job = scheduleJob(schedule.cron, () => {});
+        if (!job) {
+            throw new WriteScheduleError('Invalid schedule.', [`cron "${schedule.cron}" is not a valid cron expression.`]);
+        }
+        job.cancel();
+    }
+
+    _arm(schedule) {
+        if (!schedule.enabled) {
+            return null;
+        }
+        const job = scheduleJob(schedule.cron || new Date(schedule.runAt), () => {
+            this._runScheduled(schedule.id);
+        });
+        if (job) {
+            this.jobs.set(schedule.id, job);
+        }
+        return job;
+    }
+
+    _disarm(id) {
+        const job = this.jobs.get(id);
+        if (job) {
+            job.cancel();
+            this.jobs.delete(id);
+        }
+    }
+
+    _withNextRun(schedule) {
+        const job = this.jobs.get(schedule.id);
+        const next = job ? job.nextInvocation() : null;
+        return { ...schedule, nextRunAt: next ? new Date(next).getTime() : null };
+    }
+
+    // The stored schedule is read again so that a run never uses an edit it raced with.
+    async _runScheduled(id) {
+        try {
+            const schedule = await this.runtimeState.getWriteSchedule(id);
+            if (!schedule || !schedule.enabled) {
+                return;
+            }
+            await this._execute(schedule, 'schedule');
+        } catch (err) {
+            logger.log('error', `[Schedule] Run of schedule ${id} failed: ${err.message || err}`);
+        }
+    }
+
+    async _execute(schedule, trigger) {
+        if (this.running.has(schedule.id)) {
+            logger.log('warn', `[Schedule] Schedule ${schedule.id} (${schedule.name}) is still running; skipping this run.`);
+            return { scheduleId: schedule.id, trigger, status: 'skipped', startedAt: Date.now() };
+        }
+        this.running.add(schedule.id);
+        const run = {
+            scheduleId: schedule.id,
+            trigger,
+            status: 'success',
+            value: schedule.value,
+            priority: schedule.priority,
+            error: null,
+            policy: null,
+            releaseAt: null,
+            startedAt: Date.now()
+        };
+        const target = `device ${schedule.deviceId}, object ${schedule.objectType}_${schedule.objectInstance}, property ${schedule.propertyId}`;
+        try {
+            const deviceConfig = this.bacnetClient.deviceConfigs.get(schedule.deviceId);
+            if (!deviceConfig || !deviceConfig.device || !deviceConfig.device.address) {
+                throw new Error(`Device configuration not found for deviceId: ${schedule.deviceId}`);
+            }
+            const address = deviceConfig.device.address;
+            const objectId = { type: schedule.objectType, instance: schedule.objectInstance };
+            const priority = schedule.priority === null ? undefined : schedule.priority;
+            const tag = schedule.bacnetApplicationTag === null ? undefined : schedule.bacnetApplicationTag;
+            const resolved = await this.bacnetClient.resolveWriteValue(address, objectId, schedule.propertyId, schedule.value, tag);
+            await this.bacnetClient.writeProperty(address, objectId, schedule.propertyId, resolved.value, priority, resolved.bacnetApplicationTag, schedule.deviceId);
+            const override = await this.bacnetClient.trackTimedOverride(
+                schedule.deviceId, objectId, schedule.propertyId, priority, schedule.value,
+                resolveReleaseAt({ durationMs: schedule.durationMs }, run.startedAt)
+            );
+            if (override) {
+                run.releaseAt = override.releaseAt;
+            }
+            logger.log('info', `[Schedule] Schedule ${schedule.id} (${schedule.name}) wrote ${JSON.stringify(schedule.value)} to ${target}.`);
+        } catch (err) {
+            run.status = 'error';
+            run.error = err.message || String(err);
+            if (err instanceof WritePolicyError) {
+                run.policy = err.reason;
+            }
+            logger.log('error', `[Schedule] Schedule ${schedule.id} (${schedule.name}) failed to write ${target}: ${run.error}`);
+        } finally {
+            this.running.delete(schedule.id);
+        }
+        run.finishedAt = Date.now();
+        await this._finishRun(schedule, run);
+        return run;
+    }
+
+    // Records the run in the schedule's history. A one-off schedule is disabled
+    // once its time has come, whatever the outcome.
+    async _finishRun(schedule, run) {
+        try {
+            if (run.trigger === 'schedule' && schedule.runAt !== null) {
+                this._disarm(schedule.id);
+                await this.runtimeState.setWriteScheduleEnabled(schedule.id, false);
+            }
+            run.id = await this.runtimeState.recordScheduleRun(run, this.runHistoryLimit);
+        } catch (err) {
+            logger.log('error', `[Schedule] Failed to record the run of schedule ${schedule.id}: ${err.message || err}`);
+        }
+    }
+}
+
+module.exports = { WriteScheduler, WriteScheduleError, validateWriteSchedule, normalizeWriteSchedule };
@@ -111,32 +111,91 @@ function extractErrorMessage(error, fallback) {
     return (error.response && error.response.data && error.response.data.message) || error.message || fallback;
 }
 
+// Routed devices are addressed as { ip, network, mac } (BACnet router IP, DNET, DADR).
+function formatAddress(address) {
+    if (!address || typeof address !== 'object') {
+        return address;
+    }
+    const mac = Array.isArray(address.mac) ? address.mac.join('.') : address.mac;
+    return `${address.ip} via network ${address.network}, MAC ${mac}`;
+}
+
 const Spinner = {
     template: '#spinner-template'
 };
 
+const SEGMENTATION_LABELS = ['both', 'transmit', 'receive', 'none'];
+
 const WhoisPanel = {
     template: '#whois-template',
     data() {
         return {
             loading: false,
+            listLoading: false,
             devices: [],
+            network: '',
+            vendorId: '',
+            lowLimit: '',
+            highLimit: '',
+            targetAddress: '',
+            durationSeconds: 5,
+            lastScanCount: null,
             cancelTokenSource: null,
             error: null
         };
     },
     methods: {
+        formatTimestamp(value) {
+            if (!value) {
+                return '-';
+            }
+            return new Date(value).toLocaleString();
+        },
+        segmentationLabel(value) {
+            return SEGMENTATION_LABELS[value] || '-';
+        },
+        async loadDiscovered() {
+            this.listLoading = true;
+            try {
+                const params = {};
+                if (this.network !== '') {
+                    params.network = this.network;
+                }
+                if (this.vendorId !== '') {
+                    params.vendorId = this.vendorId;
+                }
+                const response = await axios.get('/api/bacnet/discovered', { params });
+                this.devices = response.data || [];
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to load discovered devices');
+            } finally {
+                this.listLoading = false;
+            }
+        },
+        scanRequest() {
+            const request = {};
+            if (this.lowLimit !== '' && this.highLimit !== '') {
+                request.lowLimit = Number(this.lowLimit);
+                request.highLimit = Number(this.highLimit);
+            }
+            if (this.targetAddress.trim()) {
+                request.address = this.targetAddress.trim();
+            }
+            if (this.durationSeconds) {
+                request.durationMs = Number(this.durationSeconds) * 1000;
+            }
+            return request;
+        },
         async startScan() {
             if (this.loading) {
                 return;
             }
             this.loading = true;
             this.error = null;
-            this.devices = [];
             this.cancelTokenSource = axios.CancelToken.source();
             try {
-                const response = await axios.put('/api/bacnet/scan', {}, { cancelToken: this.cancelTokenSource.token });
-                this.devices = response.data || [];
+                const response = await axios.put('/api/bacnet/scan', this.scanRequest(), { cancelToken: this.cancelTokenSource.token });
+                this.lastScanCount = (response.data || []).length;
             } catch (error) {
                 if (axios.isCancel(error)) {
                     this.error = 'Scan stopped.';
@@ -147,12 +206,17 @@ const WhoisPanel = {
                 this.loading = false;
                 this.cancelTokenSource = null;
             }
+            await this.loadDiscovered();
         },
         stopScan() {
             if (this.cancelTokenSource) {
                 this.cancelTokenSource.cancel('Scan stopped by user.');
             }
-        }
+        },
+        formatAddress
+    },
+    mounted() {
+        this.loadDiscovered();
     }
 };
 
@@ -173,8 +237,12 @@ const ObjectWriteForm = {
             propertyId: 85,
             priority: null,
             bacnetApplicationTag: null,
+            releaseAfterMinutes: null,
             status: null,
             message: null,
+            priorityArray: null,
+            priorityLoading: false,
+            priorityError: null,
             commonProperties: [
                 { text: 'Present Value (85)', value: 85 },
                 { text: 'Object Name (77)', value: 77 },
@@ -183,15 +251,20 @@ const ObjectWriteForm = {
                 { text: 'Out Of Service (81)', value: 81 }
             ],
             commonAppTags: [
-                { text: 'Auto Detect', value: null },
+                { text: 'Auto (from object type and property)', value: null },
                 { text: 'NULL (0)', value: 0 },
                 { text: 'BOOLEAN (1)', value: 1 },
                 { text: 'UNSIGNED INT (2)', value: 2 },
                 { text: 'SIGNED INT (3)', value: 3 },
                 { text: 'REAL (4)', value: 4 },
                 { text: 'DOUBLE (5)', value: 5 },
+                { text: 'OCTET STRING (6), hex', value: 6 },
                 { text: 'CHARACTER STRING (7)', value: 7 },
-                { text: 'ENUMERATED (9)', value: 9 }
+                { text: 'BIT STRING (8), e.g. 0110', value: 8 },
+                { text: 'ENUMERATED (9)', value: 9 },
+                { text: 'DATE (10), YYYY-MM-DD', value: 10 },
+                { text: 'TIME (11), HH:MM:SS', value: 11 },
+                { text: 'OBJECT IDENTIFIER (12), type_instance', value: 12 }
             ]
         };
     },
@@ -215,11 +288,17 @@ const ObjectWriteForm = {
             if (this.bacnetApplicationTag !== null && this.bacnetApplicationTag !== '') {
                 payload.bacnetApplicationTag = Number(this.bacnetApplicationTag);
             }
+            if (this.releaseAfterMinutes !== null && this.releaseAfterMinutes !== '') {
+                payload.durationMs = Math.round(Number(this.releaseAfterMinutes) * 60000);
+            }
 
             try {
                 const response = await axios.put('/api/bacnet/write', payload);
                 this.status = 'success';
                 this.message = response.data.message || 'Write successful';
+                if (response.data.releaseAt) {
+                    this.message += `; released at ${new Date(response.data.releaseAt).toLocaleString()}`;
+                }
                 this.$emit('success');
             } catch (error) {
                 this.status = 'error';
@@ -227,6 +306,46 @@ const ObjectWriteForm = {
             } finally {
                 this.loading = false;
             }
+        },
+        async loadPriorityArray() {
+            this.priorityLoading = true;
+            this.priorityError = null;
+            try {
+                const response = await axios.get(`/api/bacnet/${encodeURIComponent(this.deviceId)}/priority-array/${this.objectType}/${this.objectInstance}`);
+                this.priorityArray = response.data;
+            } catch (error) {
+                this.priorityArray = null;
+                this.priorityError = extractErrorMessage(error, 'Failed to read priority array');
+            } finally {
+                this.priorityLoading = false;
+            }
+        },
+        async relinquish(priority) {
+            this.status = null;
+            this.message = null;
+            try {
+                await axios.put('/api/bacnet/write', {
+                    deviceId: this.deviceId,
+                    objectType: this.objectType,
+                    objectInstance: this.objectInstance,
+                    propertyId: 85,
+                    value: null,
+                    priority
+                });
+                this.status = 'success';
+                this.message = `Relinquished priority ${priority}`;
+                this.$emit('success');
+            } catch (error) {
+                this.status = 'error';
+                this.message = extractErrorMessage(error, `Failed to relinquish priority ${priority}`);
+            }
+            await this.loadPriorityArray();
+        },
+        formatPriorityValue(value) {
+            if (value === null || value === undefined) {
+                return '—';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
         }
     }
 };
@@ -259,13 +378,18 @@ const DeviceScan = {
             demoScanAvailable: isDemoScanAvailable(),
             deviceId: '',
             address: '',
+            network: '',
+            mac: '',
             objects: [],
             configuredObjectKeys: new Set(),
             runtimeObjectKeys: new Set(),
             runtimeObjectsByKey: {},
             error: null,
             diagnosticsError: null,
-            selectedObject: null
+            selectedObject: null,
+            scanning: false,
+            scanJob: null,
+            scanPollMs: 1000
         };
     },
     computed: {
@@ -296,24 +420,66 @@ const DeviceScan = {
         }
     },
     methods: {
+        // Scans run as background jobs; the objects read so far are shown while the
+        // job is polled.
         async scanDevice() {
             this.loading = true;
             this.error = null;
             this.diagnosticsError = null;
+            this.objects = [];
+            this.scanJob = null;
             try {
-                const response = await axios.put(`/api/bacnet/${this.deviceId}/objects`, {
+                const response = await axios.post('/api/bacnet/scan-jobs', {
                     deviceId: this.deviceId,
-                    address: this.address
+                    address: this.deviceAddress()
                 });
-                this.objects = (response.data || []).map((object) => this.decorateObject(object));
+                this.scanJob = response.data;
+                this.loading = false;
+                this.scanning = true;
+                await this.followScanJob();
                 await this.loadDiagnostics();
             } catch (error) {
-                this.objects = [];
                 this.error = extractErrorMessage(error, 'Failed to read BACnet device objects');
             } finally {
                 this.loading = false;
+                this.scanning = false;
+            }
+        },
+        async followScanJob() {
+            while (this.scanJob.status === 'running') {
+                await new Promise((resolve) => window.setTimeout(resolve, this.scanPollMs));
+                const response = await axios.get(`/api/bacnet/scan-jobs/${this.scanJob.id}`);
+                this.scanJob = response.data;
+                this.objects = (this.scanJob.objects || []).map((object) => this.decorateObject(object));
+            }
+            if (this.scanJob.status === 'failed') {
+                throw new Error(this.scanJob.error || 'Scan failed');
             }
         },
+        async cancelScan() {
+            if (!this.scanJob) {
+                return;
+            }
+            try {
+                const response = await axios.put(`/api/bacnet/scan-jobs/${this.scanJob.id}/cancel`);
+                this.scanJob = response.data;
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to cancel the scan');
+            }
+        },
+        scanProgress() {
+            const job = this.scanJob;
+            if (!job || job.totalObjects === null || job.totalObjects === undefined) {
+                return 'Reading the object list...';
+            }
+            return `Read ${job.objectsRead} of ${job.totalObjects} objects`;
+        },
+        deviceAddress() {
+            if (this.network === '' || this.mac === '') {
+                return this.address;
+            }
+            return { ip: this.address, network: parseInt(this.network, 10), mac: parseInt(this.mac, 10) };
+        },
         loadDemoScan() {
             this.loading = false;
             this.diagnosticsLoading = false;
@@ -468,7 +634,14 @@ const ConfiguredDevices = {
             } finally {
                 this.loading = false;
             }
-        }
+        },
+        formatModel(profile) {
+            if (!profile) {
+                return '-';
+            }
+            return [profile.vendorName, profile.modelName].filter(Boolean).join(' ') || '-';
+        },
+        formatAddress
     },
     mounted() {
         this.load();
@@ -565,6 +738,261 @@ const RuntimeObjects = {
     }
 };
 
+const AlarmList = {
+    template: '#alarm-list-template',
+    components: { Spinner },
+    props: {
+        canWrite: { type: Boolean, default: false }
+    },
+    data() {
+        return {
+            loading: false,
+            deviceId: '',
+            activeOnly: true,
+            alarms: [],
+            error: null,
+            acknowledging: null
+        };
+    },
+    methods: {
+        formatTimestamp(value) {
+            if (!value) {
+                return '-';
+            }
+            return new Date(value).toLocaleString();
+        },
+        async load() {
+            this.loading = true;
+            this.error = null;
+            try {
+                const params = { activeOnly: this.activeOnly ? 'true' : 'false' };
+                if (this.deviceId) {
+                    params.deviceId = this.deviceId;
+                }
+                const response = await axios.get('/api/bacnet/alarms', { params });
+                this.alarms = response.data || [];
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to load alarms');
+            } finally {
+                this.loading = false;
+            }
+        },
+        async refreshDevice() {
+            if (!this.deviceId) {
+                return;
+            }
+            this.loading = true;
+            this.error = null;
+            try {
+                await axios.put(`/api/bacnet/alarms/${encodeURIComponent(this.deviceId)}/refresh`);
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to refresh alarms from device');
+            } finally {
+                this.loading = false;
+            }
+            await this.load();
+        },
+        async acknowledge(alarm) {
+            this.acknowledging = `${alarm.deviceId}-${alarm.objectKey}`;
+            this.error = null;
+            try {
+                await axios.put(
+                    `/api/bacnet/alarms/${encodeURIComponent(alarm.deviceId)}/${encodeURIComponent(alarm.objectKey)}/acknowledge`,
+                    { ackText: 'Acknowledged from admin UI' }
+                );
+                await this.load();
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to acknowledge alarm');
+            } finally {
+                this.acknowledging = null;
+            }
+        }
+    },
+    mounted() {
+        this.load();
+    }
+};
+
+function emptyScheduleForm() {
+    return {
+        name: '',
+        deviceId: '',
+        objectType: '',
+        objectInstance: '',
+        propertyId: 85,
+        value: '',
+        priority: '',
+        trigger: 'cron',
+        cron: '',
+        runAt: '',
+        releaseAfterMinutes: '',
+        enabled: true
+    };
+}
+
+const WriteSchedules = {
+    template: '#write-schedules-template',
+    components: { Spinner },
+    props: {
+        canWrite: { type: Boolean, default: false }
+    },
+    data() {
+        return {
+            loading: false,
+            saving: false,
+            schedules: [],
+            error: null,
+            message: null,
+            form: emptyScheduleForm(),
+            editingId: null,
+            runsFor: null,
+            runs: []
+        };
+    },
+    methods: {
+        formatTimestamp(value) {
+            if (!value) {
+                return '-';
+            }
+            return new Date(value).toLocaleString();
+        },
+        formatTrigger(schedule) {
+            return schedule.cron || `once at ${this.formatTimestamp(schedule.runAt)}`;
+        },
+        formatValue(value) {
+            if (value === null || value === undefined) {
+                return 'relinquish';
+            }
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        },
+        async load() {
+            this.loading = true;
+            this.error = null;
+            try {
+                const response = await axios.get('/api/bacnet/schedules');
+                this.schedules = response.data || [];
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to load schedules');
+            } finally {
+                this.loading = false;
+            }
+        },
+        resetForm() {
+            this.form = emptyScheduleForm();
+            this.editingId = null;
+        },
+        edit(schedule) {
+            this.editingId = schedule.id;
+            this.message = null;
+            this.form = {
+                name: schedule.name,
+                deviceId: schedule.deviceId,
+                objectType: schedule.objectType,
+                objectInstance: schedule.objectInstance,
+                propertyId: schedule.propertyId,
+                value: schedule.value === null ? '' : this.formatValue(schedule.value),
+                priority: schedule.priority || '',
+                trigger: schedule.cron ? 'cron' : 'once',
+                cron: schedule.cron || '',
+                runAt: schedule.runAt ? new Date(schedule.runAt - new Date(schedule.runAt).getTimezoneOffset() * 60000).toISOString().slice(0, 16) : '',
+                releaseAfterMinutes: schedule.durationMs ? schedule.durationMs / 60000 : '',
+                enabled: schedule.enabled
+            };
+        },
+        // An empty value relinquishes the priority; datetime-local inputs are in local time.
+        buildPayload() {
+            const form = this.form;
+            const payload = {
+                name: form.name,
+                deviceId: form.deviceId,
+                objectType: Number(form.objectType),
+                objectInstance: Number(form.objectInstance),
+                propertyId: Number(form.propertyId),
+                value: form.value === '' ? null : form.value,
+                enabled: form.enabled
+            };
+            if (form.priority !== null && form.priority !== '') {
+                payload.priority = Number(form.priority);
+            }
+            if (form.releaseAfterMinutes !== null && form.releaseAfterMinutes !== '') {
+                payload.durationMs = Math.round(Number(form.releaseAfterMinutes) * 60000);
+            }
+            if (form.trigger === 'cron') {
+                payload.cron = form.cron;
+            } else {
+                payload.runAt = new Date(form.runAt).toISOString();
+            }
+            return payload;
+        },
+        async save() {
+            this.saving = true;
+            this.error = null;
+            this.message = null;
+            try {
+                const payload = this.buildPayload();
+                if (this.editingId) {
+                    await axios.put(`/api/bacnet/schedules/${this.editingId}`, payload);
+                    this.message = `Schedule "${payload.name}" updated`;
+                } else {
+                    await axios.post('/api/bacnet/schedules', payload);
+                    this.message = `Schedule "${payload.name}" created`;
+                }
+                this.resetForm();
+                await this.load();
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to save schedule');
+            } finally {
+                this.saving = false;
+            }
+        },
+        async remove(schedule) {
+            this.error = null;
+            this.message = null;
+            try {
+                await axios.delete(`/api/bacnet/schedules/${schedule.id}`);
+                if (this.runsFor === schedule.id) {
+                    this.runsFor = null;
+                    this.runs = [];
+                }
+                await this.load();
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to delete schedule');
+            }
+        },
+        async runNow(schedule) {
+            this.error = null;
+            this.message = null;
+            try {
+                const response = await axios.put(`/api/bacnet/schedules/${schedule.id}/run`);
+                const run = response.data || {};
+                this.message = run.status === 'success'
+                    ? `Schedule "${schedule.name}" written`
+                    : `Schedule "${schedule.name}" failed: ${run.error || run.status}`;
+                await this.load();
+                if (this.runsFor === schedule.id) {
+                    await this.loadRuns(schedule);
+                }
+            } catch (error) {
+                this.error = extractErrorMessage(error, 'Failed to run schedule');
+            }
+        },
+        async loadRuns(schedule) {
+            this.runsFor = schedule.id;
+            this.error = null;
+            try {
+                const response = await axios.get(`/api/bacnet/schedules/${schedule.id}/runs`);
+                this.runs = response.data || [];
+            } catch (error) {
+                this.runs = [];
+                this.error = extractErrorMessage(error, 'Failed to load schedule runs');
+            }
+        }
+    },
+    mounted() {
+        this.load();
+    }
+};
+
 createApp({
     components: {
         Spinner,
@@ -572,7 +1000,9 @@ createApp({
         DeviceScan,
         ConfiguredDevices,
         RuntimeDevices,
-        RuntimeObjects
+        RuntimeObjects,
+        AlarmList,
+        WriteSchedules
     },
     data() {
         return {